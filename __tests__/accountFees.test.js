@@ -0,0 +1,105 @@
+import { jest } from "@jest/globals";
+import { PublicKey } from "@solana/web3.js";
+import {
+  recordPoolFeeSamples,
+  poolFeePercentile,
+  getAccountScopedPriorityFee,
+  recordPriorityFeeFeedback,
+  recordJitoTipFeedback,
+  getTipModelState,
+} from "../src/services/fees.js";
+import {
+  readComputeBudget,
+  tuneComputeUnitPrice,
+  writableAccounts,
+} from "../src/services/trading/computeUnits.js";
+
+const CB = new PublicKey("ComputeBudget111111111111111111111111111111");
+const POOL = "58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2";
+
+const samples = (fees) =>
+  fees.map((f, i) => ({ slot: 1000 + i, prioritizationFee: f }));
+
+function budgetTx({ limit, price }) {
+  const l = Buffer.alloc(5);
+  l[0] = 2;
+  l.writeUInt32LE(limit, 1);
+  const p = Buffer.alloc(9);
+  p[0] = 3;
+  p.writeBigUInt64LE(BigInt(price), 1);
+  const pool = new PublicKey(POOL);
+  return {
+    message: {
+      header: { numRequiredSignatures: 1 },
+      staticAccountKeys: [PublicKey.default, pool, CB],
+      isAccountWritable: (i) => i < 2,
+      compiledInstructions: [
+        { programIdIndex: 2, data: l },
+        { programIdIndex: 2, data: p },
+      ],
+    },
+  };
+}
+
+describe("account-scoped priority fees", () => {
+  test("picks the percentile by urgency", () => {
+    recordPoolFeeSamples("pool-a", samples([1000, 2000, 5000, 10000, 50000]));
+    expect(poolFeePercentile("pool-a", "normal").microLamports).toBe(5000);
+    expect(poolFeePercentile("pool-a", "fast").microLamports).toBe(10000);
+    expect(poolFeePercentile("pool-a", "turbo").microLamports).toBe(10000);
+    expect(poolFeePercentile("unknown")).toBeNull();
+  });
+
+  test("dedupes samples by slot and ages them out", () => {
+    const now = Date.now();
+    recordPoolFeeSamples("pool-b", samples([4000, 4000]), now);
+    recordPoolFeeSamples("pool-b", samples([4000, 4000]), now);
+    expect(poolFeePercentile("pool-b", "normal", now).samples).toBe(2);
+    expect(poolFeePercentile("pool-b", "normal", now + 11 * 60 * 1000)).toBeNull();
+  });
+
+  test("queries fees for the write-locked accounts", async () => {
+    const getRecentPrioritizationFees = jest.fn(async () => samples([0, 20000, 20000]));
+    const res = await getAccountScopedPriorityFee({
+      accounts: [POOL, POOL],
+      poolKey: "pool-c",
+      urgency: "turbo",
+      connection: { getRecentPrioritizationFees },
+    });
+    const arg = getRecentPrioritizationFees.mock.calls[0][0];
+    expect(arg.lockedWritableAccounts.map((k) => k.toBase58())).toEqual([POOL]);
+    expect(res.microLamports).toBe(20000);
+  });
+
+  test("writable accounts skip signers and include pool keys", () => {
+    const tx = budgetTx({ limit: 100000, price: 1 });
+    expect(writableAccounts(tx.message, ["amm"])).toEqual(["amm", POOL]);
+  });
+
+  test("rewrites the CU price within the fee budget", async () => {
+    const tx = budgetTx({ limit: 100000, price: 1 });
+    const estimate = jest.fn(async () => ({ microLamports: 500000, percentile: 0.95, samples: 3 }));
+    const res = await tuneComputeUnitPrice(tx, {
+      poolKey: POOL,
+      urgency: "turbo",
+      maxFeeLamports: 20000,
+      estimate,
+    });
+    expect(estimate.mock.calls[0][0]).toMatchObject({ poolKey: POOL, urgency: "turbo" });
+    // 20000 lamports over 100k units -> 200000 micro-lamports per unit
+    expect(res.microLamports).toBe(200000);
+    expect(readComputeBudget(tx.message).microLamports).toBe(200000);
+  });
+});
+
+describe("tip feedback", () => {
+  test("keeps Jito tips out of the priority fee feedback", () => {
+    recordPriorityFeeFeedback({ fee: undefined, success: false, latencyMs: 900, via: "jito_bundle" });
+    recordJitoTipFeedback({ tipLamports: 10000, success: true, latencyMs: 800 });
+    recordJitoTipFeedback({ tipLamports: 30000, success: false, latencyMs: 1200 });
+    const state = getTipModelState();
+    expect(state.jitoCount).toBe(2);
+    expect(state.jitoLandedRate).toBe(0.5);
+    expect(state.avgJitoTipLamports).toBe(20000);
+  });
+});
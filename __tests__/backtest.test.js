@@ -0,0 +1,106 @@
+import {
+  simulateExit,
+  runBacktest,
+  parseBacktestArgs,
+  syntheticPriceSeries,
+  DEFAULT_BACKTEST_RULES,
+} from "../src/services/backtest.js";
+import { evaluateLiquidityDelta } from "../src/services/watchers/liquidityWatcher.js";
+
+const series = (prices) => prices.map((price, i) => ({ at: i * 1000, price }));
+
+describe("evaluateLiquidityDelta", () => {
+  test("blocks thin liquidity and unimproved young routes", () => {
+    const gates = { minImprovementPct: 5, maxImpactPct: 8, minRouteAgeMs: 2000 };
+    expect(
+      evaluateLiquidityDelta({ unitOutProbe: 1, prevUnitOutProbe: null, priceImpactPct: 12, routeAgeMs: 0, ...gates }).reason
+    ).toBe("impact_exceeds_threshold");
+    expect(
+      evaluateLiquidityDelta({ unitOutProbe: 1, prevUnitOutProbe: null, priceImpactPct: 1, routeAgeMs: 0, ...gates }).reason
+    ).toBe("route_too_young");
+    expect(
+      evaluateLiquidityDelta({ unitOutProbe: 1.01, prevUnitOutProbe: 1, priceImpactPct: 1, routeAgeMs: 500, ...gates }).reason
+    ).toBe("improv_below_threshold");
+    expect(
+      evaluateLiquidityDelta({ unitOutProbe: 1.01, prevUnitOutProbe: 1, priceImpactPct: 1, routeAgeMs: 2500, ...gates }).pass
+    ).toBe(true);
+  });
+});
+
+describe("simulateExit", () => {
+  test("fills the take-profit ladder and stops out the rest", () => {
+    const rules = {
+      ...DEFAULT_BACKTEST_RULES,
+      stopLossPct: 20,
+      takeProfit: [{ profitPct: 50, sellPct: 50 }],
+    };
+    const r = simulateExit(series([1, 1.6, 1.2, 0.7]), {
+      entryPrice: 1,
+      sizeSol: 1,
+      rules,
+    });
+    expect(r.exits.map((e) => e.reason)).toEqual(["take_profit_50", "stop_loss"]);
+    expect(r.closed).toBe(true);
+    expect(r.pnlSol).toBeCloseTo(0.5 * 1.6 + 0.5 * 0.7 - 1);
+  });
+
+  test("trailing stop replaces the fixed stop once active", () => {
+    const rules = {
+      ...DEFAULT_BACKTEST_RULES,
+      stopLossPct: 10,
+      trailing: { trailPct: 20, activationPct: 10, stepPct: 5 },
+    };
+    const r = simulateExit(series([1, 2, 1.5]), { entryPrice: 1, sizeSol: 1, rules });
+    expect(r.exits).toEqual([{ at: 2000, price: 1.5, pct: 100, reason: "trailing_stop" }]);
+  });
+});
+
+describe("runBacktest", () => {
+  const mint = "MintA";
+  const trades = [
+    { kind: "telemetry", stage: "alpha_signal", payload: { mint }, timestamp: 0 },
+    { kind: "telemetry", stage: "delta_emitted", mint, unitOutProbe: 1, priceImpactPct: 20, timestamp: 1000 },
+    { kind: "telemetry", stage: "delta_emitted", mint, unitOutProbe: 1, priceImpactPct: 2, timestamp: 2000 },
+    { kind: "telemetry", stage: "delta_emitted", mint, unitOutProbe: 0.5, priceImpactPct: 2, timestamp: 3000 },
+    { kind: "telemetry", stage: "delta_emitted", mint, unitOutProbe: 2, priceImpactPct: 2, timestamp: 4000 },
+    { kind: "copy_buy", mint: "MintB", amountSol: 1, timestamp: 5000 },
+  ];
+
+  test("enters after the delta gate and reports hit rate, PnL and drawdown", () => {
+    const report = runBacktest(trades, {
+      rules: {
+        sizeSol: 1,
+        stopLossPct: 40,
+        takeProfit: [{ profitPct: 80, sellPct: 100 }],
+        followed: { mode: "fixed", amountSOL: 0, dailyCapSOL: 5 },
+      },
+    });
+    expect(report.trades).toBe(1);
+    expect(report.results[0].entryAt).toBe(2000);
+    expect(report.results[0].exits[0].reason).toBe("take_profit_80");
+    expect(report.hitRate).toBe(1);
+    expect(report.pnlSol).toBeCloseTo(1);
+    expect(report.maxDrawdownSol).toBe(0);
+    expect(report.skipped).toEqual({ invalid_amount: 1 });
+  });
+
+  test("synthetic series are reproducible per seed", () => {
+    expect(syntheticPriceSeries({ seed: 7 })).toEqual(syntheticPriceSeries({ seed: 7 }));
+    const a = runBacktest(trades, { priceSource: "synthetic", seed: 3 });
+    const b = runBacktest(trades, { priceSource: "synthetic", seed: 3 });
+    expect(a.pnlSol).toBe(b.pnlSol);
+    expect(a.syntheticSeries).toBe(a.trades);
+  });
+});
+
+describe("parseBacktestArgs", () => {
+  test("parses rule overrides", () => {
+    const r = parseBacktestArgs(["synthetic", "sl=15", "tp=50:50,100:25", "trail=10", "seed=9"]);
+    expect(r.priceSource).toBe("synthetic");
+    expect(r.seed).toBe(9);
+    expect(r.rules.stopLossPct).toBe(15);
+    expect(r.rules.takeProfit).toHaveLength(2);
+    expect(r.rules.trailing).toEqual({ activationPct: 0, stepPct: 5, trailPct: 10 });
+    expect(() => parseBacktestArgs(["bogus=1"])).toThrow(/unknown option/);
+  });
+});
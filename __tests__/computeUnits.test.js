@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { PublicKey } from "@solana/web3.js";
+
+const TMP_FILE = path.join(os.tmpdir(), "turbosol_test_cu", "routes.json");
+process.env.CU_ROUTES_FILE = TMP_FILE;
+
+import {
+  limitFromUnits,
+  recordRouteUnits,
+  flushRouteUnits,
+  learnedRouteUnits,
+  routeUnitsKey,
+  readComputeBudget,
+  tuneComputeUnitLimit,
+  __resetRouteUnitsForTests,
+} from "../src/services/trading/computeUnits.js";
+
+afterAll(() => {
+  fs.rmSync(path.dirname(TMP_FILE), { recursive: true, force: true });
+});
+
+const CB = new PublicKey("ComputeBudget111111111111111111111111111111");
+
+function swapTx(limit) {
+  const d = Buffer.alloc(5);
+  d[0] = 2;
+  d.writeUInt32LE(limit, 1);
+  return {
+    message: {
+      staticAccountKeys: [PublicKey.default, CB],
+      compiledInstructions: [{ programIdIndex: 1, data: d }],
+    },
+  };
+}
+
+describe("compute unit tuning", () => {
+  test("adds the margin within bounds", () => {
+    expect(limitFromUnits(100000, 15)).toBe(115000);
+    expect(limitFromUnits(1000, 15)).toBe(50000);
+    expect(limitFromUnits(2_000_000, 15)).toBe(1_400_000);
+  });
+
+  test("learns per-route units and tunes without simulating", async () => {
+    expect(await tuneComputeUnitLimit(swapTx(1_400_000), { routeKey: "Raydium", simulate: false })).toBeNull();
+    for (const u of [90000, 120000, 100000]) recordRouteUnits("Raydium", u);
+    await flushRouteUnits();
+    __resetRouteUnitsForTests();
+    expect(learnedRouteUnits("Raydium")).toBe(120000);
+    const tx = swapTx(1_400_000);
+    const res = await tuneComputeUnitLimit(tx, { routeKey: "Raydium", simulate: false });
+    expect(res).toMatchObject({ units: 120000, limit: 138000, source: "learned" });
+    expect(readComputeBudget(tx.message).unitLimit).toBe(138000);
+  });
+
+  test("keys learned units on every hop's DEX and pool", () => {
+    const hop = (label, ammKey) => ({ swapInfo: { label, ammKey } });
+    expect(routeUnitsKey({ routePlan: [hop("Raydium", "poolA"), hop("Orca", "poolB")] })).toBe(
+      "Raydium:poolA > Orca:poolB"
+    );
+    expect(routeUnitsKey({ routePlan: [hop("Raydium", "poolA")] })).not.toBe(
+      routeUnitsKey({ routePlan: [hop("Raydium", "poolC")] })
+    );
+    expect(routeUnitsKey({ routePlan: [] })).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+import {
+  decodeTxError,
+  trackSignature,
+} from "../src/services/confirmationTracker.js";
+
+function fakeConn({ statuses = [], height = 0 } = {}) {
+  const listeners = new Map();
+  let polls = 0;
+  return {
+    listeners,
+    onSignature(sig, cb) {
+      listeners.set(1, cb);
+      return 1;
+    },
+    removeSignatureListener(id) {
+      listeners.delete(id);
+    },
+    async getSignatureStatuses() {
+      const s = statuses[Math.min(polls, statuses.length - 1)] ?? null;
+      polls += 1;
+      return { value: [s] };
+    },
+    async getBlockHeight() {
+      return height;
+    },
+  };
+}
+
+describe("decodeTxError", () => {
+  test("names instruction and custom program errors", () => {
+    expect(decodeTxError({ InstructionError: [2, { Custom: 6001 }] })).toBe(
+      "instruction 2: custom program error 0x1771 (slippage tolerance exceeded)"
+    );
+    expect(decodeTxError({ InstructionError: [0, "InvalidAccountData"] })).toBe(
+      "instruction 0: InvalidAccountData"
+    );
+    expect(decodeTxError("BlockhashNotFound")).toBe("BlockhashNotFound");
+    expect(decodeTxError(null)).toBeNull();
+  });
+});
+
+describe("trackSignature", () => {
+  const base = { signature: "sig", pollMs: 5, timeoutMs: 200 };
+
+  test("resolves from the first subscription that fires", async () => {
+    const quiet = fakeConn();
+    const ws = fakeConn();
+    const p = trackSignature({ ...base, pollConnection: quiet, subscribeConnections: [quiet, ws] });
+    ws.listeners.get(1)({ err: { InstructionError: [1, { Custom: 1 }] } }, { slot: 9 });
+    await expect(p).resolves.toEqual({
+      status: "failed",
+      error: "instruction 1: custom program error 0x1 (insufficient funds)",
+      slot: 9,
+      via: "ws",
+    });
+    expect(ws.listeners.size).toBe(0);
+  });
+
+  test("falls back to polling and reports expiry past lastValidBlockHeight", async () => {
+    const landed = fakeConn({ statuses: [null, { confirmationStatus: "confirmed", slot: 3 }] });
+    await expect(
+      trackSignature({ ...base, pollConnection: landed, subscribeConnections: [] })
+    ).resolves.toMatchObject({ status: "confirmed", via: "poll" });
+
+    const stale = fakeConn({ height: 101 });
+    await expect(
+      trackSignature({ ...base, lastValidBlockHeight: 100, pollConnection: stale, subscribeConnections: [] })
+    ).resolves.toMatchObject({ status: "expired" });
+
+    const slow = fakeConn({ height: 50 });
+    await expect(
+      trackSignature({ ...base, timeoutMs: 30, lastValidBlockHeight: 100, pollConnection: slow, subscribeConnections: [] })
+    ).resolves.toMatchObject({ status: "pending", error: "confirmation_timeout" });
+  });
+});
@@ -0,0 +1,51 @@
+import {
+  evaluateDcaSlice,
+  dcaSellPercent,
+} from "../src/services/watchers/dcaWatcher.js";
+
+const now = 1_000_000;
+const buyPlan = {
+  status: "active",
+  side: "buy",
+  mint: "Mint",
+  amountSol: 1,
+  slices: 4,
+  slicesDone: 1,
+  intervalMs: 60000,
+  nextRunAt: now,
+};
+
+describe("evaluateDcaSlice", () => {
+  test("waits for the next slice and skips paused plans", () => {
+    expect(evaluateDcaSlice({ ...buyPlan, nextRunAt: now + 1 }, { now }).action).toBe("wait");
+    expect(evaluateDcaSlice({ ...buyPlan, status: "paused" }, { now }).action).toBe("skip");
+  });
+
+  test("buys an equal slice of the total", () => {
+    const d = evaluateDcaSlice(buyPlan, { now });
+    expect(d).toEqual({ action: "execute", amountSol: 0.25 });
+  });
+
+  test("defers buys above the ceiling and when unpriced", () => {
+    const plan = { ...buyPlan, maxPriceSol: 0.001 };
+    expect(evaluateDcaSlice(plan, { now, priceSol: 0.002 }).reason).toBe("above_ceiling");
+    expect(evaluateDcaSlice(plan, { now, priceSol: null }).reason).toBe("no_price");
+    expect(evaluateDcaSlice(plan, { now, priceSol: 0.0009 }).action).toBe("execute");
+  });
+
+  test("defers sells below the floor and completes after the last slice", () => {
+    const plan = { ...buyPlan, side: "sell", minPriceSol: 0.01 };
+    expect(evaluateDcaSlice(plan, { now, priceSol: 0.005 }).reason).toBe("below_floor");
+    expect(evaluateDcaSlice({ ...plan, slicesDone: 4 }, { now }).action).toBe("complete");
+  });
+});
+
+describe("dcaSellPercent", () => {
+  test("converts equal slices of the starting balance to % of what remains", () => {
+    const plan = { slices: 4, portionPct: 100 };
+    expect([0, 1, 2, 3].map((slicesDone) => dcaSellPercent({ ...plan, slicesDone }))).toEqual([
+      25, 33, 50, 100,
+    ]);
+    expect(dcaSellPercent({ slices: 2, portionPct: 50, slicesDone: 1 })).toBe(33);
+  });
+});
@@ -0,0 +1,77 @@
+import FailGraceExitGrid from "../src/services/failGraceExitGrid.js";
+
+function makePosition(grid, { entryPrice = 1, currentPrice = 1 } = {}) {
+  const position = grid.addPosition("1:wallet:mint", {
+    chatId: 1,
+    wallet: "wallet",
+    mint: "mint",
+    entryPrice,
+    quantity: 1000,
+  });
+  position.currentPrice = currentPrice;
+  position.unrealizedPNL = (currentPrice - entryPrice) / entryPrice;
+  return position;
+}
+
+describe("FailGraceExitGrid.evaluateExitTriggers", () => {
+  test("no triggers around entry", () => {
+    const grid = new FailGraceExitGrid(null);
+    const position = makePosition(grid, { currentPrice: 1.01 });
+    expect(grid.evaluateExitTriggers(position)).toEqual([]);
+  });
+
+  test("stop-loss is a full exit", () => {
+    const grid = new FailGraceExitGrid(null);
+    const position = makePosition(grid, { currentPrice: 0.94 });
+    const types = grid.evaluateExitTriggers(position).map((t) => t.type);
+    expect(types).toContain("stop_loss");
+    expect(
+      grid.evaluateExitTriggers(position).every((t) => t.exitPercent === 1)
+    ).toBe(true);
+  });
+
+  test("ladder levels fire once each", () => {
+    const grid = new FailGraceExitGrid(null);
+    const position = makePosition(grid, { currentPrice: 1.6 });
+    const triggers = grid.evaluateExitTriggers(position);
+    expect(triggers.map((t) => t.type).sort()).toEqual([
+      "partial_exit",
+      "take_profit",
+    ]);
+    for (const t of triggers) t.rule.active = false;
+    expect(grid.evaluateExitTriggers(position)).toEqual([]);
+  });
+
+  test("trailing stop fires after a pullback from the high", () => {
+    const grid = new FailGraceExitGrid(null);
+    const position = makePosition(grid, { currentPrice: 1.15 });
+    grid.updateTrailingStop(position.token, 1.15);
+    position.exitRules.find((r) => r.type === "take_profit").active = false;
+    position.currentPrice = 0.97;
+    position.unrealizedPNL = -0.03;
+    const types = grid.evaluateExitTriggers(position).map((t) => t.type);
+    expect(types).toEqual(["trailing_stop"]);
+  });
+
+  test("price cliff between ticks counts as a liquidity drain", () => {
+    const grid = new FailGraceExitGrid(null);
+    const position = makePosition(grid, { currentPrice: 1.0 });
+    position.previousPrice = 1.5;
+    expect(grid.detectLiquidityDrain(position.token)).toBe(true);
+    position.previousPrice = 1.05;
+    expect(grid.detectLiquidityDrain(position.token)).toBe(false);
+  });
+
+  test("ladder levels are shares of the original position", () => {
+    const grid = new FailGraceExitGrid(null);
+    const position = makePosition(grid);
+    const shares = [];
+    for (let i = 0; i < 4; i++) {
+      const { exitAmount, share } = grid.exitShare(position, 0.25);
+      shares.push(share);
+      position.quantity -= exitAmount;
+    }
+    expect(shares.map((s) => +s.toFixed(4))).toEqual([0.25, 0.3333, 0.5, 1]);
+    expect(position.quantity).toBe(0);
+  });
+});
@@ -0,0 +1,29 @@
+import {
+  priorityFeeForUrgency,
+  getUrgencyPriorityFees,
+} from "../src/services/advancedGasTools.js";
+import {
+  recordNetworkFeeSamples,
+  getLearnedPriorityFeeEstimate,
+} from "../src/services/fees.js";
+import { setDynamicPriorityFeeLamports } from "../src/services/config.js";
+
+afterAll(() => setDynamicPriorityFeeLamports(null));
+
+describe("fee oracle", () => {
+  test("urgency levels scale the learned fee within the ceiling", () => {
+    setDynamicPriorityFeeLamports(4_000_000);
+    expect(priorityFeeForUrgency("normal")).toBe(4_000_000);
+    expect(priorityFeeForUrgency("fast")).toBe(10_000_000);
+    expect(priorityFeeForUrgency("turbo")).toBe(20_000_000);
+    setDynamicPriorityFeeLamports(8_000_000);
+    expect(getUrgencyPriorityFees()).toMatchObject({ normal: 8_000_000, turbo: 24_000_000 });
+  });
+
+  test("fresh oracle samples drive the learned estimate without RPC", async () => {
+    const fees = Array.from({ length: 40 }, (_, i) => (i + 1) * 1_000_000);
+    recordNetworkFeeSamples(fees);
+    // 75th percentile of the samples plus 12% headroom
+    expect(await getLearnedPriorityFeeEstimate(null)).toBe(Math.floor(30_000_000 * 1.12));
+  });
+});
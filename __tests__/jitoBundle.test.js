@@ -0,0 +1,91 @@
+import { Keypair, PublicKey } from "@solana/web3.js";
+import {
+  classifyBundleStatuses,
+  buildTipTransaction,
+  createTipInstruction,
+  bundleTipLamports,
+  bundleResultOutcome,
+  JITO_TIP_ACCOUNTS,
+} from "../src/services/jito.js";
+
+describe("classifyBundleStatuses", () => {
+  test("landed only once every transaction confirmed", () => {
+    expect(classifyBundleStatuses([{ confirmationStatus: "confirmed" }, null])).toBe("pending");
+    expect(
+      classifyBundleStatuses([
+        { confirmationStatus: "confirmed" },
+        { confirmationStatus: "processed" },
+      ])
+    ).toBe("landed");
+    expect(classifyBundleStatuses([])).toBe("pending");
+  });
+
+  test("any error fails the bundle", () => {
+    expect(
+      classifyBundleStatuses([{ confirmationStatus: "confirmed", err: { InstructionError: [0, "x"] } }])
+    ).toBe("failed");
+  });
+});
+
+describe("buildTipTransaction", () => {
+  test("signs a transfer to a Jito tip account", () => {
+    const payer = Keypair.generate();
+    const tx = buildTipTransaction({
+      payer,
+      lamports: 10000,
+      recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    });
+    const keys = tx.message.staticAccountKeys.map((k) => k.toBase58());
+    expect(keys[0]).toBe(payer.publicKey.toBase58());
+    expect(keys.some((k) => JITO_TIP_ACCOUNTS.includes(k))).toBe(true);
+    expect(tx.signatures[0].some((b) => b !== 0)).toBe(true);
+  });
+});
+
+describe("createTipInstruction", () => {
+  test("transfers whole lamports to the given tip account", () => {
+    const payer = Keypair.generate().publicKey;
+    const tipAccount = new PublicKey(JITO_TIP_ACCOUNTS[0]);
+    const ix = createTipInstruction(payer, 12345.7, tipAccount);
+    expect(ix.keys[0].pubkey.equals(payer)).toBe(true);
+    expect(ix.keys[1].pubkey.equals(tipAccount)).toBe(true);
+    expect(ix.data.readBigUInt64LE(4)).toBe(12345n);
+  });
+});
+
+describe("bundleResultOutcome", () => {
+  test("maps stream results to landed or dropped", () => {
+    expect(bundleResultOutcome({ result: "accepted", accepted: { slot: "5" } })).toBeNull();
+    expect(bundleResultOutcome({ result: "processed", processed: { slot: "42" } })).toEqual({
+      status: "landed",
+      slot: 42,
+    });
+    expect(
+      bundleResultOutcome({
+        result: "rejected",
+        rejected: { reason: "simulation_failure", simulation_failure: { msg: "custom error" } },
+      })
+    ).toEqual({
+      status: "dropped",
+      reason: "rejected: simulation_failure (custom error)",
+    });
+    expect(
+      bundleResultOutcome({ result: "dropped", dropped: { reason: "BlockhashExpired" } })
+    ).toEqual({ status: "dropped", reason: "dropped: BlockhashExpired" });
+  });
+});
+
+describe("bundleTipLamports", () => {
+  test("raises a missing or zero tip to the bundle minimum", () => {
+    delete process.env.JITO_MIN_BUNDLE_TIP_LAMPORTS;
+    expect(bundleTipLamports(0)).toBe(10000);
+    expect(bundleTipLamports(undefined)).toBe(10000);
+    expect(bundleTipLamports(250000)).toBe(250000);
+    process.env.JITO_MIN_BUNDLE_TIP_LAMPORTS = "5000";
+    try {
+      expect(bundleTipLamports(1000)).toBe(5000);
+    } finally {
+      delete process.env.JITO_MIN_BUNDLE_TIP_LAMPORTS;
+    }
+  });
+});
@@ -0,0 +1,65 @@
+import { evaluateLimitOrder } from "../src/services/watchers/limitOrderWatcher.js";
+
+const base = {
+  status: "active",
+  side: "buy",
+  mint: "So11111111111111111111111111111111111111112",
+  triggerPriceSol: 0.001,
+  timeInForce: "GTC",
+  expiresAt: null,
+};
+
+describe("evaluateLimitOrder", () => {
+  test("buy executes at or below trigger and waits above it", () => {
+    expect(evaluateLimitOrder(base, { priceSol: 0.0009 }).action).toBe(
+      "execute"
+    );
+    expect(evaluateLimitOrder(base, { priceSol: 0.001 }).action).toBe(
+      "execute"
+    );
+    const r = evaluateLimitOrder(base, { priceSol: 0.0011 });
+    expect(r.action).toBe("wait");
+    expect(r.reason).toBe("not_triggered");
+  });
+
+  test("sell executes at or above trigger", () => {
+    const sell = { ...base, side: "sell" };
+    expect(evaluateLimitOrder(sell, { priceSol: 0.0012 }).action).toBe(
+      "execute"
+    );
+    expect(evaluateLimitOrder(sell, { priceSol: 0.0009 }).action).toBe(
+      "wait"
+    );
+  });
+
+  test("expiry wins over a triggering price", () => {
+    const now = 1_000_000;
+    const gtt = { ...base, timeInForce: "GTT", expiresAt: now - 1 };
+    const r = evaluateLimitOrder(gtt, { priceSol: 0.0001, now });
+    expect(r.action).toBe("expire");
+    expect(r.reason).toBe("expired");
+  });
+
+  test("IOC expires when not immediately fillable, including missing quotes", () => {
+    const ioc = { ...base, timeInForce: "IOC" };
+    expect(evaluateLimitOrder(ioc, { priceSol: 0.002 }).reason).toBe(
+      "ioc_unfilled"
+    );
+    expect(evaluateLimitOrder(ioc, { priceSol: null }).action).toBe("expire");
+    expect(evaluateLimitOrder(ioc, { priceSol: 0.0005 }).action).toBe(
+      "execute"
+    );
+  });
+
+  test("GTC waits without a price; inactive and invalid orders are not executed", () => {
+    expect(evaluateLimitOrder(base, { priceSol: NaN }).reason).toBe("no_price");
+    expect(
+      evaluateLimitOrder({ ...base, status: "cancelled" }, { priceSol: 0.0001 })
+        .action
+    ).toBe("skip");
+    expect(
+      evaluateLimitOrder({ ...base, triggerPriceSol: 0 }, { priceSol: 0.0001 })
+        .action
+    ).toBe("cancel");
+  });
+});
@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+
+const TMP_DIR = path.join(os.tmpdir(), "turbosol_test_lots");
+process.env.LOTS_DIR = TMP_DIR;
+
+import {
+  buildLotLedger,
+  summarizeLotsByToken,
+  recordLotEvent,
+  readLotEvents,
+} from "../src/services/lotLedger.js";
+
+afterAll(() => {
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+const HOUR = 3600000;
+const events = [
+  { kind: "buy", wallet: "W", mint: "M", tokens: 100, sol: 1, feesLamports: 0, ts: 0, txid: "b1" },
+  { kind: "buy", wallet: "W", mint: "M", tokens: 100, sol: 3, feesLamports: 0, ts: HOUR, txid: "b2" },
+  { kind: "sell", wallet: "W", mint: "M", tokens: 100, sol: 2.5, feesLamports: 0, ts: 2 * HOUR, txid: "s1" },
+];
+
+describe("buildLotLedger", () => {
+  test("FIFO closes the oldest lot first", () => {
+    const { closes, openLots } = buildLotLedger(events, { method: "fifo" });
+    expect(closes[0].costSol).toBeCloseTo(1);
+    expect(closes[0].realizedPnlSol).toBeCloseTo(1.5);
+    expect(closes[0].holdMs).toBe(2 * HOUR);
+    expect(openLots).toHaveLength(1);
+    expect(openLots[0].id).toBe("b2");
+  });
+
+  test("LIFO and average cost use the newest lot and the blended cost", () => {
+    expect(buildLotLedger(events, { method: "lifo" }).closes[0].realizedPnlSol).toBeCloseTo(-0.5);
+    const avg = buildLotLedger(events, { method: "avg" });
+    expect(avg.closes[0].costSol).toBeCloseTo(2);
+    expect(avg.openLots.reduce((a, l) => a + l.remaining, 0)).toBeCloseTo(100);
+  });
+
+  test("buy fees go into cost, sell fees off proceeds, untracked tokens are not realized", () => {
+    const { closes } = buildLotLedger([
+      { kind: "buy", wallet: "W", mint: "M", tokens: 10, sol: 1, feesLamports: 1e7, ts: 0 },
+      { kind: "sell", wallet: "W", mint: "M", tokens: 20, sol: 4, feesLamports: 2e7, ts: 1 },
+    ]);
+    expect(closes[0].matchedTokens).toBe(10);
+    expect(closes[0].unmatchedTokens).toBe(10);
+    // half of the proceeds and sell fee belong to the matched tokens
+    expect(closes[0].realizedPnlSol).toBeCloseTo(2 - 0.01 - 1.01);
+  });
+});
+
+describe("summarizeLotsByToken", () => {
+  test("rolls up realized, open cost, fees and wins per mint", () => {
+    const withFees = events.map((e) => ({ ...e, feesLamports: 1e6 }));
+    const [row] = summarizeLotsByToken(buildLotLedger(withFees));
+    expect(row.mint).toBe("M");
+    expect(row.openTokens).toBeCloseTo(100);
+    expect(row.openCostSol).toBeCloseTo(3.001);
+    expect(row.feesSol).toBeCloseTo(0.003);
+    expect(row).toMatchObject({ trades: 1, wins: 1, avgHoldMs: 2 * HOUR });
+  });
+});
+
+describe("recordLotEvent", () => {
+  test("appends events and ignores a repeated txid", () => {
+    const e = { kind: "buy", wallet: "W", mint: "M", tokens: 5, sol: 0.1, txid: "tx1" };
+    expect(recordLotEvent("chat", e)).not.toBeNull();
+    expect(recordLotEvent("chat", e)).toBeNull();
+    expect(recordLotEvent("chat", { ...e, kind: "sell" })).not.toBeNull();
+    expect(readLotEvents("chat")).toHaveLength(2);
+  });
+});
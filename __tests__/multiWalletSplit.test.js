@@ -0,0 +1,69 @@
+import { WalletScalingTiersService } from "../src/services/remainingServices.js";
+import {
+  planWalletSplit,
+  summarizeMultiWalletBuy,
+} from "../src/services/trading/multiWallet.js";
+
+const wallets = [
+  { id: "a", name: "A", publicKey: "AAAA1111" },
+  { id: "b", name: "B", publicKey: "BBBB2222" },
+  { id: "c", name: "C", publicKey: "CCCC3333" },
+];
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+
+describe("calculateSplitAmounts", () => {
+  const svc = new WalletScalingTiersService();
+
+  test("weighted shares are proportional and sum exactly", () => {
+    const amounts = svc.calculateSplitAmounts(1000, 3, { mode: "weighted", weights: [1, 2, 2] });
+    expect(amounts).toEqual([200, 400, 400]);
+    expect(sum(svc.calculateSplitAmounts(1001, 3, { mode: "weighted", weights: [1, 1, 1] }))).toBe(1001);
+  });
+
+  test("random shares stay within the jitter band", () => {
+    let i = 0;
+    const seq = [0, 1, 0.5];
+    const amounts = svc.calculateSplitAmounts(3000, 3, {
+      mode: "random",
+      jitter: 0.5,
+      random: () => seq[i++ % seq.length],
+    });
+    expect(amounts).toEqual([500, 1500, 1000]);
+    expect(() => svc.calculateSplitAmounts(10, 2, { mode: "bogus" })).toThrow(/Unknown split mode/);
+  });
+});
+
+describe("planWalletSplit", () => {
+  test("sizes legs in lamports and applies per-wallet slippage", () => {
+    const legs = planWalletSplit(0.3, wallets, {
+      mode: "weighted",
+      weights: { a: 2, c: 0 },
+      slippageBps: { b: 300 },
+      defaultSlippageBps: 100,
+    });
+    expect(legs.map((l) => [l.wallet.id, l.amountSol, l.slippageBps])).toEqual([
+      ["a", 0.2, 100],
+      ["b", 0.1, 300],
+    ]);
+  });
+
+  test("equal split covers the whole amount", () => {
+    const legs = planWalletSplit(1, wallets, { random: () => 0 });
+    expect(sum(legs.map((l) => Math.round(l.amountSol * 1e9)))).toBe(1e9);
+  });
+});
+
+describe("summarizeMultiWalletBuy", () => {
+  test("aggregates filled legs only", () => {
+    const s = summarizeMultiWalletBuy(
+      [
+        { amountSol: 0.2, ok: true, txid: "tx1", tokensOut: 100 },
+        { amountSol: 0.1, ok: false, txid: null, tokensOut: null, error: "buy_locked" },
+      ],
+      { mode: "weighted" }
+    );
+    expect(s).toMatchObject({ filledCount: 1, failedCount: 1, filledSol: 0.2, tokensOut: 100, txid: "tx1" });
+    expect(s.totalSol).toBeCloseTo(0.3);
+    expect(s.avgPriceSol).toBeCloseTo(0.002);
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  simulatePaperFill,
+  isPaperMode,
+  isPaperTxid,
+  makePaperTxid,
+} from "../src/services/trading/paperTrading.js";
+
+describe("paper trading fills", () => {
+  test("fills at the quote when slippage draw is zero", () => {
+    const fill = simulatePaperFill({
+      outAmountRaw: 1_000_000,
+      slippageBps: 100,
+      priorityFeeLamports: 20000,
+      rand: () => 0,
+    });
+    expect(fill).toEqual({
+      filledRaw: 1_000_000,
+      slippageBps: 0,
+      feesLamports: 25000,
+    });
+  });
+
+  test("caps simulated slippage at the tighter of order and paper max", () => {
+    const worst = simulatePaperFill({
+      outAmountRaw: 1_000_000,
+      slippageBps: 100,
+      maxSlippageBps: 50,
+      rand: () => 1,
+    });
+    expect(worst.slippageBps).toBe(50);
+    expect(worst.filledRaw).toBe(995_000);
+
+    const tight = simulatePaperFill({
+      outAmountRaw: 1_000_000,
+      slippageBps: 10,
+      maxSlippageBps: 50,
+      rand: () => 1,
+    });
+    expect(tight.slippageBps).toBe(10);
+  });
+
+  test("mode flag and txid helpers", () => {
+    expect(isPaperMode({ paperMode: true })).toBe(true);
+    expect(isPaperMode({})).toBe(false);
+    expect(isPaperTxid(makePaperTxid())).toBe(true);
+    expect(isPaperTxid("5h3k...")).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+import { jest } from "@jest/globals";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import {
+  PUMPFUN_PROGRAM_ID,
+  getBondingCurveAddress,
+  decodeBondingCurve,
+  quoteBuy,
+  quoteSell,
+  getPumpfunQuote,
+  createPumpfunSwapInstruction,
+  __resetPumpfunCacheForTests,
+} from "../src/services/trading/pumpfun.js";
+
+const SOL = "So11111111111111111111111111111111111111112";
+// Pump.fun mints end in "pump"
+const MINT = "ConrXZncDC8s6ZLXavG12rQjHhDfUTbs8aNZkzxpump";
+const CREATOR = Keypair.generate().publicKey;
+
+// Fresh launch reserves
+function curveData({ complete = false } = {}) {
+  const d = Buffer.alloc(81);
+  d.writeBigUInt64LE(1_073_000_000_000_000n, 8);
+  d.writeBigUInt64LE(30_000_000_000n, 16);
+  d.writeBigUInt64LE(793_100_000_000_000n, 24);
+  d.writeBigUInt64LE(0n, 32);
+  d.writeBigUInt64LE(1_000_000_000_000_000n, 40);
+  d[48] = complete ? 1 : 0;
+  CREATOR.toBuffer().copy(d, 49);
+  return d;
+}
+
+function connectionFor(data) {
+  return {
+    getMultipleAccountsInfo: jest.fn(async () => [
+      data ? { owner: PUMPFUN_PROGRAM_ID, data } : null,
+      { owner: new PublicKey("TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA") },
+    ]),
+  };
+}
+
+beforeEach(() => __resetPumpfunCacheForTests());
+
+describe("pump.fun bonding curve", () => {
+  test("quotes buys and sells from the virtual reserves", () => {
+    const curve = decodeBondingCurve(curveData());
+    const buy = quoteBuy(curve, 1_000_000_000n);
+    // ~34.3M tokens (6 decimals) for 1 SOL at launch, 1% fee
+    expect(buy.tokensOut > 34_000_000_000_000n).toBe(true);
+    expect(buy.tokensOut < 35_000_000_000_000n).toBe(true);
+    expect(buy.feeLamports).toBe(9_900_991n);
+    // Selling straight back returns the input less both 1% fees
+    const after = {
+      ...curve,
+      virtualTokenReserves: curve.virtualTokenReserves - buy.tokensOut,
+      virtualSolReserves: curve.virtualSolReserves + 1_000_000_000n - buy.feeLamports,
+    };
+    const sell = quoteSell(after, buy.tokensOut);
+    expect(sell.lamportsOut < 1_000_000_000n).toBe(true);
+    expect(sell.lamportsOut > 975_000_000n).toBe(true);
+  });
+
+  test("caps the buy at the tokens left on the curve", () => {
+    const curve = decodeBondingCurve(curveData());
+    const buy = quoteBuy(curve, 1_000_000_000_000n);
+    expect(buy.tokensOut).toBe(curve.realTokenReserves);
+  });
+
+  test("returns a Jupiter-shaped route with capped slippage", async () => {
+    const route = await getPumpfunQuote({
+      inputMint: SOL,
+      outputMint: MINT,
+      amountRaw: 1_000_000_000,
+      slippageBps: 9000,
+      connection: connectionFor(curveData()),
+    });
+    expect(route.pumpfun.side).toBe("buy");
+    expect(route.slippageBps).toBe(2500);
+    // Spends the 1 SOL in for at least the quote less 25%
+    const { tokensOut } = quoteBuy(decodeBondingCurve(curveData()), 1_000_000_000n);
+    expect(route.inAmount).toBe("1000000000");
+    expect(route.otherAmountThreshold).toBe(((tokensOut * 7500n) / 10000n).toString());
+    expect(route.routePlan[0].swapInfo).toMatchObject({
+      label: "Pump.fun",
+      ammKey: getBondingCurveAddress(MINT).toBase58(),
+    });
+  });
+
+  test("skips migrated curves and remembers them", async () => {
+    const conn = connectionFor(curveData({ complete: true }));
+    const args = { inputMint: SOL, outputMint: MINT, amountRaw: 1e9, connection: conn };
+    expect(await getPumpfunQuote(args)).toBeNull();
+    expect(await getPumpfunQuote(args)).toBeNull();
+    expect(conn.getMultipleAccountsInfo).toHaveBeenCalledTimes(1);
+  });
+
+  test("re-checks a missing curve soon after", async () => {
+    const conn = connectionFor(null);
+    const args = { inputMint: SOL, outputMint: MINT, amountRaw: 1e9, connection: conn };
+    const now = jest.spyOn(Date, "now");
+    try {
+      now.mockReturnValue(1_000_000);
+      expect(await getPumpfunQuote(args)).toBeNull();
+      expect(await getPumpfunQuote(args)).toBeNull();
+      expect(conn.getMultipleAccountsInfo).toHaveBeenCalledTimes(1);
+      now.mockReturnValue(1_000_000 + 5000);
+      expect(await getPumpfunQuote(args)).toBeNull();
+      expect(conn.getMultipleAccountsInfo).toHaveBeenCalledTimes(2);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test("does not look up mints that are not Pump.fun addresses", async () => {
+    const conn = connectionFor(curveData());
+    const outputMint = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+    expect(
+      await getPumpfunQuote({ inputMint: SOL, outputMint, amountRaw: 1e9, connection: conn })
+    ).toBeNull();
+    expect(conn.getMultipleAccountsInfo).not.toHaveBeenCalled();
+  });
+
+  test("builds the buy instruction", () => {
+    const user = Keypair.generate().publicKey;
+    const ix = createPumpfunSwapInstruction({
+      side: "buy",
+      user,
+      p: {
+        mint: MINT,
+        bondingCurve: getBondingCurveAddress(MINT).toBase58(),
+        creator: CREATOR.toBase58(),
+        tokenProgram: "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA",
+      },
+      amount: "1000",
+      minOut: "2000",
+    });
+    expect(ix.programId.equals(PUMPFUN_PROGRAM_ID)).toBe(true);
+    expect([...ix.data.subarray(0, 8)]).toEqual([56, 252, 116, 8, 158, 223, 205, 95]);
+    expect(ix.data.readBigUInt64LE(8)).toBe(1000n);
+    expect(ix.data.readBigUInt64LE(16)).toBe(2000n);
+    expect(ix.keys[6]).toMatchObject({ isSigner: true, isWritable: true });
+    expect(ix.keys[6].pubkey.equals(user)).toBe(true);
+  });
+});
@@ -0,0 +1,105 @@
+import { jest } from "@jest/globals";
+import { PublicKey } from "@solana/web3.js";
+
+const updates = [];
+jest.unstable_mockModule("../src/services/tradeState.js", () => ({
+  updateTradeStatus: (tradeKey, status, info) => updates.push({ status, ...info }),
+  getTrade: () => null,
+}));
+const outcomes = [];
+jest.unstable_mockModule("../src/services/confirmationTracker.js", () => ({
+  trackSignature: async ({ signature }) => ({ signature, ...outcomes.shift() }),
+}));
+
+const { monitorSignatures } = await import("../src/services/signatureMonitor.js");
+const { nextRetryFee } = await import("../src/services/trading/rebroadcast.js");
+const { readComputeBudget, writeComputeUnitPrice } = await import(
+  "../src/services/trading/computeUnits.js"
+);
+
+const CB = new PublicKey("ComputeBudget111111111111111111111111111111");
+
+describe("compute budget", () => {
+  test("reads and rewrites the compute-unit price in place", () => {
+    const limit = Buffer.alloc(5);
+    limit[0] = 2;
+    limit.writeUInt32LE(300000, 1);
+    const price = Buffer.alloc(9);
+    price[0] = 3;
+    price.writeBigUInt64LE(1000n, 1);
+    const message = {
+      staticAccountKeys: [PublicKey.default, CB],
+      compiledInstructions: [
+        { programIdIndex: 1, data: limit },
+        { programIdIndex: 1, data: price },
+      ],
+    };
+    const b = readComputeBudget(message);
+    expect(b).toMatchObject({ unitLimit: 300000, microLamports: 1000 });
+    writeComputeUnitPrice(b.priceIx, 2500);
+    expect(readComputeBudget(message).microLamports).toBe(2500);
+  });
+
+  test("escalates up to the cap and stops past the user's max fee", () => {
+    expect(nextRetryFee({ microLamports: 1000, unitLimit: 1e6, multiplier: 2, capLamports: 5000 })).toEqual({
+      microLamports: 2000,
+      feeLamports: 2000,
+    });
+    expect(nextRetryFee({ microLamports: 4000, unitLimit: 1e6, multiplier: 2, capLamports: 5000 })).toEqual({
+      microLamports: 5000,
+      feeLamports: 5000,
+    });
+    expect(
+      nextRetryFee({ microLamports: 4000, unitLimit: 1e6, multiplier: 2, capLamports: 9000, maxFeeLamports: 6000 })
+    ).toBeNull();
+  });
+});
+
+describe("monitorSignatures rebroadcast", () => {
+  const connection = (landedIndex) => ({
+    getSignatureStatuses: async (sigs) => ({
+      value: sigs.map((_, i) => (i === landedIndex ? { confirmationStatus: "confirmed" } : null)),
+    }),
+  });
+
+  beforeEach(() => {
+    updates.length = 0;
+    outcomes.length = 0;
+  });
+
+  test("rebroadcasts an expired swap and confirms the new signature", async () => {
+    outcomes.push({ status: "expired" }, { status: "confirmed" });
+    const rebroadcast = jest.fn(async () => ({ signature: "sig2", lastValidBlockHeight: 200 }));
+    const onConfirmed = jest.fn();
+    await monitorSignatures({
+      connection: connection(-1),
+      signatures: ["sig1"],
+      tradeKey: "k",
+      lastValidBlockHeight: 100,
+      rebroadcast,
+      onConfirmed,
+    });
+    expect(rebroadcast).toHaveBeenCalledWith(1);
+    expect(onConfirmed.mock.calls[0][0].txid).toBe("sig2");
+    expect(updates.map((u) => [u.status, u.txid])).toEqual([
+      ["pending", "sig2"],
+      ["confirmed", "sig2"],
+    ]);
+  });
+
+  test("never rebroadcasts when the original landed after all", async () => {
+    outcomes.push({ status: "expired" }, { status: "confirmed" });
+    const rebroadcast = jest.fn();
+    const onConfirmed = jest.fn();
+    await monitorSignatures({
+      connection: connection(0),
+      signatures: ["sig1"],
+      tradeKey: "k",
+      lastValidBlockHeight: 100,
+      rebroadcast,
+      onConfirmed,
+    });
+    expect(rebroadcast).not.toHaveBeenCalled();
+    expect(onConfirmed.mock.calls[0][0].txid).toBe("sig1");
+  });
+});
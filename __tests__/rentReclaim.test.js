@@ -0,0 +1,65 @@
+import { Keypair } from "@solana/web3.js";
+import {
+  findClosableAccounts,
+  planRentReclaim,
+  closeBatchComputeUnits,
+} from "../src/services/rentReclaim.js";
+import { estimateTxFeeLamports } from "../src/services/miscActions.js";
+import { createCloseAccountInstruction } from "../src/services/splToken.js";
+
+const RENT = 2_039_280;
+const acct = (amountRaw, extra = {}) => ({
+  account: Keypair.generate().publicKey.toBase58(),
+  mint: "Mint",
+  amountRaw,
+  programId: "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA",
+  lamports: RENT,
+  state: "initialized",
+  withheldRaw: "0",
+  ...extra,
+});
+
+describe("findClosableAccounts", () => {
+  test("keeps only empty, unfrozen accounts without withheld fees", () => {
+    const list = [
+      acct("0"),
+      acct("5"),
+      acct("0", { state: "frozen" }),
+      acct("0", { withheldRaw: "12" }),
+    ];
+    expect(findClosableAccounts(list)).toEqual([list[0]]);
+  });
+});
+
+describe("planRentReclaim", () => {
+  test("batches closes per wallet and totals rent net of fees", () => {
+    const wallets = [
+      { id: "a", publicKey: "A".repeat(32), tokens: [acct("0"), acct("0"), acct("0"), acct("1")] },
+      { id: "b", publicKey: "B".repeat(32), tokens: [acct("7")] },
+    ];
+    const plan = planRentReclaim(wallets, { perTx: 2, priorityMicroLamports: 1000 });
+    expect(plan.wallets).toHaveLength(1);
+    expect(plan.wallets[0].batches.map((b) => b.accounts.length)).toEqual([2, 1]);
+    expect(plan.totals.accounts).toBe(3);
+    expect(plan.totals.rentLamports).toBe(3 * RENT);
+    expect(plan.totals.feeLamports).toBe(
+      estimateTxFeeLamports(closeBatchComputeUnits(2), 1000) +
+        estimateTxFeeLamports(closeBatchComputeUnits(1), 1000)
+    );
+  });
+
+  test("drops batches whose fee would exceed the rent", () => {
+    const wallets = [{ id: "a", publicKey: "A".repeat(32), tokens: [acct("0", { lamports: 4000 })] }];
+    expect(planRentReclaim(wallets).wallets).toEqual([]);
+  });
+});
+
+describe("createCloseAccountInstruction", () => {
+  test("sends rent to the destination, signed by the owner", () => {
+    const [account, dest] = [Keypair.generate().publicKey, Keypair.generate().publicKey];
+    const ix = createCloseAccountInstruction(account, dest, dest);
+    expect([...ix.data]).toEqual([9]);
+    expect(ix.keys.map((k) => k.isSigner)).toEqual([false, false, true]);
+    expect(ix.keys[1].pubkey.equals(dest)).toBe(true);
+  });
+});
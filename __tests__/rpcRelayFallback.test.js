@@ -34,6 +34,7 @@ jest.unstable_mockModule("@solana/web3.js", () => ({
       return sendImpl(this._url);
     }
   },
+  PublicKey: class MockPublicKey {},
 }));
 
 const rpc = await import("../src/services/rpc.js");
@@ -29,6 +29,7 @@ jest.unstable_mockModule("@solana/web3.js", () => ({
       return sendImpl(this._url);
     }
   },
+  PublicKey: class MockPublicKey {},
 }));
 
 const rpc = await import("../src/services/rpc.js");
@@ -0,0 +1,42 @@
+import { Keypair, PublicKey } from "@solana/web3.js";
+import {
+  TOKEN_2022_PROGRAM_ID,
+  getAssociatedTokenAddress,
+  createTransferCheckedInstruction,
+  parseTokenAmountRaw,
+  formatTokenAmount,
+} from "../src/services/splToken.js";
+
+describe("splToken instructions", () => {
+  test("derives program-specific ATAs and encodes TransferChecked", () => {
+    const mint = Keypair.generate().publicKey;
+    const owner = Keypair.generate().publicKey;
+    const classic = getAssociatedTokenAddress(mint, owner);
+    const t22 = getAssociatedTokenAddress(mint, owner, TOKEN_2022_PROGRAM_ID);
+    expect(classic.equals(t22)).toBe(false);
+    expect(PublicKey.isOnCurve(classic.toBytes())).toBe(false);
+    const ix = createTransferCheckedInstruction(classic, mint, t22, owner, "1234567890123", 9);
+    expect(ix.data[0]).toBe(12);
+    expect(ix.data.readBigUInt64LE(1)).toBe(1234567890123n);
+    expect(ix.data[9]).toBe(9);
+    expect(ix.keys[3]).toEqual({ pubkey: owner, isSigner: true, isWritable: false });
+  });
+});
+
+describe("token amounts", () => {
+  test("parses decimal input into base units without float rounding", () => {
+    expect(parseTokenAmountRaw("1.5", 6)).toBe("1500000");
+    expect(parseTokenAmountRaw(".000001", 6)).toBe("1");
+    expect(parseTokenAmountRaw("123456789.123456789", 9)).toBe("123456789123456789");
+    expect(parseTokenAmountRaw("1.0000001", 6)).toBeNull();
+    expect(parseTokenAmountRaw("1.50000000", 6)).toBe("1500000");
+    expect(parseTokenAmountRaw("abc", 6)).toBeNull();
+    expect(parseTokenAmountRaw("", 6)).toBeNull();
+  });
+
+  test("formats base units back to a trimmed decimal", () => {
+    expect(formatTokenAmount("1500000", 6)).toBe("1.5");
+    expect(formatTokenAmount(1n, 6)).toBe("0.000001");
+    expect(formatTokenAmount("42", 0)).toBe("42");
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  parseTakeProfitLadder,
+  nextTakeProfitFill,
+  resolveTakeProfitLadder,
+} from "../src/services/watchers/stopLossWatcher.js";
+
+describe("take-profit ladder", () => {
+  test("parses and sorts levels", () => {
+    expect(parseTakeProfitLadder("100:50, 50:25")).toEqual([
+      { profitPct: 50, sellPct: 25 },
+      { profitPct: 100, sellPct: 50 },
+    ]);
+  });
+
+  test("rejects ladders selling more than the position", () => {
+    expect(() => parseTakeProfitLadder("50:60,100:50")).toThrow(/max 100%/);
+    expect(() => parseTakeProfitLadder("50")).toThrow(/invalid ladder level/);
+    expect(() => parseTakeProfitLadder("")).toThrow(/empty ladder/);
+  });
+
+  test("waits until the lowest open level is reached", () => {
+    const levels = parseTakeProfitLadder("50:25,100:50");
+    expect(nextTakeProfitFill(levels, 49.9, 0)).toBeNull();
+    expect(nextTakeProfitFill(levels, 55, 0)).toEqual({
+      index: 0,
+      percentOfBalance: 25,
+    });
+  });
+
+  test("sizes later levels against the remaining balance", () => {
+    const levels = parseTakeProfitLadder("50:25,100:50");
+    levels[0].filled = true;
+    // 50% of entry size out of the 75% left => 67% of the balance
+    expect(nextTakeProfitFill(levels, 120, 25)).toEqual({
+      index: 1,
+      percentOfBalance: 67,
+    });
+    levels[1].filled = true;
+    expect(nextTakeProfitFill(levels, 500, 75)).toBeNull();
+  });
+
+  test("failed levels are skipped", () => {
+    const levels = parseTakeProfitLadder("50:25,100:50");
+    levels[0].failed = true;
+    expect(nextTakeProfitFill(levels, 60, 0)).toBeNull();
+    expect(nextTakeProfitFill(levels, 100, 0).index).toBe(1);
+  });
+});
+
+describe("resolveTakeProfitLadder", () => {
+  afterEach(() => {
+    delete process.env.TAKE_PROFIT_LADDER;
+  });
+
+  test("uses the env ladder only when the caller sets no take-profit", () => {
+    process.env.TAKE_PROFIT_LADDER = "50:25,100:50";
+    expect(resolveTakeProfitLadder({})).toBe("50:25,100:50");
+    expect(resolveTakeProfitLadder({ profitPct: 30, sellPct: 100 })).toBeNull();
+    expect(resolveTakeProfitLadder({ sellPct: 50 })).toBeNull();
+    expect(resolveTakeProfitLadder({ ladder: "20:100", profitPct: 30 })).toBe("20:100");
+  });
+
+  test("has no ladder without one configured", () => {
+    expect(resolveTakeProfitLadder({})).toBeNull();
+  });
+});
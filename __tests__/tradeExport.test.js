@@ -0,0 +1,65 @@
+import {
+  buildFillRows,
+  fillsToCsv,
+  parseExportArgs,
+} from "../src/services/tradeExport.js";
+
+const DAY = 86400000;
+const t0 = Date.UTC(2025, 0, 10);
+const events = [
+  { kind: "buy", wallet: "W", mint: "M", tokens: 100, sol: 1, feesLamports: 5000, ts: t0, txid: "b1" },
+  { kind: "sell", wallet: "W", mint: "M", tokens: 50, sol: 0.8, feesLamports: 5000, ts: t0 + 40 * DAY, txid: "s1" },
+];
+
+describe("buildFillRows", () => {
+  test("keeps the full history as basis when the range excludes the buy", () => {
+    const rows = buildFillRows(events, { from: t0 + DAY, symbols: { M: "MEME" } });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ side: "sell", symbol: "MEME", solReceived: 0.8, txid: "s1" });
+    // cost of half the lot (incl. half the buy fee) and the sell fee
+    expect(rows[0].realizedPnlSol).toBeCloseTo(0.8 - 0.000005 - 0.5000025);
+  });
+});
+
+describe("fillsToCsv", () => {
+  test("writes plain decimals and quotes cells that need it", () => {
+    const rows = buildFillRows(events, { symbols: { M: 'A,"B"' } });
+    const [header, buy] = fillsToCsv(rows).trim().split("\r\n");
+    expect(header).toBe(
+      "timestamp,side,wallet,mint,symbol,sol_spent,sol_received,tokens,fee_sol,txid,realized_pnl_sol"
+    );
+    expect(buy).toBe(`2025-01-10T00:00:00.000Z,buy,W,M,"A,""B""",1,,100,0.000005,b1,`);
+  });
+
+  test("neutralizes spreadsheet formulas in text cells", () => {
+    const rows = buildFillRows(events, { symbols: { M: "=HYPERLINK(1)" } });
+    const sell = fillsToCsv(rows).trim().split("\r\n")[2].split(",");
+    expect(sell[4]).toBe("'=HYPERLINK(1)");
+    const negative = fillsToCsv([{ ...rows[1], realizedPnlSol: -0.25, symbol: "@x" }]);
+    const cells = negative.trim().split("\r\n")[1].split(",");
+    expect(cells[4]).toBe("'@x");
+    expect(cells[10]).toBe("-0.25");
+  });
+
+  test("koinly layout sends SOL on buys and receives SOL on sells", () => {
+    const lines = fillsToCsv(buildFillRows(events), { format: "koinly" }).trim().split("\r\n");
+    expect(lines[0].startsWith("Date,Sent Amount,Sent Currency,Received Amount")).toBe(true);
+    expect(lines[1]).toBe("2025-01-10 00:00:00 UTC,1,SOL,100,M,0.000005,SOL,,,,buy M,b1");
+    expect(lines[2].split(",").slice(1, 5)).toEqual(["50", "M", "0.8", "SOL"]);
+  });
+});
+
+describe("parseExportArgs", () => {
+  test("year and inclusive day ranges in UTC", () => {
+    expect(parseExportArgs(["year=2025"])).toEqual({
+      from: Date.UTC(2025, 0, 1),
+      to: Date.UTC(2026, 0, 1),
+      format: "fills",
+    });
+    const r = parseExportArgs(["from=2025-03-01", "to=2025-03-31", "format=koinly"]);
+    expect(r.to - r.from).toBe(31 * DAY);
+    expect(r.format).toBe("koinly");
+    expect(() => parseExportArgs(["from=03/01/2025"])).toThrow();
+    expect(() => parseExportArgs(["to=2025-01-01", "from=2025-02-01"])).toThrow();
+  });
+});
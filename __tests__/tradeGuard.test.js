@@ -0,0 +1,72 @@
+import {
+  isValidPin,
+  hashPin,
+  verifyPin,
+  guardChallenge,
+  registerPinFailure,
+  checkTradePin,
+  setTradePin,
+  grantGuardApproval,
+  consumeGuardApproval,
+} from "../src/services/tradeGuard.js";
+
+const pinMode = { mode: "pin", hasPin: true, thresholdSol: 1 };
+
+describe("PIN hashing", () => {
+  test("accepts 4-8 digits and verifies against the salted hash", () => {
+    expect(isValidPin("1234")).toBe(true);
+    expect(isValidPin("123")).toBe(false);
+    expect(isValidPin("12a4")).toBe(false);
+    const stored = hashPin("4821");
+    expect(stored.startsWith("scrypt:")).toBe(true);
+    expect(verifyPin("4821", stored)).toBe(true);
+    expect(verifyPin("4822", stored)).toBe(false);
+    expect(verifyPin("4821", "garbage")).toBe(false);
+  });
+});
+
+describe("guardChallenge", () => {
+  test("challenges trades only above the threshold or when unpriced", () => {
+    expect(guardChallenge(pinMode, { action: "buy", amountSol: 0.5 })).toBeNull();
+    expect(guardChallenge(pinMode, { action: "buy", amountSol: 2 })).toBe("pin");
+    expect(guardChallenge(pinMode, { action: "sell", amountSol: null })).toBe("pin");
+    expect(guardChallenge({ ...pinMode, thresholdSol: null }, { action: "buy", amountSol: 50 })).toBeNull();
+    expect(guardChallenge({ ...pinMode, mode: "off" }, { action: "withdraw" })).toBeNull();
+  });
+
+  test("sensitive actions ignore the threshold; confirm mode trusts their own confirmation", () => {
+    expect(guardChallenge(pinMode, { action: "withdraw", amountSol: 0.01, confirmed: true })).toBe("pin");
+    const confirm = { ...pinMode, mode: "confirm" };
+    expect(guardChallenge(confirm, { action: "delete_wallet", confirmed: true })).toBeNull();
+    expect(guardChallenge(confirm, { action: "buy", amountSol: 5 })).toBe("confirm");
+    expect(guardChallenge({ ...pinMode, hasPin: false }, { action: "buy", amountSol: 5 })).toBe("confirm");
+  });
+});
+
+describe("PIN lockout", () => {
+  test("locks after the last allowed failure", () => {
+    const opts = { now: 1000, maxFailures: 3, lockoutMs: 60000 };
+    expect(registerPinFailure({ failures: 0 }, opts)).toEqual({ failures: 1, lockedUntil: 0, remaining: 2 });
+    expect(registerPinFailure({ failures: 2 }, opts)).toEqual({ failures: 0, lockedUntil: 61000 });
+  });
+
+  test("a locked chat is refused even with the right PIN", () => {
+    const chatId = "guard-test";
+    setTradePin(chatId, "2468");
+    let res;
+    for (let i = 0; i < 5; i++) res = checkTradePin(chatId, "0000", 1000);
+    expect(res.lockedUntil).toBeGreaterThan(1000);
+    expect(checkTradePin(chatId, "2468", 2000).ok).toBe(false);
+    expect(checkTradePin(chatId, "2468", res.lockedUntil + 1).ok).toBe(true);
+  });
+});
+
+describe("guard approvals", () => {
+  test("are single use and expire", () => {
+    grantGuardApproval(1, "AUTO_BUY_x_1", 0);
+    expect(consumeGuardApproval(1, "AUTO_BUY_x_1", 1000)).toBe(true);
+    expect(consumeGuardApproval(1, "AUTO_BUY_x_1", 1000)).toBe(false);
+    grantGuardApproval(1, "k", 0);
+    expect(consumeGuardApproval(1, "k", 10 * 60 * 1000)).toBe(false);
+  });
+});
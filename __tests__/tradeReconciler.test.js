@@ -0,0 +1,127 @@
+import { jest } from "@jest/globals";
+
+jest.unstable_mockModule("../src/services/telegram.js", () => ({
+  getBotInstance: () => null,
+}));
+
+const { analyzeSwapDirection } = await import("../src/services/swapParser.js");
+const { diffChainAgainstLedger, fetchChainTxs, nextCursor } = await import(
+  "../src/services/tradeReconciler.js"
+);
+
+const OWNER = "Owner1111111111111111111111111111111111111";
+const tokenBal = (amount, owner = OWNER) => ({
+  accountIndex: 2,
+  mint: "M",
+  owner,
+  uiTokenAmount: { uiAmountString: String(amount) },
+});
+const buyTx = {
+  transaction: { message: { accountKeys: ["Payer", OWNER, "Ata"] } },
+  meta: {
+    err: null,
+    fee: 5000,
+    preBalances: [1e9, 2e9, 0],
+    postBalances: [1e9 - 5000, 1.5e9, 0],
+    preTokenBalances: [],
+    postTokenBalances: [tokenBal(42)],
+  },
+};
+
+describe("analyzeSwapDirection with an owner", () => {
+  test("uses the owner's SOL and token deltas, not the fee payer's", () => {
+    expect(analyzeSwapDirection(buyTx, { owner: OWNER })).toMatchObject({
+      type: "buy",
+      mint: "M",
+      tokens: 42,
+      solLamports: 5e8,
+    });
+    expect(analyzeSwapDirection(buyTx, { owner: "Other" })).toBeNull();
+  });
+});
+
+describe("diffChainAgainstLedger", () => {
+  const swap = { type: "buy", mint: "M", tokens: 100, solLamports: 1e9, feeLamports: 5000 };
+  const chainTxs = [
+    { signature: "s1", ts: 1, err: null, swap },
+    { signature: "s2", ts: 2, err: null, swap },
+    { signature: "s3", ts: 3, err: { InstructionError: [] }, swap: null },
+    { signature: "s4", ts: 4, err: null, swap: { ...swap, type: "sell" } },
+  ];
+  const ledgerEvents = [
+    { kind: "buy", wallet: "W", mint: "M", tokens: 100, txid: "s1" },
+    { kind: "buy", wallet: "W", mint: "M", tokens: 100, txid: "s3" },
+    { kind: "buy", wallet: "W", mint: "M", tokens: 80, txid: "s4" },
+  ];
+
+  test("backfills unknown swaps and flags failed, mismatched fills", () => {
+    const { backfill, discrepancies } = diffChainAgainstLedger({
+      wallet: "W",
+      chainTxs,
+      ledgerEvents,
+    });
+    expect(backfill).toEqual([
+      { kind: "buy", wallet: "W", mint: "M", tokens: 100, sol: 1, feesLamports: 5000, txid: "s2", ts: 2 },
+    ]);
+    expect(discrepancies.map((d) => [d.signature, d.type])).toEqual([
+      ["s2", "missing_trade"],
+      ["s3", "failed_on_chain"],
+      ["s4", "side_mismatch"],
+    ]);
+  });
+
+  test("flags token amounts outside the tolerance", () => {
+    const { discrepancies } = diffChainAgainstLedger({
+      wallet: "W",
+      chainTxs: [chainTxs[0]],
+      ledgerEvents: [{ ...ledgerEvents[0], tokens: 90 }],
+      tolerancePct: 5,
+    });
+    expect(discrepancies[0]).toMatchObject({ type: "amount_mismatch", recorded: 90, onChain: 100 });
+  });
+});
+
+describe("fetchChainTxs", () => {
+  const WALLET = "So11111111111111111111111111111111111111112";
+  const history = ["s5", "s4", "s3", "s2", "s1"].map((signature) => ({
+    signature,
+    blockTime: 1,
+    err: null,
+  }));
+  // Newest first, stopping before `until` and after `before`
+  const getSignatures = jest.fn(async (_pk, { options }) => {
+    let list = history;
+    if (options.before) list = list.slice(list.findIndex((s) => s.signature === options.before) + 1);
+    const stop = list.findIndex((s) => s.signature === options.until);
+    if (stop >= 0) list = list.slice(0, stop);
+    return list.slice(0, options.limit);
+  });
+
+  test("pages back with before until the cursor is reached", async () => {
+    const txs = await fetchChainTxs(WALLET, {
+      until: "s1",
+      limit: 2,
+      getSignatures,
+      getTransaction: async () => null,
+    });
+    expect(txs.map((t) => t.signature)).toEqual(["s5", "s4", "s3", "s2"]);
+    expect(getSignatures.mock.calls.map(([, { options }]) => options.before)).toEqual([
+      undefined,
+      "s4",
+      "s2",
+    ]);
+  });
+
+  test("keeps the cursor behind transactions that could not be read", () => {
+    const txs = [
+      { signature: "s5" },
+      { signature: "s4", unread: true },
+      { signature: "s3" },
+      { signature: "s2", unread: true },
+    ];
+    expect(nextCursor(txs, "s1")).toBe("s1");
+    expect(nextCursor(txs.slice(0, 3), "s1")).toBe("s3");
+    expect(nextCursor([{ signature: "s5" }], "s1")).toBe("s5");
+    expect(nextCursor([], "s1")).toBe("s1");
+  });
+});
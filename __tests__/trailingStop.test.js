@@ -0,0 +1,41 @@
+import { evaluateTrailingStop } from "../src/services/watchers/stopLossWatcher.js";
+
+const cfg = { avg: 1, trailPct: 10, activationPct: 20, stepPct: 5 };
+
+describe("evaluateTrailingStop", () => {
+  test("stays idle until the activation threshold", () => {
+    const r = evaluateTrailingStop(null, 1.1, cfg);
+    expect(r.action).toBe("none");
+    expect(r.next.active).toBe(false);
+  });
+
+  test("activates with the stop trailing the high", () => {
+    const r = evaluateTrailingStop(null, 1.2, cfg);
+    expect(r.action).toBe("activate");
+    expect(r.next.highPrice).toBe(1.2);
+    expect(r.next.stopPrice).toBeCloseTo(1.08);
+  });
+
+  test("ratchets up on new highs and never lowers the stop", () => {
+    let { next } = evaluateTrailingStop(null, 1.2, cfg);
+    let r = evaluateTrailingStop(next, 1.3, cfg);
+    expect(r.action).toBe("ratchet");
+    expect(r.next.ratchets).toBe(1);
+    expect(r.next.stopPrice).toBeCloseTo(1.17);
+    r = evaluateTrailingStop(r.next, 1.2, cfg);
+    expect(r.action).toBe("none");
+    expect(r.next.stopPrice).toBeCloseTo(1.17);
+  });
+
+  test("small new highs move the stop without a ratchet event", () => {
+    const { next } = evaluateTrailingStop(null, 1.2, cfg);
+    const r = evaluateTrailingStop(next, 1.22, cfg);
+    expect(r.action).toBe("none");
+    expect(r.next.stopPrice).toBeCloseTo(1.098);
+  });
+
+  test("exits when price falls to the stop", () => {
+    const { next } = evaluateTrailingStop(null, 1.2, cfg);
+    expect(evaluateTrailingStop(next, 1.08, cfg).action).toBe("exit");
+  });
+});
@@ -0,0 +1,45 @@
+import {
+  encryptBackup,
+  decryptBackup,
+  parseBackup,
+  BACKUP_FORMAT,
+} from "../src/services/walletBackup.js";
+
+const wallets = [
+  { name: "Main", publicKey: "PubA", privateKey: "secretA" },
+  { name: null, publicKey: "PubB", privateKey: "secretB" },
+];
+
+describe("wallet backup", () => {
+  test("round-trips through JSON with the right passphrase", async () => {
+    const backup = await encryptBackup(wallets, "correct horse", { now: 0 });
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.wallets).toBe(2);
+    expect(JSON.stringify(backup)).not.toContain("secretA");
+    expect(await decryptBackup(JSON.stringify(backup), "correct horse")).toEqual(wallets);
+  });
+
+  test("rejects wrong passphrases, tampering and foreign files", async () => {
+    const backup = await encryptBackup(wallets, "correct horse");
+    await expect(decryptBackup(backup, "wrong horse")).rejects.toThrow(/Wrong passphrase/);
+    const tampered = { ...backup, ciphertext: Buffer.from("x").toString("base64") };
+    await expect(decryptBackup(tampered, "correct horse")).rejects.toThrow(/Wrong passphrase/);
+    expect(() => parseBackup("{}")).toThrow(/Not a wallet backup/);
+    expect(() => parseBackup("not json")).toThrow(/Not a wallet backup/);
+    await expect(encryptBackup(wallets, "short")).rejects.toThrow(/at least 8/);
+  });
+
+  test("refuses KDF parameters other than the ones it writes", async () => {
+    const backup = await encryptBackup(wallets, "correct horse");
+    for (const kdf of [
+      { ...backup.kdf, N: 1 << 30 },
+      { ...backup.kdf, r: 1024 },
+      { ...backup.kdf, salt: "" },
+      { ...backup.kdf, name: "pbkdf2" },
+    ]) {
+      await expect(decryptBackup({ ...backup, kdf }, "correct horse")).rejects.toThrow(
+        /Unsupported backup key derivation/
+      );
+    }
+  });
+});
@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import bs58 from "bs58";
+import { Keypair } from "@solana/web3.js";
+import {
+  encrypt,
+  decrypt,
+  describeCiphertext,
+  keyFingerprint,
+  importUserWallet,
+  getAllUserWalletKeypairs,
+  getWalletEncryptionStatus,
+  rotateWalletEncryption,
+  assertWalletEncryptionReady,
+} from "../src/services/userWallets.js";
+
+const KEY_A = crypto.randomBytes(32).toString("hex");
+const KEY_B = crypto.randomBytes(32).toString("hex");
+const ENV_KEYS = [
+  "WALLET_ENCRYPTION_KEY",
+  "WALLET_ENCRYPTION_KEY_NEXT",
+  "WALLET_ENCRYPTION_KEY_PREVIOUS",
+  "NODE_ENV",
+  "MONGODB_URI",
+];
+const saved = {};
+
+beforeEach(() => {
+  for (const k of ENV_KEYS) {
+    saved[k] = process.env[k];
+    delete process.env[k];
+  }
+});
+afterEach(() => {
+  for (const k of ENV_KEYS) {
+    if (saved[k] === undefined) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+});
+
+const secret = () => bs58.encode(Keypair.generate().secretKey);
+
+describe("wallet encryption", () => {
+  test("writes authenticated v2 ciphertext tagged with the key id", () => {
+    process.env.WALLET_ENCRYPTION_KEY = KEY_A;
+    const pk = secret();
+    const ct = encrypt(pk);
+    expect(describeCiphertext(ct)).toEqual({
+      format: "v2",
+      keyId: keyFingerprint(Buffer.from(KEY_A, "hex")),
+    });
+    expect(decrypt(ct)).toBe(pk);
+    const flipped = ct.slice(0, -1) + (ct.endsWith("0") ? "1" : "0");
+    expect(() => decrypt(flipped)).toThrow(/authentication/);
+  });
+
+  test("still reads legacy CBC ciphertext", () => {
+    process.env.WALLET_ENCRYPTION_KEY = KEY_A;
+    const pk = secret();
+    const iv = crypto.randomBytes(16);
+    const c = crypto.createCipheriv("aes-256-cbc", Buffer.from(KEY_A, "hex"), iv);
+    const legacy = `${iv.toString("hex")}:${Buffer.concat([c.update(pk), c.final()]).toString("hex")}`;
+    expect(describeCiphertext(legacy).format).toBe("cbc");
+    expect(decrypt(legacy)).toBe(pk);
+  });
+
+  test("refuses plaintext fallback in production", async () => {
+    await importUserWallet("enc-prod", secret());
+    process.env.NODE_ENV = "production";
+    expect(() => encrypt("x")).toThrow(/required in production/);
+    process.env.WALLET_ENCRYPTION_KEY = KEY_A;
+    await expect(assertWalletEncryptionReady()).rejects.toThrow(/plaintext/);
+  });
+
+  test("rotates stored wallets onto the next key", async () => {
+    const pk = secret();
+    await importUserWallet("enc-rotate", pk);
+    process.env.WALLET_ENCRYPTION_KEY = KEY_A;
+    process.env.WALLET_ENCRYPTION_KEY_NEXT = KEY_B;
+    expect((await getWalletEncryptionStatus()).pending).toBeGreaterThan(0);
+    const res = await rotateWalletEncryption();
+    expect(res.failed).toEqual([]);
+    expect((await getWalletEncryptionStatus()).pending).toBe(0);
+    // After promoting the new key the old one is no longer needed
+    delete process.env.WALLET_ENCRYPTION_KEY_NEXT;
+    process.env.WALLET_ENCRYPTION_KEY = KEY_B;
+    const [w] = await getAllUserWalletKeypairs("enc-rotate");
+    expect(bs58.encode(w.keypair.secretKey)).toBe(pk);
+  });
+});
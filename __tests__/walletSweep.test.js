@@ -0,0 +1,57 @@
+import { Keypair } from "@solana/web3.js";
+import { planSweep } from "../src/services/walletSweep.js";
+import {
+  estimateTransferFeeLamports,
+  ATA_RENT_LAMPORTS,
+} from "../src/services/miscActions.js";
+
+const pk = () => Keypair.generate().publicKey.toBase58();
+const token = (mint, amountRaw, programId = "Tokenkeg") => ({
+  account: pk(),
+  mint,
+  amountRaw,
+  decimals: 6,
+  uiAmount: Number(amountRaw) / 1e6,
+  programId,
+});
+
+describe("planSweep", () => {
+  const wallets = [
+    { id: "a", name: "Main", publicKey: pk(), lamports: 1e9, tokens: [token("M1", "5")] },
+    {
+      id: "b",
+      publicKey: pk(),
+      lamports: 10_000_000,
+      tokens: [token("M1", "100"), token("M2", "7"), token("M3", "0")],
+    },
+    { id: "c", publicKey: pk(), lamports: 5000, tokens: [] },
+  ];
+
+  test("sends tokens, then drains SOL net of fees and new account rent", () => {
+    const plan = planSweep({ wallets, mainId: "a", minSolLamports: 1 });
+    expect(plan.sources).toHaveLength(1);
+    const [b] = plan.sources;
+    expect(b.tokens.map((t) => [t.mint, t.createsAta])).toEqual([
+      ["M1", false],
+      ["M2", true],
+    ]);
+    const fee1 = estimateTransferFeeLamports(1);
+    const fee2 = estimateTransferFeeLamports(2);
+    expect(b.solLamports).toBe(10_000_000 - 2 * fee2 - ATA_RENT_LAMPORTS - fee1);
+    expect(plan.totals.ataRentLamports).toBe(ATA_RENT_LAMPORTS);
+  });
+
+  test("skips legs the source cannot pay for and honours sol/tokens toggles", () => {
+    const poor = [wallets[0], { ...wallets[1], lamports: 2_000_000 }];
+    const plan = planSweep({ wallets: poor, mainId: "a" });
+    expect(plan.sources[0].tokens).toHaveLength(1);
+    expect(plan.sources[0].skippedTokens).toBe(1);
+    const solOnly = planSweep({ wallets, mainId: "a", includeTokens: false });
+    expect(solOnly.totals.tokenTransfers).toBe(0);
+    expect(() => planSweep({ wallets, mainId: "x" })).toThrow(/main wallet/);
+  });
+
+  test("priority fee scales with instruction count", () => {
+    expect(estimateTransferFeeLamports(2, 1_000_000)).toBe(5000 + 400_000);
+  });
+});
@@ -0,0 +1,19 @@
+// Re-encrypt all stored wallets under the current write key
+// (WALLET_ENCRYPTION_KEY_NEXT if set, else WALLET_ENCRYPTION_KEY).
+// Also upgrades legacy CBC and plaintext wallets to the authenticated format.
+import dotenv from "dotenv";
+dotenv.config();
+
+import {
+  connectWalletsDb,
+  getWalletEncryptionStatus,
+  rotateWalletEncryption,
+} from "../src/services/userWallets.js";
+
+await connectWalletsDb();
+console.log("Before:", await getWalletEncryptionStatus());
+const res = await rotateWalletEncryption();
+console.log(`Rotated ${res.rotated}/${res.scanned} wallet(s)`);
+for (const f of res.failed) console.error(`Failed ${f.id}: ${f.error}`);
+console.log("After:", await getWalletEncryptionStatus());
+process.exit(res.failed.length ? 1 : 0);
@@ -3,16 +3,33 @@ dotenv.config();
 
 import { validateEnvAndInstallRedaction } from "./services/envValidator.js";
 
-import { startTelegramBot, getBotInstance } from "./services/telegram.js";
+import {
+  startTelegramBot,
+  getBotInstance,
+  notifyTxStatus,
+} from "./services/telegram.js";
 import { startDashboardServer } from "./services/dashboard.js";
 import { initializeWallet } from "./services/wallet.js";
-import { connectWalletsDb, hasUserWallet } from "./services/userWallets.js";
+import {
+  connectWalletsDb,
+  hasUserWallet,
+  assertWalletEncryptionReady,
+} from "./services/userWallets.js";
 import { getAllUserStates, addTradeLog } from "./services/userState.js";
 import { initSnipeStore, loadActiveSnipes } from "./services/snipeStore.js";
+import { initLimitOrderStore } from "./services/limitOrderStore.js";
+import { initTakeProfitStore } from "./services/takeProfitStore.js";
+import { resumeTakeProfitLadders } from "./services/watchers/stopLossWatcher.js";
+import { startLimitOrderEngine } from "./services/watchers/limitOrderWatcher.js";
+import { initDcaStore } from "./services/dcaStore.js";
+import { startDcaEngine } from "./services/watchers/dcaWatcher.js";
+import { startExitGrid } from "./services/failGraceExitGrid.js";
 import { startLiquidityWatch } from "./services/watchers/liquidityWatcher.js";
 import { startRpcHealthLoop, getRpcConnection } from "./services/rpc.js";
 import { startPriorityFeeRefresher } from "./services/fees.js";
+import { startGasOracle } from "./services/advancedGasTools.js";
 import { startCopyTradeMonitor } from "./services/watchers/copyTradeMonitor.js";
+import { startReconcileJob } from "./services/tradeReconciler.js";
 import AlphaDetection, { alphaBus } from "./services/alphaDetection.js";
 // LP lock alerts wiring
 import { lpLockEvents } from "./services/risk.js";
@@ -23,8 +40,13 @@ async function main() {
   validateEnvAndInstallRedaction();
 
   await connectWalletsDb();
+  // Refuses to start in production without a key or with plaintext wallets
+  await assertWalletEncryptionReady();
   await initializeWallet();
   await initSnipeStore().catch(() => false);
+  await initLimitOrderStore().catch(() => false);
+  await initTakeProfitStore().catch(() => false);
+  await initDcaStore().catch(() => false);
   await startTelegramBot();
   await startDashboardServer();
 
@@ -33,11 +55,88 @@ async function main() {
     intervalMs: Number(process.env.RPC_HEALTH_INTERVAL_MS || 3000),
   });
 
+  // Fee oracle: samples network priority fees and congestion; the refresher
+  // below derives the learned fee from its samples
+  try {
+    await startGasOracle(getRpcConnection());
+  } catch (e) {
+    console.error("Failed to start fee oracle:", e?.message || e);
+  }
+
   // Start dynamic priority fee refresher (learned tip model)
   startPriorityFeeRefresher({
     intervalMs: Number(process.env.PRIORITY_FEE_REFRESH_MS || 1500),
   });
 
+  // Start limit-order engine (resumes persisted active orders)
+  startLimitOrderEngine({
+    pollMs: Number(process.env.LIMIT_ORDER_POLL_MS || 2000),
+  });
+
+  // Start DCA scheduler (resumes persisted active plans)
+  startDcaEngine({
+    pollMs: Number(process.env.DCA_POLL_MS || 5000),
+  });
+
+  // Periodically reconcile trade history with on-chain wallet activity
+  startReconcileJob({
+    intervalMs: Number(process.env.RECONCILE_INTERVAL_MS ?? 600000),
+  });
+
+  // Start fail-grace exit grid over persisted positions (per-chat opt-in)
+  try {
+    const grid = await startExitGrid(getRpcConnection());
+    const ladderButton = (exit) => ({
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "🪜 Exit Ladder",
+              callback_data: `EXIT_LADDER_${exit.positionId}`,
+            },
+          ],
+        ],
+      },
+    });
+    grid.on("exit_completed", (exit) => {
+      try {
+        const bot = getBotInstance();
+        if (!bot) return;
+        const pnl = Number(exit.pnl || 0) * 100;
+        const body = [
+          `🛡 Exit Grid SELL (${exit.exitType})`,
+          `• Token: ${exit.mint}`,
+          `• Sold: ${Math.round(exit.exitPercent * 100)}%`,
+          `• Price: ${Number(exit.exitPrice).toPrecision(6)} SOL (${
+            pnl >= 0 ? "+" : ""
+          }${pnl.toFixed(2)}%)`,
+          `• Reason: ${exit.reason}`,
+          `• Via: ${exit.via}`,
+          `• Tx: ${exit.txid}`,
+        ].join("\n");
+        const markup = exit.exitPercent < 1 ? ladderButton(exit) : {};
+        bot.sendMessage(exit.chatId, body, markup);
+        notifyTxStatus(exit.chatId, exit.txid, { kind: "Exit Grid Sell" }).catch(
+          () => {}
+        );
+      } catch {}
+    });
+    grid.on("exit_failed", (exit) => {
+      try {
+        const note = exit.halted
+          ? "Exit grid stopped managing this position."
+          : `Attempt ${exit.attempts}, will retry.`;
+        getBotInstance()?.sendMessage?.(
+          exit.chatId,
+          `❌ Exit Grid SELL (${exit.exitType}) failed for ${exit.mint}: ${exit.error}\n${note}`,
+          ladderButton(exit)
+        );
+      } catch {}
+    });
+  } catch (e) {
+    console.error("Failed to start exit grid:", e?.message || e);
+  }
+
   // Start Copy-Trade monitors per user
   try {
     for (const [chatId] of getAllUserStates()) {
@@ -202,6 +301,16 @@ async function main() {
     }
   });
 
+  // Resume persisted take-profit ladders
+  try {
+    await resumeTakeProfitLadders({
+      onEventFor: (chatId) => (m) =>
+        getBotInstance()?.sendMessage?.(chatId, `🎯 ${m}`),
+    });
+  } catch (e) {
+    console.error("Failed to resume take-profit ladders:", e?.message || e);
+  }
+
   // Resume active snipes from persistence
   try {
     const bot = getBotInstance();
@@ -3,7 +3,25 @@ import { EventEmitter } from "events";
 import axios from "axios";
 import { simulateTransactionRaced } from "./rpc.js";
 import { getPriorityFeeLamports } from "./config.js";
-import { getAdaptivePriorityFee } from "./fees.js";
+import {
+  getAdaptivePriorityFee,
+  getPriorityFeeCeiling,
+  recordNetworkFeeSamples,
+} from "./fees.js";
+
+// Per-trade urgency levels offered to users, mapped onto calculateOptimalFee's levels
+export const URGENCY_LEVELS = ["normal", "fast", "turbo"];
+const URGENCY_TO_LEVEL = { normal: "normal", fast: "high", turbo: "urgent" };
+const DEFAULT_URGENCY_MULTIPLIER = 2.5;
+
+// Fee multiple of an urgency level over normal, as calculateOptimalFee applies it
+function urgencyMultiplierFor(urgency, multiplier = DEFAULT_URGENCY_MULTIPLIER) {
+  const level = URGENCY_TO_LEVEL[urgency] || urgency;
+  if (level === "high") return multiplier;
+  if (level === "urgent") return multiplier * 2;
+  if (level === "low") return 0.5;
+  return 1;
+}
 
 class AdvancedGasTools extends EventEmitter {
   constructor(connection, config = {}) {
@@ -12,7 +30,7 @@ class AdvancedGasTools extends EventEmitter {
     this.config = {
       baseFee: 5000, // Base fee in microlamports
       maxFee: 100000, // Maximum fee in microlamports
-      urgencyMultiplier: 2.5, // Multiplier for urgent transactions
+      urgencyMultiplier: DEFAULT_URGENCY_MULTIPLIER, // Multiplier for urgent transactions
       networkCongestionFactor: 1.0, // Dynamic based on network
       ...config,
     };
@@ -62,7 +80,7 @@ class AdvancedGasTools extends EventEmitter {
       } catch (error) {
         console.error("❌ Fee update error:", error.message);
       }
-    }, 1000); // Update every second
+    }, Math.max(500, Number(process.env.GAS_ORACLE_INTERVAL_MS || 1000)));
   }
 
   async updateCongestionData() {
@@ -73,6 +91,10 @@ class AdvancedGasTools extends EventEmitter {
       });
 
       if (recentBlocks.length > 0) {
+        // Wider window feeds the learned percentile estimate in fees.js
+        recordNetworkFeeSamples(
+          recentBlocks.slice(-40).map((block) => block.prioritizationFee)
+        );
         const fees = recentBlocks
           .slice(-20)
           .map((block) => block.prioritizationFee);
@@ -428,6 +450,10 @@ class AdvancedGasTools extends EventEmitter {
     }
   }
 
+  urgencyMultiplier(urgency = "normal") {
+    return urgencyMultiplierFor(urgency, this.config.urgencyMultiplier);
+  }
+
   async getFeeRecommendations() {
     const recommendations = {
       low: this.calculateOptimalFee("low"),
@@ -438,10 +464,51 @@ class AdvancedGasTools extends EventEmitter {
 
     return {
       recommendations,
+      urgencies: getUrgencyPriorityFees(),
       congestionLevel: this.congestionData.congestionLevel,
       lastUpdate: this.congestionData.lastUpdate,
     };
   }
 }
 
+// Single running instance: the bot's fee oracle
+let oracle = null;
+
+export async function startGasOracle(connection, config = {}) {
+  if (oracle) return oracle;
+  oracle = new AdvancedGasTools(connection, config);
+  await oracle.start();
+  return oracle;
+}
+
+export function getGasOracle() {
+  return oracle;
+}
+
+export function stopGasOracle() {
+  if (oracle) oracle.stop();
+  oracle = null;
+}
+
+// Priority fee (lamports) for a trade urgency: the learned estimate (see
+// fees.startPriorityFeeRefresher) times the urgency multiplier, within the ceiling
+export function priorityFeeForUrgency(urgency = "normal") {
+  const base = Number(getPriorityFeeLamports()) || 0;
+  if (!(base > 0)) return base;
+  const mult = oracle
+    ? oracle.urgencyMultiplier(urgency)
+    : urgencyMultiplierFor(urgency);
+  return Math.min(getPriorityFeeCeiling(), Math.round(base * mult));
+}
+
+export function getUrgencyPriorityFees() {
+  const fees = {};
+  for (const u of URGENCY_LEVELS) fees[u] = priorityFeeForUrgency(u);
+  return {
+    ...fees,
+    congestionLevel: oracle?.congestionData?.congestionLevel ?? null,
+    lastUpdate: oracle?.congestionData?.lastUpdate ?? 0,
+  };
+}
+
 export default AdvancedGasTools;
\ No newline at end of file
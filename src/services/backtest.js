@@ -0,0 +1,455 @@
+import { decideCopyAction } from "./watchers/copyTradeMonitor.js";
+import { evaluateLiquidityDelta } from "./watchers/liquidityWatcher.js";
+import {
+  evaluateTrailingStop,
+  nextTakeProfitFill,
+  parseTakeProfitLadder,
+} from "./watchers/stopLossWatcher.js";
+
+// Backtest harness:
+// - Replays the telemetry recorded by tradeStore (signals, delta probes, copy events)
+// - Entries go through the same gates as live trading (liquidity delta, decideCopyAction)
+// - Exits use the stop-loss / take-profit ladder / trailing stop rules on a price series
+// - Prices come from recorded probes/fills, or a seeded synthetic walk when missing
+// Everything here is pure so it can run offline against exported JSONL.
+
+const SIGNAL_STAGES = new Set([
+  "alpha_signal",
+  "orchestrator_start",
+  "auto_snipe_trigger",
+  "manual_snipe_trigger",
+]);
+
+export const DEFAULT_BACKTEST_RULES = {
+  sizeSol: 0.05,
+  stopLossPct: 20,
+  takeProfit: [],
+  trailing: null,
+  delta: { minImprovementPct: 0, maxImpactPct: 8, minRouteAgeMs: 0 },
+  followed: { mode: "fixed", amountSOL: 0.05, dailyCapSOL: 5 },
+};
+
+function entryMint(t) {
+  return t?.mint || t?.payload?.mint || null;
+}
+
+// Small deterministic PRNG (mulberry32) so synthetic runs are reproducible
+export function seededRandom(seed = 1) {
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(str) {
+  let h = 2166136261;
+  for (const ch of String(str)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Geometric random walk: [{ at, price }]
+export function syntheticPriceSeries({
+  seed = 1,
+  steps = 120,
+  startPrice = 1,
+  startAt = 0,
+  intervalMs = 1000,
+  volPct = 8,
+  driftPct = 0,
+} = {}) {
+  const rand = seededRandom(seed);
+  const points = [{ at: startAt, price: startPrice }];
+  let price = startPrice;
+  for (let i = 1; i < steps; i++) {
+    const move = (rand() * 2 - 1) * (volPct / 100) + driftPct / 100;
+    price = Math.max(startPrice * 1e-6, price * (1 + move));
+    points.push({ at: startAt + i * intervalMs, price });
+  }
+  return points;
+}
+
+// Relative price series for a mint from recorded telemetry. Delta probes are
+// tokens-per-lamport, so 1/unitOut tracks SOL per token; buy fills are used
+// when no probes were recorded. Only ratios matter for the exit rules.
+export function recordedPriceSeries(trades, mint) {
+  const probes = [];
+  const fills = [];
+  for (const t of trades || []) {
+    if (entryMint(t) !== mint) continue;
+    const at = Number(t.timestamp || 0);
+    const unitOut = Number(t.unitOutProbe);
+    if (t.kind === "telemetry" && unitOut > 0) {
+      probes.push({ at, price: 1 / unitOut });
+      continue;
+    }
+    const sol = Number(t.sol ?? t.amountSol);
+    const tokens = Number(t.tokens);
+    if ((t.kind === "buy" || t.kind === "copy_buy") && sol > 0 && tokens > 0) {
+      fills.push({ at, price: sol / tokens });
+    }
+  }
+  const points = probes.length >= 2 ? probes : fills;
+  return points.sort((a, b) => a.at - b.at);
+}
+
+// Walk a price series from entry applying stop-loss, ladder and trailing rules.
+// Sizes are fractions of the entry position; forcedExits are copy-sell events.
+export function simulateExit(
+  points,
+  { entryPrice, sizeSol, rules = DEFAULT_BACKTEST_RULES, forcedExits = [] }
+) {
+  const tokens = sizeSol / entryPrice;
+  const levels = (rules.takeProfit || []).map((l) => ({ ...l }));
+  const forced = [...forcedExits].sort((a, b) => a.at - b.at);
+  const exits = [];
+  let soldPct = 0;
+  let proceedsSol = 0;
+  let trail = null;
+  let minValueSol = sizeSol;
+  let last = null;
+
+  const sell = (pctOfEntry, price, at, reason) => {
+    const pct = Math.min(100 - soldPct, pctOfEntry);
+    if (!(pct > 0)) return;
+    soldPct += pct;
+    proceedsSol += (tokens * pct * price) / 100;
+    exits.push({ at, price, pct, reason });
+  };
+
+  for (const p of points) {
+    if (soldPct >= 100) break;
+    last = p;
+    while (forced.length && forced[0].at <= p.at) {
+      const f = forced.shift();
+      sell(((100 - soldPct) * f.percent) / 100, p.price, p.at, "copy_sell");
+    }
+    const gainPct = (p.price / entryPrice - 1) * 100;
+    if (rules.trailing) {
+      const r = evaluateTrailingStop(trail, p.price, {
+        avg: entryPrice,
+        ...rules.trailing,
+      });
+      trail = r.next;
+      if (r.action === "exit") {
+        sell(100, p.price, p.at, "trailing_stop");
+        break;
+      }
+    }
+    let fill;
+    while ((fill = nextTakeProfitFill(levels, gainPct, soldPct))) {
+      const level = levels[fill.index];
+      level.filled = true;
+      sell(level.sellPct, p.price, p.at, `take_profit_${level.profitPct}`);
+    }
+    // Fixed stop applies until a trailing stop takes over
+    if (
+      !trail?.active &&
+      Number(rules.stopLossPct) > 0 &&
+      gainPct <= -Number(rules.stopLossPct)
+    ) {
+      sell(100, p.price, p.at, "stop_loss");
+      break;
+    }
+    const valueSol = proceedsSol + (tokens * (100 - soldPct) * p.price) / 100;
+    minValueSol = Math.min(minValueSol, valueSol);
+  }
+
+  const openPct = 100 - soldPct;
+  const markPrice = last?.price ?? entryPrice;
+  const valueSol = proceedsSol + (tokens * openPct * markPrice) / 100;
+  return {
+    exits,
+    closed: openPct <= 0,
+    openPct,
+    closedAt: exits.length ? exits[exits.length - 1].at : last?.at ?? null,
+    pnlSol: valueSol - sizeSol,
+    returnPct: (valueSol / sizeSol - 1) * 100,
+    worstDrawdownPct: (1 - minValueSol / sizeSol) * 100,
+  };
+}
+
+// Replay the first passing delta probe after a signal; no probes means the
+// gate was disabled when recorded, so enter on the signal itself.
+function replayDeltaGate(trades, mint, sinceAt, delta) {
+  let prev = null;
+  let firstAt = null;
+  let sawProbe = false;
+  for (const t of trades) {
+    if (entryMint(t) !== mint || t.kind !== "telemetry") continue;
+    const at = Number(t.timestamp || 0);
+    if (at < sinceAt) continue;
+    const unitOut = Number(t.unitOutProbe);
+    if (!(unitOut > 0)) continue;
+    sawProbe = true;
+    if (firstAt === null) firstAt = at;
+    const gate = evaluateLiquidityDelta({
+      unitOutProbe: unitOut,
+      prevUnitOutProbe: prev,
+      priceImpactPct: Number(t.priceImpactPct ?? 0),
+      routeAgeMs: at - firstAt,
+      ...delta,
+    });
+    prev = unitOut;
+    if (gate.pass) return { pass: true, at };
+  }
+  return sawProbe
+    ? { pass: false, reason: "delta_gate" }
+    : { pass: true, at: sinceAt };
+}
+
+function priceAt(points, at) {
+  let price = null;
+  for (const p of points) {
+    if (p.at > at) break;
+    price = p.price;
+  }
+  return price ?? points[0]?.price ?? null;
+}
+
+function dayKey(at) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+// Extract entry candidates (snipe signals + copy buys) and copy sells per mint
+export function extractSignals(trades) {
+  const signals = [];
+  const copySells = new Map();
+  for (const t of trades || []) {
+    const mint = entryMint(t);
+    if (!mint) continue;
+    const at = Number(t.timestamp || 0);
+    if (t.kind === "telemetry" && SIGNAL_STAGES.has(t.stage)) {
+      signals.push({
+        type: "snipe",
+        mint,
+        at,
+        signalType: t.signalType || t.stage,
+      });
+    } else if (t.kind === "copy_buy") {
+      signals.push({ type: "copy", mint, at, sourceAddr: t.sourceAddr });
+    } else if (t.kind === "copy_sell") {
+      const list = copySells.get(mint) || [];
+      list.push({ at, percent: Number(t.percent || 100) });
+      copySells.set(mint, list);
+    }
+  }
+  signals.sort((a, b) => a.at - b.at);
+  return { signals, copySells };
+}
+
+export function runBacktest(
+  trades,
+  { rules: ruleOverrides = {}, priceSource = "recorded", seed = 1 } = {}
+) {
+  const rules = { ...DEFAULT_BACKTEST_RULES, ...ruleOverrides };
+  const sorted = [...(trades || [])].sort(
+    (a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0)
+  );
+  const { signals, copySells } = extractSignals(sorted);
+  const seriesByMint = new Map();
+  const seriesFor = (mint, startAt) => {
+    if (seriesByMint.has(mint)) return seriesByMint.get(mint);
+    let points = priceSource === "synthetic" ? [] : recordedPriceSeries(sorted, mint);
+    let synthetic = false;
+    if (points.length < 2) {
+      points = syntheticPriceSeries({ seed: seed ^ hashSeed(mint), startAt });
+      synthetic = true;
+    }
+    const s = { points, synthetic };
+    seriesByMint.set(mint, s);
+    return s;
+  };
+
+  const results = [];
+  const skipped = {};
+  const skip = (reason) => (skipped[reason] = (skipped[reason] || 0) + 1);
+  const openUntil = new Map(); // mint -> closedAt of the simulated position
+  const spentByDay = new Map();
+
+  for (const sig of signals) {
+    const busyUntil = openUntil.get(sig.mint);
+    if (busyUntil !== undefined && (busyUntil === null || sig.at <= busyUntil)) {
+      skip("already_open");
+      continue;
+    }
+    let sizeSol = Number(rules.sizeSol);
+    let entryAt = sig.at;
+    if (sig.type === "copy") {
+      const day = dayKey(sig.at);
+      const decision = decideCopyAction({
+        eventType: "buy",
+        followed: { ...rules.followed, mint: sig.mint },
+        dailySpent: spentByDay.get(day) || 0,
+      });
+      if (!decision.execute) {
+        skip(decision.reason);
+        continue;
+      }
+      sizeSol = decision.amountSol;
+      spentByDay.set(day, (spentByDay.get(day) || 0) + sizeSol);
+    } else {
+      const gate = replayDeltaGate(sorted, sig.mint, sig.at, rules.delta);
+      if (!gate.pass) {
+        skip(gate.reason);
+        continue;
+      }
+      entryAt = gate.at;
+    }
+    const { points, synthetic } = seriesFor(sig.mint, entryAt);
+    const entryPrice = priceAt(points, entryAt);
+    if (!(entryPrice > 0) || !(sizeSol > 0)) {
+      skip("no_price");
+      continue;
+    }
+    const forcedExits = (copySells.get(sig.mint) || [])
+      .filter((f) => f.at > entryAt)
+      .map((f) => {
+        const d = decideCopyAction({
+          eventType: "sell",
+          followed: { ...rules.followed, mint: sig.mint, percent: f.percent },
+        });
+        return { at: f.at, percent: d.execute ? d.percent : 0 };
+      });
+    const sim = simulateExit(
+      points.filter((p) => p.at >= entryAt),
+      { entryPrice, sizeSol, rules, forcedExits }
+    );
+    openUntil.set(sig.mint, sim.closed ? sim.closedAt : null);
+    results.push({
+      mint: sig.mint,
+      type: sig.type,
+      signalType: sig.signalType,
+      entryAt,
+      entryPrice,
+      sizeSol,
+      synthetic,
+      ...sim,
+    });
+  }
+
+  return { ...summarizeBacktest(results), skipped, results };
+}
+
+// Hit-rate, PnL and drawdown of the cumulative equity curve (exit order).
+// Drawdown % is relative to peak equity on top of the capital deployed.
+export function summarizeBacktest(results) {
+  const n = results.length;
+  const wins = results.filter((r) => r.pnlSol > 0).length;
+  const pnlSol = results.reduce((sum, r) => sum + r.pnlSol, 0);
+  const investedSol = results.reduce((sum, r) => sum + r.sizeSol, 0);
+  const ordered = [...results].sort(
+    (a, b) => Number(a.closedAt ?? a.entryAt) - Number(b.closedAt ?? b.entryAt)
+  );
+  let equity = investedSol;
+  let peak = equity;
+  let maxDrawdownSol = 0;
+  let maxDrawdownPct = 0;
+  for (const r of ordered) {
+    equity += r.pnlSol;
+    peak = Math.max(peak, equity);
+    const dd = peak - equity;
+    if (dd > maxDrawdownSol) {
+      maxDrawdownSol = dd;
+      maxDrawdownPct = peak > 0 ? (dd / peak) * 100 : 0;
+    }
+  }
+  return {
+    trades: n,
+    wins,
+    losses: n - wins,
+    hitRate: n ? wins / n : 0,
+    pnlSol,
+    investedSol,
+    returnPct: investedSol > 0 ? (pnlSol / investedSol) * 100 : 0,
+    maxDrawdownSol,
+    maxDrawdownPct,
+    syntheticSeries: results.filter((r) => r.synthetic).length,
+  };
+}
+
+// Parse "/backtest" arguments: synthetic | paper | sl=20 tp=50:50,100:50
+// trail=15 act=10 step=5 size=0.05 seed=7 impact=8 improv=0 age=0 limit=2000
+export function parseBacktestArgs(parts, base = DEFAULT_BACKTEST_RULES) {
+  const rules = { ...base, delta: { ...base.delta } };
+  const opts = { priceSource: "recorded", seed: 1, paper: false, limit: 2000 };
+  const trailing = {};
+  for (const part of parts || []) {
+    const lower = String(part).toLowerCase();
+    if (lower === "synthetic") {
+      opts.priceSource = "synthetic";
+      continue;
+    }
+    if (lower === "paper") {
+      opts.paper = true;
+      continue;
+    }
+    const [key, raw] = lower.split("=");
+    if (raw === undefined) throw new Error(`unknown option "${part}"`);
+    if (key === "tp") {
+      rules.takeProfit = raw === "off" ? [] : parseTakeProfitLadder(raw);
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) {
+      throw new Error(`invalid value for ${key}`);
+    }
+    if (key === "sl") rules.stopLossPct = n;
+    else if (key === "size") rules.sizeSol = n;
+    else if (key === "trail") trailing.trailPct = n;
+    else if (key === "act") trailing.activationPct = n;
+    else if (key === "step") trailing.stepPct = n;
+    else if (key === "impact") rules.delta.maxImpactPct = n;
+    else if (key === "improv") rules.delta.minImprovementPct = n;
+    else if (key === "age") rules.delta.minRouteAgeMs = n;
+    else if (key === "seed") opts.seed = Math.floor(n);
+    else if (key === "limit") opts.limit = Math.max(1, Math.floor(n));
+    else throw new Error(`unknown option "${key}"`);
+  }
+  if (trailing.trailPct > 0) {
+    rules.trailing = { activationPct: 0, stepPct: 5, ...trailing };
+  }
+  return { rules, ...opts };
+}
+
+export function formatBacktestReport(report) {
+  const lines = [
+    "🧪 Backtest",
+    `• Trades: ${report.trades} (${report.wins}W / ${report.losses}L)`,
+    `• Hit rate: ${(report.hitRate * 100).toFixed(1)}%`,
+    `• PnL: ${report.pnlSol >= 0 ? "+" : ""}${report.pnlSol.toFixed(
+      4
+    )} SOL (${report.returnPct.toFixed(1)}% of ${report.investedSol.toFixed(
+      3
+    )} SOL)`,
+    `• Max drawdown: ${report.maxDrawdownSol.toFixed(
+      4
+    )} SOL (${report.maxDrawdownPct.toFixed(1)}%)`,
+  ];
+  if (report.syntheticSeries) {
+    lines.push(`• Synthetic price series: ${report.syntheticSeries}`);
+  }
+  const skipped = Object.entries(report.skipped || {});
+  if (skipped.length) {
+    lines.push(
+      `• Skipped: ${skipped.map(([k, v]) => `${k}×${v}`).join(", ")}`
+    );
+  }
+  const reasons = {};
+  for (const r of report.results || []) {
+    const last = r.exits[r.exits.length - 1];
+    const key = r.closed ? last?.reason || "closed" : "open";
+    reasons[key] = (reasons[key] || 0) + 1;
+  }
+  const exitLine = Object.entries(reasons)
+    .map(([k, v]) => `${k}×${v}`)
+    .join(", ");
+  if (exitLine) lines.push(`• Exits: ${exitLine}`);
+  return lines.join("\n");
+}
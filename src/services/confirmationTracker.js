@@ -0,0 +1,149 @@
+// Signature confirmation via onSignature subscriptions raced across RPC
+// endpoints, with status polling as a fallback. Resolves to one outcome:
+// confirmed, failed (on-chain error decoded), expired (blockhash past its
+// lastValidBlockHeight without landing) or pending (timed out undecided).
+import { Connection } from "@solana/web3.js";
+import { getAllRpcEndpoints, getRpcConnection } from "./rpc.js";
+
+const WS_ENDPOINTS = Number(process.env.TX_CONFIRM_WS_ENDPOINTS || 2);
+const POLL_MS = Number(process.env.TX_CONFIRM_POLL_MS || 2000);
+
+// Custom error codes worth naming; anything else is shown as hex + decimal
+const CUSTOM_ERRORS = {
+  1: "insufficient funds",
+  6001: "slippage tolerance exceeded",
+};
+
+// One Connection per endpoint so subscriptions share a websocket
+const subscriptionConns = new Map();
+
+function getSubscriptionConnections(commitment) {
+  const urls = getAllRpcEndpoints().slice(0, Math.max(1, WS_ENDPOINTS));
+  return urls.map((url) => {
+    const key = `${url}|${commitment}`;
+    if (!subscriptionConns.has(key)) {
+      subscriptionConns.set(key, new Connection(url, { commitment }));
+    }
+    return subscriptionConns.get(key);
+  });
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function isLanded(status, commitment) {
+  const s = status?.confirmationStatus;
+  if (!s) return false;
+  if (commitment === "finalized") return s === "finalized";
+  if (commitment === "processed") return true;
+  return s === "confirmed" || s === "finalized";
+}
+
+// TransactionError JSON -> readable text, e.g.
+// { InstructionError: [2, { Custom: 6001 }] } -> "instruction 2: custom program error 0x1771 (slippage tolerance exceeded)"
+export function decodeTxError(err) {
+  if (err == null) return null;
+  if (typeof err === "string") return err;
+  try {
+    if (Array.isArray(err.InstructionError)) {
+      const [idx, inner] = err.InstructionError;
+      let what;
+      if (typeof inner === "string") what = inner;
+      else if (inner && inner.Custom != null) {
+        const code = Number(inner.Custom);
+        const name = CUSTOM_ERRORS[code];
+        what = `custom program error 0x${code.toString(16)}${name ? ` (${name})` : ""}`;
+      } else what = JSON.stringify(inner);
+      return `instruction ${idx}: ${what}`;
+    }
+    const [name, detail] = Object.entries(err)[0] || [];
+    if (name) return detail && typeof detail === "object" ? `${name} ${JSON.stringify(detail)}` : name;
+  } catch {}
+  return JSON.stringify(err);
+}
+
+// Resolves to { status, error?, slot?, via } where via is "ws" or "poll"
+export function trackSignature({
+  signature,
+  lastValidBlockHeight = null,
+  commitment = "confirmed",
+  timeoutMs = Number(process.env.TX_CONFIRM_TIMEOUT_MS || 15000),
+  pollMs = POLL_MS,
+  pollConnection,
+  subscribeConnections,
+}) {
+  const poller = pollConnection || getRpcConnection();
+  let subs = subscribeConnections;
+  if (!subs) {
+    try {
+      subs = getSubscriptionConnections(commitment);
+    } catch {
+      subs = [];
+    }
+  }
+
+  return new Promise((resolve) => {
+    let done = false;
+    const cleanups = [];
+    const finish = (outcome) => {
+      if (done) return;
+      done = true;
+      for (const fn of cleanups) {
+        try {
+          fn();
+        } catch {}
+      }
+      resolve(outcome);
+    };
+    const fromResult = (err, slot, via) =>
+      err
+        ? { status: "failed", error: decodeTxError(err), slot, via }
+        : { status: "confirmed", slot, via };
+
+    for (const c of subs) {
+      try {
+        const id = c.onSignature(
+          signature,
+          (res, ctx) => finish(fromResult(res?.err, ctx?.slot, "ws")),
+          commitment
+        );
+        cleanups.push(() => {
+          Promise.resolve(c.removeSignatureListener(id)).catch(() => {});
+        });
+      } catch {}
+    }
+
+    const checkStatus = async () => {
+      const res = await poller.getSignatureStatuses([signature], {
+        searchTransactionHistory: true,
+      });
+      const s = res?.value?.[0];
+      if (s?.err) return fromResult(s.err, s.slot, "poll");
+      if (isLanded(s, commitment)) return fromResult(null, s.slot, "poll");
+      return null;
+    };
+
+    (async () => {
+      const deadline = Date.now() + timeoutMs;
+      while (!done && Date.now() < deadline) {
+        try {
+          const outcome = await checkStatus();
+          if (outcome) return finish(outcome);
+          if (lastValidBlockHeight != null) {
+            const height = await poller.getBlockHeight(commitment);
+            if (height > Number(lastValidBlockHeight)) {
+              // It may have landed between the two reads
+              const last = await checkStatus();
+              return finish(
+                last || { status: "expired", error: "blockhash_expired", via: "poll" }
+              );
+            }
+          }
+        } catch {}
+        await sleep(pollMs);
+      }
+      finish({ status: "pending", error: "confirmation_timeout", via: "poll" });
+    })();
+  });
+}
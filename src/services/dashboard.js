@@ -4,7 +4,11 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { getRpcStatus } from "./rpc.js";
-import { getUnrealizedPnlSummary } from "./pnl.js";
+import { getUnrealizedPnlSummary, getLotPnlReport } from "./pnl.js";
+import { LOT_METHODS } from "./lotLedger.js";
+import { parseExportArgs, exportTradesCsv } from "./tradeExport.js";
+import { ensureUserStateLoaded } from "./userState.js";
+import { isPaperMode, PAPER_NAMESPACE } from "./trading/paperTrading.js";
 import http from "http";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -43,6 +47,44 @@ app.get("/trades", (req, res) => {
   res.json(lines);
 });
 
+// Chat state for a chatId from the query; Telegram chat ids are numeric
+function chatStateFor(chatId) {
+  const id = /^-?\d+$/.test(String(chatId)) ? Number(chatId) : String(chatId);
+  return ensureUserStateLoaded(id);
+}
+
+// Fills as CSV: /trades/export?chatId=..&from=YYYY-MM-DD&to=YYYY-MM-DD&year=YYYY&format=fills|koinly&method=fifo
+app.get("/trades/export", async (req, res) => {
+  const chatId = req.query.chatId || req.query.userId;
+  if (!chatId) return res.status(400).json({ error: "chatId (or userId) required" });
+  let opts;
+  try {
+    opts = parseExportArgs(
+      ["from", "to", "year", "format", "method"]
+        .filter((k) => req.query[k])
+        .map((k) => `${k}=${req.query[k]}`)
+    );
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "invalid query" });
+  }
+  try {
+    const state = await chatStateFor(chatId);
+    const { csv } = await exportTradesCsv(String(chatId), {
+      method: state.pnlLotMethod,
+      ...opts,
+      namespace: isPaperMode(state) ? PAPER_NAMESPACE : undefined,
+    });
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="turbosol-trades-${String(chatId).replace(/[^\w-]/g, "")}.csv"`
+    );
+    res.status(200).send(csv);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "failed to export trades" });
+  }
+});
+
 // Summary endpoint
 app.get("/summary", async (req, res) => {
   try {
@@ -51,6 +93,17 @@ app.get("/summary", async (req, res) => {
       res.status(400).json({ error: "chatId (or userId) required" });
       return;
     }
+    // Lot ledger report (realized/unrealized per token, per-trade closes);
+    // matched like /pnl unless the query picks a method
+    const state = await chatStateFor(chatId);
+    const method = LOT_METHODS.includes(String(req.query.method))
+      ? String(req.query.method)
+      : LOT_METHODS.includes(state.pnlLotMethod)
+      ? state.pnlLotMethod
+      : "fifo";
+    const ledger = await getLotPnlReport(String(chatId), { method }).catch(
+      () => null
+    );
     const summary = await getUnrealizedPnlSummary(String(chatId)).catch(
       () => null
     );
@@ -60,10 +113,11 @@ app.get("/summary", async (req, res) => {
         totalExposureSol: 0,
         unrealizedPnlSol: 0,
         positions: [],
+        ledger,
       });
       return;
     }
-    res.status(200).json({ chatId: String(chatId), ...summary });
+    res.status(200).json({ chatId: String(chatId), ...summary, ledger });
   } catch (e) {
     res.status(500).json({ error: e?.message || "failed to compute summary" });
   }
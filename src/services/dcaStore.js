@@ -0,0 +1,148 @@
+import fs from "fs";
+import path from "path";
+import { MongoClient } from "mongodb";
+
+let mongoClient;
+let plansCol;
+
+// Open plans are "active" or "paused"; terminal: completed|cancelled|failed
+const OPEN_STATUSES = ["active", "paused"];
+
+function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || "./data");
+}
+
+function ensureDir() {
+  const dir = path.join(getDataDir(), "dca");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function filePath() {
+  return path.join(ensureDir(), "dca_plans.json");
+}
+
+function readFileStore() {
+  try {
+    const fp = filePath();
+    if (!fs.existsSync(fp)) return [];
+    const txt = fs.readFileSync(fp, "utf8");
+    return JSON.parse(txt || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writeFileStore(items) {
+  try {
+    const fp = filePath();
+    fs.writeFileSync(fp, JSON.stringify(items, null, 2));
+  } catch {}
+}
+
+function matches(item, { id, statuses, owner }) {
+  return (
+    item.id === id &&
+    statuses.includes(item.status) &&
+    (!owner || item.chatId === owner)
+  );
+}
+
+export async function initDcaStore() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || "turbosol";
+  if (!uri) return false;
+  if (mongoClient && plansCol) return true;
+  try {
+    mongoClient = new MongoClient(uri, {
+      ignoreUndefined: true,
+      retryWrites: true,
+      minPoolSize: 1,
+      maxPoolSize: Number(process.env.MONGO_MAX_POOL || 10),
+      serverSelectionTimeoutMS: Number(process.env.MONGO_SELECT_TIMEOUT_MS || 5000),
+      connectTimeoutMS: Number(process.env.MONGO_CONNECT_TIMEOUT_MS || 10000),
+      socketTimeoutMS: Number(process.env.MONGO_SOCKET_TIMEOUT_MS || 20000),
+    });
+    await mongoClient.connect();
+    const db = mongoClient.db(dbName);
+    plansCol = db.collection("dca_plans");
+    try {
+      await plansCol.createIndex({ id: 1 }, { unique: true });
+      await plansCol.createIndex({ chatId: 1, status: 1 });
+      await plansCol.createIndex({ status: 1, nextRunAt: 1 });
+    } catch {}
+    return true;
+  } catch (e) {
+    // Swallow DB init errors; fallback to file store
+    mongoClient = null;
+    plansCol = null;
+    try {
+      console.warn(`Mongo DCA plans DB unavailable: ${e?.message || e}`);
+    } catch {}
+    return false;
+  }
+}
+
+export async function saveDcaPlan(plan) {
+  if (!plan?.id) return;
+  const { _id, ...rest } = plan;
+  const doc = { ...rest, chatId: String(plan.chatId) };
+  if (plansCol) {
+    await plansCol.updateOne({ id: doc.id }, { $set: doc }, { upsert: true });
+    return;
+  }
+  const items = readFileStore();
+  const idx = items.findIndex((i) => i.id === doc.id);
+  if (idx >= 0) items[idx] = { ...items[idx], ...doc };
+  else items.push(doc);
+  writeFileStore(items);
+}
+
+// Patch an open plan (progress, pause/resume). Pass chatId to restrict to the owner.
+// Returns true when a plan was updated.
+export async function updateDcaPlan(id, patch = {}, { chatId } = {}) {
+  const owner = chatId != null ? String(chatId) : null;
+  if (plansCol) {
+    const filter = { id, status: { $in: OPEN_STATUSES } };
+    if (owner) filter.chatId = owner;
+    const res = await plansCol.updateOne(filter, { $set: patch });
+    return res?.modifiedCount > 0;
+  }
+  const items = readFileStore();
+  const idx = items.findIndex((i) =>
+    matches(i, { id, statuses: OPEN_STATUSES, owner })
+  );
+  if (idx < 0) return false;
+  items[idx] = { ...items[idx], ...patch };
+  writeFileStore(items);
+  return true;
+}
+
+// Close an open plan with a terminal status (completed|cancelled|failed)
+export async function markDcaPlanStatus(id, status, extra = {}, { chatId } = {}) {
+  return updateDcaPlan(id, { ...extra, status, endedAt: Date.now() }, { chatId });
+}
+
+export async function loadActiveDcaPlans() {
+  if (plansCol) {
+    const cur = plansCol.find({ status: "active" });
+    return await cur.toArray();
+  }
+  const items = readFileStore();
+  return items.filter((i) => i.status === "active");
+}
+
+// Active and paused plans for one chat (UI listing)
+export async function loadOpenDcaPlansByChat(chatId) {
+  if (plansCol) {
+    const cur = plansCol.find({
+      chatId: String(chatId),
+      status: { $in: OPEN_STATUSES },
+    });
+    return await cur.toArray();
+  }
+  const items = readFileStore();
+  return items.filter(
+    (i) => OPEN_STATUSES.includes(i.status) && i.chatId === String(chatId)
+  );
+}
@@ -136,6 +136,19 @@ export function validateEnvAndInstallRedaction(options = {}) {
   if (WALLET_ENCRYPTION_KEY && !isHex64(WALLET_ENCRYPTION_KEY)) {
     errors.push("WALLET_ENCRYPTION_KEY must be 64 hex chars (32 bytes)");
   }
+  const WALLET_ENCRYPTION_KEY_NEXT = process.env.WALLET_ENCRYPTION_KEY_NEXT;
+  if (WALLET_ENCRYPTION_KEY_NEXT && !isHex64(WALLET_ENCRYPTION_KEY_NEXT)) {
+    errors.push("WALLET_ENCRYPTION_KEY_NEXT must be 64 hex chars (32 bytes)");
+  }
+  const WALLET_ENCRYPTION_KEY_PREVIOUS = process.env.WALLET_ENCRYPTION_KEY_PREVIOUS;
+  if (
+    WALLET_ENCRYPTION_KEY_PREVIOUS &&
+    !WALLET_ENCRYPTION_KEY_PREVIOUS.split(",").every((k) => isHex64(k))
+  ) {
+    errors.push(
+      "WALLET_ENCRYPTION_KEY_PREVIOUS must be comma-separated 64 hex char keys"
+    );
+  }
 
   const ENABLE_PRIVATE_RELAY = asBool(process.env.ENABLE_PRIVATE_RELAY);
   if (ENABLE_PRIVATE_RELAY) {
@@ -324,6 +337,13 @@ export function validateEnvAndInstallRedaction(options = {}) {
   const { install } = buildRedactor({
     TELEGRAM_BOT_TOKEN,
     WALLET_ENCRYPTION_KEY,
+    WALLET_ENCRYPTION_KEY_NEXT,
+    ...Object.fromEntries(
+      String(WALLET_ENCRYPTION_KEY_PREVIOUS || "")
+        .split(",")
+        .filter(Boolean)
+        .map((k, i) => [`WALLET_ENCRYPTION_KEY_PREVIOUS_${i}`, k.trim()])
+    ),
     PRIVATE_RELAY_API_KEY: process.env.PRIVATE_RELAY_API_KEY,
     MONGODB_URI,
   });
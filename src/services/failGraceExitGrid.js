@@ -2,8 +2,28 @@ import { Connection, PublicKey } from '@solana/web3.js';
 import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
+import {
+  getQuoteRaw,
+  getMintDecimals,
+  quickSell,
+  NATIVE_SOL
+} from './trading/jupiter.js';
+import { getPositions, listPositionChatIds } from './positionStore.js';
+import { getUserState, addTradeLog } from './userState.js';
+import { getAllUserWalletKeypairs } from './userWallets.js';
+import { getWatchersPaused } from './config.js';
+import { isPaperMode, PAPER_NAMESPACE } from './trading/paperTrading.js';
 
 const CONFIG_FILE = './data/exit_grid_config.json';
+const POLL_MS = Number(process.env.EXIT_GRID_POLL_MS || 2000);
+const SYNC_MS = Number(process.env.EXIT_GRID_SYNC_MS || 10000);
+const MAX_EXIT_ATTEMPTS = Number(process.env.EXIT_GRID_MAX_ATTEMPTS || 3);
+const QUOTE_SLIPPAGE_BPS = 150;
+const MAX_MISSED_QUOTES = 3;
+const CLOSED_GRACE_MS = 5 * 60 * 1000;
+
+// Positions are keyed `${chatId}:${wallet}:${mint}` and mirrored from positionStore
+// for chats that enabled the exit grid (state.exitGridEnabled).
 
 class FailGraceExitGrid extends EventEmitter {
   constructor(connection, wallet) {
@@ -16,6 +36,8 @@ class FailGraceExitGrid extends EventEmitter {
     this.exitRules = new Map();
     this.alertThresholds = new Map();
     this.exitHistory = [];
+    this.lastSyncAt = 0;
+    this.ticking = false;
     this.config = this.loadConfig();
   }
 
@@ -81,33 +103,102 @@ class FailGraceExitGrid extends EventEmitter {
 
   async loadPositions() {
     try {
-      // Load from storage or initialize empty
       this.positions.clear();
-      console.log('📊 Positions loaded');
+      this.syncPositions();
+      console.log(`📊 Positions loaded (${this.positions.size})`);
     } catch (error) {
       console.error('❌ Failed to load positions:', error.message);
     }
   }
 
+  // Mirror open positions from positionStore; keeps rule state for known positions
+  syncPositions() {
+    const seen = new Set();
+    for (const file of listPositionChatIds()) {
+      // Telegram chat ids are numeric; keep the same key type as the bot's state map
+      const chatId = /^-?\d+$/.test(file) ? Number(file) : file;
+      const state = getUserState(chatId);
+      if (!state.exitGridEnabled) continue;
+      // Paper-mode chats are managed against their simulated positions
+      const namespace = isPaperMode(state) ? PAPER_NAMESPACE : undefined;
+      for (const p of getPositions(chatId, { namespace })) {
+        const quantity = Number(p.tokens || 0);
+        const entryPrice = Number(p.avgPriceSolPerToken || 0);
+        if (!p.wallet || !p.mint || quantity <= 0 || entryPrice <= 0) continue;
+        const token = `${chatId}:${p.wallet}:${p.mint}`;
+        seen.add(token);
+        const existing = this.positions.get(token);
+        if (!existing) {
+          this.addPosition(token, {
+            chatId,
+            wallet: p.wallet,
+            mint: p.mint,
+            entryPrice,
+            quantity,
+            entryTime: p.openedAt || p.lastUpdated
+          });
+          continue;
+        }
+        if (existing.status === 'exiting') continue;
+        if (existing.status === 'closed') {
+          // Store lags until the sell confirms; give up on it after the grace period
+          if (Date.now() - existing.closedAt > CLOSED_GRACE_MS) this.positions.delete(token);
+          continue;
+        }
+        existing.quantity = quantity;
+        // Average entry moved (add-on buy): rebuild the ladder from the new basis
+        if (Math.abs(existing.entryPrice - entryPrice) > entryPrice * 1e-9) {
+          existing.entryPrice = entryPrice;
+          existing.initialQuantity = quantity;
+          existing.exitRules = this.generateExitRules({ entryPrice });
+          existing.status = 'active';
+          existing.failedExits = 0;
+        }
+      }
+    }
+    for (const [token, position] of this.positions) {
+      if (!seen.has(token) && position.status !== 'exiting') {
+        this.positions.delete(token);
+      }
+    }
+    this.lastSyncAt = Date.now();
+  }
+
   startMonitoring() {
     this.monitorInterval = setInterval(async () => {
-      if (!this.isRunning) return;
-      
+      if (!this.isRunning || this.ticking) return;
+      if (getWatchersPaused()) return;
+
+      this.ticking = true;
       try {
+        if (Date.now() - this.lastSyncAt >= SYNC_MS) this.syncPositions();
         await this.monitorPositions();
         await this.checkExitTriggers();
       } catch (error) {
         console.error('❌ Exit grid monitoring error:', error.message);
+      } finally {
+        this.ticking = false;
       }
-    }, 2000); // Check every 2 seconds
+    }, Math.max(500, POLL_MS));
   }
 
   addPosition(token, position) {
     const positionData = {
       token,
+      id: `${String(position.mint || token).slice(0, 8)}${String(position.wallet || '').slice(0, 4)}`,
+      chatId: position.chatId,
+      wallet: position.wallet,
+      mint: position.mint,
       entryPrice: position.entryPrice,
       quantity: position.quantity,
-      entryTime: Date.now(),
+      // Ladder exit percents are shares of this, not of what is left
+      initialQuantity: position.quantity,
+      entryTime: position.entryTime || Date.now(),
+      previousPrice: null,
+      priced: false,
+      missedQuotes: 0,
+      failedExits: 0,
+      retryAfter: 0,
       stopLoss: position.stopLoss || this.config.defaultStopLoss,
       takeProfit: position.takeProfit || this.config.defaultTakeProfit,
       maxPositionSize: position.maxPositionSize || this.config.maxPositionSize,
@@ -121,7 +212,7 @@ class FailGraceExitGrid extends EventEmitter {
     this.positions.set(token, positionData);
     this.emit('position_added', positionData);
     
-    console.log(`📈 Added position: ${token} @ $${position.entryPrice}`);
+    console.log(`📈 Added position: ${token} @ ${position.entryPrice} SOL`);
     return positionData;
   }
 
@@ -173,8 +264,14 @@ class FailGraceExitGrid extends EventEmitter {
 
       try {
         const currentPrice = await this.getCurrentPrice(token);
-        if (!currentPrice) continue;
+        if (!currentPrice) {
+          position.missedQuotes = (position.missedQuotes || 0) + 1;
+          continue;
+        }
 
+        position.missedQuotes = 0;
+        position.previousPrice = position.priced ? position.currentPrice : null;
+        position.priced = true;
         position.currentPrice = currentPrice;
         position.unrealizedPNL = (currentPrice - position.entryPrice) / position.entryPrice;
         
@@ -198,12 +295,12 @@ class FailGraceExitGrid extends EventEmitter {
       if (position.status !== 'active') continue;
 
       const triggers = this.evaluateExitTriggers(position);
-      
-      for (const trigger of triggers) {
-        if (trigger.shouldExit) {
-          await this.executeExit(token, trigger);
-        }
-      }
+
+      // One sell per position per tick; the largest exit wins
+      const trigger = triggers
+        .filter(t => t.shouldExit)
+        .sort((a, b) => b.exitPercent - a.exitPercent)[0];
+      if (trigger) await this.executeExit(token, trigger);
     }
   }
 
@@ -211,26 +308,58 @@ class FailGraceExitGrid extends EventEmitter {
     const triggers = [];
     const currentPrice = position.currentPrice;
     const pnl = position.unrealizedPNL;
+    const rules = position.exitRules || [];
+    const activeRule = type => rules.find(rule => rule.type === type && rule.active);
 
     // Price-based triggers
-    if (pnl <= position.stopLoss) {
+    const stopRule = activeRule('stop_loss');
+    if (stopRule && pnl <= position.stopLoss) {
       triggers.push({
         type: 'stop_loss',
         shouldExit: true,
         exitPercent: 1.0,
+        rule: stopRule,
         reason: `Stop loss triggered: ${(pnl * 100).toFixed(2)}%`
       });
     }
 
-    if (pnl >= position.takeProfit) {
+    const takeProfitRule = activeRule('take_profit');
+    if (takeProfitRule && pnl >= position.takeProfit) {
       triggers.push({
         type: 'take_profit',
         shouldExit: true,
-        exitPercent: 0.5,
+        exitPercent: takeProfitRule.exitPercent,
+        rule: takeProfitRule,
         reason: `Take profit triggered: ${(pnl * 100).toFixed(2)}%`
       });
     }
 
+    // Partial exit ladder (each level fires once)
+    for (const rule of rules) {
+      if (rule.type !== 'partial_exit' || !rule.active) continue;
+      if (currentPrice >= rule.triggerPrice) {
+        triggers.push({
+          type: 'partial_exit',
+          shouldExit: true,
+          exitPercent: rule.exitPercent,
+          rule,
+          reason: `Partial exit level hit: ${(pnl * 100).toFixed(2)}%`
+        });
+      }
+    }
+
+    // Trailing stop (trigger ratchets up in updateTrailingStop)
+    const trailingRule = activeRule('trailing_stop');
+    if (trailingRule && trailingRule.triggerPrice && currentPrice <= trailingRule.triggerPrice) {
+      triggers.push({
+        type: 'trailing_stop',
+        shouldExit: true,
+        exitPercent: 1.0,
+        rule: trailingRule,
+        reason: `Trailing stop hit: ${(trailingRule.trailPercent * 100).toFixed(0)}% off high`
+      });
+    }
+
     // Emergency exit
     if (pnl <= this.config.emergencyExitThreshold) {
       triggers.push({
@@ -253,7 +382,7 @@ class FailGraceExitGrid extends EventEmitter {
     }
 
     // Liquidity drain detection
-    if (this.detectLiquidityDrain(token)) {
+    if (this.detectLiquidityDrain(position.token)) {
       triggers.push({
         type: 'liquidity_drain',
         shouldExit: true,
@@ -265,40 +394,100 @@ class FailGraceExitGrid extends EventEmitter {
     return triggers;
   }
 
+  // Tokens for an exit level and the share of the current holding they are
+  // (quickSell sells a percent of the on-chain balance, not of the original)
+  exitShare(position, exitPercent) {
+    const held = Number(position.quantity) || 0;
+    const base = Math.max(held, Number(position.initialQuantity) || 0);
+    const exitAmount = exitPercent >= 1 ? held : Math.min(held, base * exitPercent);
+    return { exitAmount, share: held > 0 ? exitAmount / held : 1 };
+  }
+
   async executeExit(token, trigger) {
     const position = this.positions.get(token);
     if (!position || position.status !== 'active') return;
+    if (Date.now() < (position.retryAfter || 0)) return;
 
-    try {
-      const exitAmount = position.quantity * trigger.exitPercent;
-      const exitValue = exitAmount * position.currentPrice;
-
-      const exitOrder = {
-        token,
-        exitAmount,
-        exitPrice: position.currentPrice,
-        exitType: trigger.type,
-        reason: trigger.reason,
-        timestamp: Date.now(),
-        pnl: position.unrealizedPNL,
-        status: 'executing'
-      };
-
-      position.status = 'exiting';
-      this.emit('exit_triggered', exitOrder);
-
-      // Simulate execution
-      setTimeout(() => {
-        this.completeExit(token, exitOrder);
-      }, 1000);
+    const exitPercent = Math.min(1, Math.max(0.01, Number(trigger.exitPercent) || 1));
+    const { exitAmount, share } = this.exitShare(position, exitPercent);
+    const exitOrder = {
+      token,
+      positionId: position.id,
+      chatId: position.chatId,
+      wallet: position.wallet,
+      mint: position.mint,
+      exitAmount,
+      exitPercent,
+      exitPrice: position.currentPrice,
+      exitType: trigger.type,
+      reason: trigger.reason,
+      timestamp: Date.now(),
+      pnl: position.unrealizedPNL,
+      status: 'executing'
+    };
 
-      console.log(`🚨 Exit triggered for ${token}: ${trigger.reason}`);
+    position.status = 'exiting';
+    this.emit('exit_triggered', exitOrder);
+    console.log(`🚨 Exit triggered for ${token}: ${trigger.reason}`);
 
+    try {
+      const walletOverride = await this.resolveWallet(position);
+      const res = await quickSell({
+        tokenMint: position.mint,
+        percent: share * 100,
+        chatId: position.chatId,
+        walletOverride
+      });
+      exitOrder.txid = res?.txid || null;
+      exitOrder.solOut = Number(res?.output?.tokensOut ?? NaN);
+      exitOrder.via = res?.via || null;
+      addTradeLog(position.chatId, {
+        kind: 'sell',
+        mint: position.mint,
+        percent: Math.round(share * 10000) / 100,
+        sol: exitOrder.solOut,
+        route: res?.route?.labels,
+        priceImpactPct: res?.route?.priceImpactPct ?? null,
+        slippageBps: res?.slippageBps,
+        priorityFeeLamports: res?.priorityFeeLamports,
+        via: res?.via,
+        latencyMs: res?.latencyMs,
+        txid: exitOrder.txid,
+        source: 'exit_grid',
+        exitType: trigger.type
+      });
+      if (trigger.rule) trigger.rule.active = false;
+      await this.completeExit(token, exitOrder);
     } catch (error) {
-      console.error(`❌ Failed to execute exit for ${token}:`, error.message);
+      const message = String(error?.message || error);
+      position.failedExits = (position.failedExits || 0) + 1;
+      exitOrder.status = 'failed';
+      exitOrder.error = message;
+      exitOrder.attempts = position.failedExits;
+      if (message.includes('no_token_balance')) {
+        // Sold elsewhere; park it until positionStore catches up
+        position.status = 'closed';
+        position.closedAt = Date.now();
+        exitOrder.halted = true;
+      } else if (position.failedExits >= MAX_EXIT_ATTEMPTS) {
+        position.status = 'halted';
+        exitOrder.halted = true;
+      } else {
+        position.status = 'active';
+        position.retryAfter = Date.now() + 5000 * 2 ** (position.failedExits - 1);
+      }
+      this.emit('exit_failed', exitOrder);
+      console.error(`❌ Failed to execute exit for ${token}:`, message);
     }
   }
 
+  async resolveWallet(position) {
+    const wallets = await getAllUserWalletKeypairs(position.chatId);
+    const match = wallets.find(w => w.publicKey === position.wallet);
+    if (!match) throw new Error('wallet_not_found');
+    return match.keypair;
+  }
+
   async completeExit(token, exitOrder) {
     const position = this.positions.get(token);
     if (!position) return;
@@ -307,16 +496,18 @@ class FailGraceExitGrid extends EventEmitter {
       exitOrder.status = 'completed';
       exitOrder.completionTime = Date.now();
       
-      // Update position
+      // Update position (positionStore catches up on confirmation via quickSell)
       position.quantity -= exitOrder.exitAmount;
-      if (position.quantity <= 0) {
+      position.failedExits = 0;
+      if (position.quantity <= 0 || exitOrder.exitPercent >= 1) {
         position.status = 'closed';
-        this.positions.delete(token);
+        position.closedAt = Date.now();
       } else {
         position.status = 'active';
       }
 
       this.exitHistory.push(exitOrder);
+      if (this.exitHistory.length > 500) this.exitHistory = this.exitHistory.slice(-500);
       this.saveExitHistory();
 
       this.emit('exit_completed', exitOrder);
@@ -327,20 +518,36 @@ class FailGraceExitGrid extends EventEmitter {
     }
   }
 
+  // SOL per token from a Jupiter sell probe of ~1% of the position
   async getCurrentPrice(token) {
+    const position = this.positions.get(token);
+    if (!position) return null;
     try {
-      // Placeholder - implement actual price fetching
-      // This would integrate with your price oracle or DEX APIs
-      return Math.random() * 10; // Mock price
+      const dec = await getMintDecimals(position.mint, this.connection).catch(() => 6);
+      const probeTokens = Math.max(0.000001, position.quantity * 0.01);
+      const route = await getQuoteRaw({
+        inputMint: position.mint,
+        outputMint: NATIVE_SOL,
+        amountRaw: Math.floor(probeTokens * 10 ** dec),
+        slippageBps: QUOTE_SLIPPAGE_BPS
+      }).catch(() => null);
+      if (!route || route.__error__) return null;
+      const solOut = Number(route.outAmount || 0) / 1e9;
+      return solOut > 0 ? solOut / probeTokens : null;
     } catch (error) {
       console.error(`❌ Failed to get price for ${token}:`, error.message);
       return null;
     }
   }
 
+  // Routes disappearing or a one-tick price cliff both mean the pool was drained
   detectLiquidityDrain(token) {
-    // Placeholder - implement actual liquidity monitoring
-    return Math.random() < 0.1; // 10% chance for demo
+    const position = this.positions.get(token);
+    if (!position) return false;
+    if ((position.missedQuotes || 0) >= MAX_MISSED_QUOTES) return true;
+    const previous = Number(position.previousPrice || 0);
+    return previous > 0 &&
+      position.currentPrice <= previous * (1 - this.config.liquidityDrainThreshold);
   }
 
   updateTrailingStop(token, currentPrice) {
@@ -389,6 +596,48 @@ class FailGraceExitGrid extends EventEmitter {
     return Array.from(this.positions.values());
   }
 
+  getPositionsByChat(chatId) {
+    return this.getAllPositions().filter(p => String(p.chatId) === String(chatId));
+  }
+
+  findPosition(chatId, id) {
+    return this.getPositionsByChat(chatId).find(p => p.id === id) || null;
+  }
+
+  // Exit ladder for display: every rule with its trigger price, highest first
+  getExitLadder(token) {
+    const position = this.positions.get(token);
+    if (!position) return null;
+
+    const steps = position.exitRules.map(rule => ({
+      type: rule.type,
+      triggerPrice: rule.triggerPrice || null,
+      trailPercent: rule.trailPercent,
+      exitPercent: rule.action === 'full_exit' ? 1 : rule.exitPercent,
+      active: rule.active
+    }));
+    steps.push({
+      type: 'emergency',
+      triggerPrice: position.entryPrice * (1 + this.config.emergencyExitThreshold),
+      exitPercent: 1,
+      active: true
+    });
+    steps.sort((a, b) => (b.triggerPrice || 0) - (a.triggerPrice || 0));
+
+    return {
+      id: position.id,
+      mint: position.mint,
+      wallet: position.wallet,
+      status: position.status,
+      entryPrice: position.entryPrice,
+      currentPrice: position.currentPrice,
+      unrealizedPNL: position.unrealizedPNL,
+      quantity: position.quantity,
+      exitDeadline: position.entryTime + this.config.timeBasedExits.maxHoldTime,
+      steps
+    };
+  }
+
   getActivePositions() {
     return Array.from(this.positions.values()).filter(p => p.status === 'active');
   }
@@ -495,4 +744,16 @@ class FailGraceExitGrid extends EventEmitter {
   }
 }
 
+let exitGrid = null;
+
+export function getExitGrid() {
+  return exitGrid;
+}
+
+export async function startExitGrid(connection) {
+  if (!exitGrid) exitGrid = new FailGraceExitGrid(connection);
+  await exitGrid.start();
+  return exitGrid;
+}
+
 export default FailGraceExitGrid;
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { Connection } from "@solana/web3.js";
+import { Connection, PublicKey } from "@solana/web3.js";
 import axios from "axios";
 import { getRpcConnection } from "./rpc.js";
 // import { measureRpcLatency } from "./rpcMonitor.js"; // replaced with dynamic import to avoid hard dependency during module init
@@ -70,6 +70,11 @@ export function computePriorityFeeCap(latencyMs) {
   return cap;
 }
 
+// Upper bound for any priority fee the bot picks on its own (urgency levels included)
+export function getPriorityFeeCeiling() {
+  return Math.max(CAP_MAX, MIN_PRIORITY_FEE_LAMPORTS);
+}
+
 export async function getAdaptivePriorityFee(connection, sampleSize = 20) {
   try {
     // getRecentPrioritizationFees is available in >=1.17 nodes; wrap in try/catch for compatibility
@@ -127,20 +132,42 @@ const TIP_TARGET_LATENCY_MS = Math.max(
 const TIP_HEADROOM = Number(process.env.TIP_HEADROOM || 0.12); // add 12% headroom to percentile
 
 const _feedback = [];
+// Jito bundle outcomes by tip (lamports); kept apart from priority fees,
+// which are compute-unit prices
+const _tipFeedback = [];
 
-export function recordPriorityFeeFeedback({ fee, success, latencyMs, via }) {
+export function recordPriorityFeeFeedback({
+  fee,
+  success,
+  latencyMs,
+  via,
+  tipLamports,
+}) {
   try {
     _feedback.push({
       t: Date.now(),
-      fee: Number(fee) || 0,
+      fee: fee == null || !Number.isFinite(Number(fee)) ? undefined : Number(fee),
       success: Boolean(success),
       latencyMs: Number(latencyMs) || null,
       via: via || null,
+      tipLamports: Number(tipLamports) || 0,
     });
     if (_feedback.length > TIP_FEEDBACK_WINDOW) _feedback.shift();
   } catch {}
 }
 
+export function recordJitoTipFeedback({ tipLamports, success, latencyMs }) {
+  try {
+    _tipFeedback.push({
+      t: Date.now(),
+      tipLamports: Number(tipLamports) || 0,
+      success: Boolean(success),
+      latencyMs: Number(latencyMs) || null,
+    });
+    if (_tipFeedback.length > TIP_FEEDBACK_WINDOW) _tipFeedback.shift();
+  } catch {}
+}
+
 export function getTipModelState() {
   const n = _feedback.length;
   const lat = _feedback
@@ -151,7 +178,24 @@ export function getTipModelState() {
     : null;
   const successRate =
     n > 0 ? _feedback.filter((f) => f.success).length / n : null;
-  return { count: n, avgLatency, successRate, targetPct: TIP_TARGET_PCT };
+  // Jito outcomes (landed vs dropped) are reported once bundle tracking settles
+  const jito = _tipFeedback;
+  const tipped = jito.filter((f) => f.tipLamports > 0);
+  const jitoLandedRate = jito.length
+    ? jito.filter((f) => f.success).length / jito.length
+    : null;
+  const avgJitoTipLamports = tipped.length
+    ? Math.round(tipped.reduce((a, f) => a + f.tipLamports, 0) / tipped.length)
+    : null;
+  return {
+    count: n,
+    avgLatency,
+    successRate,
+    targetPct: TIP_TARGET_PCT,
+    jitoCount: jito.length,
+    jitoLandedRate,
+    avgJitoTipLamports,
+  };
 }
 
 function percentile(sortedArr, p) {
@@ -202,11 +246,35 @@ async function getRecentFeesPercentile(connection, targetPct, sampleSize) {
   return null;
 }
 
+// Recent prioritization fees pushed by the gas oracle (advancedGasTools). While
+// fresh they replace this module's own RPC sampling, so one poller feeds both.
+const ORACLE_SAMPLES_MAX_AGE_MS = Number(
+  process.env.GAS_ORACLE_MAX_AGE_MS || 5000
+);
+let _oracleSamples = { fees: [], at: 0 };
+
+export function recordNetworkFeeSamples(fees = [], at = Date.now()) {
+  const sorted = fees
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n > 0)
+    .sort((a, b) => a - b);
+  _oracleSamples = { fees: sorted, at };
+}
+
+function getOracleFeesPercentile(targetPct) {
+  if (Date.now() - _oracleSamples.at > ORACLE_SAMPLES_MAX_AGE_MS) return null;
+  return percentile(_oracleSamples.fees, targetPct);
+}
+
 export async function getLearnedPriorityFeeEstimate(
   connection,
   { targetPct = TIP_TARGET_PCT, sampleSize = 40 } = {}
 ) {
   try {
+    const fromOracle = getOracleFeesPercentile(targetPct);
+    if (Number.isFinite(fromOracle) && fromOracle > 0) {
+      return Math.max(MIN_PRIORITY_FEE_LAMPORTS, Math.floor(fromOracle * (1 + TIP_HEADROOM)));
+    }
     const fromJito = await getJitoPercentileEstimate(targetPct);
     if (Number.isFinite(fromJito) && fromJito > 0) {
       return Math.max(MIN_PRIORITY_FEE_LAMPORTS, Math.floor(fromJito * (1 + TIP_HEADROOM)));
@@ -220,6 +288,92 @@ export async function getLearnedPriorityFeeEstimate(
   return DEFAULT_PRIORITY_FEE_LAMPORTS;
 }
 
+// ---------------- Account-scoped estimates (per pool) ----------------
+// Competition for a snipe sits on the accounts it write-locks (AMM pool,
+// bonding curve), so fees sampled for those accounts beat global samples.
+// Samples accumulate per pool key (deduped by slot) and the percentile taken
+// depends on the trade's urgency.
+
+const URGENCY_PERCENTILES = {
+  normal: Number(process.env.ACCOUNT_FEE_PCT_NORMAL || 0.5),
+  fast: Number(process.env.ACCOUNT_FEE_PCT_FAST || 0.75),
+  turbo: Number(process.env.ACCOUNT_FEE_PCT_TURBO || 0.95),
+};
+const ACCOUNT_FEE_HISTORY_MS = Number(
+  process.env.ACCOUNT_FEE_HISTORY_MS || 10 * 60 * 1000
+);
+const ACCOUNT_FEE_MIN_MICROLAMPORTS = Number(
+  process.env.ACCOUNT_FEE_MIN_MICROLAMPORTS || 1000
+);
+const MAX_LOCKED_ACCOUNTS = 128; // RPC limit for lockedWritableAccounts
+const MAX_TRACKED_POOLS = 500;
+
+const _poolFeeHistories = new Map(); // poolKey -> Map(slot -> { fee, t })
+
+export function urgencyPercentile(urgency = "normal") {
+  return URGENCY_PERCENTILES[urgency] ?? URGENCY_PERCENTILES.normal;
+}
+
+export function recordPoolFeeSamples(poolKey, samples = [], now = Date.now()) {
+  if (!poolKey) return;
+  const hist = _poolFeeHistories.get(poolKey) || new Map();
+  for (const s of samples) {
+    const fee = Number(s?.prioritizationFee);
+    if (s?.slot == null || !Number.isFinite(fee) || fee < 0) continue;
+    hist.set(s.slot, { fee, t: now });
+  }
+  for (const [slot, v] of hist) {
+    if (now - v.t > ACCOUNT_FEE_HISTORY_MS) hist.delete(slot);
+  }
+  // Re-insert so the map's first key is the least recently sampled pool
+  _poolFeeHistories.delete(poolKey);
+  _poolFeeHistories.set(poolKey, hist);
+  if (_poolFeeHistories.size > MAX_TRACKED_POOLS) {
+    _poolFeeHistories.delete(_poolFeeHistories.keys().next().value);
+  }
+}
+
+// { microLamports, percentile, samples } from a pool's history, or null
+export function poolFeePercentile(poolKey, urgency = "normal", now = Date.now()) {
+  const hist = _poolFeeHistories.get(poolKey);
+  if (!hist) return null;
+  const fees = [...hist.values()]
+    .filter((v) => now - v.t <= ACCOUNT_FEE_HISTORY_MS)
+    .map((v) => v.fee)
+    .sort((a, b) => a - b);
+  if (!fees.length) return null;
+  const pct = urgencyPercentile(urgency);
+  return {
+    microLamports: Math.max(ACCOUNT_FEE_MIN_MICROLAMPORTS, percentile(fees, pct)),
+    percentile: pct,
+    samples: fees.length,
+  };
+}
+
+// Samples recent fees for the given writable accounts into the pool's history
+// and returns its percentile for the urgency (compute-unit price, micro-lamports)
+export async function getAccountScopedPriorityFee({
+  accounts = [],
+  poolKey,
+  urgency = "normal",
+  connection = getRpcConnection(),
+} = {}) {
+  const locked = [...new Set(accounts.map(String))].slice(0, MAX_LOCKED_ACCOUNTS);
+  if (!locked.length) return null;
+  const key = poolKey || locked.slice().sort().join(",");
+  try {
+    const samples = await promiseWithTimeout(
+      connection.getRecentPrioritizationFees({
+        lockedWritableAccounts: locked.map((a) => new PublicKey(a)),
+      }),
+      PRIORITY_FEE_TIMEOUT_MS,
+      "priority_fee_timeout"
+    );
+    recordPoolFeeSamples(key, samples || []);
+  } catch {}
+  return poolFeePercentile(key, urgency);
+}
+
 let _tipRefreshTimer = null;
 
 export function startPriorityFeeRefresher({ intervalMs } = {}) {
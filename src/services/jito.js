@@ -3,6 +3,12 @@ import grpc from "@grpc/grpc-js";
 import protoLoader from "@grpc/proto-loader";
 import path from "node:path";
 import bs58 from "bs58";
+import {
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
 import {
   getGrpcEndpoint,
   simulateTransactionRaced,
@@ -12,17 +18,48 @@ import {
 } from "./rpc.js";
 import { getConnection } from "./wallet.js";
 import { addTradeLog, getUserState } from "./userState.js";
-import { recordPriorityFeeFeedback } from "./fees.js";
+import { recordPriorityFeeFeedback, recordJitoTipFeedback } from "./fees.js";
+import { recordRouteUnits } from "./trading/computeUnits.js";
 
 let jitoClient = null;
 
+// Jito block engine accepts at most 5 transactions per bundle; the tip goes last
+export const MAX_BUNDLE_TXS = 5;
+
+// Mainnet Jito tip accounts (any one of them is accepted)
+export const JITO_TIP_ACCOUNTS = [
+  "96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5",
+  "HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe",
+  "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY",
+  "ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49",
+  "DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh",
+  "ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt",
+  "DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL",
+  "3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT",
+];
+
+// Submitted bundles: uuid -> { uuid, chatId, signatures, status, submittedAt, endedAt, promise }
+// status: pending | landed | failed | dropped
+const bundles = new Map();
+const MAX_TRACKED_BUNDLES = 200;
+
+// SubscribeBundleResults stream; signature polling covers engines without it
+let resultsStream = null;
+let resultsRetryAt = 0;
+const RESULTS_RETRY_MS = 5000;
+const RESULTS_UNSUPPORTED_RETRY_MS = 10 * 60_000;
+
+let searcherClient = null;
+
 function loadProto() {
+  const protoDir = path.resolve(
+    path.dirname(new URL(import.meta.url).pathname),
+    "../../protos"
+  );
   const packageDefinition = protoLoader.loadSync(
-    path.resolve(
-      path.dirname(new URL(import.meta.url).pathname),
-      "../../protos/bundle.proto"
-    ),
+    ["bundle.proto", "searcher.proto"],
     {
+      includeDirs: [protoDir],
       keepCase: true,
       longs: String,
       enums: String,
@@ -30,8 +67,7 @@ function loadProto() {
       oneofs: true,
     }
   );
-  const descriptor = grpc.loadPackageDefinition(packageDefinition);
-  return descriptor.jito;
+  return grpc.loadPackageDefinition(packageDefinition);
 }
 
 export function getJitoClient() {
@@ -39,13 +75,26 @@ export function getJitoClient() {
   const endpoint = getGrpcEndpoint();
   if (!endpoint) return null;
   const proto = loadProto();
-  jitoClient = new proto.bundle.BundleService(
+  jitoClient = new proto.jito.bundle.BundleService(
     endpoint,
     grpc.credentials.createInsecure()
   );
   return jitoClient;
 }
 
+// The block engine serves the bundle results stream on its searcher service
+export function getSearcherClient() {
+  if (searcherClient) return searcherClient;
+  const endpoint = getGrpcEndpoint();
+  if (!endpoint) return null;
+  const proto = loadProto();
+  searcherClient = new proto.searcher.SearcherService(
+    endpoint,
+    grpc.credentials.createInsecure()
+  );
+  return searcherClient;
+}
+
 export async function submitBundle(base64Transactions = [], opts = {}) {
   const client = getJitoClient();
   if (!client) throw new Error("gRPC endpoint not configured");
@@ -68,6 +117,309 @@ export function serializeToBase64(tx) {
   return Buffer.from(bytes).toString("base64");
 }
 
+// First signature as base58 for legacy and versioned transactions
+function signatureOf(tx) {
+  try {
+    const first = tx?.signatures?.[0];
+    const bytes = first?.signature ?? first;
+    if (bytes && bytes.length) return bs58.encode(bytes);
+  } catch {}
+  return null;
+}
+
+export function pickTipAccount() {
+  const i = Math.floor(Math.random() * JITO_TIP_ACCOUNTS.length);
+  return new PublicKey(JITO_TIP_ACCOUNTS[i]);
+}
+
+// Tip amount for a chat: per-chat setting, else JITO_TIP_LAMPORTS, else no tip
+export function getJitoTipLamports(chatId) {
+  const state = chatId != null ? getUserState(chatId) : {};
+  const own = Number(state.jitoTipLamports);
+  if (state.jitoTipLamports != null && Number.isFinite(own) && own >= 0) {
+    return Math.floor(own);
+  }
+  const env = Number(process.env.JITO_TIP_LAMPORTS || 0);
+  return Number.isFinite(env) && env > 0 ? Math.floor(env) : 0;
+}
+
+// Atomic bundles are only auctioned with a tip; a chat or env tip of 0 is
+// raised to JITO_MIN_BUNDLE_TIP_LAMPORTS
+export function bundleTipLamports(tipLamports) {
+  const min = Number(process.env.JITO_MIN_BUNDLE_TIP_LAMPORTS || 10000);
+  const tip = Math.floor(Number(tipLamports) || 0);
+  return Math.max(tip, Number.isFinite(min) && min > 0 ? Math.floor(min) : 0);
+}
+
+// Explicit tip instruction; can be appended to any transaction in the bundle
+export function createTipInstruction(fromPubkey, lamports, tipAccount = pickTipAccount()) {
+  return SystemProgram.transfer({
+    fromPubkey,
+    toPubkey: tipAccount,
+    lamports: Math.floor(Number(lamports)),
+  });
+}
+
+// Signed tip transfer to a Jito tip account, sharing the bundle's blockhash
+export function buildTipTransaction({ payer, lamports, recentBlockhash }) {
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash,
+    instructions: [createTipInstruction(payer.publicKey, lamports)],
+  }).compileToV0Message();
+  const tx = new VersionedTransaction(message);
+  tx.sign([payer]);
+  return tx;
+}
+
+// Bundles are atomic: every transaction confirms or none do
+export function classifyBundleStatuses(statuses = []) {
+  if (statuses.some((s) => s?.err)) return "failed";
+  if (statuses.length && statuses.every((s) => s?.confirmationStatus)) {
+    return "landed";
+  }
+  return "pending";
+}
+
+// Map a SubscribeBundleResults message to a final outcome, or null while in flight
+export function bundleResultOutcome(msg) {
+  switch (msg?.result) {
+    case "processed":
+      return { status: "landed", slot: Number(msg.processed?.slot) || null };
+    case "finalized":
+      return { status: "landed", slot: null };
+    case "rejected": {
+      // reason names the set oneof field, which may carry a message
+      const why = msg.rejected?.reason;
+      const detail = why ? msg.rejected[why]?.msg : null;
+      return {
+        status: "dropped",
+        reason: `rejected: ${why || "unknown"}${detail ? ` (${detail})` : ""}`,
+      };
+    }
+    case "dropped":
+      return { status: "dropped", reason: `dropped: ${msg.dropped?.reason || "unknown"}` };
+    default:
+      return null;
+  }
+}
+
+function applyBundleResult(msg) {
+  const entry = bundles.get(msg?.bundle_id);
+  if (!entry || entry.status !== "pending") return;
+  if (msg.result === "accepted") {
+    entry.acceptedSlot = Number(msg.accepted?.slot) || null;
+    return;
+  }
+  const outcome = bundleResultOutcome(msg);
+  if (outcome && !entry.streamOutcome) entry.streamOutcome = outcome;
+}
+
+// Lazily open the results stream; reconnects on the next tracked bundle after a short
+// backoff, or much later when the block engine does not implement it
+function ensureBundleResultsStream() {
+  if (resultsStream || Date.now() < resultsRetryAt) return;
+  let stream;
+  try {
+    const client = getSearcherClient();
+    if (!client?.SubscribeBundleResults) return;
+    stream = client.SubscribeBundleResults({});
+  } catch {
+    resultsRetryAt = Date.now() + RESULTS_RETRY_MS;
+    return;
+  }
+  resultsStream = stream;
+  const reset = (err) => {
+    if (resultsStream !== stream) return;
+    resultsStream = null;
+    const unsupported = err?.code === grpc.status.UNIMPLEMENTED;
+    resultsRetryAt =
+      Date.now() + (unsupported ? RESULTS_UNSUPPORTED_RETRY_MS : RESULTS_RETRY_MS);
+  };
+  stream.on("data", (msg) => {
+    try {
+      applyBundleResult(msg);
+    } catch {}
+  });
+  stream.on("error", reset);
+  stream.on("end", reset);
+}
+
+function pruneBundles() {
+  if (bundles.size <= MAX_TRACKED_BUNDLES) return;
+  for (const [uuid, b] of bundles) {
+    if (b.status === "pending") continue;
+    bundles.delete(uuid);
+    if (bundles.size <= MAX_TRACKED_BUNDLES) break;
+  }
+}
+
+// Follow a bundle until it lands, fails or is dropped: results stream when the block
+// engine offers it, signature polling otherwise (no landing before timeout = dropped).
+// The outcome is fed back into the priority fee model (when the fee is known)
+// and, by tip, into the Jito tip model.
+export function trackBundle({
+  uuid,
+  signatures = [],
+  chatId,
+  fee = null,
+  tipLamports = 0,
+  via = "jito_bundle",
+  timeoutMs = Number(process.env.JITO_BUNDLE_STATUS_TIMEOUT_MS || 30000),
+  pollMs = Number(process.env.JITO_BUNDLE_STATUS_POLL_MS || 1000),
+}) {
+  if (!uuid) return Promise.resolve(null);
+  if (bundles.has(uuid)) return bundles.get(uuid).promise;
+  const entry = {
+    uuid,
+    chatId,
+    signatures,
+    tipLamports: Number(tipLamports) || 0,
+    status: "pending",
+    submittedAt: Date.now(),
+    endedAt: null,
+  };
+  bundles.set(uuid, entry);
+  pruneBundles();
+  ensureBundleResultsStream();
+  const finish = (status, extra = {}) => {
+    Object.assign(entry, extra, { status, endedAt: Date.now() });
+    try {
+      recordPriorityFeeFeedback({
+        fee: fee ?? undefined,
+        success: status === "landed",
+        latencyMs: entry.endedAt - entry.submittedAt,
+        via,
+      });
+      recordJitoTipFeedback({
+        tipLamports: entry.tipLamports,
+        success: status === "landed",
+        latencyMs: entry.endedAt - entry.submittedAt,
+      });
+    } catch {}
+    try {
+      addTradeLog(chatId, {
+        kind: "telemetry",
+        stage: "jito_bundle_status",
+        uuid,
+        status,
+        txCount: signatures.length,
+        signatures,
+        tipLamports: entry.tipLamports,
+        latencyMs: entry.endedAt - entry.submittedAt,
+        ...extra,
+      });
+    } catch {}
+    const { promise, ...snapshot } = entry;
+    return snapshot;
+  };
+  entry.promise = (async () => {
+    const sigs = signatures.filter(Boolean);
+    if (!sigs.length) return finish("dropped", { reason: "no_signatures" });
+    const conn = getConnection();
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const streamed = entry.streamOutcome;
+      if (streamed?.status === "dropped") {
+        return finish("dropped", { reason: streamed.reason, source: "stream" });
+      }
+      try {
+        const res = await conn.getSignatureStatuses(sigs, {
+          searchTransactionHistory: true,
+        });
+        const status = classifyBundleStatuses(res?.value || []);
+        if (status === "landed") {
+          const slot = res.value.find((s) => s?.slot)?.slot ?? null;
+          return finish("landed", { slot });
+        }
+        if (status === "failed") {
+          const err = res.value.find((s) => s?.err)?.err;
+          return finish("failed", { err: JSON.stringify(err) });
+        }
+      } catch {}
+      // Stream saw it in a block but the RPC hasn't caught up yet
+      if (streamed?.status === "landed") {
+        return finish("landed", { slot: streamed.slot, source: "stream" });
+      }
+      await new Promise((r) => setTimeout(r, pollMs));
+    }
+    return finish("dropped", { reason: "status_timeout" });
+  })();
+  return entry.promise;
+}
+
+export function getBundleStatus(uuid) {
+  const entry = bundles.get(uuid);
+  if (!entry) return null;
+  const { promise, ...snapshot } = entry;
+  return snapshot;
+}
+
+// Resolves with the final bundle record (landed | failed | dropped)
+export async function waitForBundle(uuid) {
+  const entry = bundles.get(uuid);
+  return entry ? entry.promise : null;
+}
+
+// Submit several signed transactions as one atomic bundle, optionally appending a
+// tip transfer paid by tipPayer. Returns immediately; use waitForBundle(uuid) for the outcome.
+export async function sendBundle({
+  signedTxs = [],
+  chatId,
+  tipPayer,
+  tipLamports = getJitoTipLamports(chatId),
+  fee = null,
+  via = "jito_bundle",
+}) {
+  if (!signedTxs.length) throw new Error("empty_bundle");
+  const txs = [...signedTxs];
+  if (tipPayer && Number(tipLamports) > 0) {
+    txs.push(
+      buildTipTransaction({
+        payer: tipPayer,
+        lamports: tipLamports,
+        recentBlockhash: txs[0].message.recentBlockhash,
+      })
+    );
+  }
+  if (txs.length > MAX_BUNDLE_TXS) {
+    throw new Error(
+      `bundle_too_large: ${txs.length} transactions (max ${MAX_BUNDLE_TXS})`
+    );
+  }
+  const signatures = txs.map(signatureOf);
+  const t0 = Date.now();
+  const res = await submitBundleWithTarget(txs.map(serializeToBase64));
+  try {
+    addTradeLog(chatId, {
+      kind: "telemetry",
+      stage: "jito_bundle_submit",
+      ok: true,
+      uuid: res?.uuid || null,
+      txCount: txs.length,
+      tipLamports: Number(tipLamports) || 0,
+      latencyMs: Date.now() - t0,
+    });
+  } catch {}
+  const tipped = tipPayer && Number(tipLamports) > 0 ? Number(tipLamports) : 0;
+  trackBundle({
+    uuid: res.uuid,
+    signatures,
+    chatId,
+    fee,
+    tipLamports: tipped,
+    via,
+  }).catch(() => {});
+  return {
+    uuid: res.uuid,
+    signatures,
+    txid: signatures[0],
+    via: "jito_bundle",
+    latencyMs: Date.now() - t0,
+    targetSlot: res?.targetSlot ?? null,
+  };
+}
+
 async function waitUntilApproxTargetSlot(targetSlot, maxWaitMs = 1000) {
   if (!targetSlot) return { waitedMs: 0, currentSlot: null };
   const conn = getConnection();
@@ -141,23 +493,24 @@ export async function jitoHealthCheck() {
 }
 
 // Centralized: simulate -> bundle -> send (fallback), with telemetry
+// extraTxs are bundled after signedTx (e.g. buys from other wallets); with Jito a tip
+// transfer from tipPayer is appended. The RPC fallback sends every transaction but no tip.
 export async function simulateBundleAndSend({
   signedTx,
+  extraTxs = [],
   chatId,
   useJitoBundle = false,
   priorityFeeMicroLamports,
   simulatePreSend = true,
+  tipPayer,
+  tipLamports = getJitoTipLamports(chatId),
+  cuRouteKey, // route plan key (routeUnitsKey); simulated units feed per-route CU learning
 }) {
-  // Safely derive a base58 signature string if available (telemetry only)
-  let sig = null;
-  try {
-    const sigBytes = signedTx?.signatures?.[0]?.signature;
-    if (sigBytes) {
-      sig = bs58.encode(sigBytes);
-    }
-  } catch {}
+  const sig = signatureOf(signedTx);
   const t0 = Date.now();
   const base64 = serializeToBase64(signedTx);
+  const bundleTxs = [signedTx, ...extraTxs];
+  let bundleUuid = null;
 
   // 1) Optional pre-send simulation (skip for fast snipes)
   if (simulatePreSend) {
@@ -175,6 +528,9 @@ export async function simulateBundleAndSend({
           err: null,
         });
       } catch {}
+      if (cuRouteKey && !sim?.value?.err) {
+        recordRouteUnits(cuRouteKey, sim?.value?.unitsConsumed);
+      }
     } catch (e) {
       try {
         addTradeLog(chatId, {
@@ -194,10 +550,30 @@ export async function simulateBundleAndSend({
   if (useJitoBundle) {
     const tJ = Date.now();
     try {
-      const res = await submitBundleWithTarget([base64]).catch(async () => {
-        // fallback to simple submit if target flow not available/supported
-        return await submitSingleAsBundle(base64);
-      });
+      let res;
+      if (bundleTxs.length > 1 || (tipPayer && Number(tipLamports) > 0)) {
+        res = await sendBundle({
+          signedTxs: bundleTxs,
+          chatId,
+          tipPayer,
+          tipLamports,
+          fee: priorityFeeMicroLamports ?? null,
+          via: "jupiter+jito",
+        });
+      } else {
+        res = await submitBundleWithTarget([base64]).catch(async () => {
+          // fallback to simple submit if target flow not available/supported
+          return await submitSingleAsBundle(base64);
+        });
+        trackBundle({
+          uuid: res?.uuid,
+          signatures: [sig],
+          chatId,
+          fee: priorityFeeMicroLamports ?? null,
+          via: "jupiter+jito",
+        }).catch(() => {});
+      }
+      bundleUuid = res?.uuid || null;
       try {
         addTradeLog(chatId, {
           kind: "telemetry",
@@ -207,14 +583,7 @@ export async function simulateBundleAndSend({
           latencyMs: res?.latencyMs ?? Date.now() - tJ,
         });
       } catch {}
-      try {
-        recordPriorityFeeFeedback({
-          fee: priorityFeeMicroLamports ?? null,
-          success: true,
-          latencyMs: Date.now() - tJ,
-          via: "jupiter+jito",
-        });
-      } catch {}
+      // Fee feedback for accepted bundles is recorded by trackBundle once it lands or drops
     } catch (e) {
       jitoErr = e;
       try {
@@ -250,6 +619,18 @@ export async function simulateBundleAndSend({
         microBatch,
         usePrivateRelay,
       });
+      // Without a bundle the extra transactions land (or fail) independently
+      const extraSigs = [];
+      for (const tx of extraTxs) {
+        extraSigs.push(
+          await sendTransactionRaced(tx, {
+            skipPreflight: true,
+            maxRetries: 0,
+            microBatch,
+            usePrivateRelay,
+          }).catch(() => null)
+        );
+      }
       via = jitoErr ? "jupiter+jito_fallback_rpc" : "jupiter+rpc";
       try {
         addTradeLog(chatId, {
@@ -270,7 +651,7 @@ export async function simulateBundleAndSend({
           via,
         });
       } catch {}
-      return { txid: sigRpc, via };
+      return { txid: sigRpc, txids: [sigRpc, ...extraSigs], via };
     } catch (e) {
       try {
         addTradeLog(chatId, {
@@ -295,5 +676,10 @@ export async function simulateBundleAndSend({
     }
   }
 
-  return { txid: sig, via };
+  return {
+    txid: sig,
+    txids: bundleTxs.map(signatureOf),
+    via,
+    bundleUuid,
+  };
 }
@@ -0,0 +1,157 @@
+import fs from "fs";
+import path from "path";
+import { MongoClient } from "mongodb";
+
+let mongoClient;
+let ordersCol;
+
+function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || "./data");
+}
+
+function ensureDir() {
+  const dir = path.join(getDataDir(), "limit_orders");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function filePath() {
+  return path.join(ensureDir(), "limit_orders.json");
+}
+
+function readFileStore() {
+  try {
+    const fp = filePath();
+    if (!fs.existsSync(fp)) return [];
+    const txt = fs.readFileSync(fp, "utf8");
+    return JSON.parse(txt || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writeFileStore(items) {
+  try {
+    const fp = filePath();
+    fs.writeFileSync(fp, JSON.stringify(items, null, 2));
+  } catch {}
+}
+
+export async function initLimitOrderStore() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || "turbosol";
+  if (!uri) return false;
+  if (mongoClient && ordersCol) return true;
+  try {
+    mongoClient = new MongoClient(uri, {
+      ignoreUndefined: true,
+      retryWrites: true,
+      minPoolSize: 1,
+      maxPoolSize: Number(process.env.MONGO_MAX_POOL || 10),
+      serverSelectionTimeoutMS: Number(process.env.MONGO_SELECT_TIMEOUT_MS || 5000),
+      connectTimeoutMS: Number(process.env.MONGO_CONNECT_TIMEOUT_MS || 10000),
+      socketTimeoutMS: Number(process.env.MONGO_SOCKET_TIMEOUT_MS || 20000),
+    });
+    await mongoClient.connect();
+    const db = mongoClient.db(dbName);
+    ordersCol = db.collection("limit_orders");
+    try {
+      await ordersCol.createIndex({ id: 1 }, { unique: true });
+      await ordersCol.createIndex({ chatId: 1, status: 1 });
+      await ordersCol.createIndex({ status: 1, createdAt: -1 });
+    } catch {}
+    return true;
+  } catch (e) {
+    // Swallow DB init errors; fallback to file store
+    mongoClient = null;
+    ordersCol = null;
+    try {
+      console.warn(`Mongo limit orders DB unavailable: ${e?.message || e}`);
+    } catch {}
+    return false;
+  }
+}
+
+export async function saveLimitOrder(order) {
+  if (!order?.id) return;
+  const doc = { ...order, chatId: String(order.chatId) };
+  if (ordersCol) {
+    await ordersCol.updateOne(
+      { id: doc.id },
+      { $set: doc },
+      { upsert: true }
+    );
+    return;
+  }
+  const items = readFileStore();
+  const idx = items.findIndex((i) => i.id === doc.id);
+  if (idx >= 0) items[idx] = { ...items[idx], ...doc };
+  else items.push(doc);
+  writeFileStore(items);
+}
+
+// Close an active order with a terminal status (executed|cancelled|expired|failed).
+// Pass chatId to restrict the update to orders owned by that chat.
+export async function markLimitOrderStatus(
+  id,
+  status,
+  extra = {},
+  { chatId } = {}
+) {
+  const endedAt = Date.now();
+  const patch = { ...extra, status, endedAt };
+  const owner = chatId != null ? String(chatId) : null;
+  if (ordersCol) {
+    const filter = { id, status: "active" };
+    if (owner) filter.chatId = owner;
+    const res = await ordersCol.updateOne(filter, { $set: patch });
+    return res?.modifiedCount > 0;
+  }
+  const items = readFileStore();
+  const idx = items.findIndex(
+    (i) =>
+      i.id === id && i.status === "active" && (!owner || i.chatId === owner)
+  );
+  if (idx < 0) return false;
+  items[idx] = { ...items[idx], ...patch };
+  writeFileStore(items);
+  return true;
+}
+
+// Non-terminal bookkeeping (last seen price, attempt counters)
+export async function touchLimitOrder(id, patch = {}) {
+  if (ordersCol) {
+    await ordersCol.updateOne({ id, status: "active" }, { $set: patch });
+    return;
+  }
+  const items = readFileStore();
+  const idx = items.findIndex((i) => i.id === id && i.status === "active");
+  if (idx < 0) return;
+  items[idx] = { ...items[idx], ...patch };
+  writeFileStore(items);
+}
+
+export async function loadLimitOrder(id) {
+  if (ordersCol) return await ordersCol.findOne({ id });
+  return readFileStore().find((i) => i.id === id) || null;
+}
+
+export async function loadActiveLimitOrders() {
+  if (ordersCol) {
+    const cur = ordersCol.find({ status: "active" });
+    return await cur.toArray();
+  }
+  const items = readFileStore();
+  return items.filter((i) => i.status === "active");
+}
+
+export async function loadActiveLimitOrdersByChat(chatId) {
+  if (ordersCol) {
+    const cur = ordersCol.find({ chatId: String(chatId), status: "active" });
+    return await cur.toArray();
+  }
+  const items = readFileStore();
+  return items.filter(
+    (i) => i.status === "active" && i.chatId === String(chatId)
+  );
+}
@@ -0,0 +1,223 @@
+// Lot-level trade ledger. Confirmed fills are appended as buy/sell events
+// (JSONL per chat); buildLotLedger replays them into open lots and closed
+// matches using FIFO, LIFO or average cost, so the accounting method can be
+// switched without rewriting history.
+import fs from "fs";
+import path from "path";
+
+export const LOT_METHODS = ["fifo", "lifo", "avg"];
+const EPS = 1e-12;
+
+function getDataDir() {
+  return path.resolve(process.env.LOTS_DIR || "./data/lots");
+}
+
+// Optional namespace (e.g. "paper") keeps simulated fills in their own subdirectory
+function getFilePath(chatId, namespace) {
+  const dir = namespace ? path.join(getDataDir(), namespace) : getDataDir();
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, `${chatId}.jsonl`);
+}
+
+export function readLotEvents(chatId, { namespace } = {}) {
+  try {
+    const fp = getFilePath(String(chatId), namespace);
+    if (!fs.existsSync(fp)) return [];
+    return fs
+      .readFileSync(fp, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((l) => {
+        try {
+          return JSON.parse(l);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+// event: { kind: "buy"|"sell", wallet, mint, tokens, sol, feesLamports, txid }
+// A txid already recorded for the same wallet and side is ignored.
+export function recordLotEvent(chatId, event, { namespace } = {}) {
+  try {
+    if (!chatId || !event?.wallet || !event?.mint) return null;
+    if (event.kind !== "buy" && event.kind !== "sell") return null;
+    const tokens = Number(event.tokens || 0);
+    if (!(tokens > 0)) return null;
+    if (event.txid) {
+      const dup = readLotEvents(chatId, { namespace }).some(
+        (e) => e.txid === event.txid && e.kind === event.kind && e.wallet === event.wallet
+      );
+      if (dup) return null;
+    }
+    const entry = {
+      kind: event.kind,
+      wallet: event.wallet,
+      mint: event.mint,
+      tokens,
+      sol: Number(event.sol || 0),
+      feesLamports: Number(event.feesLamports || 0),
+      txid: event.txid || null,
+      ts: Number(event.ts || Date.now()),
+    };
+    fs.appendFileSync(getFilePath(String(chatId), namespace), JSON.stringify(entry) + "\n");
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+// Split a sell of `tokens` across open lots (each { remaining, ... })
+export function allocateSell(lots, tokens, method = "fifo") {
+  const open = lots.filter((l) => l.remaining > EPS);
+  const available = open.reduce((a, l) => a + l.remaining, 0);
+  const toClose = Math.min(tokens, available);
+  if (!(toClose > EPS)) return [];
+  if (method === "avg") {
+    return open.map((lot) => ({ lot, tokens: (toClose * lot.remaining) / available }));
+  }
+  const ordered = method === "lifo" ? [...open].reverse() : open;
+  const out = [];
+  let left = toClose;
+  for (const lot of ordered) {
+    if (left <= EPS) break;
+    const take = Math.min(lot.remaining, left);
+    out.push({ lot, tokens: take });
+    left -= take;
+  }
+  return out;
+}
+
+// Replay order; closes come out in the order of the sells in this list
+export function sortLotEvents(events = []) {
+  return [...events].sort((a, b) => (a.ts || 0) - (b.ts || 0));
+}
+
+// Replay events (oldest first) into { lots, openLots, closes } per wallet:mint.
+// Buy fees are part of a lot's cost; sell fees come off the proceeds.
+export function buildLotLedger(events = [], { method = "fifo" } = {}) {
+  if (!LOT_METHODS.includes(method)) method = "fifo";
+  const sorted = sortLotEvents(events);
+  const lotsByKey = new Map();
+  const closes = [];
+  for (const [i, e] of sorted.entries()) {
+    const key = `${e.wallet}:${e.mint}`;
+    if (!lotsByKey.has(key)) lotsByKey.set(key, []);
+    const lots = lotsByKey.get(key);
+    const feeSol = Number(e.feesLamports || 0) / 1e9;
+    if (e.kind === "buy") {
+      lots.push({
+        id: e.txid || `lot-${i}`,
+        wallet: e.wallet,
+        mint: e.mint,
+        openedAt: e.ts,
+        tokens: e.tokens,
+        remaining: e.tokens,
+        costSol: Number(e.sol || 0) + feeSol,
+        feeSol,
+      });
+      continue;
+    }
+    if (e.kind !== "sell") continue;
+    const matches = allocateSell(lots, e.tokens, method).map(({ lot, tokens }) => {
+      lot.remaining -= tokens;
+      return {
+        lotId: lot.id,
+        tokens,
+        costSol: (lot.costSol * tokens) / lot.tokens,
+        holdMs: Math.max(0, (e.ts || 0) - (lot.openedAt || 0)),
+      };
+    });
+    const matchedTokens = matches.reduce((a, m) => a + m.tokens, 0);
+    // Only the matched share is realized; sells of untracked tokens have no basis
+    const share = e.tokens > 0 ? matchedTokens / e.tokens : 0;
+    const proceedsSol = Number(e.sol || 0) * share;
+    const sellFeeSol = feeSol * share;
+    const costSol = matches.reduce((a, m) => a + m.costSol, 0);
+    closes.push({
+      wallet: e.wallet,
+      mint: e.mint,
+      ts: e.ts,
+      txid: e.txid || null,
+      tokens: e.tokens,
+      matchedTokens,
+      unmatchedTokens: Math.max(0, e.tokens - matchedTokens),
+      proceedsSol,
+      feeSol: sellFeeSol,
+      costSol,
+      realizedPnlSol: proceedsSol - sellFeeSol - costSol,
+      holdMs: matchedTokens > 0
+        ? matches.reduce((a, m) => a + m.holdMs * m.tokens, 0) / matchedTokens
+        : null,
+      matches,
+    });
+  }
+  const lots = [...lotsByKey.values()].flat();
+  const openLots = lots
+    .filter((l) => l.remaining > EPS)
+    .map((l) => ({ ...l, openCostSol: (l.costSol * l.remaining) / l.tokens }));
+  return { method, lots, openLots, closes };
+}
+
+// Per-token rollup of a ledger (all wallets of the chat)
+export function summarizeLotsByToken(ledger) {
+  const byMint = new Map();
+  const row = (mint) => {
+    if (!byMint.has(mint)) {
+      byMint.set(mint, {
+        mint,
+        openTokens: 0,
+        openCostSol: 0,
+        soldTokens: 0,
+        proceedsSol: 0,
+        closedCostSol: 0,
+        realizedPnlSol: 0,
+        feesSol: 0,
+        trades: 0,
+        wins: 0,
+        avgHoldMs: null,
+        _holdWeighted: 0,
+        _holdTokens: 0,
+      });
+    }
+    return byMint.get(mint);
+  };
+  for (const l of ledger.openLots) {
+    const r = row(l.mint);
+    r.openTokens += l.remaining;
+    r.openCostSol += l.openCostSol;
+  }
+  for (const c of ledger.closes) {
+    const r = row(c.mint);
+    r.soldTokens += c.matchedTokens;
+    r.proceedsSol += c.proceedsSol;
+    r.closedCostSol += c.costSol;
+    r.realizedPnlSol += c.realizedPnlSol;
+    r.feesSol += c.feeSol;
+    if (c.matchedTokens > 0) {
+      r.trades += 1;
+      if (c.realizedPnlSol > 0) r.wins += 1;
+      r._holdWeighted += (c.holdMs || 0) * c.matchedTokens;
+      r._holdTokens += c.matchedTokens;
+    }
+  }
+  // Buy fees of every lot, sold or still open
+  for (const l of ledger.lots) row(l.mint).feesSol += l.feeSol;
+  return [...byMint.values()].map(({ _holdWeighted, _holdTokens, ...r }) => ({
+    ...r,
+    avgHoldMs: _holdTokens > 0 ? _holdWeighted / _holdTokens : null,
+  }));
+}
+
+export function formatHoldTime(ms) {
+  if (ms == null || !Number.isFinite(ms)) return "–";
+  const min = Math.round(ms / 60000);
+  if (min < 60) return `${min}m`;
+  const h = min / 60;
+  if (h < 48) return `${+h.toFixed(1)}h`;
+  return `${+(h / 24).toFixed(1)}d`;
+}
@@ -10,6 +10,16 @@ import {
   getDynamicPriorityFeeLamports,
   getUseJitoBundle,
 } from "./config.js";
+import { DEFAULT_RETRY_ATTEMPTS } from "./trading/rebroadcast.js";
+import { getUrgencyPriorityFees } from "./advancedGasTools.js";
+
+// 6000000 -> "6M", 12500 -> "12.5k"
+function compactLamports(n) {
+  const v = Number(n) || 0;
+  if (v >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `${+(v / 1e3).toFixed(1)}k`;
+  return String(v);
+}
 
 export async function buildWalletStatusHeader(chatId) {
   const info = await getWalletInfo(chatId);
@@ -34,6 +44,9 @@ export function buildAutomationMenu(chatId) {
   const deltaText = state.liqDeltaEnabled
     ? "📈 Delta Heuristic (ON)"
     : "📈 Delta Heuristic (OFF)";
+  const exitGridText = state.exitGridEnabled
+    ? "🛡 Exit Grid (ON)"
+    : "🛡 Exit Grid (OFF)";
 
   return {
     reply_markup: {
@@ -43,6 +56,7 @@ export function buildAutomationMenu(chatId) {
         [{ text: pumpText, callback_data: "PUMPFUN_TOGGLE" }],
         [{ text: prelpText, callback_data: "PRELP_TOGGLE" }],
         [{ text: deltaText, callback_data: "DELTA_TOGGLE" }],
+        [{ text: exitGridText, callback_data: "EXIT_GRID" }],
         [{ text: "⚙ Auto Snipe Config", callback_data: "AUTO_SNIPE_CONFIG" }],
         [{ text: "📊 Delta Settings", callback_data: "DELTA_SETTINGS" }],
         [{ text: "🔙 Back to Main", callback_data: "MAIN_MENU" }],
@@ -140,20 +154,108 @@ export function buildTradingToolsMenu() {
     reply_markup: {
       inline_keyboard: [
         [{ text: "📊 Performance Stats", callback_data: "PERFORMANCE_STATS" }],
+        [{ text: "🔁 DCA Plans", callback_data: "DCA_PLANS" }],
         [{ text: "🔙 Back to Main", callback_data: "MAIN_MENU" }],
       ],
     },
   };
 }
 
-export function buildPositionsMenu(chatId) {
+// Limit orders list: one cancel button per active order
+export function buildLimitOrdersMenu(orders = []) {
+  const keyboard = [];
+  for (const o of orders.slice(0, 8)) {
+    const side = o.side === "sell" ? "SELL" : "BUY";
+    const short = `${String(o.mint).slice(0, 4)}…${String(o.mint).slice(-4)}`;
+    keyboard.push([
+      {
+        text: `❌ Cancel ${side} ${short}`,
+        callback_data: `LIMIT_CANCEL_${o.id}`,
+      },
+    ]);
+  }
+  keyboard.push([
+    { text: "🔄 Refresh", callback_data: "LIMIT_ORDERS" },
+    { text: "🔙 Back to Main", callback_data: "MAIN_MENU" },
+  ]);
+  return { reply_markup: { inline_keyboard: keyboard } };
+}
+
+// DCA plans list: pause/resume and cancel per open plan
+export function buildDcaPlansMenu(plans = []) {
+  const keyboard = [];
+  for (const p of plans.slice(0, 8)) {
+    const short = `${String(p.mint).slice(0, 4)}…${String(p.mint).slice(-4)}`;
+    keyboard.push([
+      p.status === "paused"
+        ? { text: `▶️ Resume ${short}`, callback_data: `DCA_RESUME_${p.id}` }
+        : { text: `⏸ Pause ${short}`, callback_data: `DCA_PAUSE_${p.id}` },
+      { text: "❌ Cancel", callback_data: `DCA_CANCEL_${p.id}` },
+    ]);
+  }
+  keyboard.push([
+    { text: "🔄 Refresh", callback_data: "DCA_PLANS" },
+    { text: "🔙 Back", callback_data: "TRADING_TOOLS" },
+  ]);
+  return { reply_markup: { inline_keyboard: keyboard } };
+}
+
+export function buildExitGridMenu(chatId, positions = []) {
+  const state = getUserState(chatId);
+  const keyboard = [
+    [
+      {
+        text: state.exitGridEnabled ? "🛡 Exit Grid: ON" : "🛡 Exit Grid: OFF",
+        callback_data: "EXIT_GRID_TOGGLE",
+      },
+    ],
+  ];
+  for (const p of positions.slice(0, 8)) {
+    const short = `${String(p.mint).slice(0, 4)}…${String(p.mint).slice(-4)}`;
+    const pnl = Number.isFinite(p.unrealizedPNL)
+      ? ` (${p.unrealizedPNL >= 0 ? "+" : ""}${(p.unrealizedPNL * 100).toFixed(1)}%)`
+      : "";
+    keyboard.push([
+      { text: `🪜 ${short}${pnl}`, callback_data: `EXIT_LADDER_${p.id}` },
+    ]);
+  }
+  keyboard.push([
+    { text: "🔄 Refresh", callback_data: "EXIT_GRID" },
+    { text: "🔙 Back", callback_data: "AUTOMATION" },
+  ]);
+  return { reply_markup: { inline_keyboard: keyboard } };
+}
+
+export function buildExitLadderMenu(id) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: "🔄 Refresh", callback_data: `EXIT_LADDER_${id}` },
+          { text: "🔙 Exit Grid", callback_data: "EXIT_GRID" },
+        ],
+      ],
+    },
+  };
+}
+
+export function buildPositionsMenu(chatId, openPositions = []) {
   const state = getUserState(chatId);
-  const hasPositions = state.positions.length > 0;
+  const hasPositions =
+    state.positions.length > 0 || openPositions.length > 0;
 
   const keyboard = [
     [{ text: "📈 View All Positions", callback_data: "VIEW_ALL_POSITIONS" }],
   ];
 
+  for (const p of openPositions.slice(0, 8)) {
+    const short = `${p.mint.slice(0, 4)}…${p.mint.slice(-4)}`;
+    const trail = state.trailingStops?.[p.mint] ? " 🎯" : "";
+    keyboard.push([
+      { text: `📍 ${short}${trail}`, callback_data: `POS_VIEW_${p.mint}` },
+    ]);
+  }
+
   if (hasPositions) {
     keyboard.push([
       { text: "💰 Quick Sell 25%", callback_data: "QUICK_SELL_25" },
@@ -169,6 +271,25 @@ export function buildPositionsMenu(chatId) {
   return { reply_markup: { inline_keyboard: keyboard } };
 }
 
+export function buildPositionDetailMenu(mint, { trailingRunning = false } = {}) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "🎯 Trailing Stop Settings", callback_data: `TRAIL_CFG_${mint}` }],
+        [
+          trailingRunning
+            ? { text: "⏹ Stop Trailing Stop", callback_data: `TRAIL_OFF_${mint}` }
+            : { text: "▶️ Start Trailing Stop", callback_data: `TRAIL_ON_${mint}` },
+        ],
+        [
+          { text: "🔄 Refresh", callback_data: `POS_VIEW_${mint}` },
+          { text: "🔙 Positions", callback_data: "POSITIONS" },
+        ],
+      ],
+    },
+  };
+}
+
 // Updated settings submenu
 export function buildTurboSolSettingsMenu(chatId) {
   const state = getUserState(chatId);
@@ -201,6 +322,12 @@ export function buildTurboSolSettingsMenu(chatId) {
         ],
         [{ text: "🌐 RPC Settings", callback_data: "RPC_SETTINGS" }],
         [{ text: "🎯 Snipe Defaults", callback_data: "SNIPE_DEFAULTS" }],
+        [
+          {
+            text: `📝 Paper Mode ${state.paperMode ? "ON" : "OFF"}`,
+            callback_data: "TOGGLE_PAPER",
+          },
+        ],
         [
           {
             text: `🔒 Private Relay ${state.enablePrivateRelay ? "ON" : "OFF"}`,
@@ -277,7 +404,17 @@ export async function buildWalletsMenu(chatId) {
     },
     { text: "🧹 Clear Selection", callback_data: "WALLET_CLEAR_SELECTION" },
   ]);
+  if (multi) {
+    const mode = state.multiWalletSplit || "equal";
+    keyboard.push([
+      {
+        text: `⚖️ Split: ${mode[0].toUpperCase()}${mode.slice(1)}`,
+        callback_data: "WALLET_SPLIT_MODE",
+      },
+    ]);
+  }
 
+  keyboard.push([{ text: "♻️ Reclaim Rent", callback_data: "RECLAIM_RENT" }]);
   keyboard.push([{ text: "🔙 Back to Main", callback_data: "MAIN_MENU" }]);
 
   return { reply_markup: { inline_keyboard: keyboard } };
@@ -304,7 +441,10 @@ export async function buildWalletDetailsMenu(chatId, walletId) {
           },
           { text: "✏️ Rename", callback_data: `RENAME_${wallet.id}` },
         ],
-        [{ text: "❌ Delete", callback_data: `DELETE_${wallet.id}` }],
+        [
+          { text: "🔑 Export Key", callback_data: `EXPORT_KEY_${wallet.id}` },
+          { text: "❌ Delete", callback_data: `DELETE_WALLET_${wallet.id}` },
+        ],
         [{ text: "🔙 Back", callback_data: "MAIN_MENU" }],
       ],
     },
@@ -389,6 +529,11 @@ export function buildRpcSettingsMenu(chatId) {
 export function buildFeeSettingsMenu(chatId) {
   const state = getUserState(chatId);
   const tip = state.priorityFeeLamports ?? getPriorityFeeLamports();
+  const jitoTip =
+    state.jitoTipLamports ?? Number(process.env.JITO_TIP_LAMPORTS || 0);
+  const oracle = getUrgencyPriorityFees();
+  const retries = state.txRetryMaxAttempts ?? DEFAULT_RETRY_ATTEMPTS;
+  const retryMaxFee = state.txRetryMaxFeeLamports;
   return {
     reply_markup: {
       inline_keyboard: [
@@ -398,12 +543,38 @@ export function buildFeeSettingsMenu(chatId) {
             callback_data: "SET_PRIORITY_FEE",
           },
         ],
+        [
+          {
+            text: `📊 Oracle${
+              oracle.congestionLevel ? ` (${oracle.congestionLevel})` : ""
+            }: ${compactLamports(oracle.normal)} • fast ${compactLamports(
+              oracle.fast
+            )} • turbo ${compactLamports(oracle.turbo)}`,
+            callback_data: "FEE_ORACLE",
+          },
+        ],
         [
           {
             text: `Use Jito Bundle: ${getUseJitoBundle() ? "ON" : "OFF"}`,
             callback_data: "JITO_SETTINGS",
           },
         ],
+        [
+          {
+            text: `🎯 Jito Tip: ${jitoTip} lamports`,
+            callback_data: "SET_JITO_TIP",
+          },
+        ],
+        [
+          {
+            text: `🔁 Auto-rebroadcast: ${
+              retries > 0
+                ? `${retries}x${retryMaxFee != null ? ` • max ${retryMaxFee}` : ""}`
+                : "OFF"
+            }`,
+            callback_data: "SET_TX_RETRY",
+          },
+        ],
         [{ text: "🔙 Back to Main", callback_data: "MAIN_MENU" }],
       ],
     },
@@ -10,6 +10,14 @@ import path from "path";
 import { getUserWalletInstance, getUserConnectionInstance } from "./wallet.js";
 import { simulateBundleAndSend } from "./jito.js";
 import { getPriorityFeeLamports, getUseJitoBundle } from "./config.js";
+import {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  createCloseAccountInstruction,
+  getWalletTokenAccounts,
+} from "./splToken.js";
 import bs58 from "bs58";
 import { MongoClient } from "mongodb";
 
@@ -28,7 +36,30 @@ async function initSuggestionsDb() {
   await suggestionsCol.createIndex({ chatId: 1, createdAt: 1 });
 }
 
-export async function transferSol({ chatId, to, amountSol }) {
+const BASE_FEE_LAMPORTS = 5000;
+// Default compute budget per non-compute-budget instruction (priority fee is per CU)
+const DEFAULT_CU_PER_IX = 200_000;
+// Rent-exempt minimum of a 165-byte token account, paid by the sender when the recipient lacks one
+export const ATA_RENT_LAMPORTS = 2_039_280;
+
+// Single-signer network fee for a compute unit budget at the given compute unit price
+export function estimateTxFeeLamports(computeUnits, priorityMicroLamports = 0) {
+  const price = Math.round(Math.max(0, Number(priorityMicroLamports) || 0));
+  return BASE_FEE_LAMPORTS + Math.ceil((price * computeUnits) / 1e6);
+}
+
+// Network fee of a transfer sent by sendTransferTx at the given compute unit price
+export function estimateTransferFeeLamports(
+  instructionCount = 1,
+  priorityMicroLamports = 0
+) {
+  return estimateTxFeeLamports(
+    DEFAULT_CU_PER_IX * instructionCount,
+    priorityMicroLamports
+  );
+}
+
+export async function transferSol({ chatId, to, amountSol, fromWallet }) {
   if (!Number.isFinite(amountSol) || amountSol <= 0) {
     throw new Error("Invalid SOL amount");
   }
@@ -38,7 +69,122 @@ export async function transferSol({ chatId, to, amountSol }) {
   } catch {
     throw new Error("Invalid destination address");
   }
-  const wallet = await getUserWalletInstance(chatId);
+  // fromWallet: send from a specific wallet keypair instead of the active one
+  const wallet = fromWallet || (await getUserWalletInstance(chatId));
+  const fromPubkey = wallet.publicKey;
+  const lamports = Math.round(amountSol * LAMPORTS_PER_SOL);
+  const ix = SystemProgram.transfer({ fromPubkey, toPubkey, lamports });
+  return sendTransferTx({ chatId, wallet, instructions: [ix] });
+}
+
+// SPL transfer (classic Token or Token-2022). Creates the recipient's ATA when missing,
+// paid by the sender. amountRaw is in base units; source defaults to the sender's ATA.
+export async function transferSplToken({
+  chatId,
+  fromWallet,
+  to,
+  mint,
+  amountRaw,
+  decimals,
+  programId = TOKEN_PROGRAM_ID.toBase58(),
+  sourceAccount,
+}) {
+  if (!(BigInt(amountRaw || 0) > 0n)) throw new Error("Invalid token amount");
+  let owner;
+  try {
+    owner = new PublicKey(to);
+  } catch {
+    throw new Error("Invalid destination address");
+  }
+  const wallet = fromWallet || (await getUserWalletInstance(chatId));
+  const mintPk = new PublicKey(mint);
+  const programPk = new PublicKey(programId);
+  const source = sourceAccount
+    ? new PublicKey(sourceAccount)
+    : getAssociatedTokenAddress(mintPk, wallet.publicKey, programPk);
+  const destination = getAssociatedTokenAddress(mintPk, owner, programPk);
+  const instructions = [
+    createAssociatedTokenAccountIdempotentInstruction(
+      wallet.publicKey,
+      destination,
+      owner,
+      mintPk,
+      programPk
+    ),
+    createTransferCheckedInstruction(
+      source,
+      mintPk,
+      destination,
+      wallet.publicKey,
+      amountRaw,
+      decimals,
+      programPk
+    ),
+  ];
+  const res = await sendTransferTx({ chatId, wallet, instructions });
+  return { ...res, destination: destination.toBase58() };
+}
+
+// Everything the confirmation step needs before transferSplToken: the sender's
+// largest account for the mint, its program, and whether the recipient's ATA exists.
+export async function previewSplTransfer({ chatId, fromWallet, to, mint }) {
+  let owner;
+  try {
+    owner = new PublicKey(to);
+  } catch {
+    throw new Error("Invalid destination address");
+  }
+  const wallet = fromWallet || (await getUserWalletInstance(chatId));
+  const accounts = (await getWalletTokenAccounts(wallet.publicKey)).filter(
+    (a) => a.mint === mint && BigInt(a.amountRaw) > 0n
+  );
+  if (!accounts.length) throw new Error("no_token_balance");
+  const source = accounts.reduce((a, b) =>
+    BigInt(b.amountRaw) > BigInt(a.amountRaw) ? b : a
+  );
+  const destination = getAssociatedTokenAddress(
+    new PublicKey(mint),
+    owner,
+    new PublicKey(source.programId)
+  );
+  const conn = await getUserConnectionInstance(chatId);
+  const existing = await conn.getAccountInfo(destination).catch(() => null);
+  return {
+    mint,
+    to: owner.toBase58(),
+    sourceAccount: source.account,
+    programId: source.programId,
+    decimals: source.decimals,
+    balanceRaw: source.amountRaw,
+    destination: destination.toBase58(),
+    createsAta: !existing,
+    feeLamports: estimateTransferFeeLamports(2, getPriorityFeeLamports()),
+    rentLamports: existing ? 0 : ATA_RENT_LAMPORTS,
+  };
+}
+
+// Close zero-balance token accounts of one wallet in a single transaction; the rent
+// goes back to the wallet. accounts: [{ account, programId }]
+export async function closeTokenAccounts({
+  chatId,
+  fromWallet,
+  accounts,
+  computeUnitLimit,
+}) {
+  if (!accounts?.length) throw new Error("No accounts to close");
+  const wallet = fromWallet || (await getUserWalletInstance(chatId));
+  const instructions = accounts.map((a) =>
+    createCloseAccountInstruction(
+      new PublicKey(a.account),
+      wallet.publicKey,
+      wallet.publicKey,
+      new PublicKey(a.programId)
+    )
+  );
+  return sendTransferTx({ chatId, wallet, instructions, computeUnitLimit });
+}
+
+async function sendTransferTx({ chatId, wallet, instructions, computeUnitLimit }) {
   const fromPubkey = wallet.publicKey;
   const conn = await getUserConnectionInstance(chatId);
 
@@ -46,11 +192,15 @@ export async function transferSol({ chatId, to, amountSol }) {
     "confirmed"
   );
 
-  const lamports = Math.round(amountSol * LAMPORTS_PER_SOL);
-  const ix = SystemProgram.transfer({ fromPubkey, toPubkey, lamports });
-
   // Add compute budget for priority fee if set
   const computeIxs = [];
+  // Batches of cheap instructions set an explicit limit so the priority fee is
+  // not charged on the default 200k units per instruction
+  if (computeUnitLimit > 0) {
+    computeIxs.push(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: Math.ceil(computeUnitLimit) })
+    );
+  }
   const priorityFeeMicroLamports = getPriorityFeeLamports();
   if (
     Number.isFinite(priorityFeeMicroLamports) &&
@@ -69,7 +219,7 @@ export async function transferSol({ chatId, to, amountSol }) {
     lastValidBlockHeight,
   });
   if (computeIxs.length) tx.add(...computeIxs);
-  tx.add(ix);
+  tx.add(...instructions);
 
   tx.sign(wallet);
 
@@ -1,6 +1,12 @@
 import { PublicKey } from "@solana/web3.js";
 import { getRpcConnection } from "./rpc.js";
 import { getPositions } from "./positionStore.js";
+import {
+  readLotEvents,
+  buildLotLedger,
+  summarizeLotsByToken,
+  formatHoldTime,
+} from "./lotLedger.js";
 import { NATIVE_SOL, getQuoteRaw } from "./trading/jupiter.js";
 
 // Use shared Jupiter helpers with Pro key support
@@ -104,3 +110,91 @@ export async function getUnrealizedPnlSummary(chatId) {
     unrealizedPnlSol: totalUnrealized,
   };
 }
+
+// Lot-ledger report: realized PnL per token from closed lots plus unrealized
+// PnL of the open lots at the current quote
+export async function getLotPnlReport(chatId, { method = "fifo", namespace } = {}) {
+  const ledger = buildLotLedger(readLotEvents(chatId, { namespace }), { method });
+  const tokens = summarizeLotsByToken(ledger);
+  for (const t of tokens) {
+    t.currentSolValue = 0;
+    t.unrealizedPnlSol = 0;
+    if (!(t.openTokens > 0)) continue;
+    const { solOut } = await estimateSolValue({
+      tokenMint: t.mint,
+      tokensAmount: t.openTokens,
+    }).catch(() => ({ solOut: 0 }));
+    t.currentSolValue = solOut;
+    t.unrealizedPnlSol = solOut - t.openCostSol;
+  }
+  // Biggest movers first
+  const magnitude = (t) => Math.abs(t.realizedPnlSol + t.unrealizedPnlSol);
+  tokens.sort((a, b) => magnitude(b) - magnitude(a));
+  const sum = (k) => tokens.reduce((a, t) => a + (Number(t[k]) || 0), 0);
+  const closed = ledger.closes.filter((c) => c.matchedTokens > 0);
+  return {
+    method: ledger.method,
+    tokens,
+    trades: closed.map(({ matches, ...c }) => c),
+    totals: {
+      realizedPnlSol: sum("realizedPnlSol"),
+      unrealizedPnlSol: sum("unrealizedPnlSol"),
+      openCostSol: sum("openCostSol"),
+      currentValueSol: sum("currentSolValue"),
+      feesSol: sum("feesSol"),
+      trades: closed.length,
+      wins: closed.filter((c) => c.realizedPnlSol > 0).length,
+    },
+  };
+}
+
+function signed(n) {
+  return `${n >= 0 ? "+" : ""}${n.toFixed(4)}`;
+}
+
+export function formatLotPnlReport(report, { mint } = {}) {
+  const t = report.totals;
+  const lines = [
+    `📊 PnL (${report.method.toUpperCase()} lots)`,
+    `• Realized: ${signed(t.realizedPnlSol)} SOL over ${t.trades} sell(s)${
+      t.trades ? ` • ${Math.round((t.wins / t.trades) * 100)}% wins` : ""
+    }`,
+    `• Unrealized: ${signed(t.unrealizedPnlSol)} SOL on ${t.openCostSol.toFixed(4)} SOL cost`,
+    `• Fees: ${t.feesSol.toFixed(4)} SOL`,
+  ];
+  if (mint) {
+    const tok = report.tokens.find((x) => x.mint === mint);
+    const trades = report.trades.filter((c) => c.mint === mint).slice(-10);
+    lines.push("", `Token ${mint}`);
+    if (!tok) {
+      lines.push("No trades recorded for this token.");
+      return lines.join("\n");
+    }
+    lines.push(
+      `• Open: ${+tok.openTokens.toFixed(6)} (cost ${tok.openCostSol.toFixed(4)} SOL, value ${tok.currentSolValue.toFixed(4)} SOL)`,
+      `• Realized: ${signed(tok.realizedPnlSol)} SOL • avg hold ${formatHoldTime(tok.avgHoldMs)}`
+    );
+    for (const c of trades) {
+      lines.push(
+        `  ${new Date(c.ts).toISOString().slice(0, 16).replace("T", " ")}: sold ${+c.matchedTokens.toFixed(
+          6
+        )} for ${c.proceedsSol.toFixed(4)} SOL • ${signed(c.realizedPnlSol)} • held ${formatHoldTime(c.holdMs)}`
+      );
+    }
+    return lines.join("\n");
+  }
+  if (!report.tokens.length) {
+    lines.push("", "No trades recorded yet.");
+    return lines.join("\n");
+  }
+  lines.push("");
+  for (const tok of report.tokens.slice(0, 10)) {
+    lines.push(
+      `• ${tok.mint.slice(0, 6)}…: R ${signed(tok.realizedPnlSol)} | U ${signed(
+        tok.unrealizedPnlSol
+      )} SOL | hold ${formatHoldTime(tok.avgHoldMs)}`
+    );
+  }
+  if (report.tokens.length > 10) lines.push(`… ${report.tokens.length - 10} more`);
+  return lines.join("\n");
+}
@@ -10,9 +10,13 @@ function ensureDir() {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
-function getFilePath(chatId) {
+// Optional namespace (e.g. "paper") keeps simulated positions in their own subdirectory
+function getFilePath(chatId, namespace) {
   ensureDir();
-  return path.join(getDataDir(), `${chatId}.json`);
+  if (!namespace) return path.join(getDataDir(), `${chatId}.json`);
+  const dir = path.join(getDataDir(), namespace);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, `${chatId}.json`);
 }
 
 function readJson(fp) {
@@ -39,9 +43,10 @@ export function upsertPosition({
   tokensAdded,
   solSpent,
   feesLamports = 0,
+  namespace,
 }) {
   if (!chatId || !wallet || !mint) return;
-  const fp = getFilePath(String(chatId));
+  const fp = getFilePath(String(chatId), namespace);
   const store = readJson(fp);
   const key = `${wallet}:${mint}`;
   const p = store[key] || {
@@ -54,6 +59,7 @@ export function upsertPosition({
     entryPriceSolPerToken: null,
     entrySizeTokens: null,
     entryFeesLamports: null,
+    openedAt: null,
     lastUpdated: Date.now(),
   };
   const toks = Number(tokensAdded || 0);
@@ -71,6 +77,7 @@ export function upsertPosition({
       p.entryPriceSolPerToken = Number(newAvg || sol / toks || 0);
       p.entrySizeTokens = toks;
       p.entryFeesLamports = Number(feesLamports || 0);
+      p.openedAt = Date.now();
     }
     p.lastUpdated = Date.now();
   }
@@ -79,12 +86,25 @@ export function upsertPosition({
   return p;
 }
 
-export function getPositions(chatId) {
-  const fp = getFilePath(String(chatId));
+export function getPositions(chatId, { namespace } = {}) {
+  const fp = getFilePath(String(chatId), namespace);
   const store = readJson(fp);
   return Object.values(store);
 }
 
+// Chats that have a positions file (used by background exit managers after restart)
+export function listPositionChatIds() {
+  try {
+    ensureDir();
+    return fs
+      .readdirSync(getDataDir())
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => f.slice(0, -".json".length));
+  } catch {
+    return [];
+  }
+}
+
 export function applySellToPosition({
   chatId,
   wallet,
@@ -92,9 +112,10 @@ export function applySellToPosition({
   tokensSold,
   solReceived,
   feesLamports = 0,
+  namespace,
 }) {
   if (!chatId || !wallet || !mint) return;
-  const fp = getFilePath(String(chatId));
+  const fp = getFilePath(String(chatId), namespace);
   const store = readJson(fp);
   const key = `${wallet}:${mint}`;
   const p = store[key];
@@ -117,10 +138,11 @@ export function applySellToPosition({
 }
 
 // Persist a PnL snapshot for auditing/history (JSONL per chat)
-export function recordPnlSnapshot(chatId, snapshot) {
+export function recordPnlSnapshot(chatId, snapshot, { namespace } = {}) {
   try {
     if (!chatId || !snapshot) return;
-    const dir = path.resolve(process.env.PNL_DIR || "./data/pnl");
+    const base = path.resolve(process.env.PNL_DIR || "./data/pnl");
+    const dir = namespace ? path.join(base, namespace) : base;
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
     const fp = path.join(dir, `${chatId}.jsonl`);
     const line = JSON.stringify({ ...snapshot, ts: Date.now() });
@@ -392,8 +392,9 @@ export default PreLPScanner;
 // Helper wiring for early snipe on pre-LP signals
 import { getUserConnectionInstance } from './wallet.js';
 import { getUserState, addTradeLog } from './userState.js';
-import { hasUserWallet, getUserWalletKeypairById } from './userWallets.js';
+import { hasUserWallet } from './userWallets.js';
 import { startLiquidityWatch } from './watchers/liquidityWatcher.js';
+import { startMultiWalletSnipe, formatMultiWalletBuySummary } from './trading/multiWallet.js';
 
 // Cooldown tracking to avoid duplicate triggers per mint
 const _preLPCool = new Map(); // mint -> lastTriggerMs
@@ -444,42 +445,28 @@ export async function startPreLPWatch(chatId, { onEvent, onSnipeEvent, autoSnipe
       } catch {}
 
       {
-        const st = getUserState(chatId) || {};
-        const selected = Array.isArray(st.selectedWalletIds)
-          ? st.selectedWalletIds
-          : [];
-        const multi = !!st.multiWalletMode;
-        if (multi && selected.length > 0) {
-          const wallets = (
-            await Promise.all(
-              selected.map((id) =>
-                getUserWalletKeypairById(chatId, id).catch(() => null)
-              )
-            )
-          ).filter(Boolean);
-          const count = wallets.length || 0;
-          const perWallet = count > 0 ? amountSol / count : amountSol;
-          for (const w of wallets) {
-            startLiquidityWatch(chatId, {
-              mint,
-              amountSol: perWallet,
-              priorityFeeLamports,
-              useJitoBundle,
-              pollInterval,
-              slippageBps,
-              retryCount,
-              source: 'watch:prelp',
-              signalType: 'pre_lp_detected',
-              lpSignature: details?.signature,
-              walletOverride: w.keypair,
-              onEvent: (m) => {
-                try {
-                  onSnipeEvent?.(mint, m);
-                } catch {}
-              },
-            });
-          }
-        } else {
+        const legs = await startMultiWalletSnipe(
+          chatId,
+          {
+            mint,
+            amountSol,
+            priorityFeeLamports,
+            useJitoBundle,
+            pollInterval,
+            slippageBps,
+            retryCount,
+            source: 'watch:prelp',
+            signalType: 'pre_lp_detected',
+            lpSignature: details?.signature,
+            onEvent: (m) => {
+              try {
+                onSnipeEvent?.(mint, m);
+              } catch {}
+            },
+          },
+          { onSummary: (sum) => onSnipeEvent?.(mint, formatMultiWalletBuySummary(sum, { mint })) }
+        );
+        if (!legs) {
           startLiquidityWatch(chatId, {
             mint,
             amountSol,
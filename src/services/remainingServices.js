@@ -445,13 +445,13 @@ class WalletScalingTiersService {
     return wallets;
   }
 
-  splitBuy(walletPoolId, token, totalAmount) {
+  splitBuy(walletPoolId, token, totalAmount, options = {}) {
     const pool = this.walletPools.get(walletPoolId);
     if (!pool) {
       throw new Error('Wallet pool not found');
     }
 
-    const splitAmounts = this.calculateSplitAmounts(totalAmount, pool.wallets.length);
+    const splitAmounts = this.calculateSplitAmounts(totalAmount, pool.wallets.length, options);
     const executions = [];
 
     for (let i = 0; i < pool.wallets.length; i++) {
@@ -474,18 +474,47 @@ class WalletScalingTiersService {
     return executions;
   }
 
-  calculateSplitAmounts(totalAmount, walletCount) {
-    const baseAmount = Math.floor(totalAmount / walletCount);
-    const remainder = totalAmount % walletCount;
-    
-    const amounts = new Array(walletCount).fill(baseAmount);
-    
-    // Distribute remainder randomly
-    for (let i = 0; i < remainder; i++) {
-      const randomIndex = Math.floor(Math.random() * walletCount);
-      amounts[randomIndex] += 1;
+  // Split an integer amount (e.g. lamports) into walletCount parts that sum to it.
+  // mode: 'equal' | 'weighted' (weights[i] per wallet) | 'random' (each share jittered by ±jitter)
+  calculateSplitAmounts(totalAmount, walletCount, { mode = 'equal', weights = [], jitter = 0.5, random = Math.random } = {}) {
+    if (mode === 'equal') {
+      const baseAmount = Math.floor(totalAmount / walletCount);
+      const remainder = totalAmount % walletCount;
+
+      const amounts = new Array(walletCount).fill(baseAmount);
+
+      // Distribute remainder randomly
+      for (let i = 0; i < remainder; i++) {
+        const randomIndex = Math.floor(random() * walletCount);
+        amounts[randomIndex] += 1;
+      }
+
+      return amounts;
     }
-    
+
+    let shares;
+    if (mode === 'weighted') {
+      shares = Array.from({ length: walletCount }, (_, i) => Math.max(0, Number(weights[i] ?? 1) || 0));
+    } else if (mode === 'random') {
+      const j = Math.min(0.95, Math.max(0, jitter));
+      shares = Array.from({ length: walletCount }, () => 1 - j + random() * 2 * j);
+    } else {
+      throw new Error(`Unknown split mode: ${mode}`);
+    }
+
+    const shareSum = shares.reduce((a, b) => a + b, 0);
+    if (!(shareSum > 0)) {
+      return this.calculateSplitAmounts(totalAmount, walletCount, { random });
+    }
+    const amounts = shares.map((share) => Math.floor((totalAmount * share) / shareSum));
+
+    // Rounding leftovers go to the largest shares first
+    let remainder = totalAmount - amounts.reduce((a, b) => a + b, 0);
+    const order = shares.map((_, i) => i).sort((a, b) => shares[b] - shares[a]);
+    for (let i = 0; remainder > 0; i = (i + 1) % walletCount, remainder--) {
+      amounts[order[i]] += 1;
+    }
+
     return amounts;
   }
 
@@ -0,0 +1,159 @@
+// Reclaim rent from empty token accounts (snipes and full sells leave one per
+// mint behind). Empty Token/Token-2022 accounts are closed in batches, with
+// the rent going back to the owning wallet.
+import { LAMPORTS_PER_SOL } from "@solana/web3.js";
+import { getAllUserWalletKeypairs } from "./userWallets.js";
+import { getPriorityFeeLamports } from "./config.js";
+import { getWalletTokenAccounts } from "./splToken.js";
+import { closeTokenAccounts, estimateTxFeeLamports } from "./miscActions.js";
+
+const MAX_CLOSE_PER_TX = Number(process.env.RECLAIM_MAX_CLOSE_PER_TX || 20);
+// Token-2022 closes cost a few thousand CU more than classic ones
+const CLOSE_CU_PER_IX = 10_000;
+const CU_OVERHEAD = 1_000;
+
+export function closeBatchComputeUnits(count) {
+  return CU_OVERHEAD + CLOSE_CU_PER_IX * count;
+}
+
+// Zero balance, not frozen and no withheld Token-2022 transfer fees
+export function findClosableAccounts(tokenAccounts = []) {
+  return tokenAccounts.filter(
+    (a) =>
+      String(a.amountRaw) === "0" &&
+      a.state !== "frozen" &&
+      String(a.withheldRaw ?? "0") === "0"
+  );
+}
+
+// wallets: [{ id, name, publicKey, tokens }] (tokens as from getWalletTokenAccounts)
+export function planRentReclaim(
+  wallets = [],
+  { perTx = MAX_CLOSE_PER_TX, priorityMicroLamports = 0 } = {}
+) {
+  const size = Math.max(1, Math.floor(perTx));
+  const out = [];
+  for (const w of wallets) {
+    const accounts = findClosableAccounts(w.tokens);
+    const batches = [];
+    for (let i = 0; i < accounts.length; i += size) {
+      const batch = accounts.slice(i, i + size);
+      const rentLamports = batch.reduce((a, x) => a + (Number(x.lamports) || 0), 0);
+      const feeLamports = estimateTxFeeLamports(
+        closeBatchComputeUnits(batch.length),
+        priorityMicroLamports
+      );
+      // Not worth sending when the fee eats the rent
+      if (rentLamports <= feeLamports) continue;
+      batches.push({ accounts: batch, rentLamports, feeLamports });
+    }
+    if (!batches.length) continue;
+    out.push({
+      wallet: { id: w.id, name: w.name || null, publicKey: w.publicKey },
+      batches,
+      accounts: batches.reduce((a, b) => a + b.accounts.length, 0),
+      rentLamports: batches.reduce((a, b) => a + b.rentLamports, 0),
+      feeLamports: batches.reduce((a, b) => a + b.feeLamports, 0),
+    });
+  }
+  return {
+    wallets: out,
+    totals: {
+      accounts: out.reduce((a, w) => a + w.accounts, 0),
+      rentLamports: out.reduce((a, w) => a + w.rentLamports, 0),
+      feeLamports: out.reduce((a, w) => a + w.feeLamports, 0),
+    },
+  };
+}
+
+async function reclaimWallets(chatId, { all }) {
+  const wallets = await getAllUserWalletKeypairs(chatId);
+  if (all) return wallets;
+  const active = wallets.find((w) => w.active) || wallets[0];
+  return active ? [active] : [];
+}
+
+// Scan the active wallet (or every wallet with all=true) for closable accounts
+export async function scanRentReclaim(chatId, { all = false } = {}) {
+  const wallets = await reclaimWallets(chatId, { all });
+  const withTokens = [];
+  for (const w of wallets) {
+    const tokens = await getWalletTokenAccounts(w.publicKey).catch(() => []);
+    withTokens.push({ id: w.id, name: w.name, publicKey: w.publicKey, tokens });
+  }
+  return planRentReclaim(withTokens, {
+    priorityMicroLamports: getPriorityFeeLamports(),
+  });
+}
+
+// Send every batch of the plan; a failed batch does not stop the others
+export async function executeRentReclaim(chatId, plan) {
+  const keypairs = await getAllUserWalletKeypairs(chatId);
+  const byId = new Map(keypairs.map((w) => [w.id, w]));
+  const results = [];
+  for (const entry of plan.wallets) {
+    const w = byId.get(entry.wallet.id);
+    for (const batch of entry.batches) {
+      const base = {
+        wallet: entry.wallet,
+        accounts: batch.accounts.length,
+        rentLamports: batch.rentLamports,
+      };
+      if (!w) {
+        results.push({ ...base, ok: false, error: "wallet_missing" });
+        continue;
+      }
+      try {
+        const res = await closeTokenAccounts({
+          chatId,
+          fromWallet: w.keypair,
+          accounts: batch.accounts,
+          computeUnitLimit: closeBatchComputeUnits(batch.accounts.length),
+        });
+        results.push({ ...base, ok: !!res?.txid, txid: res?.txid || null });
+      } catch (e) {
+        results.push({ ...base, ok: false, error: String(e?.message || e) });
+      }
+    }
+  }
+  return results;
+}
+
+function label(ref) {
+  return ref.name || `${ref.publicKey.slice(0, 4)}…${ref.publicKey.slice(-4)}`;
+}
+
+function sol(lamports) {
+  return (lamports / LAMPORTS_PER_SOL).toFixed(6);
+}
+
+export function formatRentReclaimPlan(plan) {
+  if (!plan.wallets.length) return "♻️ No empty token accounts worth closing.";
+  const lines = ["♻️ Reclaim rent from empty token accounts", ""];
+  for (const w of plan.wallets) {
+    lines.push(`👛 ${label(w.wallet)}: ${w.accounts} account(s) • ${sol(w.rentLamports)} SOL`);
+  }
+  const t = plan.totals;
+  lines.push(
+    "",
+    `Total: ${t.accounts} account(s) • ≈${sol(t.rentLamports - t.feeLamports)} SOL after ${sol(t.feeLamports)} SOL fees`
+  );
+  return lines.join("\n");
+}
+
+export function formatRentReclaimResults(results) {
+  const ok = results.filter((r) => r.ok);
+  const recovered = ok.reduce((a, r) => a + r.rentLamports, 0);
+  const closed = ok.reduce((a, r) => a + r.accounts, 0);
+  const lines = [
+    `${ok.length === results.length ? "✅" : ok.length ? "⚠️" : "❌"} Closed ${closed} account(s) • recovered ${sol(recovered)} SOL`,
+  ];
+  for (const r of results) {
+    lines.push(
+      r.ok
+        ? `  ✓ ${label(r.wallet)}: ${r.accounts} closed • ${String(r.txid).slice(0, 8)}…`
+        : `  ✗ ${label(r.wallet)}: ${r.accounts} not closed — ${r.error}`
+    );
+  }
+  return lines.join("\n");
+}
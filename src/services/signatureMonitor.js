@@ -1,51 +1,103 @@
 import { updateTradeStatus, getTrade } from "./tradeState.js";
+import { trackSignature } from "./confirmationTracker.js";
 
-// Poll signature statuses until confirmation or timeout
+const RETRY_WAIT_MS = Number(process.env.TX_RETRY_WAIT_MS || 90000);
+
+// First signature that landed without error, null if none did, undefined
+// when statuses could not be read
+async function findLandedSignature(connection, signatures) {
+  try {
+    const res = await connection.getSignatureStatuses(signatures, {
+      searchTransactionHistory: true,
+    });
+    const i = (res?.value || []).findIndex((s) => s && !s.err);
+    return i >= 0 ? signatures[i] : null;
+  } catch {
+    return undefined;
+  }
+}
+
+// Track a sent swap until it confirms, fails on chain, expires or times out
+// and record the outcome on the trade. An expired swap is rebroadcast while
+// `rebroadcast` returns a new signature.
 export async function monitorSignatures({
   connection,
   signatures = [],
   tradeKey,
   chatId,
   kind, // 'Buy' | 'Sell'
+  lastValidBlockHeight = null,
   timeoutMs = Number(process.env.TX_CONFIRM_TIMEOUT_MS || 15000),
-  pollMs = 750,
+  pollMs,
+  rebroadcast, // async (attempt) => { signature, lastValidBlockHeight } | null
   onConfirmed,
   onFailed,
 }) {
   if (!connection || !Array.isArray(signatures) || signatures.length === 0)
     return;
-  const deadline = Date.now() + timeoutMs;
-  let lastStatuses = null;
-  while (Date.now() < deadline) {
-    try {
-      const res = await connection.getSignatureStatuses(signatures, {
-        searchTransactionHistory: true,
-      });
-      lastStatuses = res?.value || [];
-      const anyConfirmed = lastStatuses.find((s) => s?.confirmationStatus);
-      if (anyConfirmed) {
-        const txid = signatures[0];
-        updateTradeStatus(tradeKey, "confirmed", {
-          txid,
-          confirmations: 1,
+  const sent = [signatures[0]];
+  let txid = signatures[0];
+  let lvbh = lastValidBlockHeight;
+  let outcome;
+  for (let attempt = 1; ; attempt++) {
+    // With a rebroadcaster, keep watching until the blockhash actually expires
+    const canRetry = typeof rebroadcast === "function" && lvbh != null;
+    outcome = await trackSignature({
+      signature: txid,
+      lastValidBlockHeight: lvbh,
+      timeoutMs: canRetry ? Math.max(timeoutMs, RETRY_WAIT_MS) : timeoutMs,
+      pollMs,
+      pollConnection: connection,
+    });
+    if (outcome.status !== "expired" || !canRetry) break;
+    // Double-fill guard: every earlier attempt is past its blockhash, so one
+    // that has not landed by now never will. Unknown status = stop.
+    const landed = await findLandedSignature(connection, sent);
+    if (landed !== null) {
+      if (landed) {
+        txid = landed;
+        outcome = await trackSignature({
+          signature: txid,
+          timeoutMs,
+          pollMs,
+          pollConnection: connection,
+          subscribeConnections: [],
         });
-        try {
-          const trade = getTrade(tradeKey);
-          if (typeof onConfirmed === "function") onConfirmed({ txid, trade });
-        } catch {}
-        return;
       }
+      break;
+    }
+    let next = null;
+    try {
+      next = await rebroadcast(attempt);
     } catch {}
-    await new Promise((r) => setTimeout(r, pollMs));
+    if (!next?.signature) break;
+    txid = next.signature;
+    lvbh = next.lastValidBlockHeight ?? null;
+    sent.push(txid);
+    updateTradeStatus(tradeKey, "pending", { txid, confirmations: 0 });
   }
-  // Timeout
-  const txid = signatures[0];
-  updateTradeStatus(tradeKey, "failed", {
+  if (outcome.status === "confirmed") {
+    updateTradeStatus(tradeKey, "confirmed", {
+      txid,
+      confirmations: 1,
+    });
+    try {
+      const trade = getTrade(tradeKey);
+      if (typeof onConfirmed === "function") onConfirmed({ txid, trade });
+    } catch {}
+    return outcome;
+  }
+  // failed / expired are final; pending may still land before the blockhash expires
+  updateTradeStatus(tradeKey, outcome.status, {
     txid,
     confirmations: 0,
-    error: "confirmation_timeout",
+    error: outcome.error,
   });
-  try {
-    if (typeof onFailed === "function") onFailed({ txid });
-  } catch {}
+  if (outcome.status !== "pending") {
+    try {
+      if (typeof onFailed === "function")
+        onFailed({ txid, status: outcome.status, error: outcome.error });
+    } catch {}
+  }
+  return outcome;
 }
@@ -0,0 +1,147 @@
+// Minimal SPL token helpers (classic Token and Token-2022) without @solana/spl-token:
+// ATA derivation, idempotent ATA creation, TransferChecked, CloseAccount and balance listing.
+import { PublicKey, SystemProgram, TransactionInstruction } from "@solana/web3.js";
+import { getParsedTokenAccountsByOwnerRaced } from "./rpc.js";
+
+export const TOKEN_PROGRAM_ID = new PublicKey(
+  "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA"
+);
+export const TOKEN_2022_PROGRAM_ID = new PublicKey(
+  "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb"
+);
+export const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey(
+  "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL"
+);
+
+const CLOSE_ACCOUNT = 9;
+const TRANSFER_CHECKED = 12;
+const CREATE_IDEMPOTENT = 1;
+
+export function getAssociatedTokenAddress(
+  mint,
+  owner,
+  programId = TOKEN_PROGRAM_ID
+) {
+  const [ata] = PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), programId.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  return ata;
+}
+
+// No-op when the account already exists, so it is safe to prepend to every transfer
+export function createAssociatedTokenAccountIdempotentInstruction(
+  payer,
+  ata,
+  owner,
+  mint,
+  programId = TOKEN_PROGRAM_ID
+) {
+  return new TransactionInstruction({
+    programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+    keys: [
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: ata, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: false, isWritable: false },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: programId, isSigner: false, isWritable: false },
+    ],
+    data: Buffer.from([CREATE_IDEMPOTENT]),
+  });
+}
+
+// TransferChecked works for both programs (Token-2022 requires it)
+export function createTransferCheckedInstruction(
+  source,
+  mint,
+  destination,
+  owner,
+  amountRaw,
+  decimals,
+  programId = TOKEN_PROGRAM_ID
+) {
+  const data = Buffer.alloc(10);
+  data.writeUInt8(TRANSFER_CHECKED, 0);
+  data.writeBigUInt64LE(BigInt(amountRaw), 1);
+  data.writeUInt8(Number(decimals), 9);
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: source, isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: true, isWritable: false },
+    ],
+    data,
+  });
+}
+
+// Returns the account's rent to destination; the token balance must be zero
+export function createCloseAccountInstruction(
+  account,
+  destination,
+  owner,
+  programId = TOKEN_PROGRAM_ID
+) {
+  return new TransactionInstruction({
+    programId,
+    keys: [
+      { pubkey: account, isSigner: false, isWritable: true },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: true, isWritable: false },
+    ],
+    data: Buffer.from([CLOSE_ACCOUNT]),
+  });
+}
+
+// Every token account of owner across both programs:
+// [{ account, mint, amountRaw (string), decimals, uiAmount, programId, lamports, state, withheldRaw }]
+// withheldRaw is the Token-2022 transfer fee still held by the account (blocks closing).
+export async function getWalletTokenAccounts(owner) {
+  const ownerPk = new PublicKey(owner);
+  const out = [];
+  for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+    const resp = await getParsedTokenAccountsByOwnerRaced(ownerPk, {
+      programId,
+    }).catch(() => null);
+    for (const { pubkey, account } of resp?.value || []) {
+      const info = account?.data?.parsed?.info;
+      if (!info?.mint) continue;
+      const decimals = Number(info.tokenAmount?.decimals ?? 0);
+      const amountRaw = String(info.tokenAmount?.amount ?? "0");
+      out.push({
+        account: pubkey.toBase58(),
+        mint: info.mint,
+        amountRaw,
+        decimals,
+        uiAmount: Number(amountRaw) / 10 ** decimals,
+        programId: programId.toBase58(),
+        lamports: Number(account?.lamports ?? 0),
+        state: info.state || "initialized",
+        withheldRaw: String(
+          info.extensions?.find((e) => e?.extension === "transferFeeAmount")
+            ?.state?.withheldAmount ?? "0"
+        ),
+      });
+    }
+  }
+  return out;
+}
+
+// Decimal string -> base units (string) without float rounding; null when invalid
+export function parseTokenAmountRaw(text, decimals) {
+  const m = /^(\d*)(?:\.(\d*))?$/.exec(String(text ?? "").trim());
+  if (!m || (!m[1] && !m[2])) return null;
+  const frac = m[2] || "";
+  if (frac.length > decimals && /[1-9]/.test(frac.slice(decimals))) return null;
+  const units = `${m[1] || "0"}${frac.slice(0, decimals).padEnd(decimals, "0")}`;
+  return BigInt(units).toString();
+}
+
+export function formatTokenAmount(amountRaw, decimals) {
+  const s = BigInt(amountRaw).toString().padStart(decimals + 1, "0");
+  const whole = s.slice(0, s.length - decimals);
+  const frac = decimals ? s.slice(-decimals).replace(/0+$/, "") : "";
+  return frac ? `${whole}.${frac}` : whole;
+}
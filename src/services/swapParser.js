@@ -0,0 +1,103 @@
+// Swap inference from a transaction's pre/post balances. Shared by the
+// copy-trade monitor (any owner) and the chain reconciler (one wallet).
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+
+function accountKeyStrings(tx) {
+  const msg = tx?.transaction?.message;
+  const keys = msg?.staticAccountKeys || msg?.accountKeys || [];
+  return keys.map((k) =>
+    typeof k === "string" ? k : k?.pubkey?.toBase58?.() || k?.toBase58?.() || String(k)
+  );
+}
+
+function uiAmount(b) {
+  const t = b?.uiTokenAmount;
+  return Number(t?.uiAmountString ?? t?.uiAmount ?? 0) || 0;
+}
+
+// Token deltas per mint (wrapped SOL excluded; it shows up in the SOL leg),
+// optionally only for token accounts owned by `owner`
+export function tokenDeltasByMint(meta, { owner } = {}) {
+  const accounts = new Map();
+  for (const [side, list] of [
+    ["pre", meta?.preTokenBalances || []],
+    ["post", meta?.postTokenBalances || []],
+  ]) {
+    for (const b of list) {
+      if (!b?.mint) continue;
+      const key = `${b.accountIndex}:${b.mint}`;
+      const a = accounts.get(key) || { mint: b.mint, owner: b.owner, pre: 0, post: 0 };
+      a[side] = uiAmount(b);
+      a.owner = a.owner || b.owner;
+      accounts.set(key, a);
+    }
+  }
+  const byMint = new Map();
+  for (const a of accounts.values()) {
+    if (a.mint === WSOL_MINT) continue;
+    if (owner && a.owner !== owner) continue;
+    byMint.set(a.mint, (byMint.get(a.mint) || 0) + a.post - a.pre);
+  }
+  return byMint;
+}
+
+// { type: "buy"|"sell", mint, tokens, solLamports, feeLamports } or null.
+// solLamports is the SOL leg of the swap with the network fee added back when
+// the owner paid it (ATA rent created by the swap is included).
+export function analyzeSwapDirection(tx, { owner } = {}) {
+  try {
+    const meta = tx?.meta;
+    if (!meta || meta.err) return null;
+    const byMint = tokenDeltasByMint(meta, { owner });
+    // Largest positive delta mint (acquired) and largest negative (spent)
+    let maxPos = { mint: null, amt: 0 };
+    let maxNeg = { mint: null, amt: 0 };
+    for (const [m, v] of byMint.entries()) {
+      if (v > maxPos.amt) maxPos = { mint: m, amt: v };
+      if (v < maxNeg.amt) maxNeg = { mint: m, amt: v };
+    }
+    if (!maxPos.mint && !maxNeg.mint) return null;
+    const acquired = maxPos.amt > 0 ? maxPos : null;
+    const spent = maxNeg.amt < 0 ? maxNeg : null;
+
+    // SOL leg: native balance change of the owner (fee payer when no owner)
+    const idx = owner ? accountKeyStrings(tx).indexOf(owner) : 0;
+    const feeLamports = Number(meta.fee || 0);
+    const preLam = Number(meta.preBalances?.[idx] ?? NaN);
+    const postLam = Number(meta.postBalances?.[idx] ?? NaN);
+    const lamportsDelta =
+      idx >= 0 && Number.isFinite(preLam) && Number.isFinite(postLam)
+        ? postLam - preLam + (idx === 0 ? feeLamports : 0)
+        : 0;
+
+    if (acquired && lamportsDelta < 0) {
+      return {
+        type: "buy",
+        mint: acquired.mint,
+        tokens: acquired.amt,
+        amountOut: acquired.amt,
+        solLamports: -lamportsDelta,
+        feeLamports,
+      };
+    }
+    if (spent && lamportsDelta > 0) {
+      return {
+        type: "sell",
+        mint: spent.mint,
+        tokens: Math.abs(spent.amt),
+        amountIn: Math.abs(spent.amt),
+        solLamports: lamportsDelta,
+        feeLamports,
+      };
+    }
+
+    // Copy-trade fallback: logs mentioning Jupiter with a token acquired
+    if (!owner) {
+      for (const l of meta.logMessages || []) {
+        if (/jupiter|swap/i.test(l) && acquired?.mint)
+          return { type: "buy", mint: acquired.mint };
+      }
+    }
+  } catch {}
+  return null;
+}
@@ -0,0 +1,134 @@
+import fs from "fs";
+import path from "path";
+import { MongoClient } from "mongodb";
+
+let mongoClient;
+let laddersCol;
+
+function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || "./data");
+}
+
+function ensureDir() {
+  const dir = path.join(getDataDir(), "tp_ladders");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function filePath() {
+  return path.join(ensureDir(), "tp_ladders.json");
+}
+
+function readFileStore() {
+  try {
+    const fp = filePath();
+    if (!fs.existsSync(fp)) return [];
+    const txt = fs.readFileSync(fp, "utf8");
+    return JSON.parse(txt || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writeFileStore(items) {
+  try {
+    const fp = filePath();
+    fs.writeFileSync(fp, JSON.stringify(items, null, 2));
+  } catch {}
+}
+
+export async function initTakeProfitStore() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB || "turbosol";
+  if (!uri) return false;
+  if (mongoClient && laddersCol) return true;
+  try {
+    mongoClient = new MongoClient(uri, {
+      ignoreUndefined: true,
+      retryWrites: true,
+      minPoolSize: 1,
+      maxPoolSize: Number(process.env.MONGO_MAX_POOL || 10),
+      serverSelectionTimeoutMS: Number(process.env.MONGO_SELECT_TIMEOUT_MS || 5000),
+      connectTimeoutMS: Number(process.env.MONGO_CONNECT_TIMEOUT_MS || 10000),
+      socketTimeoutMS: Number(process.env.MONGO_SOCKET_TIMEOUT_MS || 20000),
+    });
+    await mongoClient.connect();
+    const db = mongoClient.db(dbName);
+    laddersCol = db.collection("tp_ladders");
+    try {
+      await laddersCol.createIndex({ chatId: 1, mint: 1, status: 1 });
+      await laddersCol.createIndex({ status: 1, updatedAt: -1 });
+    } catch {}
+    return true;
+  } catch (e) {
+    // Swallow DB init errors; fallback to file store
+    mongoClient = null;
+    laddersCol = null;
+    try {
+      console.warn(`Mongo take-profit DB unavailable: ${e?.message || e}`);
+    } catch {}
+    return false;
+  }
+}
+
+// One active ladder per chat+mint; saving replaces the active one
+export async function saveTakeProfitLadder(ladder) {
+  if (!ladder?.chatId || !ladder?.mint) return;
+  const { _id, ...rest } = ladder;
+  const doc = { ...rest, chatId: String(ladder.chatId), updatedAt: Date.now() };
+  if (laddersCol) {
+    await laddersCol.updateOne(
+      { chatId: doc.chatId, mint: doc.mint, status: "active" },
+      { $set: doc },
+      { upsert: true }
+    );
+    return;
+  }
+  const items = readFileStore();
+  const idx = items.findIndex(
+    (i) => i.chatId === doc.chatId && i.mint === doc.mint && i.status === "active"
+  );
+  if (idx >= 0) items[idx] = { ...items[idx], ...doc };
+  else items.push(doc);
+  writeFileStore(items);
+}
+
+// Close the active ladder for chat+mint (completed|cancelled)
+export async function markTakeProfitLadderStatus(chatId, mint, status, extra = {}) {
+  const patch = { ...extra, status, endedAt: Date.now(), updatedAt: Date.now() };
+  if (laddersCol) {
+    const res = await laddersCol.updateOne(
+      { chatId: String(chatId), mint, status: "active" },
+      { $set: patch }
+    );
+    return res?.modifiedCount > 0;
+  }
+  const items = readFileStore();
+  const idx = items.findIndex(
+    (i) => i.chatId === String(chatId) && i.mint === mint && i.status === "active"
+  );
+  if (idx < 0) return false;
+  items[idx] = { ...items[idx], ...patch };
+  writeFileStore(items);
+  return true;
+}
+
+export async function loadActiveTakeProfitLadders() {
+  if (laddersCol) {
+    const cur = laddersCol.find({ status: "active" });
+    return await cur.toArray();
+  }
+  const items = readFileStore();
+  return items.filter((i) => i.status === "active");
+}
+
+export async function loadActiveTakeProfitLaddersByChat(chatId) {
+  if (laddersCol) {
+    const cur = laddersCol.find({ chatId: String(chatId), status: "active" });
+    return await cur.toArray();
+  }
+  const items = readFileStore();
+  return items.filter(
+    (i) => i.status === "active" && i.chatId === String(chatId)
+  );
+}
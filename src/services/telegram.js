@@ -1,6 +1,36 @@
 import TelegramBot from "node-telegram-bot-api";
 import { getPublicKey } from "./wallet.js";
-import { getTokenQuote, performSwap, quickSell } from "./trading/jupiter.js";
+import {
+  getTokenQuote,
+  performSwap,
+  performBundledBuy,
+  quickSell,
+} from "./trading/jupiter.js";
+import { MAX_BUNDLE_TXS, waitForBundle } from "./jito.js";
+import {
+  SPLIT_MODES,
+  resolveBuyWallets,
+  getSplitSettings,
+  planWalletSplit,
+  performMultiWalletBuy,
+  startMultiWalletSnipe,
+  formatMultiWalletBuySummary,
+  performMultiWalletSell,
+  formatMultiWalletSellSummary,
+} from "./trading/multiWallet.js";
+import {
+  planSweep,
+  collectSweepBalances,
+  executeSweep,
+  formatSweepPreview,
+  formatSweepResults,
+} from "./walletSweep.js";
+import {
+  scanRentReclaim,
+  executeRentReclaim,
+  formatRentReclaimPlan,
+  formatRentReclaimResults,
+} from "./rentReclaim.js";
 import {
   startLiquidityWatch,
   stopLiquidityWatch,
@@ -35,7 +65,30 @@ import {
   renameUserWallet,
   getAllUserWalletKeypairs,
   getUserWalletKeypairById,
+  exportUserWalletKeys,
+  getWalletEncryptionStatus,
+  rotateWalletEncryption,
+  deleteUserWalletById,
 } from "./userWallets.js";
+import {
+  MIN_PASSPHRASE_LENGTH,
+  createWalletBackup,
+  parseBackup,
+  restoreWalletBackup,
+} from "./walletBackup.js";
+import {
+  GUARD_MODES,
+  guardChallenge,
+  getTradeGuardSettings,
+  pinLockedUntil,
+  checkTradePin,
+  setTradePin,
+  clearTradePin,
+  grantGuardApproval,
+  consumeGuardApproval,
+  formatTradeGuardStatus,
+} from "./tradeGuard.js";
+import { quoteOrderPriceSol } from "./watchers/limitOrderWatcher.js";
 import {
   getWalletInfo,
   shortenAddress,
@@ -56,6 +109,11 @@ import {
   buildCopyTradeMenu,
   buildCopyTradeWalletMenu,
   buildWalletStatusHeader,
+  buildLimitOrdersMenu,
+  buildExitGridMenu,
+  buildExitLadderMenu,
+  buildPositionDetailMenu,
+  buildDcaPlansMenu,
 } from "./menuBuilder.js";
 import {
   getUserState,
@@ -70,12 +128,36 @@ import {
   addCopyTradeWallet,
   removeCopyTradeWallet,
   updateCopyTradeWallet,
+  addLimitOrder,
+  cancelLimitOrder,
+  ensureUserStateLoaded,
 } from "./userState.js";
 import { readTrades } from "./tradeStore.js";
-import { PublicKey } from "@solana/web3.js";
-import { transferSol, saveSuggestion } from "./miscActions.js";
+import { PublicKey, LAMPORTS_PER_SOL } from "@solana/web3.js";
+import {
+  transferSol,
+  transferSplToken,
+  previewSplTransfer,
+  saveSuggestion,
+} from "./miscActions.js";
+import {
+  TOKEN_2022_PROGRAM_ID,
+  parseTokenAmountRaw,
+  formatTokenAmount,
+} from "./splToken.js";
 import { riskCheckToken } from "./risk.js";
-import { startStopLoss, stopStopLoss } from "./watchers/stopLossWatcher.js";
+import {
+  startStopLoss,
+  stopStopLoss,
+  isStopLossActive,
+  getTrailingStopState,
+  parseTakeProfitLadder,
+  startTakeProfitLadder,
+  stopTakeProfitLadder,
+} from "./watchers/stopLossWatcher.js";
+import { loadActiveTakeProfitLaddersByChat } from "./takeProfitStore.js";
+import { getPositions } from "./positionStore.js";
+import { PAPER_NAMESPACE, isPaperTxid } from "./trading/paperTrading.js";
 import { stopPumpFunListener } from "./watchers/pumpfunWatcher.js";
 import {
   addDevWalletToMonitor,
@@ -88,10 +170,37 @@ import {
 } from "./watchers/mempoolWatcher.js";
 import { measureEndpointsLatency } from "./rpcMonitor.js";
 import { loadActiveSnipesByChat, markSnipeCancelled } from "./snipeStore.js";
+import { loadActiveLimitOrdersByChat } from "./limitOrderStore.js";
+import { loadOpenDcaPlansByChat } from "./dcaStore.js";
+import {
+  createDcaPlan,
+  pauseDcaPlan,
+  resumeDcaPlan,
+  cancelDcaPlan,
+} from "./watchers/dcaWatcher.js";
+import { getExitGrid } from "./failGraceExitGrid.js";
+import {
+  DEFAULT_BACKTEST_RULES,
+  parseBacktestArgs,
+  runBacktest,
+  formatBacktestReport,
+} from "./backtest.js";
 // import PumpListener from "./pumpListener.js";
 import PumpPortalListener from "./pumpPortalListener.js";
 import { startPreLPWatch, stopPreLPWatch } from "./preLPScanner.js";
-import { getUnrealizedPnlSummary } from "./pnl.js";
+import {
+  getUnrealizedPnlSummary,
+  getLotPnlReport,
+  formatLotPnlReport,
+} from "./pnl.js";
+import { LOT_METHODS } from "./lotLedger.js";
+import { parseExportArgs, exportTradesCsv } from "./tradeExport.js";
+import { reconcileChat, formatReconcileResult } from "./tradeReconciler.js";
+import {
+  URGENCY_LEVELS,
+  priorityFeeForUrgency,
+  getUrgencyPriorityFees,
+} from "./advancedGasTools.js";
 import { getAllTrades } from "./tradeState.js";
 
 function parseFlags(parts) {
@@ -104,10 +213,693 @@ function parseFlags(parts) {
     if (k === "relay") flags.usePrivateRelay = v === "1" || v === "true";
     if (k === "split") flags.splitAcrossWallets = v === "1" || v === "true";
     if (k === "wallets") flags.walletsCount = Math.max(1, Number(v));
+    if (k === "bundle") flags.atomicBundle = v === "1" || v === "true";
+    if (k === "mode") flags.splitMode = v.toLowerCase();
+    if (k === "urgency" && URGENCY_LEVELS.includes(v.toLowerCase()))
+      flags.urgency = v.toLowerCase();
   }
+  // Bare "fast" / "turbo" also pick the urgency
+  const bare = parts.find((p) => URGENCY_LEVELS.includes(String(p).toLowerCase()));
+  if (bare && !flags.urgency) flags.urgency = bare.toLowerCase();
   return flags;
 }
 
+// Parse "/walletsplit" args; wallets are referenced by their 1-based position in the wallet list
+function parseWalletSplitCommand(parts = []) {
+  const [actionRaw, arg1, arg2] = parts;
+  const action = String(actionRaw || "show").toLowerCase();
+  if (action === "show") return { action };
+  if (action === "mode") {
+    const mode = String(arg1 || "").toLowerCase();
+    if (!SPLIT_MODES.includes(mode)) throw new Error(`mode must be ${SPLIT_MODES.join(", ")}`);
+    return { action, mode };
+  }
+  if (action !== "weight" && action !== "slip") throw new Error(`unknown option: ${action}`);
+  const index = Number(arg1);
+  if (!Number.isInteger(index) || index < 1) throw new Error("wallet # must be 1 or more");
+  const raw = String(arg2 || "").toLowerCase();
+  if (raw === "off" || raw === "default") return { action, index, value: null };
+  const value = Number(raw);
+  if (action === "weight" && !(value >= 0)) throw new Error("weight must be 0 or more");
+  if (action === "slip" && !(Number.isInteger(value) && value > 0 && value <= 5000)) {
+    throw new Error("slippage must be 1-5000 bps");
+  }
+  return { action, index, value };
+}
+
+function formatWalletSplitSettings(chatId, wallets = []) {
+  const st = getUserState(chatId);
+  const { mode, weights, slippageBps } = getSplitSettings(chatId);
+  const selected = new Set(st.selectedWalletIds || []);
+  const lines = [
+    `⚖️ Multi-wallet split: ${mode}${st.multiWalletMode ? "" : " (multi-wallet mode is OFF)"}`,
+  ];
+  wallets.forEach((w, i) => {
+    const label = w.name || `${w.publicKey.slice(0, 4)}…${w.publicKey.slice(-4)}`;
+    const slip = slippageBps[w.id] ? `${slippageBps[w.id]} bps` : "default";
+    lines.push(
+      `${i + 1}. ${selected.has(w.id) ? "☑️" : "▫️"} ${label} • weight ${weights[w.id] ?? 1} • slippage ${slip}`
+    );
+  });
+  if (!wallets.length) lines.push("No wallets yet.");
+  return lines.join("\n");
+}
+
+// "0.2 / 0.3 SOL" style preview of split sizes
+function formatSplitLegs(legs = []) {
+  return `${legs.map((l) => Number(l.amountSol.toFixed(4))).join(" / ")} SOL`;
+}
+
+// One summary for a coordinated multi-wallet buy, plus a trade log and status follow-up per sent leg
+async function reportMultiWalletBuy(chatId, mint, summary) {
+  await bot.sendMessage(chatId, formatMultiWalletBuySummary(summary, { mint }));
+  for (const leg of summary.legs) {
+    if (!leg.ok) continue;
+    addTradeLog(chatId, {
+      kind: "buy",
+      mint,
+      sol: leg.amountSol,
+      tokens: leg.tokensOut ?? NaN,
+      slippageBps: leg.slippageBps,
+      priorityFeeLamports: summary.priorityFeeLamports,
+      via: leg.via,
+      latencyMs: summary.latencyMs,
+      txid: leg.txid,
+      wallet: leg.publicKey,
+      splitMode: summary.mode,
+    });
+    notifyTxStatus(chatId, leg.txid, { kind: "Buy" }).catch(() => {});
+  }
+}
+
+// Sell the same % from every wallet, then one summary plus a trade log and status follow-up per sold wallet
+async function runMultiWalletSell(chatId, mint, percent) {
+  await bot.sendMessage(chatId, `⏳ Selling ${percent}% of ${mint} across all wallets…`);
+  const summary = await performMultiWalletSell({
+    chatId,
+    mint,
+    percent,
+    priorityFeeLamports: getPriorityFeeLamports(),
+    useJitoBundle: getUseJitoBundle(),
+  });
+  await bot.sendMessage(chatId, formatMultiWalletSellSummary(summary, { mint }));
+  for (const leg of summary.legs) {
+    if (!leg.ok) continue;
+    addTradeLog(chatId, {
+      kind: "sell",
+      mint,
+      percent,
+      sol: leg.solOut,
+      route: leg.route,
+      priceImpactPct: leg.priceImpactPct,
+      slippageBps: leg.slippageBps,
+      priorityFeeLamports: summary.priorityFeeLamports,
+      via: leg.via,
+      latencyMs: summary.latencyMs,
+      txid: leg.txid,
+      wallet: leg.publicKey,
+    });
+    notifyTxStatus(chatId, leg.txid, { kind: "Sell" }).catch(() => {});
+  }
+  return summary;
+}
+
+// Parse "/sweep [main#] [sol=0|1] [tokens=0|1]"; main# is the 1-based position in the wallet list
+function parseSweepArgs(parts = []) {
+  const opts = { mainIndex: null, includeSol: true, includeTokens: true };
+  for (const p of parts) {
+    const [k, v] = p.split("=");
+    if (v === undefined) {
+      const index = Number(k);
+      if (!Number.isInteger(index) || index < 1) throw new Error("wallet # must be 1 or more");
+      opts.mainIndex = index;
+    } else if (k === "sol" || k === "tokens") {
+      opts[k === "sol" ? "includeSol" : "includeTokens"] = v === "1" || v === "true";
+    } else {
+      throw new Error(`unknown option: ${k}`);
+    }
+  }
+  if (!opts.includeSol && !opts.includeTokens) throw new Error("nothing to sweep");
+  return opts;
+}
+
+// Scan for closable token accounts and offer to close them in the active or all wallets
+async function sendRentReclaimPreview(chatId, { all = true } = {}) {
+  await bot.sendMessage(chatId, "🔎 Scanning token accounts…");
+  const plan = await scanRentReclaim(chatId, { all });
+  const buttons = [];
+  if (plan.wallets.length) {
+    buttons.push([
+      { text: "👛 Active wallet", callback_data: "RECLAIM_RENT_ACTIVE" },
+      { text: "🌐 All wallets", callback_data: "RECLAIM_RENT_ALL" },
+    ]);
+  }
+  buttons.push([{ text: "🏠 Main", callback_data: "MAIN_MENU" }]);
+  await bot.sendMessage(chatId, formatRentReclaimPlan(plan), {
+    reply_markup: { inline_keyboard: buttons },
+  });
+}
+
+// Key export: shown keys are deleted after this delay
+const KEY_EXPORT_DELETE_MS = Number(process.env.WALLET_EXPORT_DELETE_MS || 60000);
+const BACKUP_MAX_BYTES = 64 * 1024;
+// Uploaded backups waiting for their passphrase, per chat
+const BACKUP_RESTORE_TTL_MS = 5 * 60 * 1000;
+const pendingBackupRestores = new Map();
+
+function walletLabel(w) {
+  return w.name || shortenAddress(w.publicKey);
+}
+
+async function sendKeyExportPrompt(chatId, walletId) {
+  const [w] = await exportUserWalletKeys(chatId, { walletId }).catch(() => []);
+  if (!w) {
+    await bot.sendMessage(chatId, "❌ Wallet not found.");
+    return;
+  }
+  await bot.sendMessage(
+    chatId,
+    `🔑 Export ${walletLabel(w)}\n\n⚠️ Anyone with the private key has full control of this wallet. Never share it, and make sure nobody can see your screen.\n\nShow the key here (the message is deleted after ${Math.round(
+      KEY_EXPORT_DELETE_MS / 1000
+    )}s), or get a passphrase-encrypted backup file of all your wallets.`,
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "👁 Show private key", callback_data: `EXPORT_SHOW_${w.id}` }],
+          [{ text: "🔐 Encrypted backup file", callback_data: "EXPORT_BACKUP" }],
+          [{ text: "✖️ Cancel", callback_data: "EXPORT_CANCEL" }],
+        ],
+      },
+    }
+  );
+}
+
+// Best-effort removal of messages that contain secrets
+function deleteSoon(chatId, messageId, delayMs = 0) {
+  if (!messageId) return;
+  const t = setTimeout(() => {
+    bot.deleteMessage(chatId, messageId).catch(() => {});
+  }, delayMs);
+  t.unref?.();
+}
+
+async function readBackupDocument(doc) {
+  if (Number(doc?.file_size || 0) > BACKUP_MAX_BYTES) {
+    throw new Error("File is too large to be a wallet backup");
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of bot.getFileStream(doc.file_id)) {
+    size += chunk.length;
+    if (size > BACKUP_MAX_BYTES) throw new Error("File is too large to be a wallet backup");
+    chunks.push(chunk);
+  }
+  return parseBackup(Buffer.concat(chunks));
+}
+
+// Trade guard challenges waiting for a tap or the PIN, per chat
+const GUARD_CHALLENGE_TTL_MS = 2 * 60 * 1000;
+const pendingGuards = new Map();
+
+function guardLockedText(lockedUntil) {
+  return `🔒 Trading PIN locked after too many wrong attempts. Try again in ${Math.max(
+    1,
+    Math.ceil((lockedUntil - Date.now()) / 60000)
+  )} min.`;
+}
+
+// SOL value of selling percent of the active wallet's balance; null if unknown
+async function estimateSellValueSol(chatId, mint, percent) {
+  const st = getUserState(chatId);
+  if (st.multiWalletMode && (st.selectedWalletIds || []).length) return null;
+  const items = await getWalletSellTokens(chatId).catch(() => []);
+  const held = items.find((t) => t.mint === mint);
+  if (!held) return null;
+  const price = await quoteOrderPriceSol({ side: "sell", mint, chatId }).catch(() => null);
+  if (!(price > 0)) return null;
+  return ((Number(held.uiAmount) || 0) * percent * price) / 100;
+}
+
+// Guard description of a callback, or null when it is never challenged
+function callbackGuardSpec(data) {
+  if (data.startsWith("DELETE_WALLET_CONFIRM_")) {
+    return { action: "delete_wallet", confirmed: true, label: "delete this wallet" };
+  }
+  if (data.startsWith("EXPORT_SHOW_")) {
+    return { action: "export_key", confirmed: true, label: "show the private key" };
+  }
+  if (data === "EXPORT_BACKUP") {
+    return { action: "export_key", confirmed: true, label: "create a wallet backup" };
+  }
+  if (data.startsWith("AUTO_BUY_")) {
+    const [mint, amtStr] = data.slice("AUTO_BUY_".length).split("_");
+    return {
+      action: "buy",
+      amountSol: parseFloat(amtStr),
+      label: `buy ${amtStr} SOL of ${shortenAddress(mint)}`,
+    };
+  }
+  if (data.startsWith("SELL_PCT_")) {
+    const [pctStr, mint] = data.slice("SELL_PCT_".length).split("_");
+    const percent = Math.max(1, Math.min(100, parseInt(pctStr, 10) || 100));
+    return {
+      action: "sell",
+      estimateSol: (chatId) => estimateSellValueSol(chatId, mint, percent),
+      label: `sell ${percent}% of ${shortenAddress(mint)}`,
+    };
+  }
+  if (data === "SWEEP_CONFIRM") {
+    return {
+      action: "sweep",
+      confirmed: true,
+      label: "sweep wallet balances into the main wallet",
+    };
+  }
+  if (data.startsWith("SELL_ALLW_")) {
+    // Selling across every wallet is not estimated; it always counts as large
+    const [pctStr, mint] = data.slice("SELL_ALLW_".length).split("_");
+    const percent = Math.max(1, Math.min(100, parseInt(pctStr, 10) || 100));
+    return {
+      action: "sell",
+      label: `sell ${percent}% of ${shortenAddress(mint)} in all wallets`,
+    };
+  }
+  return null;
+}
+
+// Holds an action back when the chat's trade guard wants a challenge and
+// returns true. Callback actions come back through their own callback_data
+// (approved for one run); message flows pass resume to replay the message.
+async function challengeGuardedAction(
+  chatId,
+  { key, label, action, amountSol = null, estimateSol, confirmed = false, callbackData, resume }
+) {
+  // Guard mode, PIN and lockout are persisted; never judge on defaults
+  await ensureUserStateLoaded(chatId);
+  const settings = getTradeGuardSettings(chatId);
+  // Only quote the trade when its size can matter
+  if (estimateSol && settings.mode !== "off" && settings.thresholdSol != null) {
+    amountSol = await estimateSol(chatId).catch(() => null);
+  }
+  const challenge = guardChallenge(settings, { action, amountSol, confirmed });
+  if (!challenge || consumeGuardApproval(chatId, key)) return false;
+  const lockedUntil = pinLockedUntil(chatId);
+  if (challenge === "pin" && lockedUntil) {
+    await bot.sendMessage(chatId, guardLockedText(lockedUntil));
+    return true;
+  }
+  if (challenge === "confirm") {
+    let confirmData = "GUARD_CONFIRM";
+    if (callbackData) {
+      grantGuardApproval(chatId, key);
+      confirmData = callbackData;
+    } else {
+      pendingGuards.set(String(chatId), { key, label, resume, at: Date.now() });
+    }
+    await bot.sendMessage(chatId, `⚠️ Please confirm: ${label}`, {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: "✅ Confirm", callback_data: confirmData },
+            { text: "✖️ Cancel", callback_data: "GUARD_CANCEL" },
+          ],
+        ],
+      },
+    });
+    return true;
+  }
+  pendingGuards.set(String(chatId), { key, label, callbackData, resume, at: Date.now() });
+  setPendingInput(chatId, { type: "TRADE_GUARD_PIN" });
+  await bot.sendMessage(
+    chatId,
+    `🔐 Enter your trading PIN to ${label}. Your message is deleted right away; type 'cancel' to stop.`
+  );
+  return true;
+}
+
+// Slash commands that trade: the command replays itself once approved
+function guardCommand(msg, spec, rerun) {
+  return challengeGuardedAction(msg.chat.id, {
+    ...spec,
+    key: `cmd:${msg.message_id}`,
+    resume: rerun,
+  });
+}
+
+// Guard description of an order command; sells are sized from the held balance
+function orderGuardSpec(chatId, { side, mint, amountSol, percent }, label) {
+  if (side === "buy") return { action: "buy", amountSol: Number(amountSol), label };
+  return {
+    action: "sell",
+    estimateSol: () => estimateSellValueSol(chatId, mint, Number(percent ?? 100)),
+    label,
+  };
+}
+
+// Runs the held-back action once its challenge is passed
+async function resumeGuardedAction(chatId) {
+  const g = pendingGuards.get(String(chatId));
+  pendingGuards.delete(String(chatId));
+  if (!g || Date.now() - g.at > GUARD_CHALLENGE_TTL_MS) {
+    await bot.sendMessage(chatId, "⌛ Confirmation expired. Please start again.");
+    return;
+  }
+  grantGuardApproval(chatId, g.key);
+  if (g.callbackData) {
+    await bot.sendMessage(chatId, `✅ PIN accepted. Tap to ${g.label}.`, {
+      reply_markup: {
+        inline_keyboard: [[{ text: "▶️ Continue", callback_data: g.callbackData }]],
+      },
+    });
+    return;
+  }
+  await g.resume?.();
+}
+
+// "/pin ..." arguments -> { op, ... }; a trailing PIN authorizes changes once one is set
+function parsePinCommand(parts) {
+  const [opRaw, a, b] = parts;
+  const op = String(opRaw || "").toLowerCase();
+  if (!op || op === "status") return { op: "status" };
+  if (op === "set") return { op, pin: a };
+  if (op === "change") return { op, currentPin: a, pin: b };
+  if (op === "clear") return { op, currentPin: a };
+  if (op === "mode") {
+    const mode = String(a || "").toLowerCase();
+    if (!GUARD_MODES.includes(mode)) throw new Error(`mode must be one of ${GUARD_MODES.join(", ")}`);
+    return { op, mode, currentPin: b };
+  }
+  if (op === "threshold") {
+    const v = String(a || "").toLowerCase();
+    const thresholdSol = v === "off" || v === "none" ? null : Number(v);
+    if (thresholdSol !== null && !(Number.isFinite(thresholdSol) && thresholdSol >= 0)) {
+      throw new Error("threshold must be a SOL amount or 'off'");
+    }
+    return { op, thresholdSol, currentPin: b };
+  }
+  throw new Error(`unknown option '${op}'`);
+}
+
+// Dry-run sweep plans awaiting confirmation, per chat
+const SWEEP_CONFIRM_TTL_MS = 5 * 60 * 1000;
+const pendingSweeps = new Map();
+
+// Parse "/limit <buy|sell> <mint> <solAmount|percent> <priceSol> [tif=GTC|GTT|IOC] [exp=30m] [slippage=bps]"
+const DURATION_UNITS_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+function parseLimitOrderCommand(parts) {
+  const [sideRaw, mintRaw, sizeRaw, priceRaw, ...rest] = parts;
+  const side = String(sideRaw || "").toLowerCase();
+  if (side !== "buy" && side !== "sell") throw new Error("side must be buy or sell");
+  const mint = new PublicKey(String(mintRaw || "").trim()).toBase58();
+  const size = Number(sizeRaw);
+  const triggerPriceSol = Number(priceRaw);
+  if (!Number.isFinite(size) || size <= 0) throw new Error("invalid size");
+  if (side === "sell" && size > 100) throw new Error("sell percent must be 1-100");
+  if (!Number.isFinite(triggerPriceSol) || triggerPriceSol <= 0)
+    throw new Error("invalid trigger price");
+  const order = { side, mint, triggerPriceSol };
+  if (side === "buy") order.amountSol = size;
+  else order.percent = size;
+  for (const p of rest) {
+    const [k, v] = p.split("=");
+    if (!v) continue;
+    if (k === "tif") order.timeInForce = v.toUpperCase();
+    if (k === "slippage") order.slippageBps = Number(v);
+    if (k === "exp") {
+      const m = v.match(/^(\d+(?:\.\d+)?)([smhd])$/i);
+      if (!m) throw new Error("exp must look like 30m, 2h or 1d");
+      order.expiresAt =
+        Date.now() + Number(m[1]) * DURATION_UNITS_MS[m[2].toLowerCase()];
+    }
+  }
+  return order;
+}
+
+function formatLimitOrderLines(orders = []) {
+  return orders.map((o) => {
+    const short = `${o.mint.slice(0, 6)}…${o.mint.slice(-4)}`;
+    const size = o.side === "sell" ? `${o.percent}%` : `${o.amountSol} SOL`;
+    const cmp = o.side === "sell" ? "≥" : "≤";
+    const exp = o.expiresAt
+      ? ` exp ${new Date(o.expiresAt).toLocaleString()}`
+      : "";
+    const last = Number.isFinite(Number(o.lastPriceSol))
+      ? ` | last ${Number(o.lastPriceSol).toPrecision(4)}`
+      : "";
+    return `• ${o.side.toUpperCase()} ${short} — ${size} @ ${cmp} ${
+      o.triggerPriceSol
+    } SOL [${o.timeInForce}${exp}]${last}`;
+  });
+}
+
+async function buildLimitOrdersView(chatId) {
+  const orders = await loadActiveLimitOrdersByChat(chatId).catch(() => []);
+  const lines = formatLimitOrderLines(orders);
+  const body = lines.length
+    ? `📑 Limit Orders (${lines.length})\n\n${lines.join("\n")}`
+    : "No active limit orders.\n\nCreate one with:\n/limit buy <mint> <SOL> <priceSol>\n/limit sell <mint> <percent> <priceSol>";
+  return { body, markup: buildLimitOrdersMenu(orders).reply_markup };
+}
+
+// Parse "/dca buy <mint> <totalSOL> <slices> <every> [max=<priceSol>] [slippage=bps]"
+// and "/dca sell <mint> <slices> <every> [pct=100] [min=<priceSol>] [slippage=bps]"
+function parseDcaCommand(parts) {
+  const [sideRaw, mintRaw, ...rest] = parts;
+  const side = String(sideRaw || "").toLowerCase();
+  if (side !== "buy" && side !== "sell") throw new Error("side must be buy or sell");
+  const mint = new PublicKey(String(mintRaw || "").trim()).toBase58();
+  const spec = { side, mint };
+  if (side === "buy") spec.amountSol = Number(rest.shift());
+  spec.slices = Number(rest.shift());
+  const every = String(rest.shift() || "").match(/^(\d+(?:\.\d+)?)([smhd])$/i);
+  if (!every) throw new Error("interval must look like 30m, 2h or 1d");
+  spec.intervalMs = Number(every[1]) * DURATION_UNITS_MS[every[2].toLowerCase()];
+  for (const p of rest) {
+    const [k, v] = p.split("=");
+    if (!v) continue;
+    if (k === "max") spec.maxPriceSol = Number(v);
+    if (k === "min") spec.minPriceSol = Number(v);
+    if (k === "pct") spec.portionPct = Number(v);
+    if (k === "slippage") spec.slippageBps = Number(v);
+  }
+  return spec;
+}
+
+function formatDuration(ms) {
+  const units = Object.entries(DURATION_UNITS_MS).reverse();
+  const [unit, size] =
+    units.find(([, size]) => ms >= size && ms % size === 0) || ["s", 1000];
+  return `${+(ms / size).toFixed(2)}${unit}`;
+}
+
+function formatDcaPlanLines(plans = []) {
+  return plans.map((p) => {
+    const short = `${p.mint.slice(0, 6)}…${p.mint.slice(-4)}`;
+    const size =
+      p.side === "sell" ? `${p.portionPct}% of balance` : `${p.amountSol} SOL`;
+    const bound =
+      p.side === "sell"
+        ? p.minPriceSol
+          ? ` | floor ${p.minPriceSol}`
+          : ""
+        : p.maxPriceSol
+        ? ` | ceiling ${p.maxPriceSol}`
+        : "";
+    const every = formatDuration(p.intervalMs);
+    const status =
+      p.status === "paused"
+        ? "⏸ paused"
+        : `next ${new Date(p.nextRunAt).toLocaleTimeString()}`;
+    return `• ${p.side.toUpperCase()} ${short} — ${size} in ${p.slices} × ${every} (${
+      p.slicesDone
+    }/${p.slices} done${bound}) ${status} [${p.id}]`;
+  });
+}
+
+async function buildDcaPlansView(chatId) {
+  const plans = await loadOpenDcaPlansByChat(chatId).catch(() => []);
+  const lines = formatDcaPlanLines(plans);
+  const body = lines.length
+    ? `🔁 DCA Plans (${lines.length})\n\n${lines.join("\n")}`
+    : "No DCA plans.\n\nCreate one with:\n/dca buy <mint> <totalSOL> <slices> <every>\n/dca sell <mint> <slices> <every> [pct=100]";
+  return { body, markup: buildDcaPlansMenu(plans).reply_markup };
+}
+
+const EXIT_STEP_LABELS = {
+  stop_loss: "Stop-loss",
+  take_profit: "Take-profit",
+  partial_exit: "Partial exit",
+  trailing_stop: "Trailing stop",
+  emergency: "Emergency",
+};
+
+function formatExitLadder(ladder) {
+  const short = `${ladder.mint.slice(0, 6)}…${ladder.mint.slice(-4)}`;
+  const pnl = Number(ladder.unrealizedPNL || 0) * 100;
+  const lines = [
+    `🪜 Exit Ladder — ${short}`,
+    `• Wallet: ${ladder.wallet.slice(0, 4)}…${ladder.wallet.slice(-4)}`,
+    `• Entry: ${ladder.entryPrice.toPrecision(6)} SOL`,
+    `• Now: ${Number(ladder.currentPrice).toPrecision(6)} SOL (${
+      pnl >= 0 ? "+" : ""
+    }${pnl.toFixed(2)}%)`,
+    `• Status: ${ladder.status}`,
+    "",
+  ];
+  for (const step of ladder.steps) {
+    const label = EXIT_STEP_LABELS[step.type] || step.type;
+    const size = `sell ${Math.round(step.exitPercent * 100)}%`;
+    const mark = step.active ? "⏳" : "✅";
+    if (!step.triggerPrice) {
+      lines.push(
+        `${mark} ${label}: arms on first quote (${Math.round(
+          step.trailPercent * 100
+        )}% off high) → ${size}`
+      );
+      continue;
+    }
+    const move = (step.triggerPrice / ladder.entryPrice - 1) * 100;
+    lines.push(
+      `${mark} ${label} @ ${step.triggerPrice.toPrecision(6)} SOL (${
+        move >= 0 ? "+" : ""
+      }${move.toFixed(1)}%) → ${size}`
+    );
+  }
+  lines.push(
+    `⏰ Max hold until ${new Date(ladder.exitDeadline).toLocaleString()}`
+  );
+  return lines.join("\n");
+}
+
+function buildExitGridView(chatId) {
+  const state = getUserState(chatId);
+  const grid = getExitGrid();
+  const positions = grid ? grid.getPositionsByChat(chatId) : [];
+  const header = `🛡 Exit Grid: ${state.exitGridEnabled ? "ON" : "OFF"}`;
+  let body;
+  if (!grid) body = `${header}\n\nExit grid is not running.`;
+  else if (!state.exitGridEnabled)
+    body = `${header}\n\nWhen enabled, open positions get stop-loss, take-profit, partial exits, a trailing stop and liquidity-drain protection. Exits are sold automatically.`;
+  else if (!positions.length)
+    body = `${header}\n\nNo open positions are being managed yet.`;
+  else
+    body = `${header}\n\nManaged positions (${positions.length}). Tap one to view its exit ladder.`;
+  return { body, markup: buildExitGridMenu(chatId, positions).reply_markup };
+}
+
+function buildExitLadderView(chatId, id) {
+  const position = getExitGrid()?.findPosition(chatId, id);
+  const ladder = position ? getExitGrid().getExitLadder(position.token) : null;
+  return {
+    body: ladder
+      ? formatExitLadder(ladder)
+      : "Position is no longer managed by the exit grid.",
+    markup: buildExitLadderMenu(id).reply_markup,
+  };
+}
+
+// Open positions from the persistent store, merged across wallets per mint
+function getOpenPositionsByMint(chatId) {
+  const byMint = new Map();
+  for (const p of getPositions(chatId) || []) {
+    if (!(Number(p.tokens) > 0)) continue;
+    const cur = byMint.get(p.mint) || { mint: p.mint, tokens: 0, cost: 0 };
+    cur.tokens += Number(p.tokens);
+    cur.cost += Number(p.tokens) * Number(p.avgPriceSolPerToken || 0);
+    byMint.set(p.mint, cur);
+  }
+  return [...byMint.values()].map((p) => ({
+    mint: p.mint,
+    tokens: p.tokens,
+    avgPriceSolPerToken: p.tokens > 0 ? p.cost / p.tokens : 0,
+  }));
+}
+
+const DEFAULT_TRAILING_STOP = {
+  trailPct: 15,
+  activationPct: 10,
+  stepPct: 5,
+  sellPct: 0,
+  stopPct: 20,
+};
+
+// Parse "trail=15 act=10 step=5 sell=25 stop=20" on top of the current config
+function parseTrailingStopConfig(text, base = DEFAULT_TRAILING_STOP) {
+  const keys = {
+    trail: "trailPct",
+    act: "activationPct",
+    step: "stepPct",
+    sell: "sellPct",
+    stop: "stopPct",
+  };
+  const cfg = { ...base };
+  let matched = 0;
+  for (const part of String(text || "").trim().split(/\s+/)) {
+    const [k, v] = part.split("=");
+    const key = keys[String(k).toLowerCase()];
+    const n = Number(v);
+    if (!key || !Number.isFinite(n) || n < 0) {
+      throw new Error(`invalid setting "${part}"`);
+    }
+    cfg[key] = n;
+    matched += 1;
+  }
+  if (!matched) throw new Error("no settings given");
+  if (cfg.trailPct < 1 || cfg.trailPct > 95) throw new Error("trail must be 1-95");
+  if (cfg.sellPct > 100) throw new Error("sell must be 0-100");
+  if (cfg.stopPct < 1 || cfg.stopPct > 95) throw new Error("stop must be 1-95");
+  return cfg;
+}
+
+function buildPositionDetailView(chatId, mint) {
+  const state = getUserState(chatId);
+  const pos = getOpenPositionsByMint(chatId).find((p) => p.mint === mint);
+  const cfg = state.trailingStops?.[mint] || DEFAULT_TRAILING_STOP;
+  const running = isStopLossActive(chatId, mint);
+  const live = getTrailingStopState(chatId, mint);
+  const lines = [`📍 Position — ${mint.slice(0, 6)}…${mint.slice(-4)}`];
+  if (pos) {
+    lines.push(`• Tokens: ${pos.tokens.toFixed(4)}`);
+    lines.push(`• Avg entry: ${pos.avgPriceSolPerToken.toPrecision(6)} SOL`);
+  } else {
+    lines.push("• No open balance recorded for this token.");
+  }
+  lines.push(
+    "",
+    `🎯 Trailing stop${state.trailingStops?.[mint] ? "" : " (defaults)"}`,
+    `• Trail: ${cfg.trailPct}% below high`,
+    `• Activates at: +${cfg.activationPct}% vs entry`,
+    `• Ratchet step: ${cfg.stepPct}%`,
+    `• Sell per ratchet: ${cfg.sellPct ? `${cfg.sellPct}%` : "off"}`,
+    `• Fixed stop until active: -${cfg.stopPct}%`
+  );
+  if (!running) lines.push("• Status: off");
+  else if (live?.active)
+    lines.push(
+      `• Status: trailing — stop ${live.stopPrice.toPrecision(
+        6
+      )} SOL, high ${live.highPrice.toPrecision(6)} SOL, ratchets ${
+        live.ratchets
+      }`
+    );
+  else lines.push("• Status: armed, waiting for activation");
+  return {
+    body: lines.join("\n"),
+    markup: buildPositionDetailMenu(mint, { trailingRunning: running })
+      .reply_markup,
+  };
+}
+
+function startTrailingStopFor(chatId, mint) {
+  const cfg = getUserState(chatId).trailingStops?.[mint] || DEFAULT_TRAILING_STOP;
+  startStopLoss(chatId, {
+    mint,
+    thresholdPct: cfg.stopPct,
+    trailing: cfg,
+    onEvent: (m) => bot?.sendMessage?.(chatId, `🎯 ${m}`),
+  });
+}
+
 let bot;
 export function getBotInstance() {
   return bot;
@@ -152,7 +944,10 @@ function buildMainMenu(chatId) {
           { text: "Snipe LP Add", callback_data: "SNIPE_LP" },
           { text: "Stop Snipe", callback_data: "STOP_SNIPE" },
         ],
-        [{ text: "📋 Active Snipes", callback_data: "ACTIVE_SNIPES" }],
+        [
+          { text: "📋 Active Snipes", callback_data: "ACTIVE_SNIPES" },
+          { text: "📑 Limit Orders", callback_data: "LIMIT_ORDERS" },
+        ],
         [
           { text: "Quote", callback_data: "QUOTE" },
           { text: "⚙️ Settings", callback_data: "SETTINGS" },
@@ -165,8 +960,14 @@ function buildMainMenu(chatId) {
           { text: "💡 Suggestions", callback_data: "SUGGESTIONS" },
           { text: "🔄 Refresh", callback_data: "REFRESH" },
         ],
-        [{ text: "🤖 Automation", callback_data: "AUTOMATION" }],
-        [{ text: "Help", callback_data: "HELP" }],
+        [
+          { text: "📈 Positions", callback_data: "POSITIONS" },
+          { text: "🤖 Automation", callback_data: "AUTOMATION" },
+        ],
+        [
+          { text: "🛠 Trading Tools", callback_data: "TRADING_TOOLS" },
+          { text: "Help", callback_data: "HELP" },
+        ],
       ],
     },
   };
@@ -261,9 +1062,25 @@ export async function startTelegramBot() {
       { command: "start", description: "Initialize the bot" },
       { command: "setup", description: "Create new wallet" },
       { command: "import", description: "Import existing wallet" },
+      { command: "export", description: "Export wallet key or backup" },
       { command: "address", description: "Show wallet address" },
       { command: "prelp", description: "Toggle Pre-LP scanner" },
       { command: "delta", description: "Toggle Liquidity Delta heuristic" },
+      { command: "limit", description: "Create a limit order" },
+      { command: "orders", description: "List active limit orders" },
+      { command: "dca", description: "DCA buy/sell plans" },
+      { command: "walletsplit", description: "Multi-wallet buy split sizing" },
+      { command: "sellall", description: "Sell a token from every wallet" },
+      { command: "sweep", description: "Consolidate wallets into one" },
+      { command: "reclaim", description: "Close empty token accounts for rent" },
+      { command: "pin", description: "Trading PIN and confirmations" },
+      { command: "exits", description: "Exit grid and exit ladders" },
+      { command: "tp", description: "Take-profit ladders" },
+      { command: "paper", description: "Paper trading mode and results" },
+      { command: "pnl", description: "Realized and unrealized PnL by lot" },
+      { command: "exporttrades", description: "Trade history CSV for tax tools" },
+      { command: "reconcile", description: "Check trade history against the chain" },
+      { command: "backtest", description: "Replay recorded signals against exit rules" },
     ]);
     console.log("Bot commands registered successfully");
   } catch (e) {
@@ -307,10 +1124,18 @@ export async function startTelegramBot() {
     }
   });
 
-  // Import an existing wallet
+  // Import an existing wallet, or restore an encrypted backup with "/import backup"
   bot.onText(/\/import\s+(.+)/, async (msg, match) => {
     const chatId = msg.chat.id;
     const key = (match?.[1] || "").trim();
+    if (key.toLowerCase() === "backup") {
+      setPendingInput(chatId, { type: "IMPORT_BACKUP_FILE" });
+      await bot.sendMessage(
+        chatId,
+        "📦 Send the wallet backup file (.json) as a document. Type 'cancel' to stop."
+      );
+      return;
+    }
     try {
       const pub = await importUserWallet(chatId, key);
       await bot.sendMessage(chatId, `Wallet imported: ${shortenAddress(pub)}`);
@@ -319,6 +1144,42 @@ export async function startTelegramBot() {
     }
   });
 
+  // Export the active wallet's key or an encrypted backup of all wallets
+  bot.onText(/\/export$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      const wallets = await listUserWallets(chatId);
+      const active = wallets.find((w) => w.active) || wallets[0];
+      if (!active) {
+        await bot.sendMessage(chatId, "No wallet linked. Use /setup or /import");
+        return;
+      }
+      await sendKeyExportPrompt(chatId, active.id);
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ Export failed: ${e?.message || e}`);
+    }
+  });
+
+  // Backup restore: the uploaded file arrives as a document
+  bot.on("document", async (msg) => {
+    const chatId = msg.chat.id;
+    if (getUserState(chatId).pendingInput?.type !== "IMPORT_BACKUP_FILE") return;
+    try {
+      const backup = await readBackupDocument(msg.document);
+      pendingBackupRestores.set(String(chatId), { backup, at: Date.now() });
+      setPendingInput(chatId, { type: "IMPORT_BACKUP_PASSPHRASE" });
+      await bot.sendMessage(
+        chatId,
+        `📦 Backup from ${backup.createdAt || "unknown date"} with ${backup.wallets ?? "?"} wallet(s).\n\nSend its passphrase (the message is deleted right away), or 'cancel'.`
+      );
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${e?.message || e}. Send the backup file again or type 'cancel'.`
+      );
+    }
+  });
+
   // Show wallet address
   bot.onText(/\/address/, async (msg) => {
     const chatId = msg.chat.id;
@@ -456,110 +1317,639 @@ export async function startTelegramBot() {
     }
   });
 
-  // Show PnL summary: /pnl
-  bot.onText(/\/pnl/i, async (msg) => {
+  // Lot-level PnL: /pnl [fifo|lifo|avg] [mint]
+  bot.onText(/\/pnl(?:\s+(.+))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
     try {
-      const chatId = msg.chat.id;
-      const summary = await getUnrealizedPnlSummary(chatId).catch(() => null);
-      if (!summary) {
-        await bot.sendMessage(chatId, "ℹ️ No positions to summarize yet.");
-        return;
-      }
-      const {
-        totalExposureSol = 0,
-        unrealizedPnlSol = 0,
-        positions = [],
-      } = summary;
-      const header = `📊 PnL Summary\n• Exposure: ${totalExposureSol.toFixed(
-        4
-      )} SOL\n• Unrealized: ${unrealizedPnlSol.toFixed(4)} SOL`;
-      const lines = positions.slice(0, 10).map((p) => {
-        const ux = Number(p?.unrealized?.pnlSol || 0);
-        const ex = Number(p?.exposureSol || 0);
-        const mint = String(p?.mint || "?");
-        return `• ${mint.slice(0, 6)}…: Ex ${ex.toFixed(4)} | U ${ux.toFixed(
-          4
-        )} SOL`;
+      let mint = null;
+      for (const arg of String(match?.[1] || "").trim().split(/\s+/).filter(Boolean)) {
+        const v = arg.toLowerCase();
+        if (LOT_METHODS.includes(v)) updateUserSetting(chatId, "pnlLotMethod", v);
+        else mint = new PublicKey(arg).toBase58();
+      }
+      const state = getUserState(chatId);
+      const report = await getLotPnlReport(chatId, {
+        method: state.pnlLotMethod,
+        namespace: state.paperMode ? PAPER_NAMESPACE : undefined,
       });
-      const more =
-        positions.length > 10 ? `\n… ${positions.length - 10} more` : "";
-      await bot.sendMessage(chatId, `${header}\n${lines.join("\n")}${more}`);
+      await bot.sendMessage(
+        chatId,
+        `${state.paperMode ? "📝 Paper mode\n" : ""}${formatLotPnlReport(report, { mint })}\n\n/pnl fifo|lifo|avg switches lot matching • /pnl <mint> lists its trades`
+      );
     } catch (e) {
       try {
         await bot.sendMessage(
-          msg.chat.id,
-          `❌ Failed to compute PnL: ${e?.message || e}`
+          chatId,
+          `❌ Failed to compute PnL: ${e?.message || e}\nUsage: /pnl [fifo|lifo|avg] [mint]`
         );
       } catch {}
     }
   });
 
-  // Show active (pending/failed) trades: /active
-  bot.onText(/\/active$/i, async (msg) => {
+  // Trade history CSV for tax tools: /exporttrades [from=YYYY-MM-DD] [to=YYYY-MM-DD] [year=YYYY] [format=fills|koinly]
+  bot.onText(/\/exporttrades(?:\s+(.+))?$/i, async (msg, match) => {
     const chatId = msg.chat.id;
     try {
-      const trades = (await getAllTrades()) || [];
-      const active = trades.filter(
-        (t) => String(t.chatId) === String(chatId) && t.status !== "confirmed"
+      const opts = parseExportArgs(
+        String(match?.[1] || "").trim().split(/\s+/).filter(Boolean)
       );
-      if (!active.length) {
-        await bot.sendMessage(chatId, "No active trades.");
+      const state = getUserState(chatId);
+      const { rows, csv } = await exportTradesCsv(chatId, {
+        method: state.pnlLotMethod,
+        ...opts,
+        namespace: state.paperMode ? PAPER_NAMESPACE : undefined,
+      });
+      if (!rows.length) {
+        await bot.sendMessage(chatId, "ℹ️ No fills in that range.");
         return;
       }
-      const lines = active.map((t) => {
-        const ageSec = Math.max(
-          0,
-          Math.floor((Date.now() - (t.timestamp || Date.now())) / 1000)
-        );
-        const label = t.kind || t.type || "Trade";
-        const symbol = t.tokenSymbol || t.mint || "unknown";
-        const tx = t.txid ? `${t.txid.slice(0, 8)}…` : "no-tx";
-        return `• ${label} ${t.status} | ${symbol} | ${tx} | ${ageSec}s ago`;
-      });
-      await bot.sendMessage(
+      const range = [opts.from, opts.to && opts.to - 1]
+        .map((t) => (t == null ? "all" : new Date(t).toISOString().slice(0, 10)))
+        .join("_");
+      await bot.sendDocument(
         chatId,
-        `Active trades (${active.length}):\n${lines.join("\n")}`
+        Buffer.from(csv),
+        { caption: `📄 ${rows.length} fill(s) • ${opts.format} format` },
+        {
+          filename: `turbosol-trades-${range}${opts.format === "fills" ? "" : `-${opts.format}`}.csv`,
+          contentType: "text/csv",
+        }
       );
     } catch (e) {
       await bot.sendMessage(
         chatId,
-        `Failed to load active trades: ${e?.message || e}`
+        `❌ ${e?.message || e}\nUsage: /exporttrades [from=YYYY-MM-DD] [to=YYYY-MM-DD] [year=YYYY] [format=fills|koinly]`
       );
     }
   });
 
-  bot.on("callback_query", async (query) => {
-    const chatId = query.message.chat.id;
-    const messageId = query.message.message_id;
-    const data = query.data;
-
-    console.log(data === "SETTINGS");
-
-    // try { console.log(`[DEBUG] callback_query data=${data} chatId=${chatId}`); } catch {}
-    console.log(data);
-
-    // Helper utilities for callback actions (acknowledge + safe edits)
-    const ack = async (text) => {
-      try {
-        if (text) {
-          await bot.answerCallbackQuery(query.id, { text });
-        } else {
-          await bot.answerCallbackQuery(query.id);
-        }
-      } catch {}
-    };
+  // Compare trade history with on-chain wallet activity and backfill missed swaps
+  bot.onText(/\/reconcile$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      const pending = await bot.sendMessage(chatId, "🔎 Scanning wallet transactions…");
+      const res = await reconcileChat(chatId);
+      await bot.editMessageText(formatReconcileResult(res), {
+        chat_id: chatId,
+        message_id: pending.message_id,
+      });
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ Reconcile failed: ${e?.message || e}`);
+    }
+  });
 
-    const safeEditText = async (text, reply_markup) => {
-      try {
-        await bot.editMessageText(text, {
-          chat_id: chatId,
-          message_id: messageId,
-          reply_markup,
-        });
-        return true;
-      } catch {
-        return false;
-      }
+  // Create a limit order: /limit buy|sell <mint> <size> <priceSol> [tif=..] [exp=..]
+  const onLimitCommand = async (msg, match) => {
+    const chatId = msg.chat.id;
+    const args = (match?.[1] || "").trim();
+    if (!args) {
+      await bot.sendMessage(
+        chatId,
+        "📑 Limit orders\n\n/limit buy <mint> <SOL> <priceSol> — buy when price ≤ trigger\n/limit sell <mint> <percent> <priceSol> — sell when price ≥ trigger\n\nOptions: tif=GTC|GTT|IOC exp=30m|2h|1d slippage=<bps>\nPrices are SOL per token."
+      );
+      return;
+    }
+    try {
+      if (!(await hasUserWallet(chatId))) {
+        await bot.sendMessage(
+          chatId,
+          "No wallet linked. Use /setup to create or /import <privateKeyBase58>."
+        );
+        return;
+      }
+      const parsed = parseLimitOrderCommand(args.split(/\s+/));
+      const size = parsed.side === "buy" ? `${parsed.amountSol} SOL` : `${parsed.percent}%`;
+      if (
+        await guardCommand(
+          msg,
+          orderGuardSpec(
+            chatId,
+            parsed,
+            `place a limit ${parsed.side} of ${size} ${shortenAddress(parsed.mint)}`
+          ),
+          () => onLimitCommand(msg, match)
+        )
+      ) {
+        return;
+      }
+      const order = addLimitOrder(chatId, parsed);
+      const [line] = formatLimitOrderLines([order]);
+      await bot.sendMessage(chatId, `✅ Limit order placed\n${line}`, {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "❌ Cancel",
+                callback_data: `LIMIT_CANCEL_${order.id}`,
+              },
+              { text: "📑 All Orders", callback_data: "LIMIT_ORDERS" },
+            ],
+          ],
+        },
+      });
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ Limit order failed: ${e?.message || e}`);
+    }
+  };
+  bot.onText(/\/limit(?:\s+(.+))?$/i, onLimitCommand);
+
+  // Take-profit ladders: /tp | /tp <mint> 50:25 100:50 | /tp off <mint>
+  bot.onText(/\/tp(?:\s+(.+))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const parts = String(match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+    try {
+      if (!parts.length) {
+        const ladders = await loadActiveTakeProfitLaddersByChat(chatId);
+        const lines = ladders.map((l) => {
+          const short = `${l.mint.slice(0, 6)}…${l.mint.slice(-4)}`;
+          const levels = l.levels
+            .map(
+              (lv) =>
+                `${lv.sellPct}%@+${lv.profitPct}%${
+                  lv.filled ? " ✓" : lv.failed ? " ✗" : ""
+                }`
+            )
+            .join(", ");
+          return `• ${short} — ${levels} (sold ${l.soldPct}%)`;
+        });
+        await bot.sendMessage(
+          chatId,
+          lines.length
+            ? `🎯 Take-Profit Ladders (${lines.length})\n\n${lines.join("\n")}`
+            : "No active take-profit ladders.\n\nArm one with:\n/tp <mint> 50:25 100:50\n(sell 25% of the position at +50%, 50% at +100%, keep the rest)\nStop with: /tp off <mint>"
+        );
+        return;
+      }
+      if (parts[0].toLowerCase() === "off") {
+        const mint = new PublicKey(String(parts[1] || "").trim()).toBase58();
+        const ok = await stopTakeProfitLadder(chatId, mint);
+        await bot.sendMessage(
+          chatId,
+          ok ? `⏹ Take-profit ladder stopped for ${mint}` : "No active ladder for that token."
+        );
+        return;
+      }
+      const mint = new PublicKey(parts[0]).toBase58();
+      const levels = parseTakeProfitLadder(parts.slice(1).join(","));
+      await startTakeProfitLadder(chatId, {
+        mint,
+        levels,
+        onEvent: (m) => bot.sendMessage(chatId, `🎯 ${m}`),
+      });
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${e?.message || e}\nUsage: /tp <mint> 50:25 100:50 | /tp off <mint>`
+      );
+    }
+  });
+
+  // Paper trading: /paper | /paper on | /paper off
+  bot.onText(/\/paper(?:\s+(on|off))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const arg = String(match?.[1] || "").toLowerCase();
+    if (arg) updateUserSetting(chatId, "paperMode", arg === "on");
+    const state = getUserState(chatId);
+    const positions = getPositions(chatId, { namespace: PAPER_NAMESPACE });
+    const open = positions.filter((p) => Number(p.tokens) > 0);
+    const realized = positions.reduce(
+      (sum, p) => sum + Number(p.realizedPnlSol || 0),
+      0
+    );
+    const fees = positions.reduce(
+      (sum, p) => sum + Number(p.feesLamports || 0),
+      0
+    );
+    const fills = readTrades(chatId, 1000, { namespace: PAPER_NAMESPACE }).filter(
+      (t) => t.kind === "buy" || t.kind === "sell"
+    );
+    const lines = open.slice(0, 10).map((p) => {
+      const short = `${p.mint.slice(0, 6)}…${p.mint.slice(-4)}`;
+      return `• ${short} — ${Number(p.tokens).toFixed(4)} @ ${Number(
+        p.avgPriceSolPerToken
+      ).toPrecision(6)} SOL`;
+    });
+    await bot.sendMessage(
+      chatId,
+      [
+        `📝 Paper Mode: ${state.paperMode ? "ON" : "OFF"}`,
+        state.paperMode
+          ? "Trades use live quotes with simulated fills. Nothing is signed or sent."
+          : "Trades are live. Use /paper on to simulate instead.",
+        "",
+        `• Fills: ${fills.length}`,
+        `• Realized PnL: ${realized.toFixed(4)} SOL`,
+        `• Fees: ${(fees / 1e9).toFixed(6)} SOL`,
+        `• Open paper positions: ${open.length}`,
+        ...lines,
+      ].join("\n")
+    );
+  });
+
+  // Backtest recorded signals: /backtest [synthetic] [paper] sl=20 tp=50:50 trail=15 ...
+  bot.onText(/\/backtest(?:\s+(.+))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const state = getUserState(chatId);
+    const followed = (state.copyTrade?.followedWallets || [])[0];
+    const base = {
+      ...DEFAULT_BACKTEST_RULES,
+      sizeSol: Number(state.defaultBuySol ?? DEFAULT_BACKTEST_RULES.sizeSol),
+      delta: {
+        minImprovementPct: Number(state.liqDeltaMinImprovPct ?? 0),
+        maxImpactPct: Number(state.deltaMaxPriceImpactPct ?? 8),
+        minRouteAgeMs: Number(state.deltaMinRouteAgeMs ?? 0),
+      },
+      followed: followed || DEFAULT_BACKTEST_RULES.followed,
+    };
+    try {
+      const parts = String(match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+      const { rules, priceSource, seed, paper, limit } = parseBacktestArgs(
+        parts,
+        base
+      );
+      const trades = readTrades(
+        String(chatId),
+        limit,
+        paper ? { namespace: PAPER_NAMESPACE } : {}
+      );
+      const report = runBacktest(trades, { rules, priceSource, seed });
+      if (!report.trades && !Object.keys(report.skipped).length) {
+        await bot.sendMessage(
+          chatId,
+          "No recorded signals to replay yet. Signals are captured while auto-snipe or copy trading is on."
+        );
+        return;
+      }
+      await bot.sendMessage(chatId, formatBacktestReport(report));
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${e?.message || e}\nUsage: /backtest [synthetic] [paper] sl=20 tp=50:50,100:50 trail=15 act=10 size=0.05 seed=1`
+      );
+    }
+  });
+
+  // List active limit orders: /orders
+  bot.onText(/\/orders$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      const { body, markup } = await buildLimitOrdersView(chatId);
+      await bot.sendMessage(chatId, body, { reply_markup: markup });
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `Failed to load limit orders: ${e?.message || e}`
+      );
+    }
+  });
+
+  // DCA plans: /dca | /dca buy|sell ... | /dca pause|resume|cancel <id>
+  const onDcaCommand = async (msg, match) => {
+    const chatId = msg.chat.id;
+    const parts = String(match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+    try {
+      if (!parts.length) {
+        const { body, markup } = await buildDcaPlansView(chatId);
+        await bot.sendMessage(
+          chatId,
+          `${body}\n\nOptions: max=<priceSol> (buy ceiling) min=<priceSol> (sell floor) slippage=<bps>\nManage: /dca pause|resume|cancel <id>`,
+          { reply_markup: markup }
+        );
+        return;
+      }
+      const action = parts[0].toLowerCase();
+      if (action === "pause" || action === "resume" || action === "cancel") {
+        const id = String(parts[1] || "");
+        const fn =
+          action === "pause"
+            ? pauseDcaPlan
+            : action === "resume"
+            ? resumeDcaPlan
+            : cancelDcaPlan;
+        const ok = await fn(chatId, id);
+        await bot.sendMessage(
+          chatId,
+          ok ? `🔁 DCA plan ${id}: ${action}d` : "No open DCA plan with that id."
+        );
+        return;
+      }
+      if (!(await hasUserWallet(chatId))) {
+        await bot.sendMessage(
+          chatId,
+          "No wallet linked. Use /setup to create or /import <privateKeyBase58>."
+        );
+        return;
+      }
+      const spec = parseDcaCommand(parts);
+      const size = spec.side === "buy" ? `${spec.amountSol} SOL` : `${spec.portionPct ?? 100}%`;
+      if (
+        await guardCommand(
+          msg,
+          orderGuardSpec(
+            chatId,
+            { ...spec, percent: spec.portionPct },
+            `start a DCA ${spec.side} of ${size} ${shortenAddress(spec.mint)}`
+          ),
+          () => onDcaCommand(msg, match)
+        )
+      ) {
+        return;
+      }
+      const plan = await createDcaPlan(chatId, spec);
+      const [line] = formatDcaPlanLines([plan]);
+      await bot.sendMessage(chatId, `✅ DCA plan created\n${line}`, {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: "⏸ Pause", callback_data: `DCA_PAUSE_${plan.id}` },
+              { text: "❌ Cancel", callback_data: `DCA_CANCEL_${plan.id}` },
+            ],
+            [{ text: "🔁 All Plans", callback_data: "DCA_PLANS" }],
+          ],
+        },
+      });
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${e?.message || e}\nUsage: /dca buy <mint> <totalSOL> <slices> <every> [max=<priceSol>] | /dca sell <mint> <slices> <every> [pct=100] [min=<priceSol>]`
+      );
+    }
+  };
+  bot.onText(/\/dca(?:\s+(.+))?$/i, onDcaCommand);
+
+  // Multi-wallet split sizing: /walletsplit [mode <equal|weighted|random> | weight <#> <n> | slip <#> <bps|off>]
+  bot.onText(/\/walletsplit(?:\s+(.+))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const parts = String(match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+    try {
+      const cmd = parseWalletSplitCommand(parts);
+      const wallets = await listUserWallets(chatId);
+      const st = getUserState(chatId);
+      if (cmd.action === "mode") {
+        updateUserSetting(chatId, "multiWalletSplit", cmd.mode);
+      } else if (cmd.action !== "show") {
+        const w = wallets[cmd.index - 1];
+        if (!w) throw new Error(`no wallet #${cmd.index}`);
+        const key = cmd.action === "weight" ? "walletSplitWeights" : "walletSlippageBps";
+        const next = { ...(st[key] || {}) };
+        if (cmd.value == null) delete next[w.id];
+        else next[w.id] = cmd.value;
+        updateUserSetting(chatId, key, next);
+      }
+      await bot.sendMessage(chatId, formatWalletSplitSettings(chatId, wallets));
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${e?.message || e}\nUsage: /walletsplit mode <equal|weighted|random> | weight <#> <n> | slip <#> <bps|off>`
+      );
+    }
+  });
+
+  // Sell a % of a token from every wallet: /sellall <mint> [pct]
+  const onSellAllCommand = async (msg, match) => {
+    const chatId = msg.chat.id;
+    const [mintRaw, pctRaw] = String(match?.[1] || "").trim().split(/\s+/);
+    try {
+      const mint = new PublicKey(String(mintRaw || "").trim()).toBase58();
+      const percent = pctRaw === undefined ? 100 : Number(pctRaw);
+      if (!(percent > 0 && percent <= 100)) throw new Error("pct must be 1-100");
+      // Selling across every wallet is not estimated; it always counts as large
+      if (
+        await guardCommand(
+          msg,
+          {
+            action: "sell",
+            label: `sell ${percent}% of ${shortenAddress(mint)} in all wallets`,
+          },
+          () => onSellAllCommand(msg, match)
+        )
+      ) {
+        return;
+      }
+      await runMultiWalletSell(chatId, mint, percent);
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${e?.message || e}\nUsage: /sellall <mint> [pct]`
+      );
+    }
+  };
+  bot.onText(/\/sellall(?:\s+(.+))?$/i, onSellAllCommand);
+
+  // Move SOL and token dust from secondary wallets into a main wallet: /sweep [main#] [sol=0|1] [tokens=0|1]
+  bot.onText(/\/sweep(?:\s+(.+))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const parts = String(match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+    try {
+      const opts = parseSweepArgs(parts);
+      const wallets = await listUserWallets(chatId);
+      if (wallets.length < 2) throw new Error("sweep needs at least 2 wallets");
+      const main = opts.mainIndex
+        ? wallets[opts.mainIndex - 1]
+        : wallets.find((w) => w.active) || wallets[0];
+      if (!main) throw new Error(`no wallet #${opts.mainIndex}`);
+      await bot.sendMessage(chatId, "🔎 Checking wallet balances…");
+      const plan = planSweep({
+        wallets: await collectSweepBalances(chatId),
+        mainId: main.id,
+        includeSol: opts.includeSol,
+        includeTokens: opts.includeTokens,
+        priorityMicroLamports: getPriorityFeeLamports(),
+      });
+      const preview = formatSweepPreview(plan);
+      if (!plan.sources.length) {
+        await bot.sendMessage(chatId, preview);
+        return;
+      }
+      pendingSweeps.set(String(chatId), { plan, at: Date.now() });
+      await bot.sendMessage(chatId, `${preview}\n\nConfirm within 5 minutes to send.`, {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: "✅ Confirm sweep", callback_data: "SWEEP_CONFIRM" },
+              { text: "✖️ Cancel", callback_data: "SWEEP_CANCEL" },
+            ],
+          ],
+        },
+      });
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${e?.message || e}\nUsage: /sweep [main#] [sol=0|1] [tokens=0|1]`
+      );
+    }
+  });
+
+  // Close empty token accounts to get their rent back: /reclaim [all]
+  bot.onText(/\/reclaim(?:\s+(all))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    try {
+      await sendRentReclaimPreview(chatId, { all: !!match?.[1] });
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ Rent scan failed: ${e?.message || e}`);
+    }
+  });
+
+  // Trade guard: /pin [set|change|clear|mode|threshold] ...
+  bot.onText(/\/pin(?:\s+(.+))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const parts = String(match?.[1] || "").trim().split(/\s+/).filter(Boolean);
+    // Arguments may contain the PIN
+    if (parts.length) deleteSoon(chatId, msg.message_id);
+    try {
+      const cmd = parsePinCommand(parts);
+      await ensureUserStateLoaded(chatId);
+      const settings = getTradeGuardSettings(chatId);
+      if (cmd.op === "set" && settings.hasPin) {
+        throw new Error("A PIN is already set. Use /pin change <old> <new>");
+      }
+      if ((cmd.op === "change" || cmd.op === "clear") && !settings.hasPin) {
+        throw new Error("No PIN set. Use /pin set <pin>");
+      }
+      // Once a PIN exists every change must carry it
+      if (cmd.op !== "status" && cmd.op !== "set" && settings.hasPin) {
+        const res = checkTradePin(chatId, cmd.currentPin || "");
+        if (res.lockedUntil) {
+          await bot.sendMessage(chatId, guardLockedText(res.lockedUntil));
+          return;
+        }
+        if (!res.ok) {
+          throw new Error(`Wrong PIN. ${res.remaining} attempt(s) left before lockout`);
+        }
+      }
+      if (cmd.op === "set" || cmd.op === "change") setTradePin(chatId, cmd.pin);
+      if (cmd.op === "clear") clearTradePin(chatId);
+      if (cmd.op === "mode") {
+        if (cmd.mode === "pin" && !settings.hasPin) {
+          throw new Error("Set a PIN first with /pin set <pin>");
+        }
+        updateUserSetting(chatId, "tradeGuardMode", cmd.mode);
+      }
+      if (cmd.op === "threshold") {
+        updateUserSetting(chatId, "tradeGuardThresholdSol", cmd.thresholdSol);
+      }
+      await bot.sendMessage(
+        chatId,
+        `${cmd.op === "status" ? "" : "✅ Saved.\n\n"}${formatTradeGuardStatus(
+          getTradeGuardSettings(chatId)
+        )}`
+      );
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ ${e?.message || e}\nSend /pin for usage.`);
+    }
+  });
+
+  // Admin: wallet encryption status and online key rotation: /rotatekey [run]
+  bot.onText(/\/rotatekey(?:\s+(run))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const adminId = process.env.ADMIN_TELEGRAM_CHAT_ID;
+    if (!adminId || String(chatId) !== String(adminId)) return;
+    const describe = (st) =>
+      `• Write key: ${st.writeKeyId || "none"}\n• Wallets: ${st.total} (${
+        Object.entries(st.formats)
+          .map(([k, n]) => `${k}: ${n}`)
+          .join(", ") || "none"
+      })\n• Pending rotation: ${st.pending}`;
+    try {
+      if (!match?.[1]) {
+        const st = await getWalletEncryptionStatus();
+        await bot.sendMessage(
+          chatId,
+          `🔐 Wallet encryption\n${describe(st)}\n\nSet WALLET_ENCRYPTION_KEY_NEXT and send /rotatekey run to re-encrypt.`
+        );
+        return;
+      }
+      await bot.sendMessage(chatId, "🔐 Re-encrypting wallets…");
+      const res = await rotateWalletEncryption();
+      const st = await getWalletEncryptionStatus();
+      const failed = res.failed.length
+        ? `\n⚠️ ${res.failed.length} failed: ${res.failed
+            .slice(0, 5)
+            .map((f) => `${f.id} (${f.error})`)
+            .join("; ")}`
+        : "";
+      await bot.sendMessage(
+        chatId,
+        `✅ Rotated ${res.rotated}/${res.scanned} wallet(s)${failed}\n${describe(st)}`
+      );
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ Key rotation failed: ${e?.message || e}`);
+    }
+  });
+
+  // Exit grid overview with per-position ladders: /exits
+  bot.onText(/\/exits$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    const { body, markup } = buildExitGridView(chatId);
+    await bot.sendMessage(chatId, body, { reply_markup: markup });
+  });
+
+  // Show active (pending/failed) trades: /active
+  bot.onText(/\/active$/i, async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      const trades = (await getAllTrades()) || [];
+      const active = trades.filter(
+        (t) => String(t.chatId) === String(chatId) && t.status !== "confirmed"
+      );
+      if (!active.length) {
+        await bot.sendMessage(chatId, "No active trades.");
+        return;
+      }
+      const lines = active.map((t) => {
+        const ageSec = Math.max(
+          0,
+          Math.floor((Date.now() - (t.timestamp || Date.now())) / 1000)
+        );
+        const label = t.kind || t.type || "Trade";
+        const symbol = t.tokenSymbol || t.mint || "unknown";
+        const tx = t.txid ? `${t.txid.slice(0, 8)}…` : "no-tx";
+        return `• ${label} ${t.status} | ${symbol} | ${tx} | ${ageSec}s ago`;
+      });
+      await bot.sendMessage(
+        chatId,
+        `Active trades (${active.length}):\n${lines.join("\n")}`
+      );
+    } catch (e) {
+      await bot.sendMessage(
+        chatId,
+        `Failed to load active trades: ${e?.message || e}`
+      );
+    }
+  });
+
+  bot.on("callback_query", async (query) => {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const data = query.data;
+
+    console.log(data === "SETTINGS");
+
+    // try { console.log(`[DEBUG] callback_query data=${data} chatId=${chatId}`); } catch {}
+    console.log(data);
+
+    // Helper utilities for callback actions (acknowledge + safe edits)
+    const ack = async (text) => {
+      try {
+        if (text) {
+          await bot.answerCallbackQuery(query.id, { text });
+        } else {
+          await bot.answerCallbackQuery(query.id);
+        }
+      } catch {}
+    };
+
+    const safeEditText = async (text, reply_markup) => {
+      try {
+        await bot.editMessageText(text, {
+          chat_id: chatId,
+          message_id: messageId,
+          reply_markup,
+        });
+        return true;
+      } catch {
+        return false;
+      }
     };
 
     const safeEditMarkup = async (reply_markup) => {
@@ -709,6 +2099,7 @@ export async function startTelegramBot() {
             TOGGLE_MULTIHOP: "enableMultiHopCorrelation",
             TOGGLE_FUNDING: "enableFundingPathAnalysis",
             TOGGLE_DYNAMIC_TIP: "dynamicPriorityFee",
+            TOGGLE_PAPER: "paperMode",
           };
           const key = keyMap[data];
           if (!key) return;
@@ -737,6 +2128,26 @@ export async function startTelegramBot() {
       }
     };
 
+    // Trade guard: large trades and sensitive actions may need a tap or the PIN first
+    try {
+      const guardSpec = callbackGuardSpec(data);
+      if (
+        guardSpec &&
+        (await challengeGuardedAction(chatId, {
+          ...guardSpec,
+          key: data,
+          callbackData: data,
+        }))
+      ) {
+        await ack();
+        return;
+      }
+    } catch {
+      // Never let a guard failure fall through to the action itself
+      await ack("Please try again");
+      return;
+    }
+
     // Refactored: consolidated handlers using switch(true)
     switch (true) {
       case [
@@ -750,6 +2161,7 @@ export async function startTelegramBot() {
         "TOGGLE_MULTIHOP",
         "TOGGLE_FUNDING",
         "TOGGLE_DYNAMIC_TIP",
+        "TOGGLE_PAPER",
       ].includes(data): {
         await handleSettingsToggle();
         return;
@@ -780,6 +2192,189 @@ export async function startTelegramBot() {
         }
         return;
       }
+      // Cycle equal -> weighted -> random split sizing for multi-wallet buys
+      case data === "SWEEP_CONFIRM": {
+        const pending = pendingSweeps.get(String(chatId));
+        pendingSweeps.delete(String(chatId));
+        if (!pending || Date.now() - pending.at > SWEEP_CONFIRM_TTL_MS) {
+          await ack("Preview expired");
+          await bot.sendMessage(chatId, "⌛ Sweep preview expired. Run /sweep again.");
+          return;
+        }
+        await ack("Sweeping…");
+        await safeEditMarkup({ inline_keyboard: [] });
+        try {
+          const results = await executeSweep(chatId, pending.plan);
+          await bot.sendMessage(chatId, formatSweepResults(results));
+          for (const r of results) {
+            if (r.ok) notifyTxStatus(chatId, r.txid, { kind: "Sweep" }).catch(() => {});
+          }
+        } catch (e) {
+          await bot.sendMessage(chatId, `❌ Sweep failed: ${e?.message || e}`);
+        }
+        return;
+      }
+
+      case data === "RECLAIM_RENT": {
+        await ack();
+        try {
+          await sendRentReclaimPreview(chatId);
+        } catch (e) {
+          await bot.sendMessage(chatId, `❌ Rent scan failed: ${e?.message || e}`);
+        }
+        return;
+      }
+
+      case data === "RECLAIM_RENT_ACTIVE" || data === "RECLAIM_RENT_ALL": {
+        if (!canProceed(chatId, "RECLAIM_RENT", 5000)) {
+          await ack("Please wait…");
+          return;
+        }
+        await ack("Closing empty accounts…");
+        await safeEditMarkup({ inline_keyboard: [] });
+        try {
+          // Rescan so accounts funded since the preview are left alone
+          const plan = await scanRentReclaim(chatId, {
+            all: data === "RECLAIM_RENT_ALL",
+          });
+          if (!plan.wallets.length) {
+            await bot.sendMessage(chatId, formatRentReclaimPlan(plan));
+            return;
+          }
+          const results = await executeRentReclaim(chatId, plan);
+          await bot.sendMessage(chatId, formatRentReclaimResults(results));
+        } catch (e) {
+          await bot.sendMessage(chatId, `❌ Reclaim failed: ${e?.message || e}`);
+        }
+        return;
+      }
+
+      case data.startsWith("EXPORT_KEY_"): {
+        await ack();
+        await sendKeyExportPrompt(chatId, data.slice("EXPORT_KEY_".length));
+        return;
+      }
+
+      case data.startsWith("EXPORT_SHOW_"): {
+        const walletId = data.slice("EXPORT_SHOW_".length);
+        await ack();
+        await safeEditText("🔑 Key export confirmed.", { inline_keyboard: [] });
+        try {
+          const [w] = await exportUserWalletKeys(chatId, { walletId });
+          if (!w) throw new Error("Wallet not found");
+          const sent = await bot.sendMessage(
+            chatId,
+            `🔑 ${walletLabel(w)}\nAddress: ${w.publicKey}\n\nPrivate key (base58):\n${w.privateKey}\n\n⏳ This message is deleted in ${Math.round(
+              KEY_EXPORT_DELETE_MS / 1000
+            )}s.`
+          );
+          deleteSoon(chatId, sent?.message_id, KEY_EXPORT_DELETE_MS);
+        } catch (e) {
+          await bot.sendMessage(chatId, `❌ Export failed: ${e?.message || e}`);
+        }
+        return;
+      }
+
+      case data === "EXPORT_BACKUP": {
+        await ack();
+        await safeEditMarkup({ inline_keyboard: [] });
+        setPendingInput(chatId, { type: "EXPORT_BACKUP_PASSPHRASE" });
+        await bot.sendMessage(
+          chatId,
+          `🔐 Send a passphrase for the backup (at least ${MIN_PASSPHRASE_LENGTH} characters). Your message is deleted right away.\n\nThe passphrase cannot be recovered; without it the backup is useless. Type 'cancel' to stop.`
+        );
+        return;
+      }
+
+      case data === "EXPORT_CANCEL": {
+        await ack("Export cancelled");
+        await safeEditText("🔑 Key export cancelled.", { inline_keyboard: [] });
+        return;
+      }
+
+      case data === "GUARD_CONFIRM": {
+        await ack();
+        await safeEditMarkup({ inline_keyboard: [] });
+        await resumeGuardedAction(chatId);
+        return;
+      }
+
+      case data === "GUARD_CANCEL": {
+        pendingGuards.delete(String(chatId));
+        await ack("Cancelled");
+        await safeEditText("✖️ Cancelled.", { inline_keyboard: [] });
+        return;
+      }
+
+      case data.startsWith("DELETE_WALLET_CONFIRM_"): {
+        const walletId = data.slice("DELETE_WALLET_CONFIRM_".length);
+        await ack();
+        try {
+          const res = await deleteUserWalletById(chatId, walletId);
+          const st = getUserState(chatId);
+          if ((st.selectedWalletIds || []).includes(walletId)) {
+            updateUserSetting(
+              chatId,
+              "selectedWalletIds",
+              st.selectedWalletIds.filter((id) => id !== walletId)
+            );
+          }
+          const menu = await buildWalletsMenu(chatId);
+          const text = `🗑 Wallet ${shortenAddress(res.publicKey)} deleted.${
+            res.remaining ? "" : "\n\nNo wallets left. Use /setup or /import to add one."
+          }`;
+          if (!(await safeEditText(text, menu.reply_markup))) {
+            await bot.sendMessage(chatId, text, { reply_markup: menu.reply_markup });
+          }
+        } catch (e) {
+          await bot.sendMessage(chatId, `❌ Delete failed: ${e?.message || e}`);
+        }
+        return;
+      }
+
+      case data.startsWith("DELETE_WALLET_"): {
+        const walletId = data.slice("DELETE_WALLET_".length);
+        await ack();
+        const w = (await listUserWallets(chatId).catch(() => [])).find(
+          (x) => x.id === walletId
+        );
+        if (!w) {
+          await bot.sendMessage(chatId, "❌ Wallet not found.");
+          return;
+        }
+        await safeEditText(
+          `🗑 Delete ${walletLabel(w)} (${w.publicKey})?\n\n⚠️ Funds stay on chain but the bot can no longer use this wallet. Export the private key first if you still need it.`,
+          {
+            inline_keyboard: [
+              [
+                { text: "🗑 Delete", callback_data: `DELETE_WALLET_CONFIRM_${w.id}` },
+                { text: "🔑 Export Key", callback_data: `EXPORT_KEY_${w.id}` },
+              ],
+              [{ text: "🔙 Back", callback_data: "WALLETS_MENU" }],
+            ],
+          }
+        );
+        return;
+      }
+
+      case data === "SWEEP_CANCEL": {
+        pendingSweeps.delete(String(chatId));
+        await ack("Sweep cancelled");
+        await safeEditText("🧹 Sweep cancelled.", { inline_keyboard: [] });
+        return;
+      }
+
+      case data === "WALLET_SPLIT_MODE": {
+        const cur = getSplitSettings(chatId).mode;
+        const next = SPLIT_MODES[(SPLIT_MODES.indexOf(cur) + 1) % SPLIT_MODES.length];
+        updateUserSetting(chatId, "multiWalletSplit", next);
+        await ack(`Split: ${next}`);
+        const menu = await buildWalletsMenu(chatId);
+        if (!(await safeEditMarkup(menu.reply_markup))) {
+          await safeEditText("💼 Wallets — manage your wallets", menu.reply_markup);
+        }
+        return;
+      }
 
       // Handle clicking on a wallet row: set active and show details with funds
       case data.startsWith("WALLET_"): {
@@ -1172,6 +2767,35 @@ export async function startTelegramBot() {
         return;
       }
 
+      case data === "SET_JITO_TIP": {
+        await ack("Jito tip");
+        setPendingInput(chatId, { type: "SET_JITO_TIP", data: { messageId } });
+        await bot.sendMessage(
+          chatId,
+          "Send the Jito bundle tip in lamports (e.g., 10000), 0 for no tip, or 'default' to use the server default"
+        );
+        return;
+      }
+
+      case data === "FEE_ORACLE": {
+        const f = getUrgencyPriorityFees();
+        await ack(
+          `Network congestion: ${f.congestionLevel || "unknown"}\nnormal ${f.normal} • fast ${f.fast} • turbo ${f.turbo} lamports`
+        );
+        await safeEditMarkup(buildFeeSettingsMenu(chatId).reply_markup);
+        return;
+      }
+
+      case data === "SET_TX_RETRY": {
+        await ack("Auto-rebroadcast");
+        setPendingInput(chatId, { type: "SET_TX_RETRY", data: { messageId } });
+        await bot.sendMessage(
+          chatId,
+          "Send how many times an expired buy is rebroadcast with a fresh blockhash and a higher fee, optionally followed by the max priority fee in lamports (e.g., '3 20000000'). 0 turns it off, 'default' restores the server default."
+        );
+        return;
+      }
+
       case data === "COPY_TRADE": {
         try {
           await bot.answerCallbackQuery(query.id, { text: "Copy Trade" });
@@ -1350,6 +2974,80 @@ export async function startTelegramBot() {
       }
 
       case data === "WITHDRAW": {
+        setPendingInput(chatId, null);
+        await bot.sendMessage(chatId, "💸 Withdraw\n\nWhat do you want to send?", {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: "◎ SOL", callback_data: "WITHDRAW_SOL" },
+                { text: "🪙 Token", callback_data: "WITHDRAW_TOKEN" },
+              ],
+              [{ text: "🏠 Main", callback_data: "MAIN_MENU" }],
+            ],
+          },
+        });
+        return;
+      }
+
+      case data === "WITHDRAW_TOKEN": {
+        await ack();
+        const items = await getWalletSellTokens(chatId).catch(() => []);
+        if (!items.length) {
+          await bot.sendMessage(
+            chatId,
+            "😕 No SPL tokens with balance found in your wallet.",
+            {
+              reply_markup: {
+                inline_keyboard: [
+                  [
+                    { text: "🔄 Refresh", callback_data: "WITHDRAW_TOKEN" },
+                    { text: "🏠 Main", callback_data: "MAIN_MENU" },
+                  ],
+                ],
+              },
+            }
+          );
+          return;
+        }
+        const keyboard = items.slice(0, 10).map((t) => {
+          const sym = (t.symbol || "").toString().slice(0, 12);
+          const bal = Number(t.uiAmount || 0).toFixed(4);
+          const tag = t.programId === TOKEN_2022_PROGRAM_ID.toBase58() ? " • T22" : "";
+          const label = sym
+            ? `${sym} • ${bal}${tag}`
+            : `${t.mint.slice(0, 4)}…${t.mint.slice(-4)} • ${bal}${tag}`;
+          return [{ text: label, callback_data: `WDT_PICK_${t.mint}` }];
+        });
+        keyboard.push([
+          { text: "🔙 Back", callback_data: "WITHDRAW" },
+          { text: "🏠 Main", callback_data: "MAIN_MENU" },
+        ]);
+        await bot.sendMessage(chatId, "🪙 Withdraw token — select a token:", {
+          reply_markup: { inline_keyboard: keyboard },
+        });
+        return;
+      }
+
+      case data.startsWith("WDT_PICK_"): {
+        const mint = data.slice("WDT_PICK_".length);
+        await ack();
+        setPendingInput(chatId, { type: "WITHDRAW_TOKEN_DEST", mint });
+        await bot.sendMessage(
+          chatId,
+          `🪙 Withdraw ${mint}\n\nPlease enter the destination Solana address (wallet owner, not a token account):`,
+          {
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: "🏠 Main", callback_data: "MAIN_MENU" }],
+              ],
+            },
+          }
+        );
+        return;
+      }
+
+      case data === "WITHDRAW_SOL": {
+        await ack();
         setPendingInput(chatId, { type: "WITHDRAW_DEST" });
         await bot.sendMessage(
           chatId,
@@ -1509,56 +3207,309 @@ export async function startTelegramBot() {
         return;
       }
 
-      case data.startsWith("STOP_SNIPE_BY_"): {
-        const mint = data.replace("STOP_SNIPE_BY_", "");
-        try {
-          stopLiquidityWatch(chatId, mint);
-          try {
-            await markSnipeCancelled(chatId, mint, "stopped_by_user");
-          } catch {}
-          await bot.answerCallbackQuery(query.id, {
-            text: `Stopped ${mint.slice(0, 6)}…${mint.slice(-4)}`,
-          });
-        } catch (e) {
-          await bot.answerCallbackQuery(query.id, { text: "Failed to stop" });
+      case data.startsWith("STOP_SNIPE_BY_"): {
+        const mint = data.replace("STOP_SNIPE_BY_", "");
+        try {
+          stopLiquidityWatch(chatId, mint);
+          try {
+            await markSnipeCancelled(chatId, mint, "stopped_by_user");
+          } catch {}
+          await bot.answerCallbackQuery(query.id, {
+            text: `Stopped ${mint.slice(0, 6)}…${mint.slice(-4)}`,
+          });
+        } catch (e) {
+          await bot.answerCallbackQuery(query.id, { text: "Failed to stop" });
+        }
+        // Refresh the active snipes view
+        try {
+          const items = await loadActiveSnipesByChat(chatId);
+          const lines = (items || []).map((i) => {
+            const shortMint = i.mint
+              ? i.mint.slice(0, 6) + "…" + i.mint.slice(-4)
+              : "?";
+            const started = i.startedAt
+              ? new Date(i.startedAt).toLocaleTimeString()
+              : "?";
+            return `• ${shortMint} — ${i.amountSol} SOL (since ${started})`;
+          });
+          const keyboard = [
+            ...(items || []).map((i) => [
+              {
+                text: `🛑 Stop ${i.mint.slice(0, 6)}…${i.mint.slice(-4)}`,
+                callback_data: `STOP_SNIPE_BY_${i.mint}`,
+              },
+            ]),
+            [{ text: "⛔ Stop All", callback_data: "STOP_SNIPE" }],
+            [{ text: "🔙 Back", callback_data: "MAIN_MENU" }],
+          ];
+          const body = lines.length
+            ? `📋 Active Snipes (${lines.length})\n\n${lines.join("\n")}`
+            : "No active snipes for this chat.";
+          try {
+            await bot.editMessageText(body, {
+              chat_id: chatId,
+              message_id: messageId,
+              reply_markup: { inline_keyboard: keyboard },
+            });
+          } catch (e) {
+            await bot.sendMessage(chatId, body, {
+              reply_markup: { inline_keyboard: keyboard },
+            });
+          }
+        } catch {}
+        return;
+      }
+
+      case data === "TRADING_TOOLS": {
+        try {
+          await bot.answerCallbackQuery(query.id, { text: "Trading Tools" });
+        } catch {}
+        try {
+          await bot.editMessageText("🛠 Trading Tools", {
+            chat_id: chatId,
+            message_id: messageId,
+            reply_markup: buildTradingToolsMenu().reply_markup,
+          });
+        } catch (e) {
+          await bot.sendMessage(chatId, "🛠 Trading Tools", {
+            reply_markup: buildTradingToolsMenu().reply_markup,
+          });
+        }
+        return;
+      }
+
+      // Performance stats view
+      case data === "PERFORMANCE_STATS": {
+        const state = getUserState(chatId);
+        const trades = state.trades || [];
+        if (!trades.length) {
+          await bot.answerCallbackQuery(query.id, { text: "No trades yet" });
+          await bot.sendMessage(
+            chatId,
+            "No trades logged yet. Start trading to build performance history."
+          );
+          return;
+        }
+        let buySol = 0,
+          sellSol = 0;
+        const byMint = new Map();
+        for (const t of trades) {
+          if (t.kind === "buy") {
+            const s = Number(t.sol || 0);
+            buySol += s;
+            const m = byMint.get(t.mint) || { buy: 0, sell: 0 };
+            m.buy += s;
+            byMint.set(t.mint, m);
+          } else if (t.kind === "sell") {
+            const sOut = Number(t.solOut || t.sol || 0);
+            sellSol += sOut;
+            const m = byMint.get(t.mint) || { buy: 0, sell: 0 };
+            m.sell += sOut;
+            byMint.set(t.mint, m);
+          }
+        }
+        const pnl = sellSol - buySol;
+        let wins = 0,
+          losses = 0;
+        for (const [, v] of byMint) {
+          if (v.sell > 0) {
+            if (v.sell > v.buy) wins++;
+            else losses++;
+          }
+        }
+        const total = wins + losses;
+        const winRate = total ? Math.round((wins / total) * 100) : 0;
+        const sign = pnl >= 0 ? "🟢" : "🔴";
+        const msg = [
+          `📊 Performance Stats — All Time`,
+          `Trades: ${trades.length}`,
+          `Buys: ${buySol.toFixed(4)} SOL`,
+          `Sells: ${sellSol.toFixed(4)} SOL`,
+          `${sign} P&L: ${pnl.toFixed(4)} SOL`,
+          `Win-rate: ${winRate}% (${wins}/${total})`,
+        ].join("\n");
+        await bot.sendMessage(chatId, msg);
+        await bot.answerCallbackQuery(query.id, { text: "Stats sent" });
+        return;
+      }
+
+      case data === "DCA_PLANS": {
+        await ack("DCA Plans");
+        const { body, markup } = await buildDcaPlansView(chatId);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
+        }
+        return;
+      }
+
+      case data.startsWith("DCA_PAUSE_") ||
+        data.startsWith("DCA_RESUME_") ||
+        data.startsWith("DCA_CANCEL_"): {
+        const [, action, id] = data.match(/^DCA_(PAUSE|RESUME|CANCEL)_(.+)$/);
+        const fn =
+          action === "PAUSE"
+            ? pauseDcaPlan
+            : action === "RESUME"
+            ? resumeDcaPlan
+            : cancelDcaPlan;
+        const ok = await fn(chatId, id);
+        await ack(ok ? `Plan ${action.toLowerCase()}d` : "Plan not open");
+        const { body, markup } = await buildDcaPlansView(chatId);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
+        }
+        return;
+      }
+
+      case data === "LIMIT_ORDERS": {
+        try {
+          await bot.answerCallbackQuery(query.id, { text: "Limit Orders" });
+        } catch {}
+        const { body, markup } = await buildLimitOrdersView(chatId);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
+        }
+        return;
+      }
+
+      case data.startsWith("LIMIT_CANCEL_"): {
+        const id = data.slice("LIMIT_CANCEL_".length);
+        const ok = await cancelLimitOrder(chatId, id);
+        await ack(ok ? "Order cancelled" : "Order not active");
+        const { body, markup } = await buildLimitOrdersView(chatId);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
+        }
+        return;
+      }
+
+      case data === "POSITIONS": {
+        const state = getUserState(chatId);
+        const open = getOpenPositionsByMint(chatId);
+        const hasPositions = (state.positions || []).length > 0 || open.length > 0;
+        const body = hasPositions
+          ? "You have open positions. Tap a token to configure its trailing stop, or 'View All Positions' for details."
+          : "No open positions yet!\nStart your trading journey by pasting a contract address in chat.";
+        const markup = buildPositionsMenu(chatId, open).reply_markup;
+        if (!(await safeEditText(`🚀 TurboSol Positions\n\n${body}`, markup))) {
+          await bot.sendMessage(chatId, `🚀 TurboSol Positions\n\n${body}`, {
+            reply_markup: markup,
+          });
+        }
+        return;
+      }
+
+      case data === "VIEW_ALL_POSITIONS": {
+        const state = getUserState(chatId);
+        const list = state.positions || [];
+        if (!list.length) {
+          await bot.answerCallbackQuery(query.id, { text: "No positions" });
+          return;
+        }
+        const lines = list
+          .map((p, i) => {
+            const t = new Date(p.timestamp).toLocaleString();
+            const mintShort = shortenAddress ? shortenAddress(p.mint) : p.mint;
+            const tokOut =
+              typeof p.tokensOut === "number"
+                ? Number(p.tokensOut).toFixed(4)
+                : "?";
+            const txShort = p.txid
+              ? p.txid.slice(0, 8) + "…" + p.txid.slice(-8)
+              : "";
+            return `${i + 1}. ${p.symbol || "TOKEN"} (${mintShort}) — ${
+              p.solIn
+            } SOL -> ~${tokOut}  [${t}] ${txShort}`;
+          })
+          .join("\n");
+        await bot.editMessageText(`📈 Open Positions\n\n${lines}`, {
+          chat_id: chatId,
+          message_id: messageId,
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: "🔙 Back", callback_data: "POSITIONS" }],
+              [{ text: "🏠 Main", callback_data: "MAIN_MENU" }],
+            ],
+          },
+        });
+        return;
+      }
+
+      case data.startsWith("POS_VIEW_"): {
+        const mint = data.slice("POS_VIEW_".length);
+        await ack();
+        const { body, markup } = buildPositionDetailView(chatId, mint);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
+        }
+        return;
+      }
+
+      case data.startsWith("TRAIL_CFG_"): {
+        const mint = data.slice("TRAIL_CFG_".length);
+        await ack();
+        const cfg =
+          getUserState(chatId).trailingStops?.[mint] || DEFAULT_TRAILING_STOP;
+        setPendingInput(chatId, { type: "TRAIL_STOP_CONFIG", mint });
+        await bot.sendMessage(
+          chatId,
+          `🎯 Trailing stop settings for ${mint}\n\nSend one or more key=value pairs:\n• trail — % below the highest quote (now ${cfg.trailPct})\n• act — activate once up this % vs entry (now ${cfg.activationPct})\n• step — % of new high per ratchet (now ${cfg.stepPct})\n• sell — % sold at each ratchet, 0 = off (now ${cfg.sellPct})\n• stop — fixed stop-loss % until active (now ${cfg.stopPct})\n\nExample: trail=12 act=20 sell=25`
+        );
+        return;
+      }
+
+      case data.startsWith("TRAIL_ON_"): {
+        const mint = data.slice("TRAIL_ON_".length);
+        if (!getOpenPositionsByMint(chatId).some((p) => p.mint === mint)) {
+          await ack("No open position");
+          return;
+        }
+        startTrailingStopFor(chatId, mint);
+        await ack("Trailing stop started");
+        const { body, markup } = buildPositionDetailView(chatId, mint);
+        await safeEditText(body, markup);
+        return;
+      }
+
+      case data.startsWith("TRAIL_OFF_"): {
+        const mint = data.slice("TRAIL_OFF_".length);
+        stopStopLoss(chatId, mint);
+        await ack("Trailing stop stopped");
+        const { body, markup } = buildPositionDetailView(chatId, mint);
+        await safeEditText(body, markup);
+        return;
+      }
+
+      case data === "EXIT_GRID": {
+        await ack("Exit Grid");
+        const { body, markup } = buildExitGridView(chatId);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
         }
-        // Refresh the active snipes view
+        return;
+      }
+
+      case data === "EXIT_GRID_TOGGLE": {
+        const next = !getUserState(chatId).exitGridEnabled;
+        updateUserSetting(chatId, "exitGridEnabled", next);
         try {
-          const items = await loadActiveSnipesByChat(chatId);
-          const lines = (items || []).map((i) => {
-            const shortMint = i.mint
-              ? i.mint.slice(0, 6) + "…" + i.mint.slice(-4)
-              : "?";
-            const started = i.startedAt
-              ? new Date(i.startedAt).toLocaleTimeString()
-              : "?";
-            return `• ${shortMint} — ${i.amountSol} SOL (since ${started})`;
-          });
-          const keyboard = [
-            ...(items || []).map((i) => [
-              {
-                text: `🛑 Stop ${i.mint.slice(0, 6)}…${i.mint.slice(-4)}`,
-                callback_data: `STOP_SNIPE_BY_${i.mint}`,
-              },
-            ]),
-            [{ text: "⛔ Stop All", callback_data: "STOP_SNIPE" }],
-            [{ text: "🔙 Back", callback_data: "MAIN_MENU" }],
-          ];
-          const body = lines.length
-            ? `📋 Active Snipes (${lines.length})\n\n${lines.join("\n")}`
-            : "No active snipes for this chat.";
-          try {
-            await bot.editMessageText(body, {
-              chat_id: chatId,
-              message_id: messageId,
-              reply_markup: { inline_keyboard: keyboard },
-            });
-          } catch (e) {
-            await bot.sendMessage(chatId, body, {
-              reply_markup: { inline_keyboard: keyboard },
-            });
-          }
+          getExitGrid()?.syncPositions();
         } catch {}
+        await ack(next ? "Exit grid ON" : "Exit grid OFF");
+        const { body, markup } = buildExitGridView(chatId);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
+        }
+        return;
+      }
+
+      case data.startsWith("EXIT_LADDER_"): {
+        const id = data.slice("EXIT_LADDER_".length);
+        await ack("Exit Ladder");
+        const { body, markup } = buildExitLadderView(chatId, id);
+        if (!(await safeEditText(body, markup))) {
+          await bot.sendMessage(chatId, body, { reply_markup: markup });
+        }
         return;
       }
 
@@ -1638,42 +3589,34 @@ export async function startTelegramBot() {
           },
         });
       } catch {}
-      const state = getUserState(chatId) || {};
-      const selected = Array.isArray(state.selectedWalletIds)
-        ? state.selectedWalletIds
-        : [];
-      const multi = !!state.multiWalletMode;
-      if (multi && selected.length > 0) {
-        const wallets = (
-          await Promise.all(
-            selected.map((id) =>
-              getUserWalletKeypairById(chatId, id).catch(() => null)
-            )
-          )
-        ).filter(Boolean);
-        const count = wallets.length || 0;
-        const perWallet = count > 0 ? amountSol / count : amountSol;
-        for (const w of wallets) {
-          startLiquidityWatch(chatId, {
-            mint,
-            amountSol: perWallet,
-            priorityFeeLamports,
-            useJitoBundle,
-            pollInterval,
-            slippageBps,
-            retryCount,
-            source: "ui:telegram",
-            signalType: "launch_alert_snipe",
-            // Efficiency: proceed based on liquidity detection even if LP signature is not captured
-            requireLpSigBeforeBuy: false,
-            lpSigStrictAbortIfMissing: false,
-            walletOverride: w.keypair,
-            onEvent: (m) => bot.sendMessage(chatId, m).catch(() => {}),
-          });
+      const legs = await startMultiWalletSnipe(
+        chatId,
+        {
+          mint,
+          amountSol,
+          priorityFeeLamports,
+          useJitoBundle,
+          pollInterval,
+          slippageBps,
+          retryCount,
+          source: "ui:telegram",
+          signalType: "launch_alert_snipe",
+          // Efficiency: proceed based on liquidity detection even if LP signature is not captured
+          requireLpSigBeforeBuy: false,
+          lpSigStrictAbortIfMissing: false,
+          onEvent: (m) => bot.sendMessage(chatId, m).catch(() => {}),
+        },
+        {
+          onSummary: (sum) =>
+            bot
+              .sendMessage(chatId, formatMultiWalletBuySummary(sum, { mint }))
+              .catch(() => {}),
         }
+      );
+      if (legs) {
         await bot.sendMessage(
           chatId,
-          `👀 Watching for LP on ${mint} across ${count} selected wallets. Per-wallet: ${perWallet} SOL`
+          `👀 Watching for LP on ${mint} across ${legs.length} selected wallets (${formatSplitLegs(legs)})`
         );
       } else {
         startLiquidityWatch(chatId, {
@@ -1780,6 +3723,11 @@ export async function startTelegramBot() {
             { text: "50%", callback_data: `SELL_PCT_50_${mint}` },
             { text: "100%", callback_data: `SELL_PCT_100_${mint}` },
           ],
+          [
+            { text: "🌐 All wallets 25%", callback_data: `SELL_ALLW_25_${mint}` },
+            { text: "50%", callback_data: `SELL_ALLW_50_${mint}` },
+            { text: "100%", callback_data: `SELL_ALLW_100_${mint}` },
+          ],
           [
             { text: "🔙 Back", callback_data: "QUICK_SELL" },
             { text: "🏠 Main", callback_data: "MAIN_MENU" },
@@ -1799,6 +3747,33 @@ export async function startTelegramBot() {
       return;
     }
 
+    if (data.startsWith("SELL_ALLW_")) {
+      try {
+        const rest = data.slice("SELL_ALLW_".length); // <pct>_<mint>
+        const [pctStr, mint] = rest.split("_");
+        const percent = Math.max(1, Math.min(100, parseInt(pctStr, 10) || 100));
+        if (!canProceed(chatId, "QUICK_SELL_EXECUTE", 1600)) {
+          await bot.answerCallbackQuery(query.id, { text: "Please wait…" });
+          return;
+        }
+        if (!(await hasUserWallet(chatId))) {
+          await bot.answerCallbackQuery(query.id, { text: "No wallet linked" });
+          return;
+        }
+        await bot.answerCallbackQuery(query.id, {
+          text: `Selling ${percent}% in all wallets`,
+        });
+        setPendingInput(chatId, null);
+        await runMultiWalletSell(chatId, mint, percent);
+      } catch (e) {
+        await bot.sendMessage(
+          chatId,
+          `❌ Sell across wallets failed: ${e?.message || e}`
+        );
+      }
+      return;
+    }
+
     if (data.startsWith("SELL_PCT_")) {
       try {
         const rest = data.slice("SELL_PCT_".length); // <pct>_<mint>
@@ -2004,7 +3979,7 @@ export async function startTelegramBot() {
     if (data === "HELP") {
       try {
         await bot.answerCallbackQuery(query.id, { text: "Help" });
-        const howTo = `🚀 How to use TurboSol\n\nMain menu\n• Wallet — View address/balance, fund or withdraw, and switch wallets\n• Quick Buy — Paste a mint or Jupiter link, then enter SOL; supports flags (fee=, jito=, split=, wallets=)\n• Quick Sell — Sell your current token by % or fixed amount\n• Snipe LP Add — Configure an LP-add snipe for a mint\n• Stop Snipe — Stop an active snipe\n• Active Snipes — View and manage your running snipes\n• Quote — Get a live price quote for a mint\n• Settings — Priority fee, Jito, slippage, default buy, risk checks, limits\n• Copy Trade — Follow wallets; set sizing (fixed/%), daily caps, sell grids\n• Withdraw — Send SOL or tokens out to another address\n• Refresh — Refresh the dashboard card\n• Automation — Set up Pump.fun and other automations\n• Help — Show this guide\n\nQuick actions\n• Paste a token mint to get Buy / Snipe / Quote options\n• Paste a Jupiter URL to quickly Buy or view a Quote\n• Quick Buy amount can include flags (optional): fee=5000 jito=true split=true wallets=3\n\nSlash commands\n• /start — Initialize the bot\n• /setup — Create a new wallet\n• /import <privateKey> — Import a wallet\n• /address — Show your wallet address\n• /lasttx [n] — Show last n transactions (max 5)`;
+        const howTo = `🚀 How to use TurboSol\n\nMain menu\n• Wallet — View address/balance, fund or withdraw, and switch wallets\n• Quick Buy — Paste a mint or Jupiter link, then enter SOL; supports flags (fee=, urgency=, jito=, split=, wallets=, mode=, bundle=)\n• Quick Sell — Sell your current token by % or fixed amount\n• Snipe LP Add — Configure an LP-add snipe for a mint\n• Stop Snipe — Stop an active snipe\n• Active Snipes — View and manage your running snipes\n• Quote — Get a live price quote for a mint\n• Settings — Priority fee, Jito, slippage, default buy, risk checks, limits\n• Copy Trade — Follow wallets; set sizing (fixed/%), daily caps, sell grids\n• Withdraw — Send SOL or tokens out to another address\n• Refresh — Refresh the dashboard card\n• Automation — Set up Pump.fun and other automations\n• Help — Show this guide\n\nQuick actions\n• Paste a token mint to get Buy / Snipe / Quote options\n• Paste a Jupiter URL to quickly Buy or view a Quote\n• Quick Buy amount can include flags (optional): fee=5000 urgency=fast|turbo (or just "turbo") jito=true split=true wallets=3 bundle=true (atomic Jito bundle across wallets) mode=weighted (equal/weighted/random split)\n\nSlash commands\n• /start — Initialize the bot\n• /setup — Create a new wallet\n• /import <privateKey> — Import a wallet (/import backup restores a backup file)\n• /export — Show your private key or get an encrypted backup\n• /address — Show your wallet address\n• /lasttx [n] — Show last n transactions (max 5)\n• /walletsplit — Multi-wallet split sizing and per-wallet slippage\n• /sellall <mint> [pct] — Sell a token from every wallet\n• /sweep [main#] — Move SOL and tokens from other wallets into one (preview first)\n• /reclaim [all] — Close empty token accounts and recover their rent\n• /pnl [fifo|lifo|avg] [mint] — Realized and unrealized PnL from your trade lots\n• /exporttrades [year=2025] [format=koinly] — Trade history as CSV for tax tools\n• /reconcile — Check trade history against on-chain swaps and backfill missed ones\n• /pin — Trading PIN or confirmation before large trades, withdrawals and wallet deletion`;
         const help = `ℹ️ Help & safety\n\nSafety and performance\n• Risk checks: honeypot, mint authority, locker (when available)\n• Fast swaps via raced RPC reads and private relay fallbacks\n\nSupport\n• Reply here and we’ll follow up.`;
         const keyboard = {
           inline_keyboard: [
@@ -2024,7 +3999,7 @@ export async function startTelegramBot() {
 
     if (data === "HELP_TAB_HOWTO" || data === "HELP_TAB_HELP") {
       try {
-        const howTo = `🚀 How to use TurboSol\n\nMain menu\n• Wallet — View address/balance, fund or withdraw, and switch wallets\n• Quick Buy — Paste a mint or Jupiter link, then enter SOL; supports flags (fee=, jito=, split=, wallets=)\n• Quick Sell — Sell your current token by % or fixed amount\n• Snipe LP Add — Configure an LP-add snipe for a mint\n• Stop Snipe — Stop an active snipe\n• Active Snipes — View and manage your running snipes\n• Quote — Get a live price quote for a mint\n• Settings — Priority fee, Jito, slippage, default buy, risk checks, limits\n• Copy Trade — Follow wallets; set sizing (fixed/%), daily caps, sell grids\n• Withdraw — Send SOL or tokens out to another address\n• Refresh — Refresh the dashboard card\n• Automation — Set up Pump.fun and other automations\n• Help — Show this guide\n\nQuick actions\n• Paste a token mint to get Buy / Snipe / Quote options\n• Paste a Jupiter URL to quickly Buy or view a Quote\n• Quick Buy amount can include flags (optional): fee=5000 jito=true split=true wallets=3\n\nSlash commands\n• /start — Initialize the bot\n• /setup — Create a new wallet\n• /import <privateKey> — Import a wallet\n• /address — Show your wallet address\n• /lasttx [n] — Show last n transactions (max 5)`;
+        const howTo = `🚀 How to use TurboSol\n\nMain menu\n• Wallet — View address/balance, fund or withdraw, and switch wallets\n• Quick Buy — Paste a mint or Jupiter link, then enter SOL; supports flags (fee=, urgency=, jito=, split=, wallets=, mode=, bundle=)\n• Quick Sell — Sell your current token by % or fixed amount\n• Snipe LP Add — Configure an LP-add snipe for a mint\n• Stop Snipe — Stop an active snipe\n• Active Snipes — View and manage your running snipes\n• Quote — Get a live price quote for a mint\n• Settings — Priority fee, Jito, slippage, default buy, risk checks, limits\n• Copy Trade — Follow wallets; set sizing (fixed/%), daily caps, sell grids\n• Withdraw — Send SOL or tokens out to another address\n• Refresh — Refresh the dashboard card\n• Automation — Set up Pump.fun and other automations\n• Help — Show this guide\n\nQuick actions\n• Paste a token mint to get Buy / Snipe / Quote options\n• Paste a Jupiter URL to quickly Buy or view a Quote\n• Quick Buy amount can include flags (optional): fee=5000 urgency=fast|turbo (or just "turbo") jito=true split=true wallets=3 bundle=true (atomic Jito bundle across wallets) mode=weighted (equal/weighted/random split)\n\nSlash commands\n• /start — Initialize the bot\n• /setup — Create a new wallet\n• /import <privateKey> — Import a wallet (/import backup restores a backup file)\n• /export — Show your private key or get an encrypted backup\n• /address — Show your wallet address\n• /lasttx [n] — Show last n transactions (max 5)\n• /walletsplit — Multi-wallet split sizing and per-wallet slippage\n• /sellall <mint> [pct] — Sell a token from every wallet\n• /sweep [main#] — Move SOL and tokens from other wallets into one (preview first)\n• /reclaim [all] — Close empty token accounts and recover their rent\n• /pnl [fifo|lifo|avg] [mint] — Realized and unrealized PnL from your trade lots\n• /exporttrades [year=2025] [format=koinly] — Trade history as CSV for tax tools\n• /reconcile — Check trade history against on-chain swaps and backfill missed ones\n• /pin — Trading PIN or confirmation before large trades, withdrawals and wallet deletion`;
         const help = `ℹ️ Help & safety\n\nSafety and performance\n• Risk checks: honeypot, mint authority, locker (when available)\n• Fast swaps via raced RPC reads and private relay fallbacks\n\nSupport\n• Reply here and we’ll follow up.`;
         const isHowTo = data === "HELP_TAB_HOWTO";
         const text = isHowTo ? howTo : help;
@@ -2079,7 +4054,7 @@ export async function startTelegramBot() {
         });
         await bot.sendMessage(
           chatId,
-          `💰 Quick Buy - ${mint}\n\nPlease enter the amount in SOL you want to buy (default: ${defaultBuy} SOL):`
+          `💰 Quick Buy - ${mint}\n\nPlease enter the amount in SOL you want to buy (default: ${defaultBuy} SOL):\nAdd "fast" or "turbo" for a higher priority fee.`
         );
       } catch (e) {
         await bot.sendMessage(chatId, `Buy start failed: ${e?.message || e}`);
@@ -2463,39 +4438,31 @@ export async function startTelegramBot() {
           });
         } catch {}
         {
-          const state = getUserState(chatId) || {};
-          const selected = Array.isArray(state.selectedWalletIds)
-            ? state.selectedWalletIds
-            : [];
-          const multi = !!state.multiWalletMode;
-          if (multi && selected.length > 0) {
-            const wallets = (
-              await Promise.all(
-                selected.map((id) =>
-                  getUserWalletKeypairById(chatId, id).catch(() => null)
-                )
-              )
-            ).filter(Boolean);
-            const count = wallets.length || 0;
-            const perWallet = count > 0 ? amountSol / count : amountSol;
-            for (const w of wallets) {
-              startLiquidityWatch(chatId, {
-                mint,
-                amountSol: perWallet,
-                priorityFeeLamports,
-                useJitoBundle,
-                pollInterval,
-                slippageBps,
-                retryCount,
-                source: "ui:telegram",
-                signalType: "manual_auto_snipe",
-                walletOverride: w.keypair,
-                onEvent: (m) => bot.sendMessage(chatId, m),
-              });
+          const legs = await startMultiWalletSnipe(
+            chatId,
+            {
+              mint,
+              amountSol,
+              priorityFeeLamports,
+              useJitoBundle,
+              pollInterval,
+              slippageBps,
+              retryCount,
+              source: "ui:telegram",
+              signalType: "manual_auto_snipe",
+              onEvent: (m) => bot.sendMessage(chatId, m),
+            },
+            {
+              onSummary: (sum) =>
+                bot
+                  .sendMessage(chatId, formatMultiWalletBuySummary(sum, { mint }))
+                  .catch(() => {}),
             }
+          );
+          if (legs) {
             await bot.sendMessage(
               chatId,
-              `Watching for LP on ${mint} across ${count} selected wallets. Per-wallet: ${perWallet} SOL`
+              `Watching for LP on ${mint} across ${legs.length} selected wallets (${formatSplitLegs(legs)})`
             );
           } else {
             startLiquidityWatch(chatId, {
@@ -2677,24 +4644,6 @@ export async function startTelegramBot() {
         return;
       }
 
-      if (data === "TRADING_TOOLS") {
-        try {
-          await bot.answerCallbackQuery(query.id, { text: "Trading Tools" });
-        } catch {}
-        try {
-          await bot.editMessageText("🛠 Trading Tools", {
-            chat_id: chatId,
-            message_id: messageId,
-            reply_markup: buildTradingToolsMenu().reply_markup,
-          });
-        } catch (e) {
-          await bot.sendMessage(chatId, "🛠 Trading Tools", {
-            reply_markup: buildTradingToolsMenu().reply_markup,
-          });
-        }
-        return;
-      }
-
       if (data.startsWith("REBUY_")) {
         const mint = data.slice("REBUY_".length);
         try {
@@ -2710,7 +4659,7 @@ export async function startTelegramBot() {
         });
         await bot.sendMessage(
           chatId,
-          `💰 Quick Buy - ${mint}\n\nEnter amount in SOL (last: ${last} SOL):`
+          `💰 Quick Buy - ${mint}\n\nEnter amount in SOL (last: ${last} SOL):\nAdd "fast" or "turbo" for a higher priority fee.`
         );
         return;
       }
@@ -2838,127 +4787,14 @@ export async function startTelegramBot() {
         const wallets = await listUserWallets(chatId);
         const w = wallets.find((x) => x.id === walletId);
         if (w) {
-          try {
-            await bot.answerCallbackQuery(query.id, { text: "Address sent" });
-          } catch {}
-          await bot.sendMessage(chatId, `Address: ${w.publicKey}`);
-        }
-        return;
-      }
-
-      if (data.startsWith("DELETE_WALLET_")) {
-        // For safety, we will not permanently delete yet; could implement soft delete
-        await bot.answerCallbackQuery(query.id, {
-          text: "Delete not implemented yet",
-        });
-        return;
-      }
-
-      // TurboSol Positions view
-      if (data === "POSITIONS") {
-        const state = getUserState(chatId);
-        const hasPositions = (state.positions || []).length > 0;
-        const body = hasPositions
-          ? "You have open positions. Tap 'View All Positions' to see details."
-          : "No open positions yet!\nStart your trading journey by pasting a contract address in chat.";
-        await bot.editMessageText(`🚀 TurboSol Positions\n\n${body}`, {
-          chat_id: chatId,
-          message_id: messageId,
-          reply_markup: buildPositionsMenu(chatId).reply_markup,
-        });
-        return;
-      }
-
-      if (data === "VIEW_ALL_POSITIONS") {
-        const state = getUserState(chatId);
-        const list = state.positions || [];
-        if (!list.length) {
-          await bot.answerCallbackQuery(query.id, { text: "No positions" });
-          return;
-        }
-        const lines = list
-          .map((p, i) => {
-            const t = new Date(p.timestamp).toLocaleString();
-            const mintShort = shortenAddress ? shortenAddress(p.mint) : p.mint;
-            const tokOut =
-              typeof p.tokensOut === "number"
-                ? Number(p.tokensOut).toFixed(4)
-                : "?";
-            const txShort = p.txid
-              ? p.txid.slice(0, 8) + "…" + p.txid.slice(-8)
-              : "";
-            return `${i + 1}. ${p.symbol || "TOKEN"} (${mintShort}) — ${
-              p.solIn
-            } SOL -> ~${tokOut}  [${t}] ${txShort}`;
-          })
-          .join("\n");
-        await bot.editMessageText(`📈 Open Positions\n\n${lines}`, {
-          chat_id: chatId,
-          message_id: messageId,
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: "🔙 Back", callback_data: "POSITIONS" }],
-              [{ text: "🏠 Main", callback_data: "MAIN_MENU" }],
-            ],
-          },
-        });
-        return;
-      }
-
-      // Performance stats view
-      if (data === "PERFORMANCE_STATS") {
-        const state = getUserState(chatId);
-        const trades = state.trades || [];
-        if (!trades.length) {
-          await bot.answerCallbackQuery(query.id, { text: "No trades yet" });
-          await bot.sendMessage(
-            chatId,
-            "No trades logged yet. Start trading to build performance history."
-          );
-          return;
-        }
-        let buySol = 0,
-          sellSol = 0;
-        const byMint = new Map();
-        for (const t of trades) {
-          if (t.kind === "buy") {
-            const s = Number(t.sol || 0);
-            buySol += s;
-            const m = byMint.get(t.mint) || { buy: 0, sell: 0 };
-            m.buy += s;
-            byMint.set(t.mint, m);
-          } else if (t.kind === "sell") {
-            const sOut = Number(t.solOut || t.sol || 0);
-            sellSol += sOut;
-            const m = byMint.get(t.mint) || { buy: 0, sell: 0 };
-            m.sell += sOut;
-            byMint.set(t.mint, m);
-          }
-        }
-        const pnl = sellSol - buySol;
-        let wins = 0,
-          losses = 0;
-        for (const [, v] of byMint) {
-          if (v.sell > 0) {
-            if (v.sell > v.buy) wins++;
-            else losses++;
-          }
+          try {
+            await bot.answerCallbackQuery(query.id, { text: "Address sent" });
+          } catch {}
+          await bot.sendMessage(chatId, `Address: ${w.publicKey}`);
         }
-        const total = wins + losses;
-        const winRate = total ? Math.round((wins / total) * 100) : 0;
-        const sign = pnl >= 0 ? "🟢" : "🔴";
-        const msg = [
-          `📊 Performance Stats — All Time`,
-          `Trades: ${trades.length}`,
-          `Buys: ${buySol.toFixed(4)} SOL`,
-          `Sells: ${sellSol.toFixed(4)} SOL`,
-          `${sign} P&L: ${pnl.toFixed(4)} SOL`,
-          `Win-rate: ${winRate}% (${wins}/${total})`,
-        ].join("\n");
-        await bot.sendMessage(chatId, msg);
-        await bot.answerCallbackQuery(query.id, { text: "Stats sent" });
         return;
       }
+
       // Snipe Defaults toggles
       if (["TOGGLE_AUTO_SNIPE_PASTE", "TOGGLE_SNIPE_JITO"].includes(data)) {
         const keyMap = {
@@ -3032,13 +4868,52 @@ export async function startTelegramBot() {
   });
 
   // Handle text messages
-  bot.on("message", async (msg) => {
+  const handleMessage = async (msg) => {
     const text = msg.text;
     const chatId = msg.chat.id;
     if (!text || text.startsWith("/")) return;
 
     try {
       const state = getUserState(chatId);
+      // Replays this message with its pending input once a trade guard challenge passes
+      const pendingAtReceipt = state.pendingInput;
+      const guardMessage = (spec) =>
+        challengeGuardedAction(chatId, {
+          ...spec,
+          key: `msg:${msg.message_id}`,
+          resume: async () => {
+            setPendingInput(chatId, pendingAtReceipt);
+            await handleMessage(msg);
+          },
+        });
+
+      if (state.pendingInput?.type === "TRADE_GUARD_PIN") {
+        deleteSoon(chatId, msg.message_id);
+        const pin = String(text).trim();
+        if (pin.toLowerCase() === "cancel") {
+          setPendingInput(chatId, null);
+          pendingGuards.delete(String(chatId));
+          await bot.sendMessage(chatId, "✖️ Cancelled.");
+          return;
+        }
+        const res = checkTradePin(chatId, pin);
+        if (res.ok) {
+          setPendingInput(chatId, null);
+          await resumeGuardedAction(chatId);
+          return;
+        }
+        if (res.lockedUntil) {
+          setPendingInput(chatId, null);
+          pendingGuards.delete(String(chatId));
+          await bot.sendMessage(chatId, guardLockedText(res.lockedUntil));
+          return;
+        }
+        await bot.sendMessage(
+          chatId,
+          `❌ Wrong PIN. ${res.remaining} attempt(s) left before lockout. Try again or type 'cancel'.`
+        );
+        return;
+      }
 
       // Detect pasted Jupiter Quote URL and offer Quote/Buy actions directly
       if (!state.pendingInput && /quote-api\.jup\.ag\/v6\/quote/.test(text)) {
@@ -3188,6 +5063,14 @@ export async function startTelegramBot() {
           return;
         }
         const { dest, amt } = state.pendingInput;
+        if (
+          await guardMessage({
+            action: "withdraw",
+            label: `send ${amt} SOL to ${shortenAddress(dest)}`,
+          })
+        ) {
+          return;
+        }
         if (amt > 1) {
           setPendingInput(chatId, { type: "WITHDRAW_CONFIRM2", dest, amt });
           await bot.sendMessage(
@@ -3250,6 +5133,132 @@ export async function startTelegramBot() {
         return;
       }
 
+      if (state.pendingInput?.type === "WITHDRAW_TOKEN_DEST") {
+        const { mint } = state.pendingInput;
+        try {
+          const dest = new PublicKey(text.trim()).toBase58();
+          setPendingInput(chatId, { type: "WITHDRAW_TOKEN_AMOUNT", mint, dest });
+          await bot.sendMessage(
+            chatId,
+            `Destination set: ${shortenAddress(
+              dest
+            )}\n\nEnter the token amount to send, a percent like 50%, or 'max':`
+          );
+        } catch (e) {
+          await bot.sendMessage(
+            chatId,
+            "❌ Invalid address. Please send a valid Solana address."
+          );
+        }
+        return;
+      }
+
+      if (state.pendingInput?.type === "WITHDRAW_TOKEN_AMOUNT") {
+        const { mint, dest } = state.pendingInput;
+        try {
+          const preview = await previewSplTransfer({ chatId, to: dest, mint });
+          const balance = BigInt(preview.balanceRaw);
+          const input = text.trim().toLowerCase();
+          let amountRaw;
+          if (input === "max" || input === "all") {
+            amountRaw = balance;
+          } else if (input.endsWith("%")) {
+            const pct = Number(input.slice(0, -1));
+            if (!(pct > 0 && pct <= 100)) throw new Error("percent must be 1-100");
+            amountRaw = (balance * BigInt(Math.round(pct * 100))) / 10000n;
+          } else {
+            const parsed = parseTokenAmountRaw(input, preview.decimals);
+            if (parsed == null) throw new Error("invalid amount");
+            amountRaw = BigInt(parsed);
+          }
+          if (amountRaw <= 0n) throw new Error("amount must be above 0");
+          if (amountRaw > balance) {
+            throw new Error(
+              `amount exceeds balance (${formatTokenAmount(balance, preview.decimals)})`
+            );
+          }
+          const amountUi = formatTokenAmount(amountRaw, preview.decimals);
+          const program =
+            preview.programId === TOKEN_2022_PROGRAM_ID.toBase58() ? "Token-2022" : "SPL Token";
+          const ata = preview.createsAta
+            ? `will be created (+${(preview.rentLamports / LAMPORTS_PER_SOL).toFixed(6)} SOL rent)`
+            : "exists";
+          setPendingInput(chatId, {
+            type: "WITHDRAW_TOKEN_CONFIRM",
+            mint,
+            dest,
+            amountRaw: amountRaw.toString(),
+            amountUi,
+            decimals: preview.decimals,
+            programId: preview.programId,
+            sourceAccount: preview.sourceAccount,
+          });
+          await bot.sendMessage(
+            chatId,
+            `Confirm token withdrawal:\n• To: ${dest}\n• Token: ${mint} (${program})\n• Amount: ${amountUi}\n• Recipient token account: ${ata}\n• Est. network fee: ${(
+              preview.feeLamports / LAMPORTS_PER_SOL
+            ).toFixed(6)} SOL\n\nType 'yes' to confirm or 'no' to cancel.`
+          );
+        } catch (e) {
+          const msg = String(e?.message || e);
+          if (msg.includes("no_token_balance")) setPendingInput(chatId, null);
+          await bot.sendMessage(
+            chatId,
+            msg.includes("no_token_balance")
+              ? "❌ No balance of that token in your wallet."
+              : `❌ ${msg}. Send an amount, a percent like 50%, or 'max'.`
+          );
+        }
+        return;
+      }
+
+      if (state.pendingInput?.type === "WITHDRAW_TOKEN_CONFIRM") {
+        const v = (text || "").trim().toLowerCase();
+        if (v !== "yes" && v !== "y") {
+          setPendingInput(chatId, null);
+          await bot.sendMessage(chatId, "❌ Withdrawal cancelled.");
+          return;
+        }
+        const p = state.pendingInput;
+        if (
+          await guardMessage({
+            action: "withdraw",
+            label: `send ${p.amountUi} of ${shortenAddress(p.mint)} to ${shortenAddress(p.dest)}`,
+          })
+        ) {
+          return;
+        }
+        setPendingInput(chatId, null);
+        try {
+          await bot.sendMessage(
+            chatId,
+            `⏳ Sending ${p.amountUi} of ${shortenAddress(p.mint)} to ${shortenAddress(p.dest)}...`
+          );
+          const res = await transferSplToken({
+            chatId,
+            to: p.dest,
+            mint: p.mint,
+            amountRaw: p.amountRaw,
+            decimals: p.decimals,
+            programId: p.programId,
+            sourceAccount: p.sourceAccount,
+          });
+          const txid = res?.txid || res?.sendMeta?.txid || null;
+          if (!txid) throw new Error("send_failed");
+          const solscan = `https://solscan.io/tx/${txid}`;
+          await bot.sendMessage(
+            chatId,
+            `✅ Sent ${p.amountUi} of ${p.mint}\n• To: ${p.dest}\n• Token account: ${res.destination}\n• Via: ${res?.via}\n• Tx: ${txid}\n🔗 ${solscan}`
+          );
+        } catch (e) {
+          await bot.sendMessage(
+            chatId,
+            `❌ Withdraw failed: ${e?.message || e}`
+          );
+        }
+        return;
+      }
+
       if (state.pendingInput?.type === "SUGGESTION_TEXT") {
         const idea = String(text || "").trim();
         if (!idea) {
@@ -3287,6 +5296,93 @@ export async function startTelegramBot() {
         return;
       }
 
+      if (state.pendingInput?.type === "EXPORT_BACKUP_PASSPHRASE") {
+        deleteSoon(chatId, msg.message_id);
+        const passphrase = String(text || "");
+        if (passphrase.trim().toLowerCase() === "cancel") {
+          setPendingInput(chatId, null);
+          await bot.sendMessage(chatId, "❌ Backup cancelled.");
+          return;
+        }
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+          await bot.sendMessage(
+            chatId,
+            `❌ Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters. Try again or type 'cancel'.`
+          );
+          return;
+        }
+        setPendingInput(chatId, null);
+        try {
+          const backup = await createWalletBackup(chatId, passphrase);
+          const date = backup.createdAt.slice(0, 10);
+          await bot.sendDocument(
+            chatId,
+            Buffer.from(JSON.stringify(backup, null, 2)),
+            {
+              caption: `🔐 Encrypted backup of ${backup.wallets} wallet(s). Restore with /import backup and your passphrase.`,
+            },
+            { filename: `turbosol-wallets-${date}.json`, contentType: "application/json" }
+          );
+        } catch (e) {
+          await bot.sendMessage(chatId, `❌ Backup failed: ${e?.message || e}`);
+        }
+        return;
+      }
+
+      if (state.pendingInput?.type === "IMPORT_BACKUP_FILE") {
+        if (text.trim().toLowerCase() === "cancel") {
+          setPendingInput(chatId, null);
+          await bot.sendMessage(chatId, "❌ Restore cancelled.");
+          return;
+        }
+        await bot.sendMessage(
+          chatId,
+          "📦 Please send the backup file as a document, or type 'cancel'."
+        );
+        return;
+      }
+
+      if (state.pendingInput?.type === "IMPORT_BACKUP_PASSPHRASE") {
+        deleteSoon(chatId, msg.message_id);
+        const pending = pendingBackupRestores.get(String(chatId));
+        if (text.trim().toLowerCase() === "cancel") {
+          pendingBackupRestores.delete(String(chatId));
+          setPendingInput(chatId, null);
+          await bot.sendMessage(chatId, "❌ Restore cancelled.");
+          return;
+        }
+        if (!pending || Date.now() - pending.at > BACKUP_RESTORE_TTL_MS) {
+          pendingBackupRestores.delete(String(chatId));
+          setPendingInput(chatId, null);
+          await bot.sendMessage(chatId, "⌛ Restore expired. Run /import backup again.");
+          return;
+        }
+        try {
+          const { imported, skipped } = await restoreWalletBackup(
+            chatId,
+            pending.backup,
+            text
+          );
+          pendingBackupRestores.delete(String(chatId));
+          setPendingInput(chatId, null);
+          await bot.sendMessage(
+            chatId,
+            `✅ Restored ${imported.length} wallet(s)${
+              skipped.length ? `, ${skipped.length} already present` : ""
+            }.${imported.length ? `\n${imported.map((p) => `• ${shortenAddress(p)}`).join("\n")}` : ""}`
+          );
+        } catch (e) {
+          const msg = String(e?.message || e);
+          // Wrong passphrase: let the user retry while the upload is still fresh
+          if (!msg.includes("Wrong passphrase")) {
+            pendingBackupRestores.delete(String(chatId));
+            setPendingInput(chatId, null);
+          }
+          await bot.sendMessage(chatId, `❌ Restore failed: ${msg}`);
+        }
+        return;
+      }
+
       if (state.pendingInput?.type === "IMPORT_WALLET") {
         try {
           const pub = await importUserWallet(chatId, text.trim());
@@ -3436,6 +5532,68 @@ export async function startTelegramBot() {
         return;
       }
 
+      // Fee Settings: per-chat Jito bundle tip
+      if (state.pendingInput?.type === "SET_JITO_TIP") {
+        const raw = (msg.text || "").trim().toLowerCase();
+        const val = raw === "default" ? null : Number(raw);
+        if (val !== null && (!Number.isInteger(val) || val < 0)) {
+          await bot.sendMessage(
+            chatId,
+            "❌ Invalid number. Send 0, a positive integer lamports value, or 'default'."
+          );
+          return;
+        }
+        updateUserSetting(chatId, "jitoTipLamports", val);
+        setPendingInput(chatId, null);
+        await bot.sendMessage(
+          chatId,
+          val === null
+            ? "✅ Jito tip reset to the server default"
+            : val === 0
+            ? "✅ Jito tip disabled"
+            : `✅ Jito tip set to ${val} lamports`
+        );
+        await bot.sendMessage(chatId, "💰 Fee Settings updated:", {
+          reply_markup: buildFeeSettingsMenu(chatId).reply_markup,
+        });
+        return;
+      }
+
+      // Fee Settings: rebroadcast attempts and max escalated fee
+      if (state.pendingInput?.type === "SET_TX_RETRY") {
+        const raw = (msg.text || "").trim().toLowerCase();
+        const [a, f] = raw.split(/\s+/);
+        const attempts = raw === "default" ? null : Number(a);
+        const maxFee = f == null ? null : Number(f);
+        if (
+          (attempts !== null && (!Number.isInteger(attempts) || attempts < 0 || attempts > 10)) ||
+          (maxFee !== null && (!Number.isInteger(maxFee) || maxFee <= 0))
+        ) {
+          await bot.sendMessage(
+            chatId,
+            "❌ Send attempts (0-10) and an optional max fee in lamports, e.g. '3 20000000', or 'default'."
+          );
+          return;
+        }
+        updateUserSetting(chatId, "txRetryMaxAttempts", attempts);
+        updateUserSetting(chatId, "txRetryMaxFeeLamports", maxFee);
+        setPendingInput(chatId, null);
+        await bot.sendMessage(
+          chatId,
+          attempts === null
+            ? "✅ Auto-rebroadcast reset to the server default"
+            : attempts === 0
+            ? "✅ Auto-rebroadcast disabled"
+            : `✅ Expired buys are rebroadcast up to ${attempts}x${
+                maxFee ? `, max fee ${maxFee} lamports` : ""
+              }`
+        );
+        await bot.sendMessage(chatId, "💰 Fee Settings updated:", {
+          reply_markup: buildFeeSettingsMenu(chatId).reply_markup,
+        });
+        return;
+      }
+
       // Global Fee Settings: set static priority fee lamports
       if (state.pendingInput?.type === "SET_PRIORITY_FEE") {
         const raw = (msg.text || "").trim();
@@ -3481,6 +5639,39 @@ export async function startTelegramBot() {
         return;
       }
 
+      // Positions: per-position trailing stop settings
+      if (state.pendingInput?.type === "TRAIL_STOP_CONFIG") {
+        const { mint } = state.pendingInput;
+        let cfg;
+        try {
+          cfg = parseTrailingStopConfig(
+            msg.text,
+            state.trailingStops?.[mint] || DEFAULT_TRAILING_STOP
+          );
+        } catch (e) {
+          await bot.sendMessage(
+            chatId,
+            `❌ ${e.message}. Example: trail=12 act=20 step=5 sell=25 stop=20`
+          );
+          return;
+        }
+        updateUserSetting(chatId, "trailingStops", {
+          ...(state.trailingStops || {}),
+          [mint]: cfg,
+        });
+        setPendingInput(chatId, null);
+        // Restart a running watcher so the new settings take effect
+        if (isStopLossActive(chatId, mint)) {
+          stopStopLoss(chatId, mint);
+          startTrailingStopFor(chatId, mint);
+        }
+        const { body, markup } = buildPositionDetailView(chatId, mint);
+        await bot.sendMessage(chatId, `✅ Trailing stop updated\n\n${body}`, {
+          reply_markup: markup,
+        });
+        return;
+      }
+
       // Delta Settings: probe size (SOL)
       if (state.pendingInput?.type === "SET_DELTA_PROBE") {
         const sol = parseFloat((msg.text || "").trim());
@@ -3618,7 +5809,7 @@ export async function startTelegramBot() {
           const TOKEN_PROGRAM_ID =
             "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
           const TOKEN_2022_PROGRAM_ID =
-            "TokenzQdBNbLqUfnv3V9xRpxo3cLZg1VbG7sWXeDaD7B";
+            "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
 
           if (!acct) {
             await bot.sendMessage(
@@ -3741,39 +5932,34 @@ export async function startTelegramBot() {
           setPendingInput(chatId, null);
 
           {
-            const state2 = getUserState(chatId) || {};
-            const selected2 = Array.isArray(state2.selectedWalletIds)
-              ? state2.selectedWalletIds
-              : [];
-            const multi2 = !!state2.multiWalletMode;
-            if (multi2 && selected2.length > 0) {
-              const wallets2 = (
-                await Promise.all(
-                  selected2.map((id) =>
-                    getUserWalletKeypairById(chatId, id).catch(() => null)
-                  )
-                )
-              ).filter(Boolean);
-              const count2 = wallets2.length || 0;
-              const perWallet2 = count2 > 0 ? amountSol / count2 : amountSol;
-              for (const w of wallets2) {
-                startLiquidityWatch(chatId, {
-                  mint: tokenAddress,
-                  amountSol: perWallet2,
-                  priorityFeeLamports,
-                  useJitoBundle,
-                  pollInterval,
-                  slippageBps,
-                  retryCount,
-                  source: "ui:telegram",
-                  signalType: "manual_lp_add",
-                  walletOverride: w.keypair,
-                  onEvent: (m) => bot.sendMessage(chatId, m).catch(() => {}),
-                });
+            const legs = await startMultiWalletSnipe(
+              chatId,
+              {
+                mint: tokenAddress,
+                amountSol,
+                priorityFeeLamports,
+                useJitoBundle,
+                pollInterval,
+                slippageBps,
+                retryCount,
+                source: "ui:telegram",
+                signalType: "manual_lp_add",
+                onEvent: (m) => bot.sendMessage(chatId, m).catch(() => {}),
+              },
+              {
+                onSummary: (sum) =>
+                  bot
+                    .sendMessage(
+                      chatId,
+                      formatMultiWalletBuySummary(sum, { mint: tokenAddress })
+                    )
+                    .catch(() => {}),
               }
+            );
+            if (legs) {
               await bot.sendMessage(
                 chatId,
-                `👀 Watching for LP on ${tokenAddress} across ${count2} selected wallets. Per-wallet: ${perWallet2} SOL`
+                `👀 Watching for LP on ${tokenAddress} across ${legs.length} selected wallets (${formatSplitLegs(legs)})`
               );
             } else {
               startLiquidityWatch(chatId, {
@@ -3816,7 +6002,7 @@ export async function startTelegramBot() {
           const defaultBuy = state.defaultBuySol ?? 0.05;
           await bot.sendMessage(
             chatId,
-            `💰 Quick Buy - ${normalizedMint}\n\nPlease enter the amount in SOL you want to buy (default: ${defaultBuy} SOL):`
+            `💰 Quick Buy - ${normalizedMint}\n\nPlease enter the amount in SOL you want to buy (default: ${defaultBuy} SOL):\nAdd "fast" or "turbo" for a higher priority fee.`
           );
         } catch (e) {
           await bot.sendMessage(
@@ -3866,6 +6052,15 @@ export async function startTelegramBot() {
               return;
             }
           } catch {}
+          if (
+            await guardMessage({
+              action: "buy",
+              amountSol,
+              label: `buy ${amountSol} SOL of ${shortenAddress(tokenAddress)}`,
+            })
+          ) {
+            return;
+          }
           if (!canProceed(chatId, "QUICK_BUY_EXECUTE", 1600)) {
             await bot.sendMessage(
               chatId,
@@ -3898,57 +6093,53 @@ export async function startTelegramBot() {
               setPendingInput(chatId, null);
               return;
             }
+            // An explicit fee= wins over urgency; urgency scales the oracle's fee
             const priorityFeeLamports =
-              flags.priorityFeeLamports ?? getPriorityFeeLamports();
+              flags.priorityFeeLamports ??
+              (flags.urgency
+                ? priorityFeeForUrgency(flags.urgency)
+                : getPriorityFeeLamports());
+            // Auto and urgency fees are re-priced per pool; fee= is sent as given
+            const fixedPriorityFee = flags.priorityFeeLamports != null;
             const useJitoBundle = flags.useJitoBundle ?? getUseJitoBundle();
             await bot.sendMessage(
               chatId,
               `⏳ Placing buy ${amountSol} SOL into ${tokenAddress}...`
             );
-            const st = getUserState(chatId);
-            const selectedIds = Array.isArray(st.selectedWalletIds)
-              ? st.selectedWalletIds
-              : [];
-            if (st.multiWalletMode && selectedIds.length > 0) {
-              const allWallets = await listUserWallets(chatId);
-              const byId = new Map(allWallets.map((w) => [w.id, w]));
-              const targets = selectedIds
-                .map((id) => byId.get(id))
-                .filter(Boolean)
-                .slice(0, 12);
-              const perWallet = amountSol / Math.max(1, targets.length);
-              const tasks = await Promise.all(
-                targets.map(async (w) => {
-                  const kp = await getUserWalletKeypairById(chatId, w.id);
-                  return performSwap({
-                    inputMint: "So11111111111111111111111111111111111111112",
-                    outputMint: tokenAddress,
-                    amountSol: perWallet,
-                    priorityFeeLamports,
-                    useJitoBundle,
-                    chatId,
-                    walletOverride: kp?.keypair,
-                  });
-                })
-              );
-              swapPromise = Promise.all(tasks);
-            } else if (flags.splitAcrossWallets) {
-              const wallets = await getAllUserWalletKeypairs(chatId);
-              const desired = flags.walletsCount || wallets.length || 1;
-              const count = Math.max(1, Math.min(desired, wallets.length || 1));
-              const perWallet = amountSol / count;
-              const tasks = wallets.slice(0, count).map((w) =>
-                performSwap({
-                  inputMint: "So11111111111111111111111111111111111111112",
-                  outputMint: tokenAddress,
-                  amountSol: perWallet,
-                  priorityFeeLamports,
-                  useJitoBundle,
-                  chatId,
-                  walletOverride: w.keypair,
-                })
-              );
-              swapPromise = Promise.all(tasks);
+            // Multi-wallet mode (or split=1 / bundle=1) fans the buy out across wallets
+            const splitWallets = await resolveBuyWallets(chatId, {
+              count: flags.atomicBundle
+                ? Math.min(flags.walletsCount || MAX_BUNDLE_TXS - 1, MAX_BUNDLE_TXS - 1)
+                : flags.walletsCount,
+              all: !!(flags.splitAcrossWallets || flags.atomicBundle),
+            });
+            const split = getSplitSettings(chatId, { mode: flags.splitMode });
+            const legs = planWalletSplit(amountSol, splitWallets, split);
+            if (flags.atomicBundle && legs.length) {
+              // bundle=1: all wallet legs land atomically in one Jito bundle (+ tip)
+              swapPromise = performBundledBuy({
+                outputMint: tokenAddress,
+                buys: legs.map((l) => ({
+                  wallet: l.wallet.keypair,
+                  amountSol: l.amountSol,
+                  slippageBps: l.slippageBps,
+                })),
+                chatId,
+                priorityFeeLamports,
+                urgency: flags.urgency,
+                fixedPriorityFee,
+              });
+            } else if (legs.length) {
+              swapPromise = performMultiWalletBuy({
+                chatId,
+                outputMint: tokenAddress,
+                legs,
+                mode: split.mode,
+                priorityFeeLamports,
+                useJitoBundle,
+                urgency: flags.urgency,
+                fixedPriorityFee,
+              });
             } else {
               swapPromise = performSwap({
                 inputMint: "So11111111111111111111111111111111111111112",
@@ -3957,35 +6148,31 @@ export async function startTelegramBot() {
                 priorityFeeLamports,
                 useJitoBundle,
                 chatId,
+                urgency: flags.urgency,
+                fixedPriorityFee,
               });
             }
             const TIMEOUT_MS = Number(process.env.SWAP_TIMEOUT_MS || 18000);
             await promiseWithTimeout(swapPromise, TIMEOUT_MS, "swap_timeout");
             const swapRes = await swapPromise;
             setPendingInput(chatId, null);
+            if (swapRes?.multiWallet) {
+              await reportMultiWalletBuy(chatId, tokenAddress, swapRes);
+              return;
+            }
             let txid = swapRes?.txid || null;
-            if (!txid && Array.isArray(swapRes)) {
-              txid = swapRes.map((r) => r?.txid).filter(Boolean)[0] || null;
-            } else if (!txid && Array.isArray(swapRes?.txids)) {
+            if (!txid && Array.isArray(swapRes?.txids)) {
               txid = swapRes.txids[0] || null;
             }
             if (!txid) throw new Error("Swap succeeded but no txid returned");
             const solscan = `https://solscan.io/tx/${txid}`;
-            const symbol = Array.isArray(swapRes)
-              ? swapRes[0]?.output?.symbol || "TOKEN"
-              : swapRes?.output?.symbol || "TOKEN";
-            const totalOut = Array.isArray(swapRes)
-              ? swapRes.reduce(
-                  (acc, r) => acc + (Number(r?.output?.tokensOut) || 0),
-                  0
-                )
-              : Number(swapRes?.output?.tokensOut) || 0;
+            const symbol = swapRes?.output?.symbol || "TOKEN";
+            const totalOut = Number(swapRes?.output?.tokensOut) || 0;
             const tokOut = totalOut ? totalOut.toFixed(4) : "?";
-            const impact = Array.isArray(swapRes)
-              ? "(split across wallets)"
-              : swapRes?.route?.priceImpactPct != null
-              ? `${swapRes.route.priceImpactPct}%`
-              : "?";
+            const impact =
+              swapRes?.route?.priceImpactPct != null
+                ? `${swapRes.route.priceImpactPct}%`
+                : "?";
             await bot.sendMessage(
               chatId,
               `✅ Buy sent\n• Token: ${symbol} (${tokenAddress})\n• Amount: ${amountSol} SOL\n• Est. Tokens: ${tokOut}\n• Route: ${
@@ -4003,12 +6190,7 @@ export async function startTelegramBot() {
               kind: "buy",
               mint: tokenAddress,
               sol: Number(amountSol),
-              tokens: Array.isArray(swapRes)
-                ? swapRes.reduce(
-                    (acc, r) => acc + (Number(r?.output?.tokensOut) || 0),
-                    0
-                  )
-                : Number(swapRes?.output?.tokensOut ?? NaN),
+              tokens: Number(swapRes?.output?.tokensOut ?? NaN),
               route: swapRes?.route?.labels,
               priceImpactPct: swapRes?.route?.priceImpactPct ?? null,
               slippageBps: swapRes?.slippageBps,
@@ -4022,6 +6204,20 @@ export async function startTelegramBot() {
             });
             // Follow-up: notify on confirmation or failure
             notifyTxStatus(chatId, txid, { kind: "Buy" }).catch(() => {});
+            if (swapRes?.bundleUuid) {
+              waitForBundle(swapRes.bundleUuid)
+                .then((b) => {
+                  if (!b) return;
+                  const icon = b.status === "landed" ? "📦✅" : "📦❌";
+                  return bot.sendMessage(
+                    chatId,
+                    `${icon} Bundle ${b.status} (${b.signatures.length} txs${
+                      b.slot ? `, slot ${b.slot}` : ""
+                    })\n• Bundle: ${b.uuid}`
+                  );
+                })
+                .catch(() => {});
+            }
           } catch (e) {
             if (String(e?.message || "").includes("swap_timeout")) {
               await bot.sendMessage(
@@ -4030,6 +6226,9 @@ export async function startTelegramBot() {
               );
               swapPromise
                 .then((res) => {
+                  if (res?.multiWallet) {
+                    return reportMultiWalletBuy(chatId, tokenAddress, res);
+                  }
                   const txid =
                     res?.txid ||
                     (Array.isArray(res?.txids) ? res.txids[0] : null);
@@ -4188,6 +6387,15 @@ export async function startTelegramBot() {
         let percent = Number(raw);
         if (!Number.isFinite(percent)) percent = 100;
         percent = Math.max(1, Math.min(100, Math.floor(percent)));
+        if (
+          await guardMessage({
+            action: "sell",
+            estimateSol: () => estimateSellValueSol(chatId, tokenAddress, percent),
+            label: `sell ${percent}% of ${shortenAddress(tokenAddress)}`,
+          })
+        ) {
+          return;
+        }
         if (!canProceed(chatId, "QUICK_SELL_EXECUTE", 1600)) {
           await bot.sendMessage(
             chatId,
@@ -4591,13 +6799,14 @@ export async function startTelegramBot() {
     } catch (outerErr) {
       console.error("Message handler error:", outerErr);
     }
-  });
+  };
+  bot.on("message", handleMessage);
 } // close startTelegramBot
 
 // Helper: monitor a tx signature and notify user on success/failure
 export async function notifyTxStatus(chatId, txid, { kind = "Trade" } = {}) {
   try {
-    if (!txid) return;
+    if (!txid || isPaperTxid(txid)) return;
     const connection = getRpcConnection();
     const solscan = `https://solscan.io/tx/${txid}`;
     const maxWait = Number(process.env.TX_CONFIRM_MAX_WAIT_MS || 90000);
@@ -0,0 +1,192 @@
+// CSV export of confirmed fills from the lot ledger, with realized PnL per
+// sell. "fills" is the plain column layout; "koinly" is the universal
+// Sent/Received layout that Koinly, CoinLedger and most tax tools import.
+import {
+  LOT_METHODS,
+  readLotEvents,
+  sortLotEvents,
+  buildLotLedger,
+} from "./lotLedger.js";
+import { getTokenMeta } from "./walletInfo.js";
+
+export const EXPORT_FORMATS = ["fills", "koinly"];
+
+const FILL_COLUMNS = [
+  "timestamp",
+  "side",
+  "wallet",
+  "mint",
+  "symbol",
+  "sol_spent",
+  "sol_received",
+  "tokens",
+  "fee_sol",
+  "txid",
+  "realized_pnl_sol",
+];
+
+const KOINLY_COLUMNS = [
+  "Date",
+  "Sent Amount",
+  "Sent Currency",
+  "Received Amount",
+  "Received Currency",
+  "Fee Amount",
+  "Fee Currency",
+  "Net Worth Amount",
+  "Net Worth Currency",
+  "Label",
+  "Description",
+  "TxHash",
+];
+
+// Plain decimal (no exponent), trailing zeros trimmed
+function num(n, digits = 9) {
+  if (n == null || !Number.isFinite(Number(n))) return "";
+  const s = Number(n).toFixed(digits);
+  return s.includes(".") ? s.replace(/\.?0+$/, "") : s;
+}
+
+// Token symbols come from on-chain metadata: text that a spreadsheet would read
+// as a formula gets a leading ' (plain numbers such as negative PnL are kept)
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per fill in [from, to); realized PnL uses the whole history as basis
+export function buildFillRows(events = [], { method = "fifo", from = null, to = null, symbols = {} } = {}) {
+  const sorted = sortLotEvents(events);
+  const { closes } = buildLotLedger(sorted, { method });
+  const rows = [];
+  let sellIndex = 0;
+  for (const e of sorted) {
+    if (e.kind !== "buy" && e.kind !== "sell") continue;
+    const close = e.kind === "sell" ? closes[sellIndex++] : null;
+    if (from != null && e.ts < from) continue;
+    if (to != null && e.ts >= to) continue;
+    rows.push({
+      ts: e.ts,
+      side: e.kind,
+      wallet: e.wallet,
+      mint: e.mint,
+      symbol: symbols[e.mint] || "",
+      solSpent: e.kind === "buy" ? Number(e.sol || 0) : null,
+      solReceived: e.kind === "sell" ? Number(e.sol || 0) : null,
+      tokens: Number(e.tokens || 0),
+      feeSol: Number(e.feesLamports || 0) / 1e9,
+      txid: e.txid || "",
+      realizedPnlSol: close && close.matchedTokens > 0 ? close.realizedPnlSol : null,
+    });
+  }
+  return rows;
+}
+
+export function fillsToCsv(rows, { format = "fills" } = {}) {
+  const lines = [];
+  if (format === "koinly") {
+    lines.push(KOINLY_COLUMNS.join(","));
+    for (const r of rows) {
+      const token = r.symbol || r.mint;
+      const buy = r.side === "buy";
+      lines.push(
+        [
+          new Date(r.ts).toISOString().slice(0, 19).replace("T", " ") + " UTC",
+          buy ? num(r.solSpent) : num(r.tokens),
+          buy ? "SOL" : token,
+          buy ? num(r.tokens) : num(r.solReceived),
+          buy ? token : "SOL",
+          num(r.feeSol),
+          "SOL",
+          "",
+          "",
+          "",
+          `${r.side} ${r.mint}`,
+          r.txid,
+        ]
+          .map(csvCell)
+          .join(",")
+      );
+    }
+  } else {
+    lines.push(FILL_COLUMNS.join(","));
+    for (const r of rows) {
+      lines.push(
+        [
+          new Date(r.ts).toISOString(),
+          r.side,
+          r.wallet,
+          r.mint,
+          r.symbol,
+          num(r.solSpent),
+          num(r.solReceived),
+          num(r.tokens),
+          num(r.feeSol),
+          r.txid,
+          num(r.realizedPnlSol),
+        ]
+          .map(csvCell)
+          .join(",")
+      );
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// "from=2025-01-01 to=2025-07-01 year=2025 format=koinly method=lifo" -> options.
+// Dates are UTC days; `to` is inclusive.
+export function parseExportArgs(parts = []) {
+  const DAY_MS = 86400000;
+  const day = (v, k) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) throw new Error(`${k} must look like 2025-01-31`);
+    const t = Date.parse(`${v}T00:00:00Z`);
+    if (!Number.isFinite(t)) throw new Error(`invalid ${k} date`);
+    return t;
+  };
+  const opts = { from: null, to: null, format: "fills" };
+  for (const p of parts) {
+    const [k, v] = String(p).split("=");
+    const key = String(k || "").toLowerCase();
+    if (!v) throw new Error(`unknown option '${p}'`);
+    if (key === "from") opts.from = day(v, "from");
+    else if (key === "to") opts.to = day(v, "to") + DAY_MS;
+    else if (key === "year") {
+      if (!/^\d{4}$/.test(v)) throw new Error("year must look like 2025");
+      opts.from = Date.UTC(Number(v), 0, 1);
+      opts.to = Date.UTC(Number(v) + 1, 0, 1);
+    } else if (key === "format") {
+      if (!EXPORT_FORMATS.includes(v.toLowerCase())) {
+        throw new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+      }
+      opts.format = v.toLowerCase();
+    } else if (key === "method") {
+      if (!LOT_METHODS.includes(v.toLowerCase())) {
+        throw new Error(`method must be one of ${LOT_METHODS.join(", ")}`);
+      }
+      opts.method = v.toLowerCase();
+    } else throw new Error(`unknown option '${p}'`);
+  }
+  if (opts.from != null && opts.to != null && opts.from >= opts.to) {
+    throw new Error("from must be before to");
+  }
+  return opts;
+}
+
+export async function exportTradesCsv(
+  chatId,
+  { from = null, to = null, format = "fills", method = "fifo", namespace } = {}
+) {
+  const events = readLotEvents(chatId, { namespace });
+  const inRange = events.filter(
+    (e) => (from == null || e.ts >= from) && (to == null || e.ts < to)
+  );
+  const mints = [...new Set(inRange.map((e) => e.mint))];
+  const symbols = {};
+  for (const mint of mints) {
+    const meta = await getTokenMeta(mint).catch(() => ({}));
+    if (meta?.symbol) symbols[mint] = meta.symbol;
+  }
+  const rows = buildFillRows(events, { method, from, to, symbols });
+  return { rows, csv: fillsToCsv(rows, { format }) };
+}
@@ -0,0 +1,144 @@
+// Per-chat trade guard: an extra tap ("confirm") or the trading PIN ("pin")
+// before trades above a SOL threshold and every withdrawal, and in pin mode
+// before every wallet sweep, key export and wallet deletion. Wrong PINs lock
+// the guard.
+import crypto from "crypto";
+import { getUserState, updateUserSetting } from "./userState.js";
+
+export const GUARD_MODES = ["off", "confirm", "pin"];
+export const MAX_PIN_FAILURES = Number(process.env.TRADE_PIN_MAX_FAILURES || 5);
+export const PIN_LOCKOUT_MS = Number(process.env.TRADE_PIN_LOCKOUT_MS || 15 * 60 * 1000);
+// A passed challenge unlocks the action for this long
+const APPROVAL_TTL_MS = 2 * 60 * 1000;
+// Actions that move funds out or expose keys regardless of size
+const SENSITIVE_ACTIONS = new Set(["withdraw", "sweep", "delete_wallet", "export_key"]);
+
+export function isValidPin(pin) {
+  return /^\d{4,8}$/.test(String(pin || ""));
+}
+
+export function hashPin(pin, salt = crypto.randomBytes(16)) {
+  const hash = crypto.scryptSync(String(pin), salt, 32);
+  return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+export function verifyPin(pin, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split(":");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(pin), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+export function getTradeGuardSettings(chatId) {
+  const s = getUserState(chatId);
+  const threshold = s.tradeGuardThresholdSol;
+  return {
+    mode: GUARD_MODES.includes(s.tradeGuardMode) ? s.tradeGuardMode : "off",
+    thresholdSol: threshold == null || !Number.isFinite(Number(threshold)) ? null : Number(threshold),
+    hasPin: !!s.tradePinHash,
+    failures: Number(s.tradePinFailures || 0),
+    lockedUntil: Number(s.tradePinLockedUntil || 0),
+  };
+}
+
+// Which challenge (if any) an action needs: null | "confirm" | "pin".
+// amountSol null means the size is unknown and counts as above the threshold;
+// confirmed marks flows that already ask the user to confirm on their own.
+export function guardChallenge(settings, { action, amountSol = null, confirmed = false } = {}) {
+  if (!settings || settings.mode === "off") return null;
+  const mode = settings.mode === "pin" && !settings.hasPin ? "confirm" : settings.mode;
+  if (!SENSITIVE_ACTIONS.has(action)) {
+    if (settings.thresholdSol == null) return null;
+    if (Number.isFinite(amountSol) && amountSol <= settings.thresholdSol) return null;
+  }
+  if (mode === "confirm" && confirmed) return null;
+  return mode;
+}
+
+// Failure bookkeeping after a wrong PIN; the counter resets once locked
+export function registerPinFailure(
+  { failures = 0 } = {},
+  { now = Date.now(), maxFailures = MAX_PIN_FAILURES, lockoutMs = PIN_LOCKOUT_MS } = {}
+) {
+  const next = failures + 1;
+  if (next >= maxFailures) return { failures: 0, lockedUntil: now + lockoutMs };
+  return { failures: next, lockedUntil: 0, remaining: maxFailures - next };
+}
+
+export function pinLockedUntil(chatId, now = Date.now()) {
+  const { lockedUntil } = getTradeGuardSettings(chatId);
+  return lockedUntil > now ? lockedUntil : 0;
+}
+
+// { ok } | { ok: false, lockedUntil } | { ok: false, remaining }
+export function checkTradePin(chatId, pin, now = Date.now()) {
+  const settings = getTradeGuardSettings(chatId);
+  if (settings.lockedUntil > now) return { ok: false, lockedUntil: settings.lockedUntil };
+  const s = getUserState(chatId);
+  if (s.tradePinHash && verifyPin(pin, s.tradePinHash)) {
+    if (settings.failures) updateUserSetting(chatId, "tradePinFailures", 0);
+    return { ok: true };
+  }
+  const next = registerPinFailure(settings, { now });
+  updateUserSetting(chatId, "tradePinFailures", next.failures);
+  updateUserSetting(chatId, "tradePinLockedUntil", next.lockedUntil);
+  return next.lockedUntil
+    ? { ok: false, lockedUntil: next.lockedUntil }
+    : { ok: false, remaining: next.remaining };
+}
+
+export function setTradePin(chatId, pin) {
+  if (!isValidPin(pin)) throw new Error("PIN must be 4-8 digits");
+  updateUserSetting(chatId, "tradePinHash", hashPin(pin));
+  updateUserSetting(chatId, "tradePinFailures", 0);
+  updateUserSetting(chatId, "tradePinLockedUntil", 0);
+}
+
+export function clearTradePin(chatId) {
+  updateUserSetting(chatId, "tradePinHash", null);
+  if (getUserState(chatId).tradeGuardMode === "pin") {
+    updateUserSetting(chatId, "tradeGuardMode", "off");
+  }
+}
+
+// One-shot approvals: a passed challenge lets the same action run once
+const approvals = new Map(); // chatId -> Map(key -> expiresAt)
+
+export function grantGuardApproval(chatId, key, now = Date.now()) {
+  const id = String(chatId);
+  if (!approvals.has(id)) approvals.set(id, new Map());
+  approvals.get(id).set(key, now + APPROVAL_TTL_MS);
+}
+
+export function consumeGuardApproval(chatId, key, now = Date.now()) {
+  const byKey = approvals.get(String(chatId));
+  const expiresAt = byKey?.get(key);
+  if (!expiresAt) return false;
+  byKey.delete(key);
+  if (!byKey.size) approvals.delete(String(chatId));
+  return expiresAt > now;
+}
+
+export function formatTradeGuardStatus(settings) {
+  const lines = [
+    "🔐 Trade guard",
+    `• Mode: ${settings.mode}${settings.mode === "pin" && !settings.hasPin ? " (no PIN set — confirm only)" : ""}`,
+    `• Trade threshold: ${settings.thresholdSol == null ? "none (trades not challenged)" : `${settings.thresholdSol} SOL`}`,
+    `• PIN: ${settings.hasPin ? "set" : "not set"}`,
+  ];
+  if (settings.lockedUntil > Date.now()) {
+    lines.push(`• 🔒 Locked until ${new Date(settings.lockedUntil).toISOString()}`);
+  }
+  lines.push(
+    "",
+    "In pin mode every withdrawal, key export and wallet deletion asks for the PIN.",
+    "",
+    "/pin set <pin> — set a 4-8 digit PIN",
+    "/pin change <old> <new>",
+    "/pin mode <off|confirm|pin> [pin]",
+    "/pin threshold <sol|off> [pin]",
+    "/pin clear <pin>"
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,306 @@
+// Chain reconciliation: walks each wallet's recent signatures, parses swaps
+// from balance deltas and compares them with the lot ledger. Swaps the bot
+// never recorded (done elsewhere, or whose confirmation timed out) are
+// backfilled into the ledger, positions and trade history; bot trades from
+// before the ledger existed only get their lot events. Mismatches are flagged
+// for the user.
+import fs from "fs";
+import path from "path";
+import { PublicKey } from "@solana/web3.js";
+import { getSignaturesForAddressRaced, getTransactionRaced } from "./rpc.js";
+import { analyzeSwapDirection } from "./swapParser.js";
+import { readLotEvents, recordLotEvent } from "./lotLedger.js";
+import { upsertPosition, applySellToPosition } from "./positionStore.js";
+import { appendTrade, readTrades } from "./tradeStore.js";
+import { listUserWallets } from "./userWallets.js";
+import { getAllUserStates } from "./userState.js";
+import { getWatchersPaused } from "./config.js";
+import { getBotInstance } from "./telegram.js";
+
+const SIGNATURE_LIMIT = Number(process.env.RECONCILE_SIGNATURE_LIMIT || 100);
+// Pages of signatures read on a wallet's first scan (no cursor yet)
+const FIRST_SCAN_PAGES = Number(process.env.RECONCILE_FIRST_SCAN_PAGES || 5);
+const TOLERANCE_PCT = Number(process.env.RECONCILE_TOLERANCE_PCT || 5);
+const MAX_KEPT_DISCREPANCIES = 200;
+
+function getDataDir() {
+  return path.resolve(process.env.RECONCILE_DIR || "./data/reconcile");
+}
+
+function readState(chatId) {
+  try {
+    const fp = path.join(getDataDir(), `${chatId}.json`);
+    if (!fs.existsSync(fp)) return { cursors: {}, discrepancies: [] };
+    const obj = JSON.parse(fs.readFileSync(fp, "utf8") || "{}");
+    return { cursors: obj.cursors || {}, discrepancies: obj.discrepancies || [], lastRunAt: obj.lastRunAt };
+  } catch {
+    return { cursors: {}, discrepancies: [] };
+  }
+}
+
+function writeState(chatId, state) {
+  try {
+    const dir = getDataDir();
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${chatId}.json`), JSON.stringify(state));
+  } catch {}
+}
+
+export function getReconcileState(chatId) {
+  return readState(String(chatId));
+}
+
+// chainTxs: [{ signature, ts, err, swap }] for one wallet; ledgerEvents: lot events.
+// Returns lot events to backfill and discrepancies to flag.
+export function diffChainAgainstLedger({
+  wallet,
+  chainTxs = [],
+  ledgerEvents = [],
+  tolerancePct = TOLERANCE_PCT,
+}) {
+  const recorded = new Map(
+    ledgerEvents.filter((e) => e.wallet === wallet && e.txid).map((e) => [e.txid, e])
+  );
+  const backfill = [];
+  const discrepancies = [];
+  for (const t of chainTxs) {
+    const known = recorded.get(t.signature);
+    const base = { wallet, signature: t.signature, ts: t.ts };
+    if (t.err) {
+      // The bot booked a fill for a transaction that failed on chain
+      if (known) {
+        discrepancies.push({ ...base, type: "failed_on_chain", side: known.kind, mint: known.mint });
+      }
+      continue;
+    }
+    const swap = t.swap;
+    if (!swap || !(swap.tokens > 0)) continue;
+    if (!known) {
+      backfill.push({
+        kind: swap.type,
+        wallet,
+        mint: swap.mint,
+        tokens: swap.tokens,
+        sol: Number(swap.solLamports || 0) / 1e9,
+        feesLamports: Number(swap.feeLamports || 0),
+        txid: t.signature,
+        ts: t.ts,
+      });
+      discrepancies.push({ ...base, type: "missing_trade", side: swap.type, mint: swap.mint, backfilled: true });
+      continue;
+    }
+    if (known.kind !== swap.type || known.mint !== swap.mint) {
+      discrepancies.push({
+        ...base,
+        type: "side_mismatch",
+        recorded: `${known.kind} ${known.mint}`,
+        onChain: `${swap.type} ${swap.mint}`,
+      });
+      continue;
+    }
+    const diffPct = (Math.abs(Number(known.tokens) - swap.tokens) / swap.tokens) * 100;
+    if (diffPct > tolerancePct) {
+      discrepancies.push({
+        ...base,
+        type: "amount_mismatch",
+        side: swap.type,
+        mint: swap.mint,
+        recorded: Number(known.tokens),
+        onChain: swap.tokens,
+      });
+    }
+  }
+  return { backfill, discrepancies };
+}
+
+// Transactions of a wallet after `until` (newest first), parsed. Pages back
+// with `before` until the cursor is reached; without one, only the most recent
+// pages are read. `unread` marks transactions that could not be fetched.
+export async function fetchChainTxs(
+  wallet,
+  {
+    until,
+    limit = SIGNATURE_LIMIT,
+    maxPages = FIRST_SCAN_PAGES,
+    getSignatures = getSignaturesForAddressRaced,
+    getTransaction = getTransactionRaced,
+  } = {}
+) {
+  const sigs = [];
+  let before;
+  for (let page = 0; until || page < maxPages; page++) {
+    const options = { limit };
+    if (until) options.until = until;
+    if (before) options.before = before;
+    const batch = await getSignatures(new PublicKey(wallet), { options });
+    sigs.push(...(batch || []));
+    if (!batch?.length || batch.length < limit) break;
+    before = batch[batch.length - 1].signature;
+  }
+  const out = [];
+  for (const s of sigs) {
+    const entry = {
+      signature: s.signature,
+      ts: s.blockTime ? s.blockTime * 1000 : Date.now(),
+      err: s.err || null,
+      swap: null,
+    };
+    if (!entry.err) {
+      const tx = await getTransaction(s.signature, {
+        maxSupportedTransactionVersion: 0,
+      }).catch(() => null);
+      if (tx) entry.swap = analyzeSwapDirection(tx, { owner: wallet });
+      else entry.unread = true;
+    }
+    out.push(entry);
+  }
+  return out;
+}
+
+// Newest signature the next scan can start after: everything newer than it
+// was read. Stays at `until` when the oldest transaction could not be read.
+export function nextCursor(chainTxs = [], until) {
+  let oldestUnread = -1;
+  chainTxs.forEach((t, i) => {
+    if (t.unread) oldestUnread = i;
+  });
+  if (oldestUnread < 0) return chainTxs[0]?.signature || until;
+  return chainTxs[oldestUnread + 1]?.signature || until;
+}
+
+// Trades the bot already booked (made before the ledger existed) only get
+// their lot event; positions and trade history hold them already
+function applyBackfill(chatId, ev, { booked = false } = {}) {
+  if (!recordLotEvent(chatId, ev)) return false;
+  if (booked) return true;
+  if (ev.kind === "buy") {
+    upsertPosition({
+      chatId,
+      wallet: ev.wallet,
+      mint: ev.mint,
+      tokensAdded: ev.tokens,
+      solSpent: ev.sol,
+      feesLamports: ev.feesLamports,
+    });
+  } else {
+    applySellToPosition({
+      chatId,
+      wallet: ev.wallet,
+      mint: ev.mint,
+      tokensSold: ev.tokens,
+      solReceived: ev.sol,
+      feesLamports: ev.feesLamports,
+    });
+  }
+  appendTrade(String(chatId), {
+    kind: ev.kind,
+    mint: ev.mint,
+    sol: ev.sol,
+    tokens: ev.tokens,
+    txid: ev.txid,
+    timestamp: ev.ts,
+    status: "confirmed",
+    source: "reconcile",
+  });
+  return true;
+}
+
+// Reconcile every wallet of a chat; returns { wallets, scanned, backfilled, discrepancies }
+export async function reconcileChat(chatId, { limit } = {}) {
+  const id = String(chatId);
+  const state = readState(id);
+  const wallets = await listUserWallets(chatId).catch(() => []);
+  const ledgerEvents = readLotEvents(id);
+  const bookedTxids = new Set(
+    readTrades(id, Infinity)
+      .map((t) => t?.txid)
+      .filter(Boolean)
+  );
+  let scanned = 0;
+  let backfilled = 0;
+  const found = [];
+  for (const w of wallets) {
+    try {
+      const chainTxs = await fetchChainTxs(w.publicKey, {
+        until: state.cursors[w.publicKey],
+        limit,
+      });
+      scanned += chainTxs.length;
+      const { backfill, discrepancies } = diffChainAgainstLedger({
+        wallet: w.publicKey,
+        chainTxs,
+        ledgerEvents,
+      });
+      // Oldest first so lot order follows the chain
+      for (const ev of backfill.sort((a, b) => a.ts - b.ts)) {
+        const booked = bookedTxids.has(ev.txid);
+        if (applyBackfill(id, ev, { booked }) && !booked) backfilled += 1;
+      }
+      found.push(
+        ...discrepancies.filter(
+          (d) => !(d.type === "missing_trade" && bookedTxids.has(d.signature))
+        )
+      );
+      const cursor = nextCursor(chainTxs, state.cursors[w.publicKey]);
+      if (cursor) state.cursors[w.publicKey] = cursor;
+    } catch (e) {
+      found.push({ wallet: w.publicKey, type: "scan_failed", error: String(e?.message || e), ts: Date.now() });
+    }
+  }
+  state.discrepancies = [...state.discrepancies, ...found].slice(-MAX_KEPT_DISCREPANCIES);
+  state.lastRunAt = Date.now();
+  writeState(id, state);
+  return { wallets: wallets.length, scanned, backfilled, discrepancies: found };
+}
+
+export function formatReconcileResult(res) {
+  const lines = [
+    `🔎 Reconciled ${res.wallets} wallet(s): ${res.scanned} transaction(s) scanned, ${res.backfilled} trade(s) backfilled`,
+  ];
+  if (!res.discrepancies.length) {
+    lines.push("✅ Trade history matches the chain.");
+    return lines.join("\n");
+  }
+  for (const d of res.discrepancies.slice(0, 15)) {
+    const sig = d.signature ? ` • ${d.signature.slice(0, 8)}…` : "";
+    const mint = d.mint ? ` ${d.mint.slice(0, 6)}…` : "";
+    if (d.type === "missing_trade") lines.push(`➕ Missing ${d.side}${mint} (backfilled)${sig}`);
+    else if (d.type === "failed_on_chain") lines.push(`❌ Recorded ${d.side}${mint} failed on chain${sig}`);
+    else if (d.type === "amount_mismatch") {
+      lines.push(`⚠️ ${d.side}${mint}: recorded ${+Number(d.recorded).toFixed(6)} vs chain ${+Number(d.onChain).toFixed(6)} tokens${sig}`);
+    } else if (d.type === "side_mismatch") lines.push(`⚠️ Recorded ${d.recorded} but chain shows ${d.onChain}${sig}`);
+    else lines.push(`⚠️ ${d.type}: ${d.error || ""}`);
+  }
+  if (res.discrepancies.length > 15) lines.push(`… ${res.discrepancies.length - 15} more`);
+  return lines.join("\n");
+}
+
+let engine = null;
+
+// Periodic reconciliation of every known chat; new discrepancies are sent to the chat
+export function startReconcileJob({ intervalMs = 600000 } = {}) {
+  if (engine?.interval || !(intervalMs > 0)) return;
+  engine = { interval: null, running: false };
+  const run = async () => {
+    if (engine.running || getWatchersPaused()) return;
+    engine.running = true;
+    try {
+      for (const [chatId] of getAllUserStates()) {
+        const res = await reconcileChat(chatId).catch(() => null);
+        const flagged = (res?.discrepancies || []).filter((d) => d.type !== "scan_failed");
+        if (!flagged.length) continue;
+        try {
+          await getBotInstance()?.sendMessage(chatId, formatReconcileResult({ ...res, discrepancies: flagged }));
+        } catch {}
+      }
+    } finally {
+      engine.running = false;
+    }
+  };
+  engine.interval = setInterval(() => run().catch(() => {}), Math.max(60000, intervalMs));
+}
+
+export function stopReconcileJob() {
+  if (engine?.interval) clearInterval(engine.interval);
+  engine = null;
+}
@@ -13,33 +13,32 @@ function ensureDir() {
   }
 }
 
-function getFilePath(chatId) {
+// Optional namespace (e.g. "paper") keeps simulated fills in their own subdirectory/collection
+function getFilePath(chatId, namespace) {
   ensureDir();
-  return path.join(getDataDir(), `${chatId}.jsonl`);
+  if (!namespace) return path.join(getDataDir(), `${chatId}.jsonl`);
+  const dir = path.join(getDataDir(), namespace);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, `${chatId}.jsonl`);
 }
 
 // Lazy Mongo connection for optional DB persistence
 let mongoClient;
-let tradesCol;
+let tradesDb;
+const tradesCols = new Map();
 let connectingPromise;
 
-async function ensureTradesCol() {
-  if (tradesCol) return tradesCol;
+async function ensureTradesCol(namespace) {
+  const name = namespace ? `trades_${namespace}` : "trades";
+  if (tradesCols.has(name)) return tradesCols.get(name);
   const uri = process.env.MONGODB_URI;
   if (!uri) return null;
   if (!connectingPromise) {
     connectingPromise = (async () => {
       const client = new MongoClient(uri, { ignoreUndefined: true });
       await client.connect();
-      const db = client.db(process.env.MONGODB_DB || "turbosol");
-      const col = db.collection("trades");
-      try {
-        await col.createIndex({ chatId: 1, timestamp: -1 });
-        await col.createIndex({ mint: 1, kind: 1, timestamp: -1 });
-      } catch {}
       mongoClient = client;
-      tradesCol = col;
-      return col;
+      tradesDb = client.db(process.env.MONGODB_DB || "turbosol");
     })();
   }
   try {
@@ -47,12 +46,21 @@ async function ensureTradesCol() {
   } catch (e) {
     // swallow DB init errors to avoid impacting file persistence
   }
-  return tradesCol || null;
+  if (!tradesDb) return null;
+  if (!tradesCols.has(name)) {
+    const col = tradesDb.collection(name);
+    try {
+      await col.createIndex({ chatId: 1, timestamp: -1 });
+      await col.createIndex({ mint: 1, kind: 1, timestamp: -1 });
+    } catch {}
+    tradesCols.set(name, col);
+  }
+  return tradesCols.get(name);
 }
 
-function insertTradeDb(chatId, tradeEntry) {
+function insertTradeDb(chatId, tradeEntry, namespace) {
   // Fire-and-forget DB insert; do not block file append
-  ensureTradesCol()
+  ensureTradesCol(namespace)
     .then((col) => {
       if (!col) return;
       const doc = { chatId: String(chatId), ...tradeEntry };
@@ -62,22 +70,22 @@ function insertTradeDb(chatId, tradeEntry) {
 }
 
 // Append a trade entry as JSON Lines for efficient streaming analytics
-export function appendTrade(chatId, tradeEntry) {
+export function appendTrade(chatId, tradeEntry, { namespace } = {}) {
   try {
-    const fp = getFilePath(chatId);
+    const fp = getFilePath(chatId, namespace);
     fs.appendFileSync(fp, JSON.stringify(tradeEntry) + "\n");
   } catch (e) {
     console.error("[tradeStore] append failed", e);
   }
   // Also persist to MongoDB if configured
   try {
-    insertTradeDb(chatId, tradeEntry);
+    insertTradeDb(chatId, tradeEntry, namespace);
   } catch {}
 }
 
-export function readTrades(chatId, limit = 1000) {
+export function readTrades(chatId, limit = 1000, { namespace } = {}) {
   try {
-    const fp = getFilePath(chatId);
+    const fp = getFilePath(chatId, namespace);
     if (!fs.existsSync(fp)) return [];
     const lines = fs.readFileSync(fp, "utf8").trim().split(/\n+/).slice(-limit);
     return lines.map((l) => JSON.parse(l));
@@ -0,0 +1,221 @@
+// Compute-unit limit tuning. Swaps built locally (Jupiter already sets a
+// simulated limit) get their SetComputeUnitLimit rewritten to simulated (or
+// learned) units plus a margin; since the priority fee is price × limit, a
+// tight limit makes the same price much cheaper. Units used are learned per
+// route plan (each hop's DEX and pool) so sends that skip simulation can still
+// be tuned. The compute-unit price is then set from account-scoped fee data
+// for the accounts the swap write-locks (see fees.getAccountScopedPriorityFee).
+import fs from "fs";
+import path from "path";
+import { simulateTransactionRaced } from "../rpc.js";
+import { getAccountScopedPriorityFee } from "../fees.js";
+
+const COMPUTE_BUDGET_PROGRAM = "ComputeBudget111111111111111111111111111111";
+const MAX_CU_LIMIT = 1_400_000;
+const MIN_CU_LIMIT = Number(process.env.CU_LIMIT_MIN || 50_000);
+const CU_MARGIN_PCT = Number(process.env.CU_LIMIT_MARGIN_PCT || 15);
+const MIN_LEARNED_SAMPLES = Number(process.env.CU_LEARN_MIN_SAMPLES || 3);
+const MAX_SAMPLES = 20;
+const SAVE_DEBOUNCE_MS = 2000;
+
+// { unitLimit, microLamports, limitIx, priceIx } from a compiled (v0 or legacy) message
+export function readComputeBudget(message) {
+  const keys = (message?.staticAccountKeys || message?.accountKeys || []).map(
+    (k) => k?.toBase58?.() || String(k)
+  );
+  let unitLimit = null;
+  let microLamports = null;
+  let limitIx = null;
+  let priceIx = null;
+  for (const ix of message?.compiledInstructions || []) {
+    if (keys[ix.programIdIndex] !== COMPUTE_BUDGET_PROGRAM) continue;
+    const d = Buffer.from(ix.data || []);
+    if (d[0] === 2 && d.length >= 5) {
+      unitLimit = d.readUInt32LE(1);
+      limitIx = ix;
+    }
+    if (d[0] === 3 && d.length >= 9) {
+      microLamports = Number(d.readBigUInt64LE(1));
+      priceIx = ix;
+    }
+  }
+  return { unitLimit, microLamports, limitIx, priceIx };
+}
+
+export function writeComputeUnitPrice(ix, microLamports) {
+  const d = Buffer.alloc(9);
+  d[0] = 3;
+  d.writeBigUInt64LE(BigInt(Math.max(0, Math.floor(microLamports))), 1);
+  ix.data = Uint8Array.from(d);
+}
+
+export function writeComputeUnitLimit(ix, units) {
+  const d = Buffer.alloc(5);
+  d[0] = 2;
+  d.writeUInt32LE(Math.max(0, Math.floor(units)), 1);
+  ix.data = Uint8Array.from(d);
+}
+
+// Units consumed plus the margin, within [CU_LIMIT_MIN, 1.4M]
+export function limitFromUnits(units, marginPct = CU_MARGIN_PCT) {
+  const n = Math.ceil(Number(units) * (1 + Math.max(0, marginPct) / 100));
+  return Math.min(MAX_CU_LIMIT, Math.max(MIN_CU_LIMIT, n));
+}
+
+function getStorePath() {
+  return path.resolve(process.env.CU_ROUTES_FILE || "./data/compute_units.json");
+}
+
+let routeUnits = null;
+let saveTimer = null;
+
+function loadRouteUnits() {
+  if (routeUnits) return routeUnits;
+  try {
+    const fp = getStorePath();
+    routeUnits = fs.existsSync(fp)
+      ? JSON.parse(fs.readFileSync(fp, "utf8") || "{}")
+      : {};
+  } catch {
+    routeUnits = {};
+  }
+  return routeUnits;
+}
+
+// Writes the store now; samples arrive on every send, so saves are batched
+export async function flushRouteUnits() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!routeUnits) return;
+  try {
+    const fp = getStorePath();
+    await fs.promises.mkdir(path.dirname(fp), { recursive: true });
+    await fs.promises.writeFile(fp, JSON.stringify(routeUnits));
+  } catch {}
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushRouteUnits, SAVE_DEBOUNCE_MS);
+  saveTimer.unref?.();
+}
+
+// Learning key for a route: every hop's DEX label and pool, in order
+export function routeUnitsKey(route) {
+  const hops = (Array.isArray(route?.routePlan) ? route.routePlan : [])
+    .map((s) => [s?.swapInfo?.label, s?.swapInfo?.ammKey].filter(Boolean).join(":"))
+    .filter(Boolean);
+  return hops.length ? hops.join(" > ") : null;
+}
+
+export function recordRouteUnits(routeKey, units) {
+  const n = Number(units);
+  if (!routeKey || !(n > 0)) return;
+  const store = loadRouteUnits();
+  const entry = store[routeKey] || { samples: [] };
+  entry.samples = [...entry.samples, n].slice(-MAX_SAMPLES);
+  entry.updatedAt = Date.now();
+  store[routeKey] = entry;
+  scheduleSave();
+}
+
+// Highest recent units for the route once enough samples exist, else null
+export function learnedRouteUnits(routeKey) {
+  const samples = loadRouteUnits()[routeKey]?.samples || [];
+  if (samples.length < MIN_LEARNED_SAMPLES) return null;
+  return Math.max(...samples);
+}
+
+export function getRouteUnitStats() {
+  return Object.entries(loadRouteUnits()).map(([route, e]) => ({
+    route,
+    samples: e.samples.length,
+    avgUnits: Math.round(e.samples.reduce((a, b) => a + b, 0) / e.samples.length),
+    maxUnits: Math.max(...e.samples),
+    updatedAt: e.updatedAt,
+  }));
+}
+
+// Rewrites the unsigned swap's CU limit in place. Learned route units are used
+// when available; otherwise the swap is simulated (unless simulate=false).
+// Returns { units, limit, source } or null when left untouched.
+export async function tuneComputeUnitLimit(tx, { routeKey, simulate = true } = {}) {
+  try {
+    const { limitIx } = readComputeBudget(tx?.message);
+    if (!limitIx) return null;
+    let units = learnedRouteUnits(routeKey);
+    let source = "learned";
+    if (units == null) {
+      if (!simulate) return null;
+      const sim = await simulateTransactionRaced(tx, {
+        simulateOptions: { sigVerify: false, replaceRecentBlockhash: true },
+      });
+      if (sim?.value?.err || !(sim?.value?.unitsConsumed > 0)) return null;
+      units = sim.value.unitsConsumed;
+      source = "simulation";
+      recordRouteUnits(routeKey, units);
+    }
+    const limit = limitFromUnits(units);
+    writeComputeUnitLimit(limitIx, limit);
+    return { units, limit, source };
+  } catch {
+    return null;
+  }
+}
+
+// Writable non-signer static accounts of a compiled message (pools, vaults,
+// curves). Lookup-table accounts are not resolved; pass pool keys as `extra`.
+export function writableAccounts(message, extra = []) {
+  const keys = (message?.staticAccountKeys || message?.accountKeys || []).map(
+    (k) => k?.toBase58?.() || String(k)
+  );
+  const signers = Number(message?.header?.numRequiredSignatures || 0);
+  const out = new Set(extra.filter(Boolean).map(String));
+  keys.forEach((k, i) => {
+    if (i < signers || k === COMPUTE_BUDGET_PROGRAM) return;
+    try {
+      if (message.isAccountWritable(i)) out.add(k);
+    } catch {}
+  });
+  return [...out];
+}
+
+// Rewrites the unsigned swap's CU price in place to the urgency percentile of
+// fees paid on its writable accounts, keeping price × limit within
+// maxFeeLamports. Returns { microLamports, feeLamports, percentile, samples }
+// or null when left untouched.
+export async function tuneComputeUnitPrice(
+  tx,
+  { poolKey, accounts = [], urgency = "normal", maxFeeLamports = null, estimate = getAccountScopedPriorityFee } = {}
+) {
+  try {
+    const { priceIx, unitLimit } = readComputeBudget(tx?.message);
+    if (!priceIx) return null;
+    const est = await estimate({
+      accounts: writableAccounts(tx.message, accounts),
+      poolKey,
+      urgency,
+    });
+    if (!(est?.microLamports > 0)) return null;
+    const units = Number(unitLimit) > 0 ? Number(unitLimit) : MAX_CU_LIMIT;
+    let microLamports = Math.ceil(est.microLamports);
+    if (maxFeeLamports != null && Number(maxFeeLamports) >= 0) {
+      microLamports = Math.min(microLamports, Math.floor((Number(maxFeeLamports) * 1e6) / units));
+    }
+    writeComputeUnitPrice(priceIx, microLamports);
+    return {
+      microLamports,
+      feeLamports: Math.ceil((microLamports * units) / 1e6),
+      percentile: est.percentile,
+      samples: est.samples,
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function __resetRouteUnitsForTests() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  routeUnits = null;
+}
@@ -6,13 +6,37 @@ import {
 } from "../rpc.js";
 import { getUserWalletInstance } from "../wallet.js";
 import { getPriorityFeeLamports, getUseJitoBundle } from "../config.js";
-import { simulateBundleAndSend } from "../jito.js";
+import {
+  simulateBundleAndSend,
+  sendBundle,
+  getJitoTipLamports,
+  bundleTipLamports,
+  MAX_BUNDLE_TXS,
+} from "../jito.js";
 import { getAdaptiveSlippageBps, recordSlippageFeedback } from "../slippage.js";
 import { initTrade, updateTradeStatus } from "../tradeState.js";
 import { monitorSignatures } from "../signatureMonitor.js";
-import { upsertPosition, applySellToPosition } from "../positionStore.js";
+import { createRebroadcaster, DEFAULT_RETRY_ATTEMPTS } from "./rebroadcast.js";
+import {
+  routeUnitsKey,
+  tuneComputeUnitLimit,
+  tuneComputeUnitPrice,
+} from "./computeUnits.js";
+import { getPumpfunQuote, buildPumpfunSwapTx } from "./pumpfun.js";
+import {
+  upsertPosition,
+  applySellToPosition,
+  getPositions,
+} from "../positionStore.js";
 import { recordPnlSnapshot } from "../positionStore.js";
+import { recordLotEvent } from "../lotLedger.js";
 import { getUserState, addPosition } from "../userState.js";
+import {
+  PAPER_NAMESPACE,
+  isPaperMode,
+  simulatePaperFill,
+  makePaperTxid,
+} from "./paperTrading.js";
 
 export const NATIVE_SOL = "So11111111111111111111111111111111111111112";
 
@@ -71,27 +95,28 @@ function canonicalizeMint(mint) {
   return match ? match[0] : s;
 }
 
-function getBuyLockKey(chatId, mint) {
+// Locks are per wallet so coordinated multi-wallet buys of one mint don't block each other
+function getBuyLockKey(chatId, mint, wallet) {
   const canonical = canonicalizeMint(mint);
-  return `${chatId}:${canonical}`;
+  return wallet ? `${chatId}:${canonical}:${wallet}` : `${chatId}:${canonical}`;
 }
 
-function isBuyLocked(chatId, mint) {
-  const k = getBuyLockKey(chatId, mint);
+function isBuyLocked(chatId, mint, wallet) {
+  const k = getBuyLockKey(chatId, mint, wallet);
   const until = _buyLocks.get(k) || 0;
   return until && Date.now() < until;
 }
 
-function acquireBuyLock(chatId, mint) {
-  const k = getBuyLockKey(chatId, mint);
+function acquireBuyLock(chatId, mint, wallet) {
+  const k = getBuyLockKey(chatId, mint, wallet);
   const ttlMs = Number(
     process.env.BUY_LOCK_MS || process.env.TX_CONFIRM_MAX_WAIT_MS || 90000
   );
   _buyLocks.set(k, Date.now() + ttlMs);
 }
 
-function releaseBuyLock(chatId, mint) {
-  const k = getBuyLockKey(chatId, mint);
+function releaseBuyLock(chatId, mint, wallet) {
+  const k = getBuyLockKey(chatId, mint, wallet);
   _buyLocks.delete(k);
 }
 
@@ -103,7 +128,7 @@ function promiseWithTimeout(promise, ms, tag = "timeout") {
   ]);
 }
 
-async function getMintDecimals(mint, connection) {
+export async function getMintDecimals(mint, connection) {
   if (mint === NATIVE_SOL) return 9;
   if (mintDecimalsCache.has(mint)) return mintDecimalsCache.get(mint);
   try {
@@ -298,6 +323,9 @@ async function buildAndSignSwapTx({
   userPk,
   priorityFeeLamports,
   chatId,
+  simulateUnits = true,
+  urgency = "normal",
+  fixedPriorityFee = false,
 }) {
   const body = {
     quoteResponse: route,
@@ -319,7 +347,11 @@ async function buildAndSignSwapTx({
   const baseDelay = Number(process.env.SWAP_BUILD_BASE_DELAY_MS || baseDefault);
   const jitterMs = Number(process.env.SWAP_BUILD_JITTER_MS || 150);
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  // Bonding-curve routes are built locally; no Jupiter call
+  let built = route?.pumpfun
+    ? await buildPumpfunSwapTx({ route, userPk, priorityFeeLamports })
+    : null;
+  for (let attempt = 1; !built && attempt <= maxRetries; attempt++) {
     await acquireBuildSlot();
     try {
       const res = await axios.post(JUP_SWAP_URL, body, {
@@ -346,13 +378,190 @@ async function buildAndSignSwapTx({
       const tx = VersionedTransaction.deserialize(
         Buffer.from(swapTxB64, "base64")
       );
-      return tx;
+      // Lets confirmation tracking tell an expired blockhash from a slow landing
+      const lvbh = Number(res?.data?.lastValidBlockHeight);
+      built = { tx, lastValidBlockHeight: lvbh > 0 ? lvbh : null };
+      break;
     } finally {
       // Ensure next queued build can proceed
       releaseBuildSlot();
     }
   }
-  throw new Error("swap_build_error_exhausted_429");
+  if (!built) throw new Error("swap_build_error_exhausted_429");
+  // Jupiter sizes its own limit (dynamicComputeUnitLimit); local builds get a
+  // tight one from simulation or this route's history, cutting price × limit
+  built.computeUnits = route?.pumpfun
+    ? await tuneComputeUnitLimit(built.tx, {
+        routeKey: routeUnitsKey(route),
+        simulate: simulateUnits,
+      })
+    : null;
+  // Price from fees paid on the accounts this swap locks, within the fee
+  // budget; a fee the user set explicitly is sent as built
+  const ammKeys = (route?.routePlan || [])
+    .map((s) => s?.swapInfo?.ammKey)
+    .filter(Boolean);
+  built.computeUnitPrice = fixedPriorityFee
+    ? null
+    : await tuneComputeUnitPrice(built.tx, {
+        poolKey: ammKeys[0],
+        accounts: ammKeys,
+        urgency,
+        maxFeeLamports: priorityFeeLamports,
+      });
+  return built;
+}
+
+// Simulated fills for paper mode (see paperTrading.js); persisted under PAPER_NAMESPACE
+function fillPaperBuy({
+  chatId,
+  wallet,
+  route,
+  outputMint,
+  amountSol,
+  slippageBps,
+  priorityFeeLamports,
+  outDec,
+}) {
+  const fill = simulatePaperFill({
+    outAmountRaw: route?.outAmount,
+    slippageBps,
+    priorityFeeLamports,
+  });
+  const tokensOut = fill.filledRaw / 10 ** outDec;
+  const walletPk =
+    wallet.publicKey?.toBase58?.() || wallet.publicKey?.toString?.();
+  const txid = makePaperTxid();
+  try {
+    upsertPosition({
+      chatId,
+      wallet: walletPk,
+      mint: outputMint,
+      tokensAdded: tokensOut,
+      solSpent: Number(amountSol || 0),
+      feesLamports: fill.feesLamports,
+      namespace: PAPER_NAMESPACE,
+    });
+    recordLotEvent(
+      chatId,
+      {
+        kind: "buy",
+        wallet: walletPk,
+        mint: outputMint,
+        tokens: tokensOut,
+        sol: Number(amountSol || 0),
+        feesLamports: fill.feesLamports,
+        txid,
+      },
+      { namespace: PAPER_NAMESPACE }
+    );
+    recordPnlSnapshot(
+      chatId,
+      {
+        kind: "buy",
+        mint: outputMint,
+        wallet: walletPk,
+        tokens: tokensOut,
+        sol: Number(amountSol || 0),
+        feesLamports: fill.feesLamports,
+        simulatedSlippageBps: fill.slippageBps,
+      },
+      { namespace: PAPER_NAMESPACE }
+    );
+  } catch {}
+  return {
+    txid,
+    paper: true,
+    route: {
+      labels: deriveRouteLabels(route),
+      priceImpactPct: route?.priceImpactPct ?? null,
+    },
+    slippageBps,
+    simulatedSlippageBps: fill.slippageBps,
+    priorityFeeLamports,
+    feesLamports: fill.feesLamports,
+    via: "paper",
+    latencyMs: 0,
+    lastSendRaceWinner: null,
+    lastSendRaceAttempts: 0,
+    lastSendRaceLatencyMs: null,
+    output: { tokensOut, symbol: null },
+  };
+}
+
+function fillPaperSell({
+  chatId,
+  wallet,
+  route,
+  tokenMint,
+  tokensSold,
+  slippageBps,
+  priorityFeeLamports,
+}) {
+  const fill = simulatePaperFill({
+    outAmountRaw: route?.outAmount,
+    slippageBps,
+    priorityFeeLamports,
+  });
+  const solOut = fill.filledRaw / 1e9;
+  const walletPk =
+    wallet.publicKey?.toBase58?.() || wallet.publicKey?.toString?.();
+  const txid = makePaperTxid();
+  try {
+    applySellToPosition({
+      chatId,
+      wallet: walletPk,
+      mint: tokenMint,
+      tokensSold: Number(tokensSold || 0),
+      solReceived: solOut,
+      feesLamports: fill.feesLamports,
+      namespace: PAPER_NAMESPACE,
+    });
+    recordLotEvent(
+      chatId,
+      {
+        kind: "sell",
+        wallet: walletPk,
+        mint: tokenMint,
+        tokens: Number(tokensSold || 0),
+        sol: solOut,
+        feesLamports: fill.feesLamports,
+        txid,
+      },
+      { namespace: PAPER_NAMESPACE }
+    );
+    recordPnlSnapshot(
+      chatId,
+      {
+        kind: "sell",
+        mint: tokenMint,
+        wallet: walletPk,
+        tokens: Number(tokensSold || 0),
+        sol: solOut,
+        feesLamports: fill.feesLamports,
+        simulatedSlippageBps: fill.slippageBps,
+      },
+      { namespace: PAPER_NAMESPACE }
+    );
+  } catch {}
+  return {
+    txid,
+    paper: true,
+    route: {
+      labels: deriveRouteLabels(route),
+      priceImpactPct: route?.priceImpactPct ?? null,
+    },
+    slippageBps,
+    simulatedSlippageBps: fill.slippageBps,
+    priorityFeeLamports,
+    feesLamports: fill.feesLamports,
+    via: "paper",
+    latencyMs: 0,
+    lastSendRaceWinner: null,
+    lastSendRaceAttempts: 0,
+    lastSendRaceLatencyMs: null,
+    output: { tokensOut: solOut, symbol: "SOL" },
+  };
 }
 
 export async function performSwap({
@@ -366,6 +575,8 @@ export async function performSwap({
   walletOverride,
   tradeKey,
   fastSend = false,
+  urgency = "normal",
+  fixedPriorityFee = false,
 }) {
   if (!Number.isFinite(Number(amountSol)) || Number(amountSol) <= 0)
     throw new Error("invalid_amount");
@@ -396,12 +607,22 @@ export async function performSwap({
       ? !!state.enableJitoForSnipes
       : !!getUseJitoBundle();
 
-  const quoteRes = await getTokenQuote({
+  // Tokens still on the Pump.fun curve trade against it directly; the curve
+  // lookup runs alongside the Jupiter quote so other tokens don't wait on it
+  const jupQuote = getTokenQuote({
     inputMint,
     outputMint,
     amountSol,
     slippageBps,
   });
+  jupQuote.catch(() => {});
+  const pumpRoute = await getPumpfunQuote({
+    inputMint,
+    outputMint,
+    amountRaw: Math.floor(Number(amountSol) * 1e9),
+    slippageBps,
+  }).catch(() => null);
+  const quoteRes = pumpRoute ? { route: pumpRoute } : await jupQuote;
   const route = quoteRes?.route || null;
   if (!route) throw new Error("no_quote_route");
 
@@ -421,15 +642,16 @@ export async function performSwap({
     }
   }
 
-  // Prevent concurrent duplicate buys across multiple sources by enforcing a global per-chat+mint lock
+  // Prevent concurrent duplicate buys across multiple sources by enforcing a per-chat+mint+wallet lock
   const isSolToToken =
     String(inputMint) === NATIVE_SOL && !!outputMint && chatId != null;
+  const lockWallet = wallet?.publicKey?.toBase58() ?? null;
   let lockAcquired = false;
   if (isSolToToken) {
-    if (isBuyLocked(chatId, outputMint)) {
+    if (isBuyLocked(chatId, outputMint, lockWallet)) {
       throw new Error("buy_locked");
     }
-    acquireBuyLock(chatId, outputMint);
+    acquireBuyLock(chatId, outputMint, lockWallet);
     lockAcquired = true;
   }
 
@@ -440,6 +662,29 @@ export async function performSwap({
   const tokensOutExpected = Number(route?.outAmount)
     ? Number(route.outAmount) / 10 ** outDecPre
     : null;
+
+  // Paper mode: fill against the quote, never sign or send
+  if (isPaperMode(state)) {
+    try {
+      return fillPaperBuy({
+        chatId,
+        wallet,
+        route,
+        outputMint,
+        amountSol,
+        slippageBps,
+        priorityFeeLamports: effectivePriorityFeeLamports,
+        outDec: outDecPre,
+      });
+    } finally {
+      if (lockAcquired) {
+        try {
+          releaseBuyLock(chatId, outputMint, lockWallet);
+        } catch {}
+      }
+    }
+  }
+
   const tk = tradeKey || `${String(chatId)}:${outputMint}:${Date.now()}`;
   try {
     initTrade({
@@ -456,11 +701,14 @@ export async function performSwap({
     });
   } catch {}
 
-  const tx = await buildAndSignSwapTx({
+  const { tx, lastValidBlockHeight, computeUnits } = await buildAndSignSwapTx({
     route,
     userPk: wallet.publicKey.toBase58(),
     priorityFeeLamports: effectivePriorityFeeLamports,
     chatId,
+    simulateUnits: !fastSend,
+    urgency,
+    fixedPriorityFee,
   });
   tx.sign([wallet]);
 
@@ -472,6 +720,10 @@ export async function performSwap({
       useJitoBundle: effectiveUseJitoBundle,
       priorityFeeMicroLamports: null,
       simulatePreSend: !fastSend,
+      tipPayer: wallet,
+      // Units already sampled by the CU tuning simulation are not counted twice
+      cuRouteKey:
+        computeUnits?.source === "simulation" ? null : routeUnitsKey(route),
     });
   } catch (e) {
     try {
@@ -485,7 +737,7 @@ export async function performSwap({
     // Release buy lock on immediate send/build failure
     if (lockAcquired) {
       try {
-        releaseBuyLock(chatId, outputMint);
+        releaseBuyLock(chatId, outputMint, lockWallet);
       } catch {}
     }
     throw e;
@@ -508,7 +760,7 @@ export async function performSwap({
   // If send produced no txid, release the buy lock to allow retry
   if (!txid && lockAcquired) {
     try {
-      releaseBuyLock(chatId, outputMint);
+      releaseBuyLock(chatId, outputMint, lockWallet);
     } catch {}
   }
   // Provisional persistence: ensure a position exists immediately after send
@@ -553,7 +805,22 @@ export async function performSwap({
         tradeKey: tk,
         chatId,
         kind: "Buy",
-        onConfirmed: ({ trade }) => {
+        lastValidBlockHeight,
+        // Expired before landing: re-sign with a fresh blockhash and a higher fee
+        rebroadcast: createRebroadcaster({
+          tx,
+          signer: wallet,
+          maxAttempts: state?.txRetryMaxAttempts ?? DEFAULT_RETRY_ATTEMPTS,
+          maxFeeLamports: state?.txRetryMaxFeeLamports ?? null,
+          latencyMs: sendRes?.latencyMs,
+          usePrivateRelay: !!state?.enablePrivateRelay,
+          // Keep concurrent buys of this mint out while the retry is in flight
+          onRebroadcast: () => {
+            if (lockAcquired) acquireBuyLock(chatId, outputMint, lockWallet);
+          },
+        }),
+        // txid is the attempt that landed (a rebroadcast may replace the first send)
+        onConfirmed: ({ txid, trade }) => {
           try {
             upsertPosition({
               chatId,
@@ -582,6 +849,17 @@ export async function performSwap({
               sol: Number(amountSol || 0),
               feesLamports: Number(effectivePriorityFeeLamports || 0),
             });
+            recordLotEvent(chatId, {
+              kind: "buy",
+              wallet:
+                wallet.publicKey?.toBase58?.() ||
+                wallet.publicKey?.toString?.(),
+              mint: outputMint,
+              tokens: Number(trade?.tokens || tokensOut || 0),
+              sol: Number(amountSol || 0),
+              feesLamports: Number(effectivePriorityFeeLamports || 0),
+              txid,
+            });
           } catch {}
         },
       }).catch(() => {});
@@ -597,6 +875,7 @@ export async function performSwap({
     slippageBps,
     priorityFeeLamports: effectivePriorityFeeLamports ?? "auto",
     via: sendRes?.via || null,
+    bundleUuid: sendRes?.bundleUuid ?? null,
     latencyMs: sendRes?.latencyMs ?? null,
     lastSendRaceWinner: sendRes?.lastSendRaceWinner ?? null,
     lastSendRaceAttempts: sendRes?.lastSendRaceAttempts ?? 0,
@@ -605,6 +884,198 @@ export async function performSwap({
   };
 }
 
+// Atomic multi-wallet buy: one swap per wallet plus a tip transfer from the first
+// wallet, submitted as a single Jito bundle so every leg lands or none do.
+// buys: [{ wallet: Keypair, amountSol, slippageBps? }]. Positions are recorded per leg on confirmation.
+export async function performBundledBuy({
+  outputMint,
+  buys = [],
+  chatId,
+  priorityFeeLamports,
+  slippageBps: slippageBpsOverride,
+  tipLamports = getJitoTipLamports(chatId),
+  urgency = "normal",
+  fixedPriorityFee = false,
+}) {
+  const legsIn = buys.filter((b) => b?.wallet && Number(b.amountSol) > 0);
+  if (!legsIn.length) throw new Error("invalid_amount");
+  if (legsIn.length > MAX_BUNDLE_TXS - 1) {
+    throw new Error(`bundle_too_large: max ${MAX_BUNDLE_TXS - 1} wallets`);
+  }
+  const connection = getRpcConnection();
+  const state = chatId != null ? getUserState(chatId) : {};
+  // Paper mode never sends, so there is nothing to bundle
+  if (isPaperMode(state)) {
+    const results = [];
+    for (const b of legsIn) {
+      results.push(
+        await performSwap({
+          inputMint: NATIVE_SOL,
+          outputMint,
+          amountSol: b.amountSol,
+          chatId,
+          priorityFeeLamports,
+          slippageBps: b.slippageBps ?? slippageBpsOverride,
+          walletOverride: b.wallet,
+        })
+      );
+    }
+    return { txid: results[0]?.txid || null, legs: results, via: "paper" };
+  }
+  const slippageBps = Number.isFinite(Number(slippageBpsOverride))
+    ? Number(slippageBpsOverride)
+    : Number.isFinite(Number(state?.snipeSlippage))
+    ? Number(state.snipeSlippage)
+    : await getAdaptiveSlippageBps().catch(() =>
+        Number(process.env.DEFAULT_SLIPPAGE_BPS || 100)
+      );
+  const effectivePriorityFeeLamports =
+    priorityFeeLamports != null
+      ? Number(priorityFeeLamports)
+      : Number.isFinite(Number(state?.priorityFeeLamports))
+      ? Number(state.priorityFeeLamports)
+      : Number(getPriorityFeeLamports() || 0);
+
+  const lockWallets = legsIn.map((b) => b.wallet.publicKey.toBase58());
+  if (lockWallets.some((w) => isBuyLocked(chatId, outputMint, w))) {
+    throw new Error("buy_locked");
+  }
+  lockWallets.forEach((w) => acquireBuyLock(chatId, outputMint, w));
+  let sendRes;
+  const legs = [];
+  try {
+    const outDec = await getMintDecimals(outputMint, connection).catch(() => 6);
+    for (const b of legsIn) {
+      const legSlippageBps = Number.isFinite(Number(b.slippageBps))
+        ? Number(b.slippageBps)
+        : slippageBps;
+      const quoteRes = await getTokenQuote({
+        inputMint: NATIVE_SOL,
+        outputMint,
+        amountSol: b.amountSol,
+        slippageBps: legSlippageBps,
+      });
+      const route = quoteRes?.route || null;
+      if (!route) throw new Error("no_quote_route");
+      const walletPk = b.wallet.publicKey.toBase58();
+      const { tx, lastValidBlockHeight } = await buildAndSignSwapTx({
+        route,
+        userPk: walletPk,
+        priorityFeeLamports: effectivePriorityFeeLamports,
+        chatId,
+        urgency,
+        fixedPriorityFee,
+      });
+      tx.sign([b.wallet]);
+      legs.push({
+        wallet: walletPk,
+        amountSol: Number(b.amountSol),
+        slippageBps: legSlippageBps,
+        route,
+        tx,
+        lastValidBlockHeight,
+        tokensOut: Number(route?.outAmount || 0) / 10 ** outDec,
+      });
+    }
+    sendRes = await sendBundle({
+      signedTxs: legs.map((l) => l.tx),
+      chatId,
+      tipPayer: legsIn[0].wallet,
+      tipLamports: bundleTipLamports(tipLamports),
+    });
+  } catch (e) {
+    lockWallets.forEach((w) => releaseBuyLock(chatId, outputMint, w));
+    throw e;
+  }
+
+  legs.forEach((leg, i) => {
+    const txid = sendRes.signatures[i];
+    leg.txid = txid;
+    const tk = `${String(chatId)}:${outputMint}:${leg.wallet}:${Date.now()}`;
+    try {
+      initTrade({
+        tradeKey: tk,
+        chatId,
+        wallet: leg.wallet,
+        mint: outputMint,
+        side: "buy",
+        amountSol: leg.amountSol,
+        tokens: leg.tokensOut,
+        slippageBps: leg.slippageBps,
+        priorityFeeLamports: effectivePriorityFeeLamports,
+        via: sendRes.via,
+      });
+      updateTradeStatus(tk, "pending", { txid, confirmations: 0 });
+      monitorSignatures({
+        connection,
+        signatures: [txid],
+        tradeKey: tk,
+        chatId,
+        kind: "Buy",
+        lastValidBlockHeight: leg.lastValidBlockHeight,
+        onConfirmed: ({ trade }) => {
+          try {
+            const tokens = Number(trade?.tokens || leg.tokensOut || 0);
+            upsertPosition({
+              chatId,
+              wallet: leg.wallet,
+              mint: outputMint,
+              tokensAdded: tokens,
+              solSpent: leg.amountSol,
+              feesLamports: effectivePriorityFeeLamports,
+            });
+            addPosition(chatId, {
+              mint: outputMint,
+              tokensOut: tokens,
+              solIn: leg.amountSol,
+              txid,
+            });
+            recordPnlSnapshot(chatId, {
+              kind: "buy",
+              mint: outputMint,
+              wallet: leg.wallet,
+              tokens,
+              sol: leg.amountSol,
+              feesLamports: effectivePriorityFeeLamports,
+            });
+            recordLotEvent(chatId, {
+              kind: "buy",
+              wallet: leg.wallet,
+              mint: outputMint,
+              tokens,
+              sol: leg.amountSol,
+              feesLamports: effectivePriorityFeeLamports,
+              txid,
+            });
+          } catch {}
+        },
+      }).catch(() => {});
+    } catch {}
+  });
+
+  return {
+    txid: sendRes.txid,
+    txids: legs.map((l) => l.txid),
+    bundleUuid: sendRes.uuid,
+    via: sendRes.via,
+    latencyMs: sendRes.latencyMs,
+    slippageBps,
+    priorityFeeLamports: effectivePriorityFeeLamports,
+    tipLamports,
+    legs: legs.map(({ wallet, amountSol, txid, tokensOut, route }) => ({
+      wallet,
+      amountSol,
+      txid,
+      tokensOut,
+      priceImpactPct: route?.priceImpactPct ?? null,
+    })),
+    output: {
+      tokensOut: legs.reduce((sum, l) => sum + l.tokensOut, 0),
+      symbol: null,
+    },
+  };
+}
+
 export async function quickSell({
   tokenMint,
   percent = 100,
@@ -618,23 +1089,35 @@ export async function quickSell({
   const connection = getRpcConnection();
   const wallet = walletOverride || (await getUserWalletInstance(chatId));
   const state = chatId != null ? getUserState(chatId) : {};
+  const paper = isPaperMode(state);
 
-  // Fetch token balance (sum across accounts of this mint)
-  const resp = await getParsedTokenAccountsByOwnerRaced(
-    wallet.publicKey,
-    { mint: new PublicKey(tokenMint) },
-    { commitment: "confirmed" }
-  ).catch(() => null);
-  const accounts = resp?.value || [];
   let rawBalance = 0n;
-  for (const acc of accounts) {
-    const amtStr = acc?.account?.data?.parsed?.info?.tokenAmount?.amount;
-    if (amtStr) rawBalance += BigInt(amtStr);
+  if (paper) {
+    // Paper balance comes from the paper position namespace
+    const dec = await getMintDecimals(tokenMint, connection).catch(() => 6);
+    const walletPk =
+      wallet.publicKey?.toBase58?.() || wallet.publicKey?.toString?.();
+    const held = (getPositions(chatId, { namespace: PAPER_NAMESPACE }) || []).find(
+      (p) => p.wallet === walletPk && p.mint === tokenMint
+    );
+    rawBalance = BigInt(Math.floor(Number(held?.tokens || 0) * 10 ** dec));
+  } else {
+    // Fetch token balance (sum across accounts of this mint)
+    const resp = await getParsedTokenAccountsByOwnerRaced(
+      wallet.publicKey,
+      { mint: new PublicKey(tokenMint) },
+      { commitment: "confirmed" }
+    ).catch(() => null);
+    const accounts = resp?.value || [];
+    for (const acc of accounts) {
+      const amtStr = acc?.account?.data?.parsed?.info?.tokenAmount?.amount;
+      if (amtStr) rawBalance += BigInt(amtStr);
+    }
   }
   if (rawBalance <= 0n) throw new Error("no_token_balance");
-  const sellRaw =
-    (rawBalance * BigInt(Math.max(1, Math.min(100, Math.floor(percent))))) /
-    100n;
+  // Fractional percents are kept to 0.01% (exit ladders sell shares of a remainder)
+  const sellBps = Math.max(1, Math.min(10000, Math.round(Number(percent) * 100)));
+  const sellRaw = (rawBalance * BigInt(sellBps)) / 10000n;
   if (sellRaw <= 0n) throw new Error("sell_amount_zero");
   // Estimate tokens sold for trade state
   const outDecTok = await getMintDecimals(tokenMint, connection).catch(() => 6);
@@ -647,12 +1130,19 @@ export async function quickSell({
     : await getAdaptiveSlippageBps().catch(() =>
         Number(process.env.DEFAULT_SLIPPAGE_BPS || 100)
       );
-  let route = await getQuoteRaw({
+  const jupQuote = getQuoteRaw({
     inputMint: tokenMint,
     outputMint: NATIVE_SOL,
     amountRaw: Number(sellRaw),
     slippageBps,
   }).catch(() => null);
+  let route =
+    (await getPumpfunQuote({
+      inputMint: tokenMint,
+      outputMint: NATIVE_SOL,
+      amountRaw: sellRaw,
+      slippageBps,
+    }).catch(() => null)) || (await jupQuote);
   // Normalize error-shaped responses from quote calls
   if (route && route.__error__) {
     const code = route.errorCode || "quote_error";
@@ -674,6 +1164,28 @@ export async function quickSell({
     }
   }
 
+  const effectivePriorityFeeLamports =
+    priorityFeeLamports != null
+      ? Number(priorityFeeLamports)
+      : Number.isFinite(Number(state?.priorityFeeLamports))
+      ? Number(state.priorityFeeLamports)
+      : Number.isFinite(Number(state?.maxSnipeGasPrice))
+      ? Number(state.maxSnipeGasPrice)
+      : Number(getPriorityFeeLamports() || 0);
+
+  // Paper mode: fill against the quote, never sign or send
+  if (paper) {
+    return fillPaperSell({
+      chatId,
+      wallet,
+      route,
+      tokenMint,
+      tokensSold,
+      slippageBps,
+      priorityFeeLamports: effectivePriorityFeeLamports,
+    });
+  }
+
   const tk = tradeKey || `${String(chatId)}:${tokenMint}:${Date.now()}`;
   try {
     initTrade({
@@ -690,15 +1202,6 @@ export async function quickSell({
     });
   } catch {}
 
-  const effectivePriorityFeeLamports =
-    priorityFeeLamports != null
-      ? Number(priorityFeeLamports)
-      : Number.isFinite(Number(state?.priorityFeeLamports))
-      ? Number(state.priorityFeeLamports)
-      : Number.isFinite(Number(state?.maxSnipeGasPrice))
-      ? Number(state.maxSnipeGasPrice)
-      : Number(getPriorityFeeLamports() || 0);
-
   const effectiveUseJitoBundle =
     useJitoBundle != null
       ? !!useJitoBundle
@@ -706,7 +1209,7 @@ export async function quickSell({
       ? !!state.enableJitoForSnipes
       : !!getUseJitoBundle();
 
-  const tx = await buildAndSignSwapTx({
+  const { tx, lastValidBlockHeight, computeUnits } = await buildAndSignSwapTx({
     route,
     userPk: wallet.publicKey.toBase58(),
     priorityFeeLamports: effectivePriorityFeeLamports,
@@ -722,6 +1225,10 @@ export async function quickSell({
       useJitoBundle: effectiveUseJitoBundle,
       priorityFeeMicroLamports: null,
       simulatePreSend: true,
+      tipPayer: wallet,
+      // Units already sampled by the CU tuning simulation are not counted twice
+      cuRouteKey:
+        computeUnits?.source === "simulation" ? null : routeUnitsKey(route),
     });
   } catch (e) {
     try {
@@ -757,6 +1264,7 @@ export async function quickSell({
         tradeKey: tk,
         chatId,
         kind: "Sell",
+        lastValidBlockHeight,
         onConfirmed: () => {
           try {
             applySellToPosition({
@@ -779,6 +1287,17 @@ export async function quickSell({
               sol: Number(tokensOut || 0),
               feesLamports: Number(effectivePriorityFeeLamports || 0),
             });
+            recordLotEvent(chatId, {
+              kind: "sell",
+              wallet:
+                wallet.publicKey?.toBase58?.() ||
+                wallet.publicKey?.toString?.(),
+              mint: tokenMint,
+              tokens: Number(tokensSold || 0),
+              sol: Number(tokensOut || 0),
+              feesLamports: Number(effectivePriorityFeeLamports || 0),
+              txid,
+            });
           } catch {}
         },
       }).catch(() => {});
@@ -794,6 +1313,7 @@ export async function quickSell({
     slippageBps,
     priorityFeeLamports: effectivePriorityFeeLamports ?? "auto",
     via: sendRes?.via || null,
+    bundleUuid: sendRes?.bundleUuid ?? null,
     latencyMs: sendRes?.latencyMs ?? null,
     lastSendRaceWinner: sendRes?.lastSendRaceWinner ?? null,
     lastSendRaceAttempts: sendRes?.lastSendRaceAttempts ?? 0,
@@ -0,0 +1,312 @@
+// Coordinated multi-wallet buys: one buy fanned out across the chat's selected
+// wallets (multi-wallet mode) with equal, weighted or randomized sizing and
+// per-wallet slippage. Legs run independently; results are aggregated so the
+// UI can report a single summary.
+import { WalletScalingTiersService } from "../remainingServices.js";
+import { getUserState } from "../userState.js";
+import {
+  getUserWalletKeypairById,
+  getAllUserWalletKeypairs,
+} from "../userWallets.js";
+import { startLiquidityWatch } from "../watchers/liquidityWatcher.js";
+import { performSwap, quickSell, NATIVE_SOL } from "./jupiter.js";
+
+export const SPLIT_MODES = ["equal", "weighted", "random"];
+const MAX_SPLIT_WALLETS = 12;
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+const splitter = new WalletScalingTiersService();
+
+// Wallets a buy fans out to: the selection in multi-wallet mode, else every
+// wallet when `all` is set (split=1). Empty means a regular single-wallet buy.
+export async function resolveBuyWallets(chatId, { count, all = false } = {}) {
+  const st = getUserState(chatId);
+  const ids = Array.isArray(st.selectedWalletIds) ? st.selectedWalletIds : [];
+  let wallets = [];
+  if (st.multiWalletMode && ids.length > 0) {
+    wallets = (
+      await Promise.all(
+        ids.map((id) => getUserWalletKeypairById(chatId, id).catch(() => null))
+      )
+    ).filter(Boolean);
+  } else if (all) {
+    wallets = await getAllUserWalletKeypairs(chatId).catch(() => []);
+  }
+  const limit = Number(count) > 0 ? Math.min(Number(count), MAX_SPLIT_WALLETS) : MAX_SPLIT_WALLETS;
+  return wallets.slice(0, limit);
+}
+
+// Split mode, weights and slippage overrides from chat settings; `mode` overrides the saved mode
+export function getSplitSettings(chatId, { mode } = {}) {
+  const st = getUserState(chatId);
+  const saved = SPLIT_MODES.includes(st.multiWalletSplit) ? st.multiWalletSplit : "equal";
+  return {
+    mode: SPLIT_MODES.includes(mode) ? mode : saved,
+    weights: st.walletSplitWeights || {},
+    slippageBps: st.walletSlippageBps || {},
+  };
+}
+
+// Per-wallet legs for totalSol, sized in whole lamports so the legs sum exactly.
+// Wallets without a slippage override use defaultSlippageBps (undefined = adaptive).
+export function planWalletSplit(
+  totalSol,
+  wallets = [],
+  { mode = "equal", weights = {}, slippageBps = {}, defaultSlippageBps, random } = {}
+) {
+  if (!wallets.length) return [];
+  const lamports = Math.floor(Number(totalSol) * LAMPORTS_PER_SOL);
+  if (!(lamports > 0)) return [];
+  const amounts = splitter.calculateSplitAmounts(lamports, wallets.length, {
+    mode,
+    weights: wallets.map((w) => weights[w.id] ?? 1),
+    random,
+  });
+  return wallets
+    .map((wallet, i) => {
+      const own = Number(slippageBps[wallet.id]);
+      return {
+        wallet,
+        amountSol: amounts[i] / LAMPORTS_PER_SOL,
+        slippageBps: Number.isFinite(own) && own > 0 ? own : defaultSlippageBps,
+      };
+    })
+    .filter((leg) => leg.amountSol > 0);
+}
+
+function legResult(leg, { ok, txid, tokensOut, slippageBps, via, error } = {}) {
+  return {
+    walletId: leg.wallet.id,
+    name: leg.wallet.name || null,
+    publicKey: leg.wallet.publicKey,
+    amountSol: leg.amountSol,
+    slippageBps: slippageBps ?? leg.slippageBps ?? null,
+    ok: !!ok,
+    txid: txid || null,
+    tokensOut: Number.isFinite(Number(tokensOut)) ? Number(tokensOut) : null,
+    via: via || null,
+    error: error || null,
+  };
+}
+
+// Totals across legs; filled = legs that returned a txid
+export function summarizeMultiWalletBuy(results = [], { mode = "equal" } = {}) {
+  const filled = results.filter((r) => r.ok);
+  const totalSol = results.reduce((a, r) => a + r.amountSol, 0);
+  const filledSol = filled.reduce((a, r) => a + r.amountSol, 0);
+  const tokensOut = filled.reduce((a, r) => a + (r.tokensOut || 0), 0);
+  const txids = filled.map((r) => r.txid).filter(Boolean);
+  return {
+    multiWallet: true,
+    mode,
+    legs: results,
+    filledCount: filled.length,
+    failedCount: results.length - filled.length,
+    totalSol,
+    filledSol,
+    tokensOut,
+    avgPriceSol: tokensOut > 0 ? filledSol / tokensOut : null,
+    txid: txids[0] || null,
+    txids,
+  };
+}
+
+// Run every leg concurrently; a failed leg doesn't abort the others
+export async function performMultiWalletBuy({
+  chatId,
+  outputMint,
+  legs = [],
+  mode,
+  priorityFeeLamports,
+  useJitoBundle,
+  urgency,
+  fixedPriorityFee,
+}) {
+  if (!legs.length) throw new Error("invalid_amount");
+  const started = Date.now();
+  const settled = await Promise.allSettled(
+    legs.map((leg) =>
+      performSwap({
+        inputMint: NATIVE_SOL,
+        outputMint,
+        amountSol: leg.amountSol,
+        slippageBps: leg.slippageBps,
+        priorityFeeLamports,
+        useJitoBundle,
+        chatId,
+        walletOverride: leg.wallet.keypair,
+        urgency,
+        fixedPriorityFee,
+      })
+    )
+  );
+  const results = settled.map((r, i) => {
+    if (r.status === "rejected") {
+      return legResult(legs[i], { ok: false, error: String(r.reason?.message || r.reason) });
+    }
+    const res = r.value;
+    return legResult(legs[i], {
+      ok: !!res?.txid,
+      txid: res?.txid,
+      tokensOut: res?.output?.tokensOut,
+      slippageBps: res?.slippageBps,
+      via: res?.via,
+      error: res?.txid ? null : "no_txid",
+    });
+  });
+  return {
+    ...summarizeMultiWalletBuy(results, { mode }),
+    priorityFeeLamports: settled.find((r) => r.status === "fulfilled")?.value
+      ?.priorityFeeLamports,
+    latencyMs: Date.now() - started,
+  };
+}
+
+// Auto-snipe fan-out: one liquidity watcher per selected wallet with its split
+// size and slippage. onSummary receives the aggregate once every leg bought or
+// gave up. Returns null when multi-wallet mode is off (start a single watcher).
+export async function startMultiWalletSnipe(chatId, watchOpts, { onSummary } = {}) {
+  const wallets = await resolveBuyWallets(chatId);
+  if (!wallets.length) return null;
+  const settings = getSplitSettings(chatId);
+  const legs = planWalletSplit(watchOpts.amountSol, wallets, {
+    ...settings,
+    defaultSlippageBps: watchOpts.slippageBps,
+  });
+  const results = new Array(legs.length);
+  let pending = legs.length;
+  legs.forEach((leg, i) => {
+    startLiquidityWatch(chatId, {
+      ...watchOpts,
+      amountSol: leg.amountSol,
+      slippageBps: leg.slippageBps,
+      walletOverride: leg.wallet.keypair,
+      onResult: (r) => {
+        if (results[i]) return;
+        results[i] = legResult(leg, r);
+        pending -= 1;
+        if (pending === 0) {
+          try {
+            onSummary?.(summarizeMultiWalletBuy(results, { mode: settings.mode }));
+          } catch {}
+        }
+      },
+    });
+  });
+  return legs;
+}
+
+// Sell the same percent of a token from every wallet. Wallets without a balance
+// are reported as skipped rather than failed.
+export async function performMultiWalletSell({
+  chatId,
+  mint,
+  percent,
+  wallets,
+  priorityFeeLamports,
+  useJitoBundle,
+}) {
+  const targets = (wallets || (await getAllUserWalletKeypairs(chatId))).slice(
+    0,
+    MAX_SPLIT_WALLETS
+  );
+  if (!targets.length) throw new Error("no_wallets");
+  const started = Date.now();
+  const settled = await Promise.allSettled(
+    targets.map((w) =>
+      quickSell({
+        tokenMint: mint,
+        percent,
+        priorityFeeLamports,
+        useJitoBundle,
+        chatId,
+        walletOverride: w.keypair,
+      })
+    )
+  );
+  const legs = settled.map((r, i) => {
+    const w = targets[i];
+    const base = { walletId: w.id, name: w.name || null, publicKey: w.publicKey };
+    if (r.status === "rejected") {
+      const error = String(r.reason?.message || r.reason);
+      return { ...base, ok: false, skipped: error.includes("no_token_balance"), error };
+    }
+    const res = r.value;
+    return {
+      ...base,
+      ok: !!res?.txid,
+      skipped: false,
+      txid: res?.txid || null,
+      solOut: Number(res?.output?.tokensOut ?? NaN),
+      via: res?.via || null,
+      slippageBps: res?.slippageBps,
+      route: res?.route?.labels,
+      priceImpactPct: res?.route?.priceImpactPct ?? null,
+      error: res?.txid ? null : "no_txid",
+    };
+  });
+  const sold = legs.filter((l) => l.ok);
+  return {
+    multiWallet: true,
+    percent,
+    legs,
+    soldCount: sold.length,
+    skippedCount: legs.filter((l) => l.skipped).length,
+    failedCount: legs.filter((l) => !l.ok && !l.skipped).length,
+    solOut: sold.reduce((a, l) => a + (Number.isFinite(l.solOut) ? l.solOut : 0), 0),
+    txid: sold[0]?.txid || null,
+    priorityFeeLamports,
+    latencyMs: Date.now() - started,
+  };
+}
+
+function walletLabel(leg) {
+  const pk = String(leg.publicKey || "");
+  const short = pk ? `${pk.slice(0, 4)}…${pk.slice(-4)}` : "wallet";
+  return leg.name ? `${leg.name} (${short})` : short;
+}
+
+export function formatMultiWalletBuySummary(summary, { mint, symbol } = {}) {
+  const icon = summary.filledCount === 0 ? "❌" : summary.failedCount ? "⚠️" : "✅";
+  const lines = [
+    `${icon} Multi-wallet buy: ${summary.filledCount}/${summary.legs.length} wallets succeeded`,
+  ];
+  if (mint) lines.push(`• Token: ${symbol || "TOKEN"} (${mint})`);
+  lines.push(
+    `• Split: ${summary.mode} • ${Number(summary.totalSol.toFixed(6))} SOL total`,
+    `• Filled: ${Number(summary.filledSol.toFixed(6))} SOL → ${summary.tokensOut.toFixed(4)} tokens`
+  );
+  if (summary.avgPriceSol) {
+    lines.push(`• Avg price: ${summary.avgPriceSol.toPrecision(6)} SOL/token`);
+  }
+  for (const leg of summary.legs) {
+    const slip = leg.slippageBps != null ? ` @ ${leg.slippageBps} bps` : "";
+    const amount = `${Number(leg.amountSol.toFixed(6))} SOL${slip}`;
+    lines.push(
+      leg.ok
+        ? `  ✓ ${walletLabel(leg)}: ${amount} • ${leg.txid.slice(0, 8)}…`
+        : `  ✗ ${walletLabel(leg)}: ${amount} • ${leg.error || "failed"}`
+    );
+  }
+  if (summary.txid) lines.push(`🔗 https://solscan.io/tx/${summary.txid}`);
+  return lines.join("\n");
+}
+
+export function formatMultiWalletSellSummary(summary, { mint } = {}) {
+  const icon = summary.soldCount === 0 ? "❌" : summary.failedCount ? "⚠️" : "✅";
+  const lines = [
+    `${icon} Sell ${summary.percent}% across wallets: ${summary.soldCount} sold, ${summary.skippedCount} without balance, ${summary.failedCount} failed`,
+  ];
+  if (mint) lines.push(`• Token: ${mint}`);
+  lines.push(`• Est. SOL out: ${summary.solOut.toFixed(6)}`);
+  for (const leg of summary.legs) {
+    if (leg.skipped) continue;
+    lines.push(
+      leg.ok
+        ? `  ✓ ${walletLabel(leg)}: ${Number.isFinite(leg.solOut) ? leg.solOut.toFixed(6) : "?"} SOL • ${leg.txid.slice(0, 8)}…`
+        : `  ✗ ${walletLabel(leg)}: ${leg.error || "failed"}`
+    );
+  }
+  if (summary.txid) lines.push(`🔗 https://solscan.io/tx/${summary.txid}`);
+  return lines.join("\n");
+}
@@ -0,0 +1,41 @@
+// Paper trading: real Jupiter quotes, simulated fills. Nothing is signed or sent.
+// Fills land in the "paper" namespace of positionStore/tradeStore so they never
+// mix with live positions or PnL.
+
+export const PAPER_NAMESPACE = "paper";
+const BASE_FEE_LAMPORTS = 5000; // one signature
+
+export function isPaperMode(state) {
+  return !!state?.paperMode;
+}
+
+// Fill against the quoted outAmount minus a random slippage in
+// [0, min(slippageBps, PAPER_MAX_SLIPPAGE_BPS)], and charge base + priority fees.
+export function simulatePaperFill({
+  outAmountRaw,
+  slippageBps,
+  priorityFeeLamports = 0,
+  maxSlippageBps = Number(process.env.PAPER_MAX_SLIPPAGE_BPS || 50),
+  rand = Math.random,
+}) {
+  const out = Number(outAmountRaw || 0);
+  const capBps = Math.max(
+    0,
+    Math.min(Number(slippageBps) || 0, Number(maxSlippageBps) || 0)
+  );
+  const slipBps = Math.round(capBps * Math.max(0, Math.min(1, rand())));
+  const filledRaw = Math.floor(out * (1 - slipBps / 10000));
+  const feesLamports =
+    BASE_FEE_LAMPORTS + Math.max(0, Number(priorityFeeLamports) || 0);
+  return { filledRaw, slippageBps: slipBps, feesLamports };
+}
+
+export function makePaperTxid() {
+  return `paper_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+}
+
+export function isPaperTxid(txid) {
+  return String(txid || "").startsWith("paper_");
+}
@@ -0,0 +1,342 @@
+// Direct Pump.fun bonding-curve trading. Tokens still on the curve are quoted
+// from the curve's virtual reserves and swapped with the program's own buy/sell
+// instructions, so a launch can be bought before Jupiter indexes it. Quotes are
+// shaped like Jupiter routes (plus a `pumpfun` field) so performSwap/quickSell
+// bookkeeping, paper mode and fee tuning treat them like any other route.
+import {
+  ComputeBudgetProgram,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import { getRpcConnection, getLatestBlockhashRaced } from "../rpc.js";
+import {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+} from "../splToken.js";
+
+export const PUMPFUN_PROGRAM_ID = new PublicKey(
+  "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P"
+);
+const PUMPFUN_FEE_PROGRAM_ID = new PublicKey(
+  "pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ"
+);
+const FEE_RECIPIENT = new PublicKey(
+  process.env.PUMPFUN_FEE_RECIPIENT ||
+    "CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM"
+);
+const NATIVE_SOL = "So11111111111111111111111111111111111111112";
+
+const BUY_EXACT_SOL_IN_DISCRIMINATOR = Buffer.from([56, 252, 116, 8, 158, 223, 205, 95]);
+const SELL_DISCRIMINATOR = Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]);
+
+const FEE_BPS = BigInt(Number(process.env.PUMPFUN_FEE_BPS || 100));
+const MAX_SLIPPAGE_BPS = Number(process.env.PUMPFUN_MAX_SLIPPAGE_BPS || 2500);
+const CU_LIMIT = Number(process.env.PUMPFUN_CU_LIMIT || 120000);
+// Mints whose curve has completed (migrated) skip the lookup for a while; a
+// missing curve is only remembered briefly, as a fresh launch may not exist yet
+const OFF_CURVE_TTL_MS = Number(
+  process.env.PUMPFUN_CURVE_CACHE_MS || 10 * 60 * 1000
+);
+const NO_CURVE_TTL_MS = Number(process.env.PUMPFUN_NO_CURVE_CACHE_MS || 3000);
+// Pump.fun mints are vanity addresses ending in this; others are not looked up
+const MINT_SUFFIX = process.env.PUMPFUN_MINT_SUFFIX ?? "pump";
+
+const notOnCurve = new Map(); // mint -> { at, ttl }
+
+export function isPumpfunDirectEnabled() {
+  return String(process.env.PUMPFUN_DIRECT_TRADING ?? "true").toLowerCase() !== "false";
+}
+
+export function couldBePumpfunMint(mint) {
+  return String(mint || "").endsWith(MINT_SUFFIX);
+}
+
+function pda(seeds, programId = PUMPFUN_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(seeds, programId)[0];
+}
+
+export function getBondingCurveAddress(mint) {
+  return pda([Buffer.from("bonding-curve"), new PublicKey(mint).toBuffer()]);
+}
+
+// Bonding curve account: 8-byte discriminator, five u64 reserves/supply,
+// `complete` flag, then the creator (absent on accounts from old versions)
+export function decodeBondingCurve(data) {
+  const d = Buffer.from(data || []);
+  if (d.length < 49) return null;
+  return {
+    virtualTokenReserves: d.readBigUInt64LE(8),
+    virtualSolReserves: d.readBigUInt64LE(16),
+    realTokenReserves: d.readBigUInt64LE(24),
+    realSolReserves: d.readBigUInt64LE(32),
+    tokenTotalSupply: d.readBigUInt64LE(40),
+    complete: d[48] === 1,
+    creator: d.length >= 81 ? new PublicKey(d.subarray(49, 81)) : null,
+  };
+}
+
+// Curve state for a mint still trading on Pump.fun, else null (not a Pump.fun
+// token, migrated, or unreadable)
+export async function getBondingCurveState(mint, { connection = getRpcConnection() } = {}) {
+  const key = String(mint);
+  const cached = notOnCurve.get(key);
+  if (cached && Date.now() - cached.at < cached.ttl) return null;
+  const mintPk = new PublicKey(key);
+  const bondingCurve = getBondingCurveAddress(mintPk);
+  const [curveInfo, mintInfo] = await connection.getMultipleAccountsInfo([
+    bondingCurve,
+    mintPk,
+  ]);
+  const curve =
+    curveInfo && curveInfo.owner?.equals?.(PUMPFUN_PROGRAM_ID)
+      ? decodeBondingCurve(curveInfo.data)
+      : null;
+  if (!curve) {
+    notOnCurve.set(key, { at: Date.now(), ttl: NO_CURVE_TTL_MS });
+    return null;
+  }
+  if (curve.complete || !curve.creator || curve.realTokenReserves === 0n) {
+    notOnCurve.set(key, { at: Date.now(), ttl: OFF_CURVE_TTL_MS });
+    return null;
+  }
+  return {
+    ...curve,
+    mint: mintPk,
+    bondingCurve,
+    tokenProgram: mintInfo?.owner || TOKEN_PROGRAM_ID,
+  };
+}
+
+// Tokens out for lamportsIn (fee taken from the input), capped at what is left on the curve
+export function quoteBuy(curve, lamportsIn, feeBps = FEE_BPS) {
+  const gross = BigInt(lamportsIn);
+  const net = (gross * 10000n) / (10000n + BigInt(feeBps));
+  const vT = curve.virtualTokenReserves;
+  const vS = curve.virtualSolReserves;
+  let tokensOut = (net * vT) / (vS + net);
+  if (tokensOut > curve.realTokenReserves) tokensOut = curve.realTokenReserves;
+  // Impact vs. the spot price vS / vT
+  const spotTokens = Number(net) * (Number(vT) / Number(vS));
+  const priceImpactPct = spotTokens > 0 ? (1 - Number(tokensOut) / spotTokens) * 100 : 0;
+  return { tokensOut, feeLamports: gross - net, priceImpactPct };
+}
+
+// Lamports out for tokensIn, after the fee
+export function quoteSell(curve, tokensIn, feeBps = FEE_BPS) {
+  const amount = BigInt(tokensIn);
+  const vT = curve.virtualTokenReserves;
+  const vS = curve.virtualSolReserves;
+  const gross = (amount * vS) / (vT + amount);
+  const fee = (gross * BigInt(feeBps)) / 10000n;
+  const spotLamports = Number(amount) * (Number(vS) / Number(vT));
+  const priceImpactPct = spotLamports > 0 ? (1 - Number(gross) / spotLamports) * 100 : 0;
+  return { lamportsOut: gross - fee, feeLamports: fee, priceImpactPct };
+}
+
+export function capSlippageBps(slippageBps, maxBps = MAX_SLIPPAGE_BPS) {
+  return Math.max(0, Math.min(Math.floor(Number(slippageBps) || 0), maxBps));
+}
+
+// Jupiter-shaped route for a swap against the curve, or null when the token is
+// not on a live curve. amountRaw is lamports for buys and token units for sells.
+export async function getPumpfunQuote({
+  inputMint,
+  outputMint,
+  amountRaw,
+  slippageBps = 100,
+  connection,
+}) {
+  if (!isPumpfunDirectEnabled()) return null;
+  const side =
+    inputMint === NATIVE_SOL ? "buy" : outputMint === NATIVE_SOL ? "sell" : null;
+  if (!side) return null;
+  const mint = side === "buy" ? outputMint : inputMint;
+  if (!couldBePumpfunMint(mint)) return null;
+  const curve = await getBondingCurveState(mint, { connection });
+  if (!curve) return null;
+  const bps = capSlippageBps(slippageBps);
+  const amount = BigInt(amountRaw);
+  let inAmount = amount;
+  let outAmount;
+  let threshold;
+  let priceImpactPct;
+  if (side === "buy") {
+    const q = quoteBuy(curve, amount);
+    if (q.tokensOut <= 0n) return null;
+    outAmount = q.tokensOut;
+    // Spends exactly amountRaw for at least the quote less slippage
+    threshold = (q.tokensOut * BigInt(10000 - bps)) / 10000n;
+    priceImpactPct = q.priceImpactPct;
+  } else {
+    const q = quoteSell(curve, amount);
+    if (q.lamportsOut <= 0n) return null;
+    outAmount = q.lamportsOut;
+    threshold = (q.lamportsOut * BigInt(10000 - bps)) / 10000n;
+    priceImpactPct = q.priceImpactPct;
+  }
+  return {
+    inputMint,
+    outputMint,
+    inAmount: inAmount.toString(),
+    outAmount: outAmount.toString(),
+    otherAmountThreshold: threshold.toString(),
+    swapMode: "ExactIn",
+    slippageBps: bps,
+    priceImpactPct: priceImpactPct.toFixed(4),
+    routePlan: [
+      {
+        percent: 100,
+        swapInfo: {
+          label: "Pump.fun",
+          ammKey: curve.bondingCurve.toBase58(),
+          inputMint,
+          outputMint,
+          inAmount: inAmount.toString(),
+          outAmount: outAmount.toString(),
+        },
+      },
+    ],
+    pumpfun: {
+      side,
+      mint: curve.mint.toBase58(),
+      bondingCurve: curve.bondingCurve.toBase58(),
+      creator: curve.creator.toBase58(),
+      tokenProgram: curve.tokenProgram.toBase58(),
+    },
+  };
+}
+
+function u64Args(discriminator, a, b) {
+  const d = Buffer.alloc(24);
+  discriminator.copy(d, 0);
+  d.writeBigUInt64LE(BigInt(a), 8);
+  d.writeBigUInt64LE(BigInt(b), 16);
+  return d;
+}
+
+// buy_exact_sol_in(spendable_sol_in, min_tokens_out) / sell(amount,
+// min_sol_output) for the curve in `p` (route.pumpfun): `amount` goes in and
+// at least `minOut` comes out, in lamports and raw token units.
+export function createPumpfunSwapInstruction({ side, user, p, amount, minOut }) {
+  const mint = new PublicKey(p.mint);
+  const bondingCurve = new PublicKey(p.bondingCurve);
+  const tokenProgram = new PublicKey(p.tokenProgram);
+  const userPk = new PublicKey(user);
+  const global = pda([Buffer.from("global")]);
+  const eventAuthority = pda([Buffer.from("__event_authority")]);
+  const creatorVault = pda([
+    Buffer.from("creator-vault"),
+    new PublicKey(p.creator).toBuffer(),
+  ]);
+  const feeConfig = pda(
+    [Buffer.from("fee_config"), PUMPFUN_PROGRAM_ID.toBuffer()],
+    PUMPFUN_FEE_PROGRAM_ID
+  );
+  const ro = (pubkey) => ({ pubkey, isSigner: false, isWritable: false });
+  const rw = (pubkey) => ({ pubkey, isSigner: false, isWritable: true });
+  const head = [
+    ro(global),
+    rw(FEE_RECIPIENT),
+    ro(mint),
+    rw(bondingCurve),
+    rw(getAssociatedTokenAddress(mint, bondingCurve, tokenProgram)),
+    rw(getAssociatedTokenAddress(mint, userPk, tokenProgram)),
+    { pubkey: userPk, isSigner: true, isWritable: true },
+    ro(SystemProgram.programId),
+  ];
+  const keys =
+    side === "buy"
+      ? [
+          ...head,
+          ro(tokenProgram),
+          rw(creatorVault),
+          ro(eventAuthority),
+          ro(PUMPFUN_PROGRAM_ID),
+          rw(pda([Buffer.from("global_volume_accumulator")])),
+          rw(pda([Buffer.from("user_volume_accumulator"), userPk.toBuffer()])),
+          ro(feeConfig),
+          ro(PUMPFUN_FEE_PROGRAM_ID),
+        ]
+      : [
+          ...head,
+          rw(creatorVault),
+          ro(tokenProgram),
+          ro(eventAuthority),
+          ro(PUMPFUN_PROGRAM_ID),
+          ro(feeConfig),
+          ro(PUMPFUN_FEE_PROGRAM_ID),
+        ];
+  return new TransactionInstruction({
+    programId: PUMPFUN_PROGRAM_ID,
+    keys,
+    data: u64Args(
+      side === "buy" ? BUY_EXACT_SOL_IN_DISCRIMINATOR : SELL_DISCRIMINATOR,
+      amount,
+      minOut
+    ),
+  });
+}
+
+// Unsigned v0 swap transaction for a Pump.fun route; same return shape as the
+// Jupiter build ({ tx, lastValidBlockHeight })
+export async function buildPumpfunSwapTx({ route, userPk, priorityFeeLamports }) {
+  const p = route?.pumpfun;
+  if (!p) throw new Error("not_a_pumpfun_route");
+  const user = new PublicKey(userPk);
+  const instructions = [
+    ComputeBudgetProgram.setComputeUnitLimit({ units: CU_LIMIT }),
+    ComputeBudgetProgram.setComputeUnitPrice({
+      microLamports: Math.floor(
+        (Math.max(0, Number(priorityFeeLamports) || 0) * 1e6) / CU_LIMIT
+      ),
+    }),
+  ];
+  if (p.side === "buy") {
+    const mint = new PublicKey(p.mint);
+    const tokenProgram = new PublicKey(p.tokenProgram);
+    instructions.push(
+      createAssociatedTokenAccountIdempotentInstruction(
+        user,
+        getAssociatedTokenAddress(mint, user, tokenProgram),
+        user,
+        mint,
+        tokenProgram
+      ),
+      createPumpfunSwapInstruction({
+        side: "buy",
+        user,
+        p,
+        amount: route.inAmount,
+        minOut: route.otherAmountThreshold,
+      })
+    );
+  } else {
+    instructions.push(
+      createPumpfunSwapInstruction({
+        side: "sell",
+        user,
+        p,
+        amount: route.inAmount,
+        minOut: route.otherAmountThreshold,
+      })
+    );
+  }
+  const { blockhash, lastValidBlockHeight } = await getLatestBlockhashRaced();
+  const message = new TransactionMessage({
+    payerKey: user,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+  return {
+    tx: new VersionedTransaction(message),
+    lastValidBlockHeight: lastValidBlockHeight ?? null,
+  };
+}
+
+export function __resetPumpfunCacheForTests() {
+  notOnCurve.clear();
+}
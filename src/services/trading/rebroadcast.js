@@ -0,0 +1,70 @@
+// Automatic rebroadcast of a swap whose blockhash expired before it landed:
+// the same signed message gets a fresh blockhash and an escalated
+// compute-unit price, is re-signed and sent again. signatureMonitor only calls
+// the rebroadcaster after confirming no earlier attempt landed.
+import { getLatestBlockhashRaced, sendTransactionRaced } from "../rpc.js";
+import { computePriorityFeeCap } from "../fees.js";
+import { readComputeBudget, writeComputeUnitPrice } from "./computeUnits.js";
+
+const DEFAULT_UNIT_LIMIT = 200_000;
+const FEE_MULTIPLIER = Number(process.env.TX_RETRY_FEE_MULTIPLIER || 1.5);
+
+export const DEFAULT_RETRY_ATTEMPTS = Number(
+  process.env.TX_RETRY_MAX_ATTEMPTS ?? 2
+);
+
+// Next compute-unit price: current * multiplier, clamped so the priority fee
+// stays within capLamports. null when the fee would pass the user's max.
+export function nextRetryFee({
+  microLamports,
+  unitLimit,
+  multiplier = FEE_MULTIPLIER,
+  capLamports,
+  maxFeeLamports = null,
+}) {
+  const units = Number(unitLimit) > 0 ? Number(unitLimit) : DEFAULT_UNIT_LIMIT;
+  let next = Math.ceil(Math.max(1, Number(microLamports) || 0) * multiplier);
+  if (Number.isFinite(capLamports) && (next * units) / 1e6 > capLamports) {
+    next = Math.max(Number(microLamports) || 0, Math.floor((capLamports * 1e6) / units));
+  }
+  const feeLamports = Math.ceil((next * units) / 1e6);
+  if (maxFeeLamports != null && feeLamports > Number(maxFeeLamports)) return null;
+  return { microLamports: next, feeLamports };
+}
+
+// Returns rebroadcast(attempt) -> { signature, lastValidBlockHeight, priorityFeeLamports } | null
+export function createRebroadcaster({
+  tx,
+  signer,
+  maxAttempts = DEFAULT_RETRY_ATTEMPTS,
+  maxFeeLamports = null,
+  latencyMs,
+  usePrivateRelay = false,
+  onRebroadcast,
+}) {
+  return async (attempt) => {
+    if (!tx || !signer || attempt > Number(maxAttempts || 0)) return null;
+    const budget = readComputeBudget(tx.message);
+    let priorityFeeLamports = null;
+    if (budget.priceIx) {
+      const next = nextRetryFee({
+        microLamports: budget.microLamports,
+        unitLimit: budget.unitLimit,
+        capLamports: computePriorityFeeCap(latencyMs),
+        maxFeeLamports,
+      });
+      if (!next) return null;
+      writeComputeUnitPrice(budget.priceIx, next.microLamports);
+      priorityFeeLamports = next.feeLamports;
+    }
+    const { blockhash, lastValidBlockHeight } = await getLatestBlockhashRaced();
+    tx.message.recentBlockhash = blockhash;
+    tx.sign([signer]);
+    const signature = await sendTransactionRaced(tx, { usePrivateRelay });
+    const res = { signature, lastValidBlockHeight, priorityFeeLamports };
+    try {
+      if (typeof onRebroadcast === "function") onRebroadcast({ attempt, ...res });
+    } catch {}
+    return res;
+  };
+}
@@ -1,10 +1,14 @@
 // User state management for navigation and settings
 import { appendTrade } from "./tradeStore.js";
+import { isPaperMode, PAPER_NAMESPACE } from "./trading/paperTrading.js";
 import { recordTradeEvent } from "./analytics/behaviorProfiling.js";
 import { getUserPublicKey } from "./userWallets.js";
+import { saveLimitOrder, markLimitOrderStatus } from "./limitOrderStore.js";
 import { MongoClient } from "mongodb";
 
 const userStates = new Map();
+// chatId -> promise of the persisted settings load started by getUserState
+const settingsLoads = new Map();
 
 // Whitelist of keys we persist to DB per user (focus on automation/settings)
 const PERSISTED_KEYS = new Set([
@@ -20,20 +24,29 @@ const PERSISTED_KEYS = new Set([
   "maxSnipeGasPrice",
   "snipePollInterval",
   "enableJitoForSnipes",
+  "jitoTipLamports",
+  "txRetryMaxAttempts",
+  "txRetryMaxFeeLamports",
   "snipeRetryCount",
   // Risk/alerts
   "lpUnlockAlerts",
+  "exitGridEnabled",
+  "trailingStops",
   // General settings
   "degenMode",
   "buyProtection",
   "expertMode",
   "privatePnl",
+  "paperMode",
   "enablePrivateRelay",
   "rpcStrategy",
   "dynamicPriorityFee",
   // Multi-wallet selection
   "multiWalletMode",
   "selectedWalletIds",
+  "multiWalletSplit",
+  "walletSplitWeights",
+  "walletSlippageBps",
   // Analytics toggles
   "enableBehaviorProfiling",
   "enableMultiHopCorrelation",
@@ -45,6 +58,14 @@ const PERSISTED_KEYS = new Set([
   "deltaMinRouteAgeMs",
   // Launch discovery filters
   "launchFilter",
+  // PnL lot accounting method
+  "pnlLotMethod",
+  // Trade guard (PIN / confirmation challenge)
+  "tradeGuardMode",
+  "tradeGuardThresholdSol",
+  "tradePinHash",
+  "tradePinFailures",
+  "tradePinLockedUntil",
   // Tier (optional)
   "tier"
 ]);
@@ -129,11 +150,15 @@ export function getUserState(chatId) {
       pumpFunAlerts: false,
       // New: LP unlock alert toggle (used by risk.js -> lpLockEvents wiring)
       lpUnlockAlerts: true,
+      // Fail-grace exit grid manages this chat's positions (SL/TP/ladder/trailing)
+      exitGridEnabled: false,
       // New settings toggles
       degenMode: false,
       buyProtection: false,
       expertMode: false,
       privatePnl: false,
+      // Paper trading: real quotes, simulated fills, separate positions/trades namespace
+      paperMode: false,
       // Execution preferences
       enablePrivateRelay: false, // use private relay for tx submission instead of public RPC when possible
       // Add RPC strategy selector (affects micro-batch racing behavior)
@@ -147,10 +172,16 @@ export function getUserState(chatId) {
       // Multi-wallet selection and mode
       multiWalletMode: false,
       selectedWalletIds: [],
+      multiWalletSplit: "equal", // equal | weighted | random
+      walletSplitWeights: {}, // { [walletId]: weight } for weighted splits
+      walletSlippageBps: {}, // { [walletId]: bps } per-wallet slippage override
       positions: [],
+      // Per-mint trailing stop config: { [mint]: { trailPct, activationPct, stepPct, sellPct, stopPct } }
+      trailingStops: {},
       limitOrders: [],
       watchedWallets: [],
       trades: [],
+      paperTrades: [],
       menuHistory: ["main"],
       // Defaults for quick actions
       defaultBuySol: 0.05,
@@ -173,6 +204,9 @@ export function getUserState(chatId) {
       maxSnipeGasPrice: 200000, // Max priority fee for snipe operations (lamports)
       snipePollInterval: 300, // Polling interval for liquidity checks (ms)
       enableJitoForSnipes: true, // Use Jito bundling for snipes by default
+      jitoTipLamports: null, // Jito bundle tip (lamports); null = JITO_TIP_LAMPORTS
+      txRetryMaxAttempts: null, // Rebroadcasts of an expired swap; null = TX_RETRY_MAX_ATTEMPTS
+      txRetryMaxFeeLamports: null, // Stop escalating past this priority fee (lamports); null = fee cap only
       snipeRetryCount: 3, // Number of retry attempts on failed snipe
       // New automation toggles
       preLPWatchEnabled: false,
@@ -188,6 +222,15 @@ export function getUserState(chatId) {
       tier: "basic",
       tierCaps: { basic: 1, plus: 3, pro: 10 }, // daily SOL cap per tier
       dailySpend: {}, // { YYYY-MM-DD: number }
+      // Lot matching for /pnl reports: fifo | lifo | avg
+      pnlLotMethod: "fifo",
+      // Trade guard: challenge trades above the threshold (null = never) and,
+      // in pin mode, every withdrawal, key export and wallet deletion
+      tradeGuardMode: "off", // off | confirm | pin
+      tradeGuardThresholdSol: null,
+      tradePinHash: null, // scrypt:<salt>:<hash>
+      tradePinFailures: 0,
+      tradePinLockedUntil: 0,
       // For text input flows
       pendingInput: null, // e.g., { type: 'IMPORT_WALLET', data: {...} }
       // Copy Trade state
@@ -198,11 +241,19 @@ export function getUserState(chatId) {
     });
 
     // Lazily hydrate from DB (best-effort, non-blocking)
-    loadSettingsFor(chatId).catch(() => {});
+    settingsLoads.set(chatId, loadSettingsFor(chatId).catch(() => null));
   }
   return userStates.get(chatId);
 }
 
+// getUserState once the chat's persisted settings are in; for decisions that
+// must not run on defaults (trade guard, PIN lockout)
+export async function ensureUserStateLoaded(chatId) {
+  const state = getUserState(chatId);
+  await settingsLoads.get(chatId);
+  return state;
+}
+
 export function setUserMenu(chatId, menu) {
   const state = getUserState(chatId);
   if (state.currentMenu !== menu) {
@@ -284,6 +335,17 @@ export function getRemainingDailyCap(chatId) {
 export function addTradeLog(chatId, trade) {
   const state = getUserState(chatId);
   const ts = Date.now();
+  // Paper-mode activity stays out of live history, analytics and PnL
+  if (trade?.paper || isPaperMode(state)) {
+    const entry = { ...trade, paper: true, timestamp: ts };
+    try {
+      state.paperTrades.push(entry);
+    } catch {}
+    try {
+      appendTrade(String(chatId), entry, { namespace: PAPER_NAMESPACE });
+    } catch {}
+    return;
+  }
   try {
     state.trades.push({ ...trade, timestamp: ts });
   } catch {}
@@ -296,9 +358,59 @@ export function addTradeLog(chatId, trade) {
   } catch {}
 }
 
+// Limit orders: buy-below / sell-above price triggers executed by limitOrderWatcher
 export function addLimitOrder(chatId, order) {
   const state = getUserState(chatId);
-  state.limitOrders.push({ ...order, createdAt: Date.now() });
+  const now = Date.now();
+  const side = order?.side === "sell" ? "sell" : "buy";
+  const tif = String(order?.timeInForce || "GTC").toUpperCase();
+  const expiresAt = Number.isFinite(Number(order?.expiresAt))
+    ? Number(order.expiresAt)
+    : null;
+  const entry = {
+    id:
+      order?.id ||
+      `lo${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    chatId: String(chatId),
+    side,
+    mint: String(order?.mint || "").trim(),
+    amountSol: side === "buy" ? Number(order?.amountSol || 0) : null,
+    percent:
+      side === "sell"
+        ? clamp(Number(order?.percent ?? 100), 1, 100)
+        : null,
+    triggerPriceSol: Number(order?.triggerPriceSol || 0),
+    timeInForce: ["GTC", "GTT", "IOC"].includes(tif)
+      ? tif
+      : expiresAt
+      ? "GTT"
+      : "GTC",
+    expiresAt,
+    slippageBps: Number.isFinite(Number(order?.slippageBps))
+      ? Number(order.slippageBps)
+      : null,
+    status: "active",
+    attempts: 0,
+    lastPriceSol: null,
+    createdAt: now,
+  };
+  state.limitOrders.push(entry);
+  // Best-effort persistence so the engine can resume after restart
+  saveLimitOrder(entry).catch(() => {});
+  return entry;
+}
+
+export async function cancelLimitOrder(chatId, id) {
+  const state = getUserState(chatId);
+  const ok = await markLimitOrderStatus(
+    id,
+    "cancelled",
+    { reason: "cancelled_by_user" },
+    { chatId }
+  ).catch(() => false);
+  const entry = (state.limitOrders || []).find((o) => o.id === id);
+  if (entry && entry.status === "active") entry.status = "cancelled";
+  return ok;
 }
 
 export function addWatchedWallet(chatId, walletAddress, label = "") {
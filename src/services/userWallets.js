@@ -39,50 +39,218 @@ export async function connectWalletsDb() {
   }
 }
 
-function getKey() {
-  const keyHex = process.env.WALLET_ENCRYPTION_KEY;
-  if (!keyHex) return null; // allow dev fallback without encryption
-  const key = Buffer.from(keyHex, "hex");
+// Stored key format: "v2:<keyId>:<ivHex>:<tagHex>:<dataHex>" (AES-256-GCM).
+// Older formats stay readable: "<ivHex>:<dataHex>" (AES-256-CBC) and the
+// "plain:" dev fallback. keyId is a short fingerprint so ciphertexts can name
+// the key that wrote them while keys rotate.
+const CIPHER_V2 = "v2";
+const CIPHER_AAD = Buffer.from("turbosol:wallet:v2");
+
+function isProduction() {
+  return String(process.env.NODE_ENV || "").toLowerCase() === "production";
+}
+
+function parseKeyHex(hex, name) {
+  const key = Buffer.from(String(hex).trim(), "hex");
   if (key.length !== 32) {
-    throw new Error("WALLET_ENCRYPTION_KEY must be 32-byte hex (64 hex chars)");
+    throw new Error(`${name} must be 32-byte hex (64 hex chars)`);
   }
   return key;
 }
 
-function encrypt(plaintext) {
-  const key = getKey();
-  if (!key) {
+export function keyFingerprint(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+// WALLET_ENCRYPTION_KEY_NEXT, when set, is the rotation target: new writes use
+// it and /rotatekey moves existing wallets onto it. PREVIOUS keys (comma-separated)
+// are only used to read wallets that were not rotated yet.
+function getKeyring() {
+  const keys = new Map();
+  const add = (hex, name) => {
+    if (!hex) return null;
+    const key = parseKeyHex(hex, name);
+    keys.set(keyFingerprint(key), key);
+    return key;
+  };
+  const current = add(process.env.WALLET_ENCRYPTION_KEY, "WALLET_ENCRYPTION_KEY");
+  const next = add(process.env.WALLET_ENCRYPTION_KEY_NEXT, "WALLET_ENCRYPTION_KEY_NEXT");
+  String(process.env.WALLET_ENCRYPTION_KEY_PREVIOUS || "")
+    .split(",")
+    .filter((h) => h.trim())
+    .forEach((h) => add(h, "WALLET_ENCRYPTION_KEY_PREVIOUS"));
+  const writeKey = next || current;
+  return { keys, writeKey, writeKeyId: writeKey ? keyFingerprint(writeKey) : null };
+}
+
+export function encrypt(plaintext) {
+  const { writeKey, writeKeyId } = getKeyring();
+  if (!writeKey) {
+    if (isProduction()) {
+      throw new Error("WALLET_ENCRYPTION_KEY is required in production");
+    }
     // Dev fallback: store plaintext with marker; NOT for production use
     return "plain:" + plaintext;
   }
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv("aes-256-cbc", key, iv);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", writeKey, iv);
+  cipher.setAAD(CIPHER_AAD);
   const enc = Buffer.concat([
     cipher.update(Buffer.from(plaintext, "utf8")),
     cipher.final(),
   ]);
-  return iv.toString("hex") + ":" + enc.toString("hex");
+  return [
+    CIPHER_V2,
+    writeKeyId,
+    iv.toString("hex"),
+    cipher.getAuthTag().toString("hex"),
+    enc.toString("hex"),
+  ].join(":");
 }
 
-function decrypt(ciphertext) {
+// { format: "v2" | "cbc" | "plain", keyId }
+export function describeCiphertext(ciphertext) {
+  const s = String(ciphertext || "");
+  if (s.startsWith("plain:")) return { format: "plain", keyId: null };
+  const parts = s.split(":");
+  if (parts[0] === CIPHER_V2 && parts.length === 5) {
+    return { format: CIPHER_V2, keyId: parts[1] };
+  }
+  if (parts.length === 2) return { format: "cbc", keyId: null };
+  return { format: "unknown", keyId: null };
+}
+
+export function decrypt(ciphertext) {
   if (ciphertext?.startsWith("plain:")) {
     // Dev fallback decoding
     return ciphertext.slice(6);
   }
-  const parts = ciphertext.split(":");
-  if (parts.length !== 2) {
+  const { keys } = getKeyring();
+  const { format, keyId } = describeCiphertext(ciphertext);
+  if (format === CIPHER_V2) {
+    const key = keys.get(keyId);
+    if (!key) throw new Error(`Wallet encryption key ${keyId} not configured`);
+    const [, , ivHex, tagHex, dataHex] = ciphertext.split(":");
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(ivHex, "hex")
+    );
+    decipher.setAAD(CIPHER_AAD);
+    decipher.setAuthTag(Buffer.from(tagHex, "hex"));
+    try {
+      const dec = Buffer.concat([
+        decipher.update(Buffer.from(dataHex, "hex")),
+        decipher.final(),
+      ]);
+      return dec.toString("utf8");
+    } catch {
+      throw new Error("Wallet ciphertext failed authentication");
+    }
+  }
+  if (format !== "cbc") {
     throw new Error("Invalid ciphertext format");
   }
-  const [ivHex, dataHex] = parts;
-  const key = getKey();
-  if (!key) {
+  if (!keys.size) {
     throw new Error("WALLET_ENCRYPTION_KEY not set");
   }
-  const iv = Buffer.from(ivHex, "hex");
-  const data = Buffer.from(dataHex, "hex");
-  const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);
-  const dec = Buffer.concat([decipher.update(data), decipher.final()]);
-  return dec.toString("utf8");
+  // Legacy CBC has no key id; try every configured key
+  const [ivHex, dataHex] = ciphertext.split(":");
+  for (const key of keys.values()) {
+    try {
+      const decipher = crypto.createDecipheriv(
+        "aes-256-cbc",
+        key,
+        Buffer.from(ivHex, "hex")
+      );
+      const dec = Buffer.concat([
+        decipher.update(Buffer.from(dataHex, "hex")),
+        decipher.final(),
+      ]).toString("utf8");
+      // A wrong key can still unpad cleanly; require a decodable 64-byte secret
+      if (bs58.decode(dec).length === 64) return dec;
+    } catch {}
+  }
+  throw new Error("Failed to decrypt legacy wallet ciphertext");
+}
+
+// True when a stored ciphertext should be rewritten under the current write key
+function needsRotation(ciphertext, writeKeyId) {
+  const { format, keyId } = describeCiphertext(ciphertext);
+  return format !== CIPHER_V2 || keyId !== writeKeyId;
+}
+
+// Stored wallets grouped by ciphertext format/key (including soft-deleted ones)
+export async function getWalletEncryptionStatus() {
+  const { writeKeyId } = getKeyring();
+  const stored = walletsCol
+    ? await walletsCol
+        .find({}, { projection: { encryptedPrivateKey: 1 } })
+        .toArray()
+    : Array.from(userWallets.values());
+  const status = { total: stored.length, writeKeyId, pending: 0, formats: {} };
+  for (const w of stored) {
+    const { format, keyId } = describeCiphertext(w.encryptedPrivateKey);
+    const label = format === CIPHER_V2 ? `v2:${keyId}` : format;
+    status.formats[label] = (status.formats[label] || 0) + 1;
+    if (needsRotation(w.encryptedPrivateKey, writeKeyId)) status.pending++;
+  }
+  return status;
+}
+
+// Re-encrypt every stored wallet under the write key while the bot keeps
+// running. Each update is conditional on the old ciphertext, so a wallet
+// written concurrently is left alone rather than clobbered.
+export async function rotateWalletEncryption() {
+  const { writeKeyId } = getKeyring();
+  if (!writeKeyId) throw new Error("WALLET_ENCRYPTION_KEY not set");
+  const result = { scanned: 0, rotated: 0, failed: [] };
+  if (walletsCol) {
+    const docs = await walletsCol
+      .find({}, { projection: { encryptedPrivateKey: 1 } })
+      .toArray();
+    for (const d of docs) {
+      result.scanned++;
+      if (!needsRotation(d.encryptedPrivateKey, writeKeyId)) continue;
+      try {
+        const next = encrypt(decrypt(d.encryptedPrivateKey));
+        const res = await walletsCol.updateOne(
+          { _id: d._id, encryptedPrivateKey: d.encryptedPrivateKey },
+          { $set: { encryptedPrivateKey: next, keyRotatedAt: new Date() } }
+        );
+        if (res?.modifiedCount > 0) result.rotated++;
+      } catch (e) {
+        result.failed.push({ id: d._id.toString(), error: e?.message || String(e) });
+      }
+    }
+    return result;
+  }
+  for (const [chatId, entry] of userWallets.entries()) {
+    result.scanned++;
+    if (!needsRotation(entry.encryptedPrivateKey, writeKeyId)) continue;
+    try {
+      entry.encryptedPrivateKey = encrypt(decrypt(entry.encryptedPrivateKey));
+      result.rotated++;
+    } catch (e) {
+      result.failed.push({ id: chatId, error: e?.message || String(e) });
+    }
+  }
+  return result;
+}
+
+// Startup guard: production must not run without a key or with plaintext wallets
+export async function assertWalletEncryptionReady() {
+  if (!isProduction()) return;
+  const { writeKeyId } = getKeyring();
+  if (!writeKeyId) {
+    throw new Error("WALLET_ENCRYPTION_KEY is required in production");
+  }
+  const status = await getWalletEncryptionStatus();
+  if (status.formats.plain) {
+    throw new Error(
+      `${status.formats.plain} wallet(s) are stored in plaintext; run "node scripts/rotateWalletKey.js" to encrypt them before starting in production`
+    );
+  }
 }
 
 // Helpers
@@ -148,20 +316,40 @@ export async function createUserWallet(chatId, name = "Wallet 1") {
   };
 }
 
+// activate=false keeps the current active wallet (backup restores); the
+// import is activated anyway when the chat has no active wallet yet.
+// Re-importing a wallet the chat already has returns it without a duplicate.
 export async function importUserWallet(
   chatId,
   privateKeyBase58,
-  name = "Imported"
+  name = "Imported",
+  { activate = true } = {}
 ) {
+  let keypair;
+  try {
+    keypair = Keypair.fromSecretKey(bs58.decode(privateKeyBase58));
+  } catch {
+    throw new Error("Invalid private key format");
+  }
   try {
-    const keypair = Keypair.fromSecretKey(bs58.decode(privateKeyBase58));
     const encryptedPrivateKey = encrypt(privateKeyBase58);
 
     if (walletsCol) {
-      await walletsCol.updateMany(
-        { chatId: chatId.toString(), active: true },
-        { $set: { active: false } }
+      const docs = (await getDbWallets(chatId)) || [];
+      const existing = docs.find(
+        (d) => d.publicKey === keypair.publicKey.toBase58()
       );
+      if (existing) {
+        if (activate) await setActiveInDb(chatId, existing._id.toString());
+        return existing.publicKey;
+      }
+      const active = activate || !docs.some((d) => d.active);
+      if (active) {
+        await walletsCol.updateMany(
+          { chatId: chatId.toString(), active: true },
+          { $set: { active: false } }
+        );
+      }
       const doc = {
         chatId: chatId.toString(),
         name,
@@ -169,12 +357,16 @@ export async function importUserWallet(
         publicKey: keypair.publicKey.toBase58(),
         createdAt: new Date(),
         imported: true,
-        active: true,
+        active,
       };
       const res = await walletsCol.insertOne(doc);
       return keypair.publicKey.toBase58();
     }
 
+    // In-memory storage holds a single wallet; never replace it implicitly
+    if (!activate && userWallets.has(chatId.toString())) {
+      throw new Error("only one wallet is supported without a database");
+    }
     userWallets.set(chatId.toString(), {
       encryptedPrivateKey,
       publicKey: keypair.publicKey.toBase58(),
@@ -185,7 +377,7 @@ export async function importUserWallet(
     });
     return keypair.publicKey.toBase58();
   } catch (error) {
-    throw new Error("Invalid private key format");
+    throw new Error(`Wallet import failed: ${error?.message || error}`);
   }
 }
 
@@ -321,6 +513,20 @@ export async function getAllUserWalletKeypairs(chatId) {
   }
 }
 
+// Plaintext keys for the user's own backup/export. walletId limits it to one wallet.
+export async function exportUserWalletKeys(chatId, { walletId } = {}) {
+  const list = await getAllUserWalletKeypairs(chatId);
+  return list
+    .filter((w) => !walletId || w.id === walletId)
+    .map((w) => ({
+      id: w.id,
+      name: w.name || null,
+      publicKey: w.publicKey,
+      privateKey: bs58.encode(w.keypair.secretKey),
+      active: w.active,
+    }));
+}
+
 // Optionally get a specific wallet by ID
 export async function getUserWalletKeypairById(chatId, walletId) {
   if (walletsCol) {
@@ -353,6 +559,26 @@ export function deleteUserWallet(chatId) {
   userWallets.delete(chatId.toString());
 }
 
+// Soft delete a single wallet; if it was active the next one takes over
+export async function deleteUserWalletById(chatId, walletId) {
+  if (walletsCol) {
+    const docs = await getDbWallets(chatId);
+    const doc = docs.find((d) => d._id.toString() === walletId);
+    if (!doc) throw new Error("Wallet not found");
+    await walletsCol.updateOne(
+      { _id: doc._id, chatId: chatId.toString() },
+      { $set: { deletedAt: new Date(), active: false } }
+    );
+    const rest = docs.filter((d) => d._id.toString() !== walletId);
+    if (doc.active && rest.length) await setActiveInDb(chatId, rest[0]._id.toString());
+    return { publicKey: doc.publicKey, remaining: rest.length };
+  }
+  const entry = userWallets.get(chatId.toString());
+  if (!entry || walletId !== "memory") throw new Error("Wallet not found");
+  deleteUserWallet(chatId);
+  return { publicKey: entry.publicKey, remaining: 0 };
+}
+
 // Database integration placeholders for compatibility
 export async function saveToDatabase() {}
 export async function loadFromDatabase() {}
@@ -0,0 +1,137 @@
+// Passphrase-encrypted wallet backups: scrypt-derived key + AES-256-GCM over a
+// JSON list of { name, publicKey, privateKey }. The file is self-describing so
+// /import can restore it without any server-side secret.
+import crypto from "crypto";
+import { promisify } from "util";
+import {
+  exportUserWalletKeys,
+  importUserWallet,
+  listUserWallets,
+} from "./userWallets.js";
+
+export const BACKUP_FORMAT = "turbosol-wallet-backup";
+const BACKUP_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+const SCRYPT_PARAMS = { N: 1 << 15, r: 8, p: 1 };
+const SALT_BYTES = 16;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Async so a restore does not stall other chats; parameters are always ours
+function deriveKey(passphrase, salt) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  return scrypt(String(passphrase), salt, 32, { N, r, p, maxmem: 128 * N * r * 2 });
+}
+
+// The KDF block comes from an uploaded file: only accept what encryptBackup
+// writes, so a crafted file cannot choose the work factor or memory use
+function checkKdf(kdf) {
+  const salt = Buffer.from(String(kdf?.salt || ""), "base64");
+  const pinned =
+    kdf?.name === "scrypt" &&
+    kdf.N === SCRYPT_PARAMS.N &&
+    kdf.r === SCRYPT_PARAMS.r &&
+    kdf.p === SCRYPT_PARAMS.p &&
+    salt.length === SALT_BYTES;
+  if (!pinned) throw new Error("Unsupported backup key derivation parameters");
+  return salt;
+}
+
+export async function encryptBackup(wallets, passphrase, { now = Date.now() } = {}) {
+  if (String(passphrase || "").length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(passphrase, salt);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const plaintext = JSON.stringify(
+    wallets.map((w) => ({
+      name: w.name || null,
+      publicKey: w.publicKey,
+      privateKey: w.privateKey,
+    }))
+  );
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date(now).toISOString(),
+    wallets: wallets.length,
+    kdf: { name: "scrypt", ...SCRYPT_PARAMS, salt: salt.toString("base64") },
+    cipher: {
+      name: "aes-256-gcm",
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+    },
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+// Accepts the parsed object or its JSON text
+export function parseBackup(input) {
+  let obj = input;
+  if (typeof input === "string" || Buffer.isBuffer(input)) {
+    try {
+      obj = JSON.parse(String(input));
+    } catch {
+      throw new Error("Not a wallet backup file");
+    }
+  }
+  if (obj?.format !== BACKUP_FORMAT) throw new Error("Not a wallet backup file");
+  if (obj.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${obj.version}`);
+  }
+  checkKdf(obj.kdf);
+  return obj;
+}
+
+export async function decryptBackup(input, passphrase) {
+  const backup = parseBackup(input);
+  const salt = Buffer.from(backup.kdf.salt, "base64");
+  try {
+    const key = await deriveKey(passphrase, salt);
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(backup.cipher.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(backup.cipher.tag, "base64"));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(backup.ciphertext, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+    return JSON.parse(plaintext);
+  } catch {
+    throw new Error("Wrong passphrase or corrupted backup");
+  }
+}
+
+// Backup of every wallet of the chat, ready to send as a document
+export async function createWalletBackup(chatId, passphrase) {
+  const wallets = await exportUserWalletKeys(chatId);
+  if (!wallets.length) throw new Error("No wallets to back up");
+  return encryptBackup(wallets, passphrase);
+}
+
+// Import the wallets of a backup; wallets the chat already has are skipped
+export async function restoreWalletBackup(chatId, input, passphrase) {
+  const wallets = await decryptBackup(input, passphrase);
+  const existing = new Set(
+    (await listUserWallets(chatId).catch(() => [])).map((w) => w.publicKey)
+  );
+  const imported = [];
+  const skipped = [];
+  for (const w of wallets) {
+    if (existing.has(w.publicKey)) {
+      skipped.push(w.publicKey);
+      continue;
+    }
+    const pub = await importUserWallet(chatId, w.privateKey, w.name || "Restored", {
+      activate: false,
+    });
+    existing.add(pub);
+    imported.push(pub);
+  }
+  return { imported, skipped };
+}
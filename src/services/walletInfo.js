@@ -17,7 +17,7 @@ const _balanceCacheByChat = new Map(); // key -> { ts, solBalance, lamportsBalan
 const TOKEN_LIST_TTL_MS = Number(process.env.TOKEN_LIST_TTL_MS || 20000);
 const TOKEN_META_TTL_MS = Number(process.env.TOKEN_META_TTL_MS || 3600_000);
 const TOKEN_PROGRAM_ID = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
-const TOKEN_2022_PROGRAM_ID = "TokenzQdBNbLqUfnv3V9xRpxo3cLZg1VbG7sWXeDaD7B";
+const TOKEN_2022_PROGRAM_ID = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
 
 export async function getTokenMeta(mint) {
   const now = Date.now();
@@ -71,13 +71,14 @@ export async function getWalletSellTokens(chatId) {
       programId: new PublicKey(TOKEN_2022_PROGRAM_ID),
     });
   } catch {}
+  // Tag each account with its program so transfers can target the right one
   const combined = [
-    ...((resp1 && resp1.value) || []),
-    ...((resp2 && resp2.value) || []),
+    ...((resp1 && resp1.value) || []).map((a) => ({ ...a, programId: TOKEN_PROGRAM_ID })),
+    ...((resp2 && resp2.value) || []).map((a) => ({ ...a, programId: TOKEN_2022_PROGRAM_ID })),
   ];
 
   const byMint = new Map();
-  for (const { account } of combined) {
+  for (const { account, programId } of combined) {
     const info = account?.data?.parsed?.info;
     const amount = info?.tokenAmount?.amount;
     const decimals = info?.tokenAmount?.decimals ?? 0;
@@ -85,13 +86,13 @@ export async function getWalletSellTokens(chatId) {
     if (!mint || !amount) continue;
     const raw = Number(amount);
     if (!Number.isFinite(raw)) continue;
-    const prev = byMint.get(mint) || { raw: 0, decimals };
-    byMint.set(mint, { raw: prev.raw + raw, decimals });
+    const prev = byMint.get(mint) || { raw: 0, decimals, programId };
+    byMint.set(mint, { raw: prev.raw + raw, decimals, programId });
   }
 
   // Build items (filter non-zero)
   const items = [];
-  for (const [mint, { raw, decimals }] of byMint.entries()) {
+  for (const [mint, { raw, decimals, programId }] of byMint.entries()) {
     if (raw <= 0) continue;
     const uiAmount = raw / Math.pow(10, Math.max(0, decimals));
     if (uiAmount <= 0) continue;
@@ -100,6 +101,7 @@ export async function getWalletSellTokens(chatId) {
       mint,
       uiAmount,
       decimals,
+      programId,
       symbol: meta.symbol,
       name: meta.name,
     });
@@ -0,0 +1,240 @@
+// Consolidation sweep: move SOL and token balances from secondary wallets back
+// into one main wallet. planSweep is a pure dry run used for the preview;
+// executeSweep sends token transfers first and then drains the SOL remainder.
+import { LAMPORTS_PER_SOL, PublicKey } from "@solana/web3.js";
+import { getAllUserWalletKeypairs } from "./userWallets.js";
+import { getUserConnectionInstance } from "./wallet.js";
+import { getPriorityFeeLamports } from "./config.js";
+import { getWalletTokenAccounts } from "./splToken.js";
+import {
+  transferSol,
+  transferSplToken,
+  estimateTransferFeeLamports,
+  ATA_RENT_LAMPORTS,
+} from "./miscActions.js";
+
+// Below this the SOL leg costs more than it recovers
+const MIN_SOL_SWEEP_LAMPORTS = Number(
+  process.env.SWEEP_MIN_SOL_LAMPORTS || 50_000
+);
+
+function walletRef(w) {
+  return { id: w.id, name: w.name || null, publicKey: w.publicKey };
+}
+
+// wallets: [{ id, name, publicKey, lamports, tokens: [{ account, mint, amountRaw, decimals, uiAmount, programId }] }]
+export function planSweep({
+  wallets,
+  mainId,
+  includeSol = true,
+  includeTokens = true,
+  priorityMicroLamports = 0,
+  minSolLamports = MIN_SOL_SWEEP_LAMPORTS,
+}) {
+  const main = (wallets || []).find((w) => w.id === mainId);
+  if (!main) throw new Error("main wallet not found");
+  // ATAs main already has (or will have after an earlier leg creates it)
+  const mainAtas = new Set(
+    (main.tokens || []).map((t) => `${t.programId}:${t.mint}`)
+  );
+  const tokenFee = estimateTransferFeeLamports(2, priorityMicroLamports);
+  const solFee = estimateTransferFeeLamports(1, priorityMicroLamports);
+  const sources = [];
+  for (const w of wallets) {
+    if (w.id === mainId) continue;
+    const lamports = Math.max(0, Math.floor(Number(w.lamports) || 0));
+    const candidates = includeTokens
+      ? (w.tokens || []).filter((t) => BigInt(t.amountRaw || 0) > 0n)
+      : [];
+    const tokens = [];
+    let cost = 0;
+    for (const t of candidates) {
+      const key = `${t.programId}:${t.mint}`;
+      const createsAta = !mainAtas.has(key);
+      const legCost = tokenFee + (createsAta ? ATA_RENT_LAMPORTS : 0);
+      // Fees come out of the source wallet; skip legs it cannot pay for
+      if (cost + legCost > lamports) continue;
+      cost += legCost;
+      if (createsAta) mainAtas.add(key);
+      tokens.push({ ...t, createsAta });
+    }
+    const leftover = lamports - cost - solFee;
+    const solLamports = includeSol && leftover >= minSolLamports ? leftover : 0;
+    const feeLamports =
+      tokens.length * tokenFee + (solLamports > 0 ? solFee : 0);
+    const source = {
+      wallet: walletRef(w),
+      tokens,
+      solLamports,
+      feeLamports,
+      ataRentLamports:
+        tokens.filter((t) => t.createsAta).length * ATA_RENT_LAMPORTS,
+    };
+    if (tokens.length < candidates.length) {
+      source.skippedTokens = candidates.length - tokens.length;
+    }
+    if (!tokens.length && !solLamports) continue;
+    sources.push(source);
+  }
+  return {
+    main: walletRef(main),
+    includeSol,
+    includeTokens,
+    sources,
+    totals: {
+      solLamports: sources.reduce((a, s) => a + s.solLamports, 0),
+      tokenTransfers: sources.reduce((a, s) => a + s.tokens.length, 0),
+      feeLamports: sources.reduce((a, s) => a + s.feeLamports, 0),
+      ataRentLamports: sources.reduce((a, s) => a + s.ataRentLamports, 0),
+      skippedTokens: sources.reduce((a, s) => a + (s.skippedTokens || 0), 0),
+    },
+  };
+}
+
+// Balances of every wallet of the chat, in the shape planSweep expects
+export async function collectSweepBalances(chatId) {
+  const wallets = await getAllUserWalletKeypairs(chatId);
+  const conn = await getUserConnectionInstance(chatId);
+  const out = [];
+  for (const w of wallets) {
+    const [lamports, tokens] = await Promise.all([
+      conn.getBalance(new PublicKey(w.publicKey)).catch(() => 0),
+      getWalletTokenAccounts(w.publicKey).catch(() => []),
+    ]);
+    out.push({ ...walletRef(w), active: !!w.active, lamports, tokens });
+  }
+  return out;
+}
+
+// Runs the plan wallet by wallet. The SOL leg re-reads the balance after the
+// token legs so the drain matches what fees actually cost.
+export async function executeSweep(chatId, plan, { onProgress } = {}) {
+  const keypairs = await getAllUserWalletKeypairs(chatId);
+  const byId = new Map(keypairs.map((w) => [w.id, w]));
+  const conn = await getUserConnectionInstance(chatId);
+  const to = plan.main.publicKey;
+  const results = [];
+  for (const source of plan.sources) {
+    const w = byId.get(source.wallet.id);
+    if (!w) {
+      results.push({
+        wallet: source.wallet,
+        kind: "wallet",
+        ok: false,
+        error: "wallet_missing",
+      });
+      continue;
+    }
+    for (const t of source.tokens) {
+      const leg = { wallet: source.wallet, kind: "token", mint: t.mint, uiAmount: t.uiAmount };
+      try {
+        const res = await transferSplToken({
+          chatId,
+          fromWallet: w.keypair,
+          to,
+          mint: t.mint,
+          amountRaw: t.amountRaw,
+          decimals: t.decimals,
+          programId: t.programId,
+          sourceAccount: t.account,
+        });
+        results.push({ ...leg, ok: true, txid: res.txid });
+      } catch (e) {
+        results.push({ ...leg, ok: false, error: String(e?.message || e) });
+      }
+      onProgress?.(results[results.length - 1]);
+    }
+    if (!(source.solLamports > 0)) continue;
+    try {
+      // Token legs may still be confirming; give the balance a moment to settle
+      if (source.tokens.length) await new Promise((r) => setTimeout(r, 1500));
+      const balance = await conn.getBalance(w.keypair.publicKey, "confirmed");
+      const lamports =
+        balance - estimateTransferFeeLamports(1, getPriorityFeeLamports());
+      if (lamports < MIN_SOL_SWEEP_LAMPORTS) throw new Error("balance_below_minimum");
+      const res = await transferSol({
+        chatId,
+        fromWallet: w.keypair,
+        to,
+        amountSol: lamports / LAMPORTS_PER_SOL,
+      });
+      results.push({
+        wallet: source.wallet,
+        kind: "sol",
+        sol: lamports / LAMPORTS_PER_SOL,
+        ok: true,
+        txid: res.txid,
+      });
+    } catch (e) {
+      results.push({
+        wallet: source.wallet,
+        kind: "sol",
+        ok: false,
+        error: String(e?.message || e),
+      });
+    }
+    onProgress?.(results[results.length - 1]);
+  }
+  return results;
+}
+
+function label(ref) {
+  return ref.name || `${ref.publicKey.slice(0, 4)}…${ref.publicKey.slice(-4)}`;
+}
+
+function sol(lamports) {
+  return (lamports / LAMPORTS_PER_SOL).toFixed(6);
+}
+
+export function formatSweepPreview(plan) {
+  const lines = [
+    "🧹 Sweep preview (dry run)",
+    `• Into: ${label(plan.main)} (${plan.main.publicKey})`,
+    `• SOL: ${plan.includeSol ? "yes" : "no"} • Tokens: ${plan.includeTokens ? "yes" : "no"}`,
+  ];
+  if (!plan.sources.length) {
+    lines.push("", "Nothing to sweep.");
+    return lines.join("\n");
+  }
+  lines.push("");
+  for (const s of plan.sources) {
+    lines.push(`👛 ${label(s.wallet)}`);
+    for (const t of s.tokens) {
+      lines.push(
+        `  • ${t.uiAmount} of ${t.mint.slice(0, 6)}…${t.createsAta ? " (creates account)" : ""}`
+      );
+    }
+    if (s.solLamports > 0) lines.push(`  • ≈${sol(s.solLamports)} SOL`);
+    if (s.skippedTokens) {
+      lines.push(`  • ${s.skippedTokens} token(s) skipped: not enough SOL for fees`);
+    }
+  }
+  const t = plan.totals;
+  lines.push(
+    "",
+    `Total: ≈${sol(t.solLamports)} SOL + ${t.tokenTransfers} token transfer(s)`,
+    `Est. fees: ${sol(t.feeLamports)} SOL${t.ataRentLamports ? ` + ${sol(t.ataRentLamports)} SOL account rent` : ""}`
+  );
+  return lines.join("\n");
+}
+
+export function formatSweepResults(results) {
+  const ok = results.filter((r) => r.ok).length;
+  const lines = [
+    `${ok === results.length ? "✅" : ok ? "⚠️" : "❌"} Sweep finished: ${ok}/${results.length} transfer(s) sent`,
+  ];
+  for (const r of results) {
+    const what =
+      r.kind === "sol"
+        ? `${r.sol != null ? r.sol.toFixed(6) : ""} SOL`.trim()
+        : r.kind === "token"
+        ? `${r.uiAmount} of ${r.mint.slice(0, 6)}…`
+        : "wallet";
+    lines.push(
+      r.ok
+        ? `  ✓ ${label(r.wallet)}: ${what} • ${String(r.txid || "").slice(0, 8)}…`
+        : `  ✗ ${label(r.wallet)}: ${what} — ${r.error}`
+    );
+  }
+  return lines.join("\n");
+}
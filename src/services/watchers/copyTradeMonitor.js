@@ -11,6 +11,7 @@ import { getBotInstance } from "../telegram.js";
 import { notifyTxStatus } from "../telegram.js";
 import { performSwap, quickSell, NATIVE_SOL } from "../trading/jupiter.js";
 import { riskCheckToken } from "../risk.js";
+import { analyzeSwapDirection } from "../swapParser.js";
 
 // Lightweight copy-trade monitor:
 // - Polls recent signatures for each followed wallet
@@ -26,67 +27,6 @@ function clamp(n, lo, hi) {
   return Math.max(lo, Math.min(hi, n));
 }
 
-async function analyzeSwapDirection(connection, tx) {
-  // Minimal inference using pre/post token balances
-  try {
-    const meta = tx?.meta;
-    const pre = meta?.preTokenBalances || [];
-    const post = meta?.postTokenBalances || [];
-    // Map owner->mint balances delta
-    const byMint = new Map();
-    for (const b of post) {
-      const m = b?.mint;
-      if (!m) continue;
-      const ui = Number(b?.uiTokenAmount?.uiAmount || 0);
-      const preMatch = pre.find(
-        (p) =>
-          p?.mint === m &&
-          p?.owner === b?.owner &&
-          p?.accountIndex === b?.accountIndex
-      );
-      const preUi = Number(preMatch?.uiTokenAmount?.uiAmount || 0);
-      const delta = ui - preUi;
-      const agg = byMint.get(m) || 0;
-      byMint.set(m, agg + delta);
-    }
-    // Identify largest positive delta mint (acquired) and largest negative delta mint (spent)
-    let maxPos = { mint: null, amt: 0 };
-    let maxNeg = { mint: null, amt: 0 };
-    for (const [m, v] of byMint.entries()) {
-      if (v > maxPos.amt) maxPos = { mint: m, amt: v };
-      if (v < maxNeg.amt) maxNeg = { mint: m, amt: v };
-    }
-    if (!maxPos.mint && !maxNeg.mint) return null;
-    const acquired = maxPos.amt > 0 ? maxPos : null;
-    const spent = maxNeg.amt < 0 ? maxNeg : null;
-
-    // Determine if SOL is leg: check native balance change of payer (account 0)
-    const preLam = Number(tx?.meta?.preBalances?.[0] ?? NaN);
-    const postLam = Number(tx?.meta?.postBalances?.[0] ?? NaN);
-    const solDelta =
-      Number.isFinite(preLam) && Number.isFinite(postLam)
-        ? (postLam - preLam) / 1e9
-        : 0;
-
-    if (acquired && solDelta < 0) {
-      // BUY: spent SOL to acquire acquired.mint
-      return { type: "buy", mint: acquired.mint, amountOut: acquired.amt };
-    }
-    if (spent && solDelta > 0) {
-      // SELL: sold spent.mint to get SOL
-      return { type: "sell", mint: spent.mint, amountIn: Math.abs(spent.amt) };
-    }
-
-    // Fallback: logs heuristic for Jupiter mentions
-    const logs = tx?.meta?.logMessages || [];
-    for (const l of logs) {
-      if (/jupiter|swap/i.test(l) && acquired?.mint)
-        return { type: "buy", mint: acquired.mint };
-    }
-  } catch {}
-  return null;
-}
-
 function getAllowlist() {
   const raw = String(process.env.COPY_TRADE_ALLOWLIST || "").trim();
   if (!raw) return null;
@@ -351,7 +291,7 @@ export function startCopyTradeMonitor(
               maxSupportedTransactionVersion: 0,
             }).catch(() => null);
             if (!tx) continue;
-            const event = await analyzeSwapDirection(null, tx);
+            const event = analyzeSwapDirection(tx);
             if (event && (event.type === "buy" || event.type === "sell")) {
               await maybeExecuteCopy({
                 chatId,
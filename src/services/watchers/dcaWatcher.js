@@ -0,0 +1,280 @@
+import { performSwap, quickSell, NATIVE_SOL } from "../trading/jupiter.js";
+import { addTradeLog } from "../userState.js";
+import { hasUserWallet } from "../userWallets.js";
+import { getBotInstance, notifyTxStatus } from "../telegram.js";
+import { getWatchersPaused } from "../config.js";
+import { quoteOrderPriceSol } from "./limitOrderWatcher.js";
+import {
+  saveDcaPlan,
+  loadActiveDcaPlans,
+  markDcaPlanStatus,
+  updateDcaPlan,
+} from "../dcaStore.js";
+
+// DCA scheduler:
+// - Buy plans split a total SOL amount into N equal buys
+// - Sell plans split a share of the token balance into N equal sells
+// - One slice per interval; a price ceiling (buys) or floor (sells) defers the slice
+// - Plans persist in dcaStore and can be paused/resumed without losing progress
+
+const DEFAULT_POLL_MS = Number(process.env.DCA_POLL_MS || 5000);
+const MAX_ATTEMPTS = Number(process.env.DCA_MAX_ATTEMPTS || 3);
+const MIN_INTERVAL_MS = 10_000;
+
+let engine = null; // { interval, inflight: Set }
+
+// Size of the next sell slice as % of the current balance. Slices are equal
+// shares of the balance at plan start (portionPct of it in total).
+export function dcaSellPercent(plan) {
+  const slices = Number(plan.slices);
+  const done = Number(plan.slicesDone || 0);
+  const slicePct = Number(plan.portionPct ?? 100) / slices;
+  const remaining = 100 - done * slicePct;
+  if (remaining <= 0) return 100;
+  return Math.max(1, Math.min(100, Math.round((slicePct / remaining) * 100)));
+}
+
+function hasPriceBound(plan) {
+  return plan.side === "sell"
+    ? Number(plan.minPriceSol) > 0
+    : Number(plan.maxPriceSol) > 0;
+}
+
+export function evaluateDcaSlice(plan, { priceSol, now = Date.now() } = {}) {
+  if (!plan || plan.status !== "active") {
+    return { action: "skip", reason: "inactive" };
+  }
+  if (Number(plan.slicesDone || 0) >= Number(plan.slices)) {
+    return { action: "complete", reason: "all_slices_done" };
+  }
+  if (now < Number(plan.nextRunAt || 0)) {
+    return { action: "wait", reason: "not_due" };
+  }
+  const price = Number(priceSol);
+  const bounded = hasPriceBound(plan);
+  if (bounded && !(price > 0)) return { action: "defer", reason: "no_price" };
+  if (plan.side === "sell") {
+    if (bounded && price < Number(plan.minPriceSol)) {
+      return { action: "defer", reason: "below_floor" };
+    }
+    return { action: "execute", percent: dcaSellPercent(plan) };
+  }
+  if (bounded && price > Number(plan.maxPriceSol)) {
+    return { action: "defer", reason: "above_ceiling" };
+  }
+  return {
+    action: "execute",
+    amountSol: Number(plan.amountSol) / Number(plan.slices),
+  };
+}
+
+async function executeSlice(plan, decision) {
+  const chatId = plan.chatId;
+  const slippageBps = Number.isFinite(Number(plan.slippageBps))
+    ? Number(plan.slippageBps)
+    : undefined;
+  const slice = Number(plan.slicesDone || 0) + 1;
+  if (plan.side === "buy") {
+    const res = await performSwap({
+      inputMint: NATIVE_SOL,
+      outputMint: plan.mint,
+      amountSol: decision.amountSol,
+      chatId,
+      slippageBps,
+    });
+    const txid = res?.txid || null;
+    addTradeLog(chatId, {
+      kind: "buy",
+      mint: plan.mint,
+      sol: decision.amountSol,
+      tokens: Number(res?.output?.tokensOut ?? NaN),
+      route: res?.route?.labels,
+      priceImpactPct: res?.route?.priceImpactPct ?? null,
+      slippageBps: res?.slippageBps,
+      priorityFeeLamports: res?.priorityFeeLamports,
+      via: res?.via,
+      latencyMs: res?.latencyMs,
+      txid,
+      source: "dca",
+      planId: plan.id,
+    });
+    notifyTxStatus(chatId, txid, { kind: `DCA Buy ${slice}/${plan.slices}` }).catch(
+      () => {}
+    );
+    return txid;
+  }
+  const res = await quickSell({
+    tokenMint: plan.mint,
+    percent: decision.percent,
+    chatId,
+    slippageBps,
+  });
+  const txid = res?.txid || null;
+  addTradeLog(chatId, {
+    kind: "sell",
+    mint: plan.mint,
+    percent: decision.percent,
+    sol: Number(res?.output?.tokensOut ?? NaN),
+    route: res?.route?.labels,
+    priceImpactPct: res?.route?.priceImpactPct ?? null,
+    slippageBps: res?.slippageBps,
+    priorityFeeLamports: res?.priorityFeeLamports,
+    via: res?.via,
+    latencyMs: res?.latencyMs,
+    txid,
+    source: "dca",
+    planId: plan.id,
+  });
+  notifyTxStatus(chatId, txid, { kind: `DCA Sell ${slice}/${plan.slices}` }).catch(
+    () => {}
+  );
+  return txid;
+}
+
+async function processPlan(saved) {
+  const bot = getBotInstance();
+  // Telegram chat ids are numeric; the store keeps them as strings
+  const chatId = /^-?\d+$/.test(saved.chatId) ? Number(saved.chatId) : saved.chatId;
+  const plan = { ...saved, chatId };
+  const now = Date.now();
+  let priceSol = null;
+  if (hasPriceBound(plan) && now >= Number(plan.nextRunAt || 0)) {
+    const sliceSol = Number(plan.amountSol) / Number(plan.slices);
+    priceSol = await quoteOrderPriceSol({ ...plan, amountSol: sliceSol }).catch(
+      () => null
+    );
+  }
+  const decision = evaluateDcaSlice(plan, { priceSol, now });
+  if (decision.action === "skip" || decision.action === "wait") return;
+  if (decision.action === "complete") {
+    await markDcaPlanStatus(plan.id, "completed").catch(() => false);
+    return;
+  }
+  if (decision.action === "defer") {
+    // Bound not met: try again next interval without consuming the slice
+    await updateDcaPlan(plan.id, {
+      nextRunAt: now + Number(plan.intervalMs),
+      skippedSlices: Number(plan.skippedSlices || 0) + 1,
+      lastSkipReason: decision.reason,
+      ...(Number.isFinite(priceSol) ? { lastPriceSol: priceSol } : {}),
+    }).catch(() => false);
+    return;
+  }
+  if (!(await hasUserWallet(plan.chatId).catch(() => false))) return;
+  try {
+    const txid = await executeSlice(plan, decision);
+    const slicesDone = Number(plan.slicesDone || 0) + 1;
+    const patch = {
+      slicesDone,
+      attempts: 0,
+      lastTxid: txid,
+      lastRunAt: now,
+      nextRunAt: now + Number(plan.intervalMs),
+      spentSol: Number(plan.spentSol || 0) + Number(decision.amountSol || 0),
+      ...(Number.isFinite(priceSol) ? { lastPriceSol: priceSol } : {}),
+    };
+    if (slicesDone >= Number(plan.slices)) {
+      await markDcaPlanStatus(plan.id, "completed", patch).catch(() => false);
+      bot?.sendMessage?.(
+        plan.chatId,
+        `🔁 DCA ${plan.side.toUpperCase()} completed for ${plan.mint} (${slicesDone}/${plan.slices} slices)`
+      );
+    } else {
+      await updateDcaPlan(plan.id, patch).catch(() => false);
+    }
+  } catch (e) {
+    const msg = String(e?.message || e);
+    // Another buy for this mint is in flight; retry on next tick without penalty
+    if (msg.includes("buy_locked")) return;
+    const attempts = Number(plan.attempts || 0) + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+      await markDcaPlanStatus(plan.id, "failed", {
+        attempts,
+        reason: msg.slice(0, 200),
+      }).catch(() => false);
+      bot?.sendMessage?.(
+        plan.chatId,
+        `❌ DCA ${plan.side.toUpperCase()} for ${plan.mint} failed after ${attempts} attempts: ${msg}`
+      );
+    } else {
+      await updateDcaPlan(plan.id, { attempts }).catch(() => false);
+    }
+  }
+}
+
+// Persist a new plan; the first slice runs on the next engine tick
+export async function createDcaPlan(chatId, spec) {
+  const now = Date.now();
+  const side = spec?.side === "sell" ? "sell" : "buy";
+  const slices = Math.floor(Number(spec?.slices));
+  const intervalMs = Number(spec?.intervalMs);
+  if (!(slices >= 2)) throw new Error("need at least 2 slices");
+  if (!(intervalMs >= MIN_INTERVAL_MS)) throw new Error("interval must be at least 10s");
+  const plan = {
+    id: `dca${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    chatId: String(chatId),
+    side,
+    mint: spec.mint,
+    slices,
+    slicesDone: 0,
+    intervalMs,
+    nextRunAt: now,
+    createdAt: now,
+    status: "active",
+    attempts: 0,
+    skippedSlices: 0,
+  };
+  if (side === "buy") {
+    if (!(Number(spec.amountSol) > 0)) throw new Error("invalid SOL amount");
+    plan.amountSol = Number(spec.amountSol);
+    plan.spentSol = 0;
+    if (Number(spec.maxPriceSol) > 0) plan.maxPriceSol = Number(spec.maxPriceSol);
+  } else {
+    const portion = Number(spec.portionPct ?? 100);
+    if (!(portion > 0 && portion <= 100)) throw new Error("pct must be 1-100");
+    plan.portionPct = portion;
+    if (Number(spec.minPriceSol) > 0) plan.minPriceSol = Number(spec.minPriceSol);
+  }
+  if (Number.isFinite(Number(spec.slippageBps))) {
+    plan.slippageBps = Number(spec.slippageBps);
+  }
+  await saveDcaPlan(plan);
+  return plan;
+}
+
+export async function pauseDcaPlan(chatId, id) {
+  return updateDcaPlan(id, { status: "paused", pausedAt: Date.now() }, { chatId });
+}
+
+// Resuming runs the next slice right away if it fell due while paused
+export async function resumeDcaPlan(chatId, id) {
+  return updateDcaPlan(id, { status: "active", pausedAt: null }, { chatId });
+}
+
+export async function cancelDcaPlan(chatId, id) {
+  return markDcaPlanStatus(id, "cancelled", { reason: "user" }, { chatId });
+}
+
+export function startDcaEngine({ pollMs = DEFAULT_POLL_MS } = {}) {
+  if (engine?.interval) return;
+  engine = { interval: null, inflight: new Set() };
+  const inflight = engine.inflight;
+  engine.interval = setInterval(async () => {
+    try {
+      if (getWatchersPaused()) return;
+      const plans = await loadActiveDcaPlans().catch(() => []);
+      for (const plan of plans) {
+        if (inflight.has(plan.id)) continue;
+        inflight.add(plan.id);
+        processPlan(plan)
+          .catch(() => {})
+          .finally(() => inflight.delete(plan.id));
+      }
+    } catch {}
+  }, Math.max(1000, pollMs));
+}
+
+export function stopDcaEngine() {
+  if (engine?.interval) clearInterval(engine.interval);
+  engine = null;
+}
@@ -1,7 +1,12 @@
 import { PublicKey } from "@solana/web3.js";
 import { getUserState, addTradeLog } from "../userState.js";
-import { hasUserWallet, getUserWalletKeypairById } from "../userWallets.js";
+import { hasUserWallet } from "../userWallets.js";
 import { startLiquidityWatch } from "./liquidityWatcher.js";
+import {
+  startMultiWalletSnipe,
+  formatMultiWalletBuySummary,
+} from "../trading/multiWallet.js";
+import { getBotInstance } from "../telegram.js";
 import { getSignaturesForAddressRaced, getTransactionRaced } from "../rpc.js";
 
 const monitors = new Map();
@@ -124,36 +129,27 @@ async function triggerAutoSnipe(chatId, mint, source) {
       },
     });
   {
-    const st = getUserState(chatId) || {};
-    const selected = Array.isArray(st.selectedWalletIds)
-      ? st.selectedWalletIds
-      : [];
-    const multi = !!st.multiWalletMode;
-    if (multi && selected.length > 0) {
-      const wallets = (
-        await Promise.all(
-          selected.map((id) =>
-            getUserWalletKeypairById(chatId, id).catch(() => null)
-          )
-        )
-      ).filter(Boolean);
-      const count = wallets.length || 0;
-      const perWallet = count > 0 ? defaultSnipe / count : defaultSnipe;
-      for (const w of wallets) {
-        startLiquidityWatch(chatId, {
-          mint,
-          amountSol: perWallet,
-          priorityFeeLamports,
-          useJitoBundle,
-          pollInterval,
-          slippageBps,
-          retryCount,
-          source: `watch:${source}`,
-          signalType: "dev_wallet_activity",
-          walletOverride: w.keypair,
-        }).catch(() => {});
+    const legs = await startMultiWalletSnipe(
+      chatId,
+      {
+        mint,
+        amountSol: defaultSnipe,
+        priorityFeeLamports,
+        useJitoBundle,
+        pollInterval,
+        slippageBps,
+        retryCount,
+        source: `watch:${source}`,
+        signalType: "dev_wallet_activity",
+      },
+      {
+        onSummary: (sum) =>
+          getBotInstance()
+            ?.sendMessage(chatId, formatMultiWalletBuySummary(sum, { mint }))
+            .catch(() => {}),
       }
-    } else {
+    );
+    if (!legs) {
       startLiquidityWatch(chatId, {
         mint,
         amountSol: defaultSnipe,
@@ -0,0 +1,264 @@
+import {
+  getQuoteRaw,
+  getMintDecimals,
+  performSwap,
+  quickSell,
+  NATIVE_SOL,
+} from "../trading/jupiter.js";
+import { getRpcConnection } from "../rpc.js";
+import { getPositions } from "../positionStore.js";
+import { getUserState, addTradeLog } from "../userState.js";
+import { hasUserWallet } from "../userWallets.js";
+import { getBotInstance, notifyTxStatus } from "../telegram.js";
+import { getWatchersPaused } from "../config.js";
+import {
+  loadActiveLimitOrders,
+  loadLimitOrder,
+  markLimitOrderStatus,
+  touchLimitOrder,
+} from "../limitOrderStore.js";
+
+// Limit-order engine:
+// - Polls active orders from limitOrderStore (survives restarts)
+// - Prices each order via Jupiter quotes (SOL per token)
+// - Buy orders fire when price <= trigger, sell orders when price >= trigger
+// - Expiry (GTT) and immediate-or-cancel (IOC) are enforced per tick
+
+const DEFAULT_POLL_MS = Number(process.env.LIMIT_ORDER_POLL_MS || 2000);
+const MAX_ATTEMPTS = Number(process.env.LIMIT_ORDER_MAX_ATTEMPTS || 3);
+const QUOTE_SLIPPAGE_BPS = 150;
+
+let engine = null; // { interval, inflight: Set }
+
+export function evaluateLimitOrder(order, { priceSol, now = Date.now() } = {}) {
+  if (!order || order.status !== "active") {
+    return { action: "skip", reason: "inactive" };
+  }
+  const expiresAt = Number(order.expiresAt);
+  if (Number.isFinite(expiresAt) && expiresAt > 0 && now >= expiresAt) {
+    return { action: "expire", reason: "expired" };
+  }
+  const trigger = Number(order.triggerPriceSol);
+  if (!Number.isFinite(trigger) || trigger <= 0) {
+    return { action: "cancel", reason: "invalid_trigger" };
+  }
+  const isIoc = String(order.timeInForce || "").toUpperCase() === "IOC";
+  const price = Number(priceSol);
+  if (!Number.isFinite(price) || price <= 0) {
+    return isIoc
+      ? { action: "expire", reason: "ioc_unfilled" }
+      : { action: "wait", reason: "no_price" };
+  }
+  const hit = order.side === "sell" ? price >= trigger : price <= trigger;
+  if (hit) return { action: "execute", reason: "triggered" };
+  return isIoc
+    ? { action: "expire", reason: "ioc_unfilled" }
+    : { action: "wait", reason: "not_triggered" };
+}
+
+// SOL per token for an order: buys quote the order size, sells probe the position.
+// Also used by the DCA scheduler for its price ceiling/floor.
+export async function quoteOrderPriceSol(order) {
+  const connection = getRpcConnection();
+  const dec = await getMintDecimals(order.mint, connection).catch(() => 6);
+  if (order.side === "buy") {
+    const amountSol = Number(order.amountSol || 0);
+    const route = await getQuoteRaw({
+      inputMint: NATIVE_SOL,
+      outputMint: order.mint,
+      amountRaw: Math.floor(amountSol * 1e9),
+      slippageBps: QUOTE_SLIPPAGE_BPS,
+    }).catch(() => null);
+    if (!route || route.__error__) return null;
+    const tokens = Number(route.outAmount || 0) / 10 ** dec;
+    return tokens > 0 ? amountSol / tokens : null;
+  }
+  // Sells: probe ~1% of the held position (fallback to 1 token)
+  let held = 0;
+  try {
+    for (const p of getPositions(order.chatId) || []) {
+      if (p.mint === order.mint) held += Number(p.tokens || 0);
+    }
+  } catch {}
+  const probeTokens = held > 0 ? Math.max(0.000001, held * 0.01) : 1;
+  const route = await getQuoteRaw({
+    inputMint: order.mint,
+    outputMint: NATIVE_SOL,
+    amountRaw: Math.floor(probeTokens * 10 ** dec),
+    slippageBps: QUOTE_SLIPPAGE_BPS,
+  }).catch(() => null);
+  if (!route || route.__error__) return null;
+  const solOut = Number(route.outAmount || 0) / 1e9;
+  return solOut > 0 ? solOut / probeTokens : null;
+}
+
+// Mirror store status changes into in-memory chat state used by the UI
+function syncStateOrder(order, patch) {
+  try {
+    const state = getUserState(order.chatId);
+    const entry = (state.limitOrders || []).find((o) => o.id === order.id);
+    if (entry) Object.assign(entry, patch);
+  } catch {}
+}
+
+async function closeOrder(order, status, extra = {}) {
+  const changed = await markLimitOrderStatus(order.id, status, extra).catch(
+    () => false
+  );
+  syncStateOrder(order, { status, ...extra });
+  return changed;
+}
+
+async function executeOrder(order, priceSol) {
+  const bot = getBotInstance();
+  const chatId = order.chatId;
+  const slippageBps = Number.isFinite(Number(order.slippageBps))
+    ? Number(order.slippageBps)
+    : undefined;
+  if (order.side === "buy") {
+    const res = await performSwap({
+      inputMint: NATIVE_SOL,
+      outputMint: order.mint,
+      amountSol: Number(order.amountSol),
+      chatId,
+      slippageBps,
+    });
+    const txid = res?.txid || null;
+    addTradeLog(chatId, {
+      kind: "buy",
+      mint: order.mint,
+      sol: Number(order.amountSol),
+      tokens: Number(res?.output?.tokensOut ?? NaN),
+      route: res?.route?.labels,
+      priceImpactPct: res?.route?.priceImpactPct ?? null,
+      slippageBps: res?.slippageBps,
+      priorityFeeLamports: res?.priorityFeeLamports,
+      via: res?.via,
+      latencyMs: res?.latencyMs,
+      txid,
+      source: "limit_order",
+      orderId: order.id,
+    });
+    bot?.sendMessage?.(
+      chatId,
+      `📑 Limit BUY filled\n• Token: ${order.mint}\n• Amount: ${
+        order.amountSol
+      } SOL\n• Price: ${priceSol.toPrecision(6)} SOL (trigger ≤ ${
+        order.triggerPriceSol
+      })\n• Via: ${res?.via}\n• Tx: ${txid}`
+    );
+    notifyTxStatus(chatId, txid, { kind: "Limit Buy" }).catch(() => {});
+    return txid;
+  }
+  const res = await quickSell({
+    tokenMint: order.mint,
+    percent: Number(order.percent || 100),
+    chatId,
+    slippageBps,
+  });
+  const txid = res?.txid || null;
+  addTradeLog(chatId, {
+    kind: "sell",
+    mint: order.mint,
+    percent: Number(order.percent || 100),
+    sol: Number(res?.output?.tokensOut ?? NaN),
+    route: res?.route?.labels,
+    priceImpactPct: res?.route?.priceImpactPct ?? null,
+    slippageBps: res?.slippageBps,
+    priorityFeeLamports: res?.priorityFeeLamports,
+    via: res?.via,
+    latencyMs: res?.latencyMs,
+    txid,
+    source: "limit_order",
+    orderId: order.id,
+  });
+  bot?.sendMessage?.(
+    chatId,
+    `📑 Limit SELL filled\n• Token: ${order.mint}\n• Percent: ${
+      order.percent
+    }%\n• Price: ${priceSol.toPrecision(6)} SOL (trigger ≥ ${
+      order.triggerPriceSol
+    })\n• Via: ${res?.via}\n• Tx: ${txid}`
+  );
+  notifyTxStatus(chatId, txid, { kind: "Limit Sell" }).catch(() => {});
+  return txid;
+}
+
+async function processOrder(saved) {
+  const bot = getBotInstance();
+  // Telegram chat ids are numeric; the store keeps them as strings
+  const chatId = /^-?\d+$/.test(saved.chatId) ? Number(saved.chatId) : saved.chatId;
+  const order = { ...saved, chatId };
+  const priceSol = await quoteOrderPriceSol(order).catch(() => null);
+  const decision = evaluateLimitOrder(order, { priceSol });
+  if (decision.action === "skip") return;
+  if (decision.action === "wait") {
+    if (Number.isFinite(priceSol)) {
+      await touchLimitOrder(order.id, { lastPriceSol: priceSol }).catch(
+        () => {}
+      );
+      syncStateOrder(order, { lastPriceSol: priceSol });
+    }
+    return;
+  }
+  if (decision.action === "expire" || decision.action === "cancel") {
+    const status = decision.action === "expire" ? "expired" : "cancelled";
+    if (await closeOrder(order, status, { reason: decision.reason })) {
+      bot?.sendMessage?.(
+        order.chatId,
+        `📑 Limit ${order.side.toUpperCase()} ${status} (${
+          decision.reason
+        }) for ${order.mint}`
+      );
+    }
+    return;
+  }
+  // Execute
+  if (!(await hasUserWallet(order.chatId).catch(() => false))) return;
+  // Cancelled or filled while this tick was quoting
+  const current = await loadLimitOrder(order.id).catch(() => null);
+  if (current?.status !== "active") return;
+  try {
+    const txid = await executeOrder(order, priceSol);
+    await closeOrder(order, "executed", { txid, fillPriceSol: priceSol });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    // Another buy for this mint is in flight; retry on next tick without penalty
+    if (msg.includes("buy_locked")) return;
+    const attempts = Number(order.attempts || 0) + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+      await closeOrder(order, "failed", { attempts, reason: msg.slice(0, 200) });
+      bot?.sendMessage?.(
+        order.chatId,
+        `❌ Limit ${order.side.toUpperCase()} failed after ${attempts} attempts: ${msg}`
+      );
+    } else {
+      await touchLimitOrder(order.id, { attempts }).catch(() => {});
+      syncStateOrder(order, { attempts });
+    }
+  }
+}
+
+export function startLimitOrderEngine({ pollMs = DEFAULT_POLL_MS } = {}) {
+  if (engine?.interval) return;
+  engine = { interval: null, inflight: new Set() };
+  const inflight = engine.inflight;
+  engine.interval = setInterval(async () => {
+    try {
+      if (getWatchersPaused()) return;
+      const orders = await loadActiveLimitOrders().catch(() => []);
+      for (const order of orders) {
+        if (inflight.has(order.id)) continue;
+        inflight.add(order.id);
+        processOrder(order)
+          .catch(() => {})
+          .finally(() => inflight.delete(order.id));
+      }
+    } catch {}
+  }, Math.max(500, pollMs));
+}
+
+export function stopLimitOrderEngine() {
+  if (engine?.interval) clearInterval(engine.interval);
+  engine = null;
+}
@@ -20,6 +20,28 @@ import {
 
 const activeWatchers = new Map();
 const cooldowns = new Map(); // chatId:mint -> cool-until timestamp (ms)
+// chatId:mint -> txid of a leg that bought. A multi-wallet snipe shares one
+// persisted record across its per-wallet watchers, so the record is closed only
+// once the last of them stops (else restarts would drop the legs still running).
+const executedLegs = new Map();
+
+function hasMintWatchers(chatId, mint) {
+  const k = `${chatId}:${mint}`;
+  return [...activeWatchers.keys()].some(
+    (key) => key === k || key.startsWith(`${k}:`)
+  );
+}
+
+function closePersistedSnipe(chatId, mint, reason = "stopped") {
+  if (hasMintWatchers(chatId, mint)) return;
+  const k = `${chatId}:${mint}`;
+  const txid = executedLegs.get(k);
+  executedLegs.delete(k);
+  (txid
+    ? markSnipeExecuted(chatId, mint, { txid })
+    : markSnipeCancelled(chatId, mint, reason)
+  ).catch(() => {});
+}
 
 // Canonicalize mint strings: extract a valid base58 public key (32–44 chars)
 function canonicalizeMint(mint) {
@@ -28,6 +50,36 @@ function canonicalizeMint(mint) {
   return match ? match[0] : s;
 }
 
+// Liquidity delta guardrails for one probe observation. improvement compares
+// unit-out against the previous probe; young routes must show that improvement.
+// Returns { pass, reason?, improvPct? }.
+export function evaluateLiquidityDelta({
+  unitOutProbe,
+  prevUnitOutProbe,
+  priceImpactPct,
+  routeAgeMs,
+  minImprovementPct = 0,
+  maxImpactPct = 8,
+  minRouteAgeMs = 0,
+}) {
+  if (priceImpactPct > maxImpactPct) {
+    return { pass: false, reason: "impact_exceeds_threshold" };
+  }
+  if (prevUnitOutProbe !== null && prevUnitOutProbe !== undefined) {
+    const improvPct =
+      ((unitOutProbe - prevUnitOutProbe) / Math.max(1e-12, prevUnitOutProbe)) *
+      100;
+    if (improvPct < minImprovementPct && routeAgeMs < minRouteAgeMs) {
+      return { pass: false, reason: "improv_below_threshold", improvPct };
+    }
+    return { pass: true, improvPct };
+  }
+  if (minRouteAgeMs > 0 && routeAgeMs < minRouteAgeMs) {
+    return { pass: false, reason: "route_too_young" };
+  }
+  return { pass: true };
+}
+
 export function startLiquidityWatch(
   chatId,
   {
@@ -49,6 +101,7 @@ export function startLiquidityWatch(
     // New: allow bypassing LP signature capture requirement for faster manual snipes
     requireLpSigBeforeBuy, // optional: override env REQUIRE_LP_SIG_BEFORE_BUY
     lpSigStrictAbortIfMissing, // optional: override env LP_SIG_STRICT_ABORT_IF_MISSING
+    onResult, // optional: called once with { ok, txid, tokensOut, error } when the watcher buys or gives up
   }
 ) {
   const canonicalMint = canonicalizeMint(mint);
@@ -64,10 +117,14 @@ export function startLiquidityWatch(
         coolUntil - Date.now()
       )}ms. Skipping start.`
     );
+    onResult?.({ ok: false, error: "cool_off" });
     return;
   }
   // Atomic guard: reserve the watcher key immediately to avoid duplicate starts
-  if (activeWatchers.has(k)) return;
+  if (activeWatchers.has(k)) {
+    onResult?.({ ok: false, error: "already_watching" });
+    return;
+  }
   activeWatchers.set(k, null);
 
   const baseInterval = Math.max(250, Number(pollInterval ?? 300));
@@ -75,6 +132,22 @@ export function startLiquidityWatch(
   let attempts = 0;
   let intervalMs = baseInterval;
   let stopped = false;
+  let settled = false;
+  const settle = (result) => {
+    if (settled) return;
+    settled = true;
+    try {
+      onResult?.(result);
+    } catch {}
+  };
+  // Stop only this watcher; per-wallet watchers for the same mint keep running
+  const stopSelf = () => {
+    stopped = true;
+    const interval = activeWatchers.get(k);
+    if (interval) clearInterval(interval);
+    activeWatchers.delete(k);
+    closePersistedSnipe(chatId, canonicalMint);
+  };
   let inflightAttempt = false; // prevent overlapping attempts while awaiting confirmation
   // Warn only once for insufficient SOL and pause the watcher
   let insufficientWarned = false;
@@ -682,8 +755,19 @@ export function startLiquidityWatch(
           probeRoute.priceImpactPct ?? route.priceImpactPct ?? 0
         );
 
+        const ageMs = Date.now() - routeFirstSeenAt;
+        const gate = evaluateLiquidityDelta({
+          unitOutProbe,
+          prevUnitOutProbe,
+          priceImpactPct,
+          routeAgeMs: ageMs,
+          minImprovementPct: DELTA_MIN_IMPROV_PCT,
+          maxImpactPct: DELTA_MAX_PRICE_IMPACT_PCT,
+          minRouteAgeMs: DELTA_MIN_ROUTE_AGE_MS,
+        });
+
         // Guardrail: avoid entering on very high impact (thin LP)
-        if (priceImpactPct > DELTA_MAX_PRICE_IMPACT_PCT) {
+        if (gate.reason === "impact_exceeds_threshold") {
           onEvent?.(
             `Impact ${priceImpactPct.toFixed(
               2
@@ -705,57 +789,46 @@ export function startLiquidityWatch(
         }
 
         // If we have a previous observation, require minimum improvement unless route has aged sufficiently
-        if (prevUnitOutProbe !== null) {
-          const improvPct =
-            ((unitOutProbe - prevUnitOutProbe) /
-              Math.max(1e-12, prevUnitOutProbe)) *
-            100;
-          const ageMs = Date.now() - routeFirstSeenAt;
-          if (
-            improvPct < DELTA_MIN_IMPROV_PCT &&
-            ageMs < DELTA_MIN_ROUTE_AGE_MS
-          ) {
-            onEvent?.(
-              `ΔunitOut ${improvPct.toFixed(
-                2
-              )}% < ${DELTA_MIN_IMPROV_PCT}% (age ${ageMs}ms). Waiting.`
-            );
-            try {
-              addTradeLog(chatId, {
-                kind: "telemetry",
-                mint: canonicalMint,
-                stage: "guardrail",
-                reason: "improv_below_threshold",
-                improvPct,
-                minImprovementPct: DELTA_MIN_IMPROV_PCT,
-                ageMs,
-                minRouteAgeMs: DELTA_MIN_ROUTE_AGE_MS,
-                attempt: attempts,
-              });
-            } catch {}
-            prevUnitOutProbe = unitOutProbe;
-            return;
-          }
-        } else if (DELTA_MIN_ROUTE_AGE_MS > 0) {
-          const age = Date.now() - routeFirstSeenAt;
-          if (age < DELTA_MIN_ROUTE_AGE_MS) {
-            onEvent?.(
-              `Route age ${age}ms < ${DELTA_MIN_ROUTE_AGE_MS}ms. Waiting.`
-            );
-            try {
-              addTradeLog(chatId, {
-                kind: "telemetry",
-                mint: canonicalMint,
-                stage: "guardrail",
-                reason: "route_too_young",
-                ageMs: age,
-                minRouteAgeMs: DELTA_MIN_ROUTE_AGE_MS,
-                attempt: attempts,
-              });
-            } catch {}
-            prevUnitOutProbe = unitOutProbe;
-            return;
-          }
+        if (gate.reason === "improv_below_threshold") {
+          const improvPct = gate.improvPct;
+          onEvent?.(
+            `ΔunitOut ${improvPct.toFixed(
+              2
+            )}% < ${DELTA_MIN_IMPROV_PCT}% (age ${ageMs}ms). Waiting.`
+          );
+          try {
+            addTradeLog(chatId, {
+              kind: "telemetry",
+              mint: canonicalMint,
+              stage: "guardrail",
+              reason: "improv_below_threshold",
+              improvPct,
+              minImprovementPct: DELTA_MIN_IMPROV_PCT,
+              ageMs,
+              minRouteAgeMs: DELTA_MIN_ROUTE_AGE_MS,
+              attempt: attempts,
+            });
+          } catch {}
+          prevUnitOutProbe = unitOutProbe;
+          return;
+        }
+        if (gate.reason === "route_too_young") {
+          onEvent?.(
+            `Route age ${ageMs}ms < ${DELTA_MIN_ROUTE_AGE_MS}ms. Waiting.`
+          );
+          try {
+            addTradeLog(chatId, {
+              kind: "telemetry",
+              mint: canonicalMint,
+              stage: "guardrail",
+              reason: "route_too_young",
+              ageMs,
+              minRouteAgeMs: DELTA_MIN_ROUTE_AGE_MS,
+              attempt: attempts,
+            });
+          } catch {}
+          prevUnitOutProbe = unitOutProbe;
+          return;
         }
 
         // Update probe baseline for next iteration
@@ -978,6 +1051,8 @@ export function startLiquidityWatch(
         chatId,
         walletOverride,
         fastSend: true,
+        // Snipes compete on the new pool's accounts
+        urgency: "turbo",
       });
       const txid = swapRes?.txid;
 
@@ -1043,8 +1118,12 @@ export function startLiquidityWatch(
               failedConf ? "failed" : "timeout"
             }). Stopping to avoid duplicate buys. Tx: ${txid}`
           );
-          stopped = true;
-          stopLiquidityWatch(chatId, canonicalMint);
+          stopSelf();
+          settle({
+            ok: false,
+            txid,
+            error: failedConf ? "tx_err" : "tx_unconfirmed_timeout",
+          });
           try {
             cooldowns.set(k, Date.now() + COOLDOWN_MS);
             addTradeLog(chatId, {
@@ -1060,6 +1139,13 @@ export function startLiquidityWatch(
       }
 
       onEvent?.(`Bought ${canonicalMint}. Tx: ${txid}`);
+      settle({
+        ok: true,
+        txid,
+        tokensOut: Number(swapRes?.output?.tokensOut ?? NaN),
+        slippageBps: swapRes?.slippageBps,
+        via: swapRes?.via,
+      });
 
       // Record buy trade log with detailed telemetry
       try {
@@ -1101,8 +1187,8 @@ export function startLiquidityWatch(
         });
       } catch {}
 
-      // Mark executed in the store before stopping the watcher
-      markSnipeExecuted(chatId, canonicalMint, { txid }).catch(() => {});
+      // Recorded as executed once every wallet leg's watcher has stopped
+      executedLegs.set(`${chatId}:${canonicalMint}`, txid);
 
       // Cleanup logs subscriptions once we’ve bought or finished
       try {
@@ -1116,7 +1202,7 @@ export function startLiquidityWatch(
         }
       } catch {}
 
-      stopLiquidityWatch(chatId, canonicalMint);
+      stopSelf();
     } catch (e) {
       // If a global buy lock is active, stop this watcher and cool off to avoid duplicates
       if (String(e?.message || "").includes("buy_locked")) {
@@ -1124,8 +1210,8 @@ export function startLiquidityWatch(
           onEvent?.(
             "🔒 Buy lock active: another buy in-flight for this token. Stopping to avoid duplicates."
           );
-          stopped = true;
-          stopLiquidityWatch(chatId, canonicalMint);
+          stopSelf();
+          settle({ ok: false, error: "buy_locked" });
           const COOLDOWN_MS = Number(process.env.SNIPE_COOL_OFF_MS ?? 30000);
           cooldowns.set(k, Date.now() + COOLDOWN_MS);
           addTradeLog(chatId, {
@@ -1168,7 +1254,8 @@ export function startLiquidityWatch(
             logsSubIds = [];
           }
         } catch {}
-        stopLiquidityWatch(chatId, canonicalMint);
+        stopSelf();
+        settle({ ok: false, error: (e?.message || String(e)).slice(0, 120) });
         onEvent?.(`Stopped watcher after ${attempts} attempts.`);
         try {
           cooldowns.set(k, Date.now() + COOLDOWN_MS);
@@ -1198,12 +1285,15 @@ export function startLiquidityWatch(
 export function stopLiquidityWatch(chatId, mint, reason = "stopped") {
   const canonicalMint = canonicalizeMint(mint);
   if (mint) {
+    // Includes per-wallet watchers (`${chatId}:${mint}:${wallet}`)
     const k = `${chatId}:${canonicalMint}`;
-    const interval = activeWatchers.get(k);
-    if (interval) clearInterval(interval);
-    activeWatchers.delete(k);
+    [...activeWatchers.entries()].forEach(([key, interval]) => {
+      if (key !== k && !key.startsWith(`${k}:`)) return;
+      if (interval) clearInterval(interval);
+      activeWatchers.delete(key);
+    });
     // If still active (not executed), mark as cancelled
-    markSnipeCancelled(chatId, canonicalMint, reason).catch(() => {});
+    closePersistedSnipe(chatId, canonicalMint, reason);
     return true;
   }
   // stop all for chatId
@@ -1212,7 +1302,7 @@ export function stopLiquidityWatch(chatId, mint, reason = "stopped") {
       clearInterval(interval);
       activeWatchers.delete(k);
       const [, m] = k.split(":");
-      markSnipeCancelled(chatId, m, "stopped_all").catch(() => {});
+      closePersistedSnipe(chatId, m, "stopped_all");
     }
   });
   return true;
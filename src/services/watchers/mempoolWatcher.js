@@ -1,7 +1,11 @@
 import { getUserConnectionInstance } from "../wallet.js";
 import { getUserState, addTradeLog } from "../userState.js";
-import { hasUserWallet, getUserWalletKeypairById } from "../userWallets.js";
+import { hasUserWallet } from "../userWallets.js";
 import { startLiquidityWatch } from "./liquidityWatcher.js";
+import {
+  startMultiWalletSnipe,
+  formatMultiWalletBuySummary,
+} from "../trading/multiWallet.js";
 import { PublicKey } from "@solana/web3.js";
 
 const subs = new Map();
@@ -106,42 +110,31 @@ async function triggerAutoSnipe(
   } catch {}
 
   {
-    const st = getUserState(chatId) || {};
-    const selected = Array.isArray(st.selectedWalletIds)
-      ? st.selectedWalletIds
-      : [];
-    const multi = !!st.multiWalletMode;
-    if (multi && selected.length > 0) {
-      const wallets = (
-        await Promise.all(
-          selected.map((id) =>
-            getUserWalletKeypairById(chatId, id).catch(() => null)
-          )
-        )
-      ).filter(Boolean);
-      const count = wallets.length || 0;
-      const perWallet = count > 0 ? defaultSnipe / count : defaultSnipe;
-      for (const w of wallets) {
-        startLiquidityWatch(chatId, {
-          mint,
-          amountSol: perWallet,
-          priorityFeeLamports,
-          useJitoBundle,
-          pollInterval,
-          slippageBps,
-          retryCount,
-          source: `watch:${source}`,
-          signalType: "lp_event",
-          lpSignature,
-          walletOverride: w.keypair,
-          onEvent: (m) => {
-            try {
-              onSnipeEvent?.(mint, m);
-            } catch {}
-          },
-        });
+    const legs = await startMultiWalletSnipe(
+      chatId,
+      {
+        mint,
+        amountSol: defaultSnipe,
+        priorityFeeLamports,
+        useJitoBundle,
+        pollInterval,
+        slippageBps,
+        retryCount,
+        source: `watch:${source}`,
+        signalType: "lp_event",
+        lpSignature,
+        onEvent: (m) => {
+          try {
+            onSnipeEvent?.(mint, m);
+          } catch {}
+        },
+      },
+      {
+        onSummary: (sum) =>
+          onSnipeEvent?.(mint, formatMultiWalletBuySummary(sum, { mint })),
       }
-    } else {
+    );
+    if (!legs) {
       startLiquidityWatch(chatId, {
         mint,
         amountSol: defaultSnipe,
@@ -2,6 +2,12 @@ import { performSell } from "../trading/jupiter.js";
 import { getUserState } from "../userState.js";
 import { getQuoteRaw } from "../trading/jupiter.js";
 import { getPositions } from "../positionStore.js";
+import { isPaperMode, PAPER_NAMESPACE } from "../trading/paperTrading.js";
+import {
+  saveTakeProfitLadder,
+  markTakeProfitLadderStatus,
+  loadActiveTakeProfitLadders,
+} from "../takeProfitStore.js";
 import {
   getWatchersPaused,
   getWatchersSlowMs,
@@ -11,6 +17,8 @@ import {
 
 const watchers = new Map();
 const profitWatchers = new Map();
+// Live trailing-stop state per `${chatId}:${mint}` (for menus/status)
+const trailingStates = new Map();
 
 // Canonicalize mint strings: extract a valid base58 public key (32–44 chars)
 function canonicalizeMint(mint) {
@@ -19,23 +27,87 @@ function canonicalizeMint(mint) {
   return match ? match[0] : s;
 }
 
+// Open tokens and weighted avg entry for a mint from the persistent position store
+// (paper-mode chats read their simulated positions)
+function getStorePosition(chatId, mint) {
+  let tokens = 0;
+  let cost = 0;
+  try {
+    const namespace = isPaperMode(getUserState(chatId))
+      ? PAPER_NAMESPACE
+      : undefined;
+    for (const p of getPositions(chatId, { namespace }) || []) {
+      if (p.mint !== mint || !(Number(p.tokens) > 0)) continue;
+      tokens += Number(p.tokens);
+      cost += Number(p.tokens) * Number(p.avgPriceSolPerToken || 0);
+    }
+  } catch {}
+  return { tokens, avg: tokens > 0 && cost > 0 ? cost / tokens : null };
+}
+
+// Trailing stop step. The stop follows the highest quote (high * (1 - trailPct)) once
+// price is activationPct above avg entry; every stepPct of new high is a "ratchet".
+// Returns { next, action } with action: none | activate | ratchet | exit.
+export function evaluateTrailingStop(
+  trail,
+  priceNow,
+  { avg, trailPct, activationPct = 0, stepPct = 5 }
+) {
+  const t = trail || { active: false, ratchets: 0 };
+  if (!Number.isFinite(priceNow) || priceNow <= 0) {
+    return { next: t, action: "none" };
+  }
+  const trailFrac = Math.max(1, Math.min(95, Number(trailPct))) / 100;
+  if (!t.active) {
+    const activationPrice = avg * (1 + Math.max(0, Number(activationPct)) / 100);
+    if (priceNow < activationPrice) return { next: t, action: "none" };
+    return {
+      next: {
+        active: true,
+        ratchets: 0,
+        highPrice: priceNow,
+        ratchetHigh: priceNow,
+        stopPrice: priceNow * (1 - trailFrac),
+      },
+      action: "activate",
+    };
+  }
+  if (priceNow <= t.stopPrice) return { next: t, action: "exit" };
+  const next = { ...t };
+  if (priceNow > next.highPrice) {
+    next.highPrice = priceNow;
+    next.stopPrice = Math.max(next.stopPrice, priceNow * (1 - trailFrac));
+  }
+  const step = Math.max(0.1, Number(stepPct)) / 100;
+  if (priceNow >= next.ratchetHigh * (1 + step)) {
+    next.ratchetHigh = priceNow;
+    next.ratchets += 1;
+    return { next, action: "ratchet" };
+  }
+  return { next, action: "none" };
+}
+
 export function startStopLoss(
   chatId,
-  { mint, thresholdPct = 20, grid, pollMs = 400, onEvent }
+  { mint, thresholdPct = 20, grid, trailing, pollMs = 400, onEvent }
 ) {
   const canonicalMint = canonicalizeMint(mint);
   const k = `${chatId}:${canonicalMint}`;
   if (watchers.has(k)) return;
-  const state = getUserState(chatId);
-  const pos = state.positions.find(
-    (p) => p.mint === canonicalMint && p.status === "open"
-  );
-  if (!pos || !pos.avgPriceSolPerToken || !pos.tokensOut) {
-    onEvent?.("No open position with avg price available.");
-    return;
+  // Prefer the persistent position store (weighted across wallets), then in-memory positions
+  let { avg, tokens: amountTokens } = getStorePosition(chatId, canonicalMint);
+  if (!avg) {
+    const state = getUserState(chatId);
+    const pos = state.positions.find(
+      (p) => p.mint === canonicalMint && p.status === "open"
+    );
+    if (!pos || !pos.avgPriceSolPerToken || !pos.tokensOut) {
+      onEvent?.("No open position with avg price available.");
+      return;
+    }
+    avg = Number(pos.avgPriceSolPerToken);
+    amountTokens = Number(pos.tokensOut);
   }
-  const avg = Number(pos.avgPriceSolPerToken);
-  const amountTokens = Number(pos.tokensOut);
   const threshold = Math.max(1, Math.min(95, Number(thresholdPct)));
   let running = true;
   let lastPrice = null;
@@ -44,6 +116,18 @@ export function startStopLoss(
     ? grid.slice().sort((a, b) => a.dropPct - b.dropPct)
     : null;
   const fired = new Set();
+  // Trailing mode: { trailPct, activationPct, stepPct, sellPct } (sellPct per ratchet, 0 = none).
+  // Until the trail activates, the fixed threshold stop still protects the position.
+  const trailCfg =
+    !gridLevels && trailing && Number(trailing.trailPct) > 0
+      ? {
+          trailPct: Math.max(1, Math.min(95, Number(trailing.trailPct))),
+          activationPct: Math.max(0, Number(trailing.activationPct || 0)),
+          stepPct: Math.max(0.1, Number(trailing.stepPct || 5)),
+          sellPct: Math.max(0, Math.min(100, Number(trailing.sellPct || 0))),
+        }
+      : null;
+  let trail = { active: false, ratchets: 0 };
 
   const loop = async () => {
     if (!running) return;
@@ -109,6 +193,62 @@ export function startStopLoss(
       }
       lastPrice = priceNow;
 
+      if (trailCfg) {
+        const { next, action } = evaluateTrailingStop(trail, priceNow, {
+          avg,
+          ...trailCfg,
+        });
+        trail = next;
+        trailingStates.set(k, { ...trail, avg, priceNow, ...trailCfg });
+        if (action === "activate") {
+          onEvent?.(
+            `Trailing stop active: high ${priceNow.toPrecision(
+              6
+            )} SOL, stop ${trail.stopPrice.toPrecision(6)} SOL (-${
+              trailCfg.trailPct
+            }%)`
+          );
+        } else if (action === "ratchet") {
+          onEvent?.(
+            `Trailing stop raised to ${trail.stopPrice.toPrecision(
+              6
+            )} SOL (ratchet #${trail.ratchets})`
+          );
+          if (trailCfg.sellPct > 0) {
+            try {
+              const { txid } = await performSell({
+                tokenMint: canonicalMint,
+                percent: trailCfg.sellPct,
+                chatId,
+              });
+              onEvent?.(`Ratchet partial sold (${trailCfg.sellPct}%). Tx: ${txid}`);
+            } catch (e) {
+              onEvent?.(`Ratchet partial sell failed: ${e.message || e}`);
+            }
+          }
+        } else if (action === "exit") {
+          const gainPct = ((priceNow - avg) / avg) * 100;
+          onEvent?.(
+            `Trailing stop hit at ${priceNow.toPrecision(6)} SOL (${
+              gainPct >= 0 ? "+" : ""
+            }${gainPct.toFixed(1)}% vs entry). Selling all...`
+          );
+          try {
+            const { txid } = await performSell({
+              tokenMint: canonicalMint,
+              percent: 100,
+              chatId,
+            });
+            onEvent?.(`Sold. Tx: ${txid}`);
+          } catch (e) {
+            onEvent?.(`Sell failed: ${e.message || e}`);
+          }
+          stopStopLoss(chatId, canonicalMint);
+          return;
+        }
+        if (trail.active) return;
+      }
+
       if (!gridLevels) {
         if (dropPct >= threshold) {
           onEvent?.(
@@ -164,9 +304,12 @@ export function startStopLoss(
   watchers.set(k, () => {
     running = false;
   });
+  if (trailCfg) trailingStates.set(k, { ...trail, avg, ...trailCfg });
   onEvent?.(
     gridLevels
       ? `Grid stop-loss armed for ${canonicalMint}`
+      : trailCfg
+      ? `Trailing stop armed for ${canonicalMint}: trail ${trailCfg.trailPct}%, activates at +${trailCfg.activationPct}%, fixed stop -${threshold}% until then`
       : `Stop-loss armed at -${threshold}% for ${canonicalMint}`
   );
   loop();
@@ -178,6 +321,15 @@ export function stopStopLoss(chatId, mint) {
   const stop = watchers.get(k);
   if (stop) stop();
   watchers.delete(k);
+  trailingStates.delete(k);
+}
+
+export function isStopLossActive(chatId, mint) {
+  return watchers.has(`${chatId}:${canonicalizeMint(mint)}`);
+}
+
+export function getTrailingStopState(chatId, mint) {
+  return trailingStates.get(`${chatId}:${canonicalizeMint(mint)}`) || null;
 }
 
 async function probeQuote({
@@ -462,7 +614,16 @@ export function stopFlashLpGuard(chatId, mint) {
   flashWatchers.delete(k);
 }
 
+// Ladder for a take-profit guard: the caller's, else TAKE_PROFIT_LADDER, but
+// only when the caller set no single-level profitPct/sellPct of its own
+export function resolveTakeProfitLadder({ ladder, profitPct, sellPct } = {}) {
+  if (ladder) return ladder;
+  if (profitPct != null || sellPct != null) return null;
+  return process.env.TAKE_PROFIT_LADDER || null;
+}
+
 // --- Take-Profit Guard: Exit on upside spike relative to entry/avg price ---
+// Pass `ladder` (levels or "50:25,100:50") to run a persistent take-profit ladder instead.
 export function startTakeProfitGuard(
   chatId,
   {
@@ -470,11 +631,22 @@ export function startTakeProfitGuard(
     amountTokens,
     windowMs = Number(process.env.TAKE_PROFIT_WINDOW_MS || 60000),
     pollMs = Number(process.env.TAKE_PROFIT_POLL_MS || 300),
-    profitPct = Number(process.env.TAKE_PROFIT_PCT || 20),
-    sellPct = Number(process.env.TAKE_PROFIT_SELL_PCT || 100),
+    profitPct,
+    sellPct,
+    ladder: ladderOpt,
     onEvent,
   }
 ) {
+  const ladder = resolveTakeProfitLadder({ ladder: ladderOpt, profitPct, sellPct });
+  if (ladder) {
+    try {
+      const levels = Array.isArray(ladder) ? ladder : parseTakeProfitLadder(ladder);
+      startTakeProfitLadder(chatId, { mint, levels, onEvent }).catch(() => {});
+    } catch (e) {
+      onEvent?.(`Take-profit ladder invalid: ${e?.message || e}`);
+    }
+    return;
+  }
   const canonicalMint = canonicalizeMint(mint);
   const k = `tp:${chatId}:${canonicalMint}`;
   if (profitWatchers.has(k)) return;
@@ -499,8 +671,11 @@ export function startTakeProfitGuard(
   }
 
   const clampPct = (n) => Math.max(1, Math.min(200, Number(n)));
-  const targetPct = clampPct(profitPct);
-  const sellPercent = Math.max(1, Math.min(100, Number(sellPct)));
+  const targetPct = clampPct(profitPct ?? Number(process.env.TAKE_PROFIT_PCT || 20));
+  const sellPercent = Math.max(
+    1,
+    Math.min(100, Number(sellPct ?? Number(process.env.TAKE_PROFIT_SELL_PCT || 100)))
+  );
 
   let fired = false;
 
@@ -540,7 +715,7 @@ export function startTakeProfitGuard(
                 try {
                   const { txid } = await performSell({
                     tokenMint: canonicalMint,
-                    percent: Math.max(1, Math.min(100, Number(sellPct))),
+                    percent: sellPercent,
                     slippageBps: Number(
                       process.env.TAKE_PROFIT_EXIT_SLIPPAGE_BPS || 250
                     ),
@@ -642,3 +817,212 @@ export function stopTakeProfitGuard(chatId, mint) {
   if (stop) stop();
   profitWatchers.delete(k);
 }
+
+// --- Take-Profit Ladder: persistent multi-level exits (no window, survives restarts) ---
+// Level sizes are % of the position at arm time; whatever is not laddered is the moonbag.
+// Fills go through performSell, whose confirmation hook records them via applySellToPosition.
+const ladderWatchers = new Map();
+const LADDER_MAX_ATTEMPTS = Number(process.env.TAKE_PROFIT_LADDER_MAX_ATTEMPTS || 3);
+
+// Parse "50:25,100:50" (gain%:sell%) into levels sorted by gain
+export function parseTakeProfitLadder(spec) {
+  const levels = String(spec || "")
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .map((part) => {
+      const [gain, sell] = part.split(":").map(Number);
+      if (!(gain > 0) || !(sell > 0) || sell > 100) {
+        throw new Error(`invalid ladder level "${part}" (use gain:sell, e.g. 50:25)`);
+      }
+      return { profitPct: gain, sellPct: sell };
+    })
+    .sort((a, b) => a.profitPct - b.profitPct);
+  if (!levels.length) throw new Error("empty ladder");
+  const total = levels.reduce((sum, l) => sum + l.sellPct, 0);
+  if (total > 100) throw new Error(`ladder sells ${total}% (max 100%)`);
+  return levels;
+}
+
+// Lowest open level reached at gainPct, with its size converted to % of the
+// remaining balance (soldPct of the original is already gone).
+export function nextTakeProfitFill(levels, gainPct, soldPct = 0) {
+  const remaining = 100 - Number(soldPct || 0);
+  if (remaining <= 0) return null;
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+    if (level.filled || level.failed) continue;
+    if (!(gainPct >= level.profitPct)) return null;
+    const percentOfBalance = Math.max(
+      1,
+      Math.min(100, Math.round((level.sellPct / remaining) * 100))
+    );
+    return { index: i, percentOfBalance };
+  }
+  return null;
+}
+
+export async function startTakeProfitLadder(
+  chatId,
+  {
+    mint,
+    levels,
+    ladder: saved,
+    pollMs = Number(process.env.TAKE_PROFIT_LADDER_POLL_MS || 1500),
+    onEvent,
+  }
+) {
+  const canonicalMint = canonicalizeMint(mint);
+  const k = `tpl:${chatId}:${canonicalMint}`;
+  // Re-arming replaces the running ladder for this mint
+  if (ladderWatchers.has(k)) ladderWatchers.get(k)();
+  let ladder = saved;
+  if (!ladder) {
+    const { avg } = getStorePosition(chatId, canonicalMint);
+    if (!avg) {
+      onEvent?.("Take-profit ladder: no avg price available. Skipping.");
+      return null;
+    }
+    ladder = {
+      chatId,
+      mint: canonicalMint,
+      baseAvg: avg,
+      soldPct: 0,
+      levels: levels.map((l) => ({
+        profitPct: Number(l.profitPct),
+        sellPct: Number(l.sellPct),
+        filled: false,
+        attempts: 0,
+      })),
+      status: "active",
+      createdAt: Date.now(),
+    };
+    await saveTakeProfitLadder(ladder).catch(() => {});
+  }
+
+  let running = true;
+  const stopFn = () => {
+    running = false;
+    ladderWatchers.delete(k);
+  };
+  ladderWatchers.set(k, stopFn);
+
+  const finish = async (status, message, extra = {}) => {
+    stopFn();
+    await markTakeProfitLadderStatus(chatId, canonicalMint, status, extra).catch(
+      () => {}
+    );
+    onEvent?.(message);
+  };
+
+  const loop = async () => {
+    if (!running) return;
+    try {
+      if (getWatchersPaused()) return;
+      const slowMs = getWatchersSlowMs();
+      if (slowMs > 0) await new Promise((r) => setTimeout(r, slowMs));
+
+      const { tokens } = getStorePosition(chatId, canonicalMint);
+      const probeTokens = Math.max(0.000001, tokens > 0 ? tokens * 0.01 : 0.02);
+      const route = await probeQuote({
+        mint: canonicalMint,
+        probeTokens,
+        baseSlippage: 150,
+        timeoutMs: 900,
+      }).catch(() => null);
+      if (!route || !running) return;
+
+      const unitOut = Number(route.outAmount || 0) / 1e9 / probeTokens;
+      if (!Number.isFinite(unitOut) || unitOut <= 0) return;
+      const gainPct = ((unitOut - ladder.baseAvg) / ladder.baseAvg) * 100;
+      const fill = nextTakeProfitFill(ladder.levels, gainPct, ladder.soldPct);
+      if (!fill) return;
+
+      const level = ladder.levels[fill.index];
+      onEvent?.(
+        `TP ladder ${fill.index + 1}/${ladder.levels.length} hit: +${gainPct.toFixed(
+          1
+        )}% >= +${level.profitPct}%. Selling ${level.sellPct}% of entry size…`
+      );
+      try {
+        const { txid } = await performSell({
+          tokenMint: canonicalMint,
+          percent: fill.percentOfBalance,
+          slippageBps: Number(process.env.TAKE_PROFIT_EXIT_SLIPPAGE_BPS || 250),
+          priorityFeeLamports: getPriorityFeeLamports(),
+          useJitoBundle: getUseJitoBundle(),
+          chatId,
+        });
+        level.filled = true;
+        level.txid = txid;
+        level.filledAt = Date.now();
+        level.fillGainPct = gainPct;
+        ladder.soldPct = Math.min(100, Number(ladder.soldPct || 0) + level.sellPct);
+        onEvent?.(`Sold on TP ladder. Tx: ${txid}`);
+      } catch (e) {
+        const msg = String(e?.message || e);
+        if (msg.includes("no_token_balance")) {
+          await finish("cancelled", "TP ladder stopped: no token balance left.", {
+            reason: "no_token_balance",
+          });
+          return;
+        }
+        level.attempts = Number(level.attempts || 0) + 1;
+        if (level.attempts >= LADDER_MAX_ATTEMPTS) {
+          level.failed = true;
+          onEvent?.(
+            `TP ladder level +${level.profitPct}% skipped after ${level.attempts} failed sells: ${msg}`
+          );
+        } else {
+          onEvent?.(`TP ladder sell failed (will retry): ${msg}`);
+        }
+      }
+      await saveTakeProfitLadder(ladder).catch(() => {});
+
+      if (ladder.levels.every((l) => l.filled || l.failed)) {
+        const moonbag = Math.max(0, 100 - ladder.soldPct);
+        await finish(
+          "completed",
+          moonbag > 0
+            ? `TP ladder complete. Moonbag kept: ${moonbag}% of entry size.`
+            : "TP ladder complete."
+        );
+      }
+    } catch {
+    } finally {
+      if (running) setTimeout(loop, pollMs);
+    }
+  };
+
+  const desc = ladder.levels
+    .map((l) => `${l.sellPct}% @ +${l.profitPct}%${l.filled ? " ✓" : ""}`)
+    .join(", ");
+  onEvent?.(`Take-profit ladder armed for ${canonicalMint}: ${desc}`);
+  loop();
+  return ladder;
+}
+
+export async function stopTakeProfitLadder(chatId, mint) {
+  const canonicalMint = canonicalizeMint(mint);
+  const stop = ladderWatchers.get(`tpl:${chatId}:${canonicalMint}`);
+  if (stop) stop();
+  return await markTakeProfitLadderStatus(chatId, canonicalMint, "cancelled").catch(
+    () => false
+  );
+}
+
+// Restart persisted ladders after a restart; onEventFor(chatId) builds the notifier
+export async function resumeTakeProfitLadders({ onEventFor } = {}) {
+  const ladders = await loadActiveTakeProfitLadders().catch(() => []);
+  for (const saved of ladders) {
+    // Telegram chat ids are numeric; stores keep them as strings
+    const chatId = /^-?\d+$/.test(saved.chatId)
+      ? Number(saved.chatId)
+      : saved.chatId;
+    await startTakeProfitLadder(chatId, {
+      mint: saved.mint,
+      ladder: { ...saved, chatId },
+      onEvent: onEventFor?.(chatId),
+    }).catch(() => {});
+  }
+  return ladders.length;
+}